@@ -0,0 +1,713 @@
+// ============================================================================
+// ATOMIC COMMIT - Two-Phase (2PC) and Three-Phase (3PC) Commit over MySQL XA
+// ============================================================================
+
+/**
+ * A replicated write commits on every participant or on none. Each
+ * participant runs its statements in an XA branch and XA PREPAREs it, which
+ * makes the branch durable on that node; the coordinator logs the decision
+ * before any branch hears of it, so the branches a crash leaves prepared can
+ * be finished from the log at startup (recoverInDoubtTransactions).
+ *
+ * createCommitCoordinator() returns the coordinator state; the functions
+ * below take it as their first argument. The coordinator owns the log
+ * records but not the nodes: connections come from connect(), which nodes
+ * can take part in a round from unavailable(), and which can have their
+ * branches finished by recovery from reachable().
+ */
+
+import mysql from 'mysql2/promise';
+import { v4 as uuidv4 } from 'uuid';
+
+// XA branches created by this simulator carry this formatID, so XA RECOVER
+// can tell them apart from branches other clients left on the same server
+export const XA_FORMAT_ID = 7341;
+
+// MySQL error for an XID it does not know: the branch already finished, or
+// was never prepared and MySQL rolled it back when its connection closed
+const XA_UNKNOWN_XID = 'ER_XAER_NOTA';
+
+// Atomic commit protocols replication can run
+export const COMMIT_PROTOCOLS = ['2PC', '3PC'];
+
+// 3PC participants give up on a silent coordinator after this long and run the termination protocol
+export const THREE_PC_TIMEOUT_MS = 2000;
+
+// Points after which a 3PC coordinator can be made to fail (failCoordinatorAfter)
+export const COORDINATOR_FAILURE_POINTS = ['can_commit', 'pre_commit'];
+
+/**
+ * New coordinator with an empty log.
+ *   connect(node)                     - a connection of its own (released or destroyed after the round)
+ *   unavailable(node)                 - why a node cannot take part in a round, or null when it can
+ *   reachable(node)                   - can recovery finish the node's branches? A node being recovered
+ *                                       can before it takes part in rounds again (default: not unavailable)
+ *   isFailed(node)                    - has the node been killed (3PC participants stop answering)?
+ *   persist(record)                   - write the new state of a record to disk; rejects when it could not be written
+ *   onResolved(globalId, node, action) - recovery finished the branch of a node ('COMMIT' / 'ROLLBACK')
+ *   protocol                          - default protocol (2PC or 3PC)
+ *   threePhaseTimeout, phaseDelay     - 3PC participant timeout and pause between phases (ms)
+ *
+ * log:      [{ globalId, protocol, state, participants, votes, decision, acknowledged, time }]
+ * inFlight: global transactions between XA START and the end of phase 2 - never in doubt
+ */
+export function createCommitCoordinator({
+  connect,
+  unavailable = () => null,
+  reachable = node => !unavailable(node),
+  isFailed = () => false,
+  persist = async () => {},
+  onResolved = () => {},
+  protocol = '2PC',
+  threePhaseTimeout = THREE_PC_TIMEOUT_MS,
+  phaseDelay = 0
+}) {
+  return {
+    connect,
+    unavailable,
+    reachable,
+    isFailed,
+    persist,
+    onResolved,
+    protocol: COMMIT_PROTOCOLS.includes(protocol) ? protocol : '2PC',
+    threePhaseTimeout,
+    phaseDelay,
+    log: [],
+    inFlight: new Set()
+  };
+}
+
+/**
+ * XID of one branch: the global transaction id (derived from the
+ * transactionId) and the participant node as branch qualifier
+ */
+function xaXid(globalId, node) {
+  return mysql.format(`?, ?, ${XA_FORMAT_ID}`, [globalId, node]);
+}
+
+/**
+ * Coordinator log record of a global transaction, written before phase 1.
+ * state: prepare_sent -> decided (votes and decision known; pre_commit in
+ * 3PC) -> completed (every participant acknowledged the outcome).
+ */
+function logPrepareSent(coordinator, globalId, participants, protocol = '2PC') {
+  const record = {
+    globalId,
+    protocol,
+    state: 'prepare_sent',
+    participants,
+    votes: [],
+    decision: null,
+    acknowledged: [],
+    time: new Date()
+  };
+  coordinator.log.push(record);
+  return record;
+}
+
+/**
+ * A participant finished phase 2 - the record completes with the last one
+ */
+function acknowledgePhaseTwo(record, node) {
+  if (!record.acknowledged.includes(node)) {
+    record.acknowledged.push(node);
+  }
+  if (record.participants.every(participant => record.acknowledged.includes(participant))) {
+    record.state = 'completed';
+  }
+}
+
+/**
+ * Open the XA branch a write runs in on the node that executes it. The
+ * branch is prepared and committed by twoPhaseCommit() together with the
+ * copies, so the origin never commits a write its copies rejected.
+ */
+export async function startOriginBranch(connection, globalId, node) {
+  const branch = { target: node, conn: connection, xid: xaXid(globalId, node), state: null, origin: true };
+  await connection.query(`XA START ${branch.xid}`);
+  branch.state = 'active';
+  return branch;
+}
+
+/**
+ * Roll back a branch that never reached XA PREPARE. Returns false when there
+ * was nothing to roll back (no branch, or it already finished).
+ */
+export async function rollbackBranch(branch) {
+  if (branch?.state !== 'active' && branch?.state !== 'idle') return false;
+  
+  try {
+    // An active branch has to be ended before it can be rolled back
+    if (branch.state === 'active') {
+      await branch.conn.query(`XA END ${branch.xid}`);
+    }
+    await branch.conn.query(`XA ROLLBACK ${branch.xid}`);
+    branch.state = 'rolled_back';
+  } catch (error) {
+    console.error(`[2PC] ${branch.target} ROLLBACK FAILED: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * Commit a branch that has no other participant (an interactive transaction
+ * that only read) with XA COMMIT ... ONE PHASE. Returns false when the branch
+ * could not be committed; it is rolled back then.
+ */
+export async function commitOnePhase(branch) {
+  try {
+    if (branch.state === 'active') {
+      await branch.conn.query(`XA END ${branch.xid}`);
+      branch.state = 'idle';
+    }
+    await branch.conn.query(`XA COMMIT ${branch.xid} ONE PHASE`);
+    branch.state = 'committed';
+    return true;
+  } catch (error) {
+    console.error(`[2PC] ${branch.target} ONE PHASE COMMIT FAILED: ${error.message}`);
+    await rollbackBranch(branch);
+    return false;
+  }
+}
+
+/**
+ * Phase 1 on the origin: run what the source itself owes (e.g. deleting rows
+ * that left its fragment), then end and prepare its branch
+ */
+async function prepareOrigin(origin, statements, protocol) {
+  try {
+    for (const sql of statements) {
+      await origin.conn.query(sql);
+    }
+    await origin.conn.query(`XA END ${origin.xid}`);
+    origin.state = 'idle';
+    await origin.conn.query(`XA PREPARE ${origin.xid}`);
+    origin.state = 'prepared';
+    
+    console.log(`[${protocol}] ${origin.target} (origin) PREPARED`);
+    return { target: origin.target, origin: true, prepared: true, vote: 'yes' };
+  } catch (error) {
+    console.log(`[${protocol}] ${origin.target} (origin) PREPARE FAILED: ${error.message}`);
+    return { target: origin.target, origin: true, prepared: false, vote: 'no', reason: error.message };
+  }
+}
+
+/**
+ * Why a target sits a round out, or null when it takes part: held[target]
+ * (the caller's reason for this round), else why it is unavailable
+ */
+function sitsOut(coordinator, target, held) {
+  return held[target] || coordinator.unavailable(target);
+}
+
+/**
+ * Phase 1 on a target: run its statements in a new XA branch and prepare it.
+ * The branch is added to branches as soon as it holds a connection.
+ */
+async function prepareTarget(coordinator, target, globalId, statements, branches, protocol, held) {
+  const unavailable = sitsOut(coordinator, target, held);
+  if (unavailable) {
+    console.log(`[${protocol}] ${target} SKIPPED (${unavailable})`);
+    return { target, prepared: false, vote: 'offline', reason: unavailable };
+  }
+  
+  try {
+    const branch = { target, conn: await coordinator.connect(target), xid: xaXid(globalId, target), state: null };
+    branches.push(branch);
+    
+    await branch.conn.query(`XA START ${branch.xid}`);
+    branch.state = 'active';
+    for (const sql of statements) {
+      await branch.conn.query(sql);
+    }
+    await branch.conn.query(`XA END ${branch.xid}`);
+    branch.state = 'idle';
+    await branch.conn.query(`XA PREPARE ${branch.xid}`);
+    branch.state = 'prepared';
+    
+    console.log(`[${protocol}] ${target} PREPARED`);
+    return { target, prepared: true, vote: 'yes' };
+  } catch (error) {
+    console.log(`[${protocol}] ${target} PREPARE FAILED: ${error.message}`);
+    return { target, prepared: false, vote: 'no', reason: error.message };
+  }
+}
+
+/**
+ * Phase 1 of 2PC (CanCommit of 3PC): once the prepare_sent record is on
+ * disk, every participant prepares its branch. Returns the vote of every node;
+ * all of them are no when the record could not be written.
+ */
+async function collectVotes(coordinator, record, query, others, statements, origin, branches, held) {
+  try {
+    await coordinator.persist(record);
+  } catch (error) {
+    const reason = `Coordinator log could not be written: ${error.message}`;
+    console.error(`[${record.protocol}] ${reason}`);
+    return [
+      ...(origin ? [{ target: origin.target, origin: true, prepared: false, vote: 'no', reason }] : []),
+      ...others.map(target => {
+        const unavailable = sitsOut(coordinator, target, held);
+        return { target, prepared: false, vote: unavailable ? 'offline' : 'no', reason: unavailable || reason };
+      })
+    ];
+  }
+  
+  const prepareResults = [];
+  if (origin) {
+    prepareResults.push(await prepareOrigin(origin, statements[origin.target] || [], record.protocol));
+  }
+  for (const target of others) {
+    prepareResults.push(await prepareTarget(coordinator, target, record.globalId, statements[target] || [query], branches, record.protocol, held));
+  }
+  return prepareResults;
+}
+
+/**
+ * Record the votes and the decision, fsynced before any participant hears of
+ * it. Returns false when the log could not be written.
+ */
+async function logDecision(coordinator, record, prepareResults, decision, state = 'decided') {
+  record.votes = prepareResults.map(r => ({ node: r.target, vote: r.vote, reason: r.reason }));
+  record.decision = decision;
+  record.state = state;
+  record.decidedAt = new Date();
+  try {
+    await coordinator.persist(record);
+    return true;
+  } catch (error) {
+    console.error(`[${record.protocol}] Could not log the decision for ${record.globalId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Last phase: XA COMMIT or XA ROLLBACK every branch the round still holds,
+ * acknowledging each in the record. Participants that never opened a branch
+ * have nothing to finish; lost branches wait for node recovery.
+ */
+async function finishBranches(record, branches, commit) {
+  for (const participant of record.participants.filter(p => !branches.some(b => b.target === p))) {
+    acknowledgePhaseTwo(record, participant);
+  }
+  
+  for (const branch of branches.filter(b => b.state !== 'lost')) {
+    const { target, conn, xid } = branch;
+    try {
+      if (commit) {
+        await conn.query(`XA COMMIT ${xid}`);
+        branch.state = 'committed';
+        console.log(`[${record.protocol}] ${target} COMMITTED`);
+      } else if (branch.state === 'prepared') {
+        await conn.query(`XA ROLLBACK ${xid}`);
+        branch.state = 'rolled_back';
+        console.log(`[${record.protocol}] ${target} ROLLED BACK`);
+      } else if (await rollbackBranch(branch)) {
+        console.log(`[${record.protocol}] ${target} ROLLED BACK`);
+      }
+      acknowledgePhaseTwo(record, target);
+    } catch (error) {
+      // A prepared branch stays in doubt until recovery resolves it
+      console.error(`[${record.protocol}] ${target} ${commit ? 'COMMIT' : 'ROLLBACK'} FAILED: ${error.message}`);
+    } finally {
+      // The origin connection belongs to the caller
+      if (!branch.origin) {
+        conn.release();
+      }
+    }
+  }
+}
+
+/**
+ * Close a round: it is no longer in flight, and the result callers queue.
+ * A blocked round has a logged outcome nobody could carry out yet; node
+ * recovery finishes it.
+ */
+function endRound(coordinator, record, prepareResults, committed, reason, blocked = false) {
+  coordinator.inFlight.delete(record.globalId);
+  coordinator.persist(record).catch(error => console.error(`[${record.protocol}] Could not log the completion of ${record.globalId}: ${error.message}`));
+  
+  const result = {
+    protocol: record.protocol,
+    success: committed,
+    phase: committed ? 'committed' : blocked ? 'blocked' : 'aborted',
+    xid: record.globalId,
+    results: prepareResults
+  };
+  if (!committed) {
+    result.reason = reason;
+  }
+  if (record.coordinatorFailure) {
+    result.coordinatorFailure = record.coordinatorFailure;
+    result.terminatedBy = record.terminatedBy;
+  }
+  for (const prepareResult of prepareResults.filter(r => record.lost?.includes(r.target))) {
+    prepareResult.inDoubt = true;
+  }
+  return result;
+}
+
+/**
+ * Two-Phase Commit over MySQL XA: Ensures atomic replication across nodes
+ * Log:     a prepare_sent record naming the participants is fsynced first
+ * Phase 1: PREPARE - every participant runs its statements in an XA branch
+ *          and XA PREPAREs it, which makes the branch durable on that node
+ * Log:     the votes and the decision are fsynced before phase 2 begins
+ * Phase 2: XA COMMIT on every branch, or XA ROLLBACK on every branch
+ * A crash leaves the record unfinished and may leave prepared branches
+ * behind. MySQL keeps those across restarts, and recoverInDoubtTransactions()
+ * finishes them from the log at startup (presumed abort without a decision).
+ * origin is the branch (startOriginBranch) that already ran the write on
+ * sourceNode - it votes like any target. Without it the source has committed
+ * on its own and only the copies are atomic.
+ * Targets that are offline do not vote: the round goes ahead without them and
+ * their replication queue entries are replayed when they recover. So do the
+ * targets in held (target -> reason), which are up but must not get the
+ * write before the earlier ones still queued for them.
+ * statements maps a target to the statements it runs instead of query (row migration)
+ */
+export async function twoPhaseCommit(coordinator, sourceNode, query, targets, statements = {}, globalId = uuidv4(), origin = null, { held = {} } = {}) {
+  console.log(`[2PC] Starting ${globalId} for query from ${sourceNode}${origin ? ' (participant)' : ''} to [${targets.join(', ')}]`);
+  
+  const others = targets.filter(target => target !== origin?.target);
+  const participants = [...(origin ? [origin.target] : []), ...others.filter(target => !sitsOut(coordinator, target, held))];
+  const branches = origin ? [origin] : [];
+  coordinator.inFlight.add(globalId);
+  
+  // PHASE 1: PREPARE on the origin and all target nodes
+  console.log(`[2PC] PHASE 1: PREPARE`);
+  const record = logPrepareSent(coordinator, globalId, participants);
+  const prepareResults = await collectVotes(coordinator, record, query, others, statements, origin, branches, held);
+  
+  // Check if every participant prepared successfully
+  const rejected = prepareResults.filter(r => r.vote === 'no');
+  let allPrepared = rejected.length === 0;
+  let abortReason = `One or more nodes failed to prepare (${rejected.map(r => `${r.target}: ${r.reason}`).join('; ')})`;
+  
+  // The decision is durable before any branch is told about it - a commit that
+  // is not on disk cannot be recovered, so it becomes an abort, as recovery would presume
+  if (!(await logDecision(coordinator, record, prepareResults, allPrepared ? 'commit' : 'abort')) && allPrepared) {
+    allPrepared = false;
+    abortReason = 'Coordinator log could not be written';
+    record.decision = 'abort';
+  }
+  
+  // PHASE 2: COMMIT or ABORT
+  console.log(`[2PC] PHASE 2: ${allPrepared ? 'COMMIT' : 'ABORT'}`);
+  await finishBranches(record, branches, allPrepared);
+  
+  return endRound(coordinator, record, prepareResults, allPrepared, abortReason);
+}
+
+/**
+ * Pause between 3PC phases (phaseDelay)
+ */
+function pauseBetweenPhases(coordinator) {
+  return new Promise(resolve => setTimeout(resolve, coordinator.phaseDelay));
+}
+
+/**
+ * Participants whose node was killed during a 3PC round stop answering.
+ * Their session is dropped, and MySQL keeps the prepared branch until node
+ * recovery finishes it from the coordinator log.
+ */
+function dropFailedParticipants(coordinator, record, branches, states) {
+  for (const branch of branches.filter(b => b.state === 'prepared' && coordinator.isFailed(b.target))) {
+    branch.conn.destroy();
+    branch.state = 'lost';
+    states[branch.target] = 'failed';
+    record.lost = [...(record.lost || []), branch.target];
+    console.log(`[3PC] ${branch.target} failed during the round - its prepared branch waits for node recovery`);
+  }
+}
+
+/**
+ * Three-Phase Commit over MySQL XA: non-blocking when the coordinator fails
+ * Phase 1: CAN COMMIT - participants vote by preparing their branch, as in 2PC.
+ *          A participant that voted yes is uncertain.
+ * Phase 2: PRE COMMIT - the commit decision is logged and every participant
+ *          acknowledges it. Each participant is now pre-committed.
+ * Phase 3: DO COMMIT - XA COMMIT on every branch
+ * No participant commits before all are pre-committed, so when the
+ * coordinator falls silent the participants can decide on their own
+ * (terminateThreePhaseCommit) instead of blocking until it returns.
+ * failCoordinatorAfter ('can_commit' or 'pre_commit') simulates a coordinator
+ * crash after that phase. Other arguments are the same as twoPhaseCommit.
+ */
+export async function threePhaseCommit(coordinator, sourceNode, query, targets, statements = {}, globalId = uuidv4(), origin = null, { failCoordinatorAfter = null, held = {} } = {}) {
+  console.log(`[3PC] Starting ${globalId} for query from ${sourceNode}${origin ? ' (participant)' : ''} to [${targets.join(', ')}]`);
+  
+  const others = targets.filter(target => target !== origin?.target);
+  const participants = [...(origin ? [origin.target] : []), ...others.filter(target => !sitsOut(coordinator, target, held))];
+  const branches = origin ? [origin] : [];
+  coordinator.inFlight.add(globalId);
+  
+  // PHASE 1: CAN COMMIT
+  console.log(`[3PC] PHASE 1: CAN COMMIT`);
+  const record = logPrepareSent(coordinator, globalId, participants, '3PC');
+  const prepareResults = await collectVotes(coordinator, record, query, others, statements, origin, branches, held);
+  const states = Object.fromEntries(branches.map(b => [b.target, b.state === 'prepared' ? 'uncertain' : 'aborted']));
+  
+  const rejected = prepareResults.filter(r => r.vote === 'no');
+  if (rejected.length > 0) {
+    console.log(`[3PC] ABORT`);
+    await logDecision(coordinator, record, prepareResults, 'abort');
+    await finishBranches(record, branches, false);
+    return endRound(coordinator, record, prepareResults, false, `One or more nodes voted no (${rejected.map(r => `${r.target}: ${r.reason}`).join('; ')})`);
+  }
+  
+  await pauseBetweenPhases(coordinator);
+  if (failCoordinatorAfter === 'can_commit') {
+    return terminateThreePhaseCommit(coordinator, record, branches, states, prepareResults, 'can_commit');
+  }
+  dropFailedParticipants(coordinator, record, branches, states);
+  
+  // PHASE 2: PRE COMMIT
+  console.log(`[3PC] PHASE 2: PRE COMMIT`);
+  if (!(await logDecision(coordinator, record, prepareResults, 'commit', 'pre_commit'))) {
+    record.decision = 'abort';
+    await finishBranches(record, branches, false);
+    return endRound(coordinator, record, prepareResults, false, 'Coordinator log could not be written');
+  }
+  for (const branch of branches.filter(b => b.state === 'prepared')) {
+    states[branch.target] = 'precommitted';
+    console.log(`[3PC] ${branch.target} ACK PRE COMMIT`);
+  }
+  
+  await pauseBetweenPhases(coordinator);
+  if (failCoordinatorAfter === 'pre_commit') {
+    return terminateThreePhaseCommit(coordinator, record, branches, states, prepareResults, 'pre_commit');
+  }
+  dropFailedParticipants(coordinator, record, branches, states);
+  
+  // PHASE 3: DO COMMIT
+  console.log(`[3PC] PHASE 3: DO COMMIT`);
+  await finishBranches(record, branches, true);
+  
+  return endRound(coordinator, record, prepareResults, true);
+}
+
+/**
+ * 3PC termination protocol after a coordinator failure. Every live
+ * participant arms a coordinator.threePhaseTimeout timeout; the first one to fire on
+ * a node that is still up takes over as coordinator and decides from the
+ * states of the live participants:
+ *   any participant pre-committed -> commit (the uncertain ones pre-commit first)
+ *   all uncertain                 -> abort (nobody can have committed)
+ * Participants on nodes that went down are finished by node recovery, from
+ * the decision logged here. When every participant is down too, the round is
+ * blocked: a logged commit decision is neither reported as committed nor
+ * given up, recovery carries it out.
+ *
+ * This is a simulation of the protocol: the participant timeouts and the
+ * successor's decision run here, in the coordinator's process, reading the
+ * participant states it kept. A real participant would arm its own timer
+ * and ask its peers for their states. failCoordinatorAfter only makes the
+ * coordinator stop sending messages.
+ */
+async function terminateThreePhaseCommit(coordinator, record, branches, states, prepareResults, failedAfter) {
+  console.log(`[3PC] Coordinator failed after ${failedAfter.toUpperCase()} - participants time out after ${coordinator.threePhaseTimeout}ms`);
+  record.coordinatorFailure = failedAfter;
+  record.votes = prepareResults.map(r => ({ node: r.target, vote: r.vote, reason: r.reason }));
+  
+  // Participant-side timeouts
+  const waiting = branches.filter(b => b.state === 'prepared');
+  const successor = await new Promise(resolve => {
+    let pending = waiting.length;
+    if (pending === 0) resolve(null);
+    for (const branch of waiting) {
+      setTimeout(() => {
+        pending--;
+        if (!coordinator.isFailed(branch.target)) {
+          resolve(branch.target);
+        } else if (pending === 0) {
+          resolve(null);
+        }
+      }, coordinator.threePhaseTimeout);
+    }
+  });
+  dropFailedParticipants(coordinator, record, branches, states);
+  
+  if (!successor) {
+    // Nobody is left to decide: recovery finishes the round from what the coordinator logged
+    console.log(`[3PC] No participant left to terminate ${record.globalId}`);
+    record.terminatedBy = null;
+    if (record.decision === 'commit') {
+      return endRound(coordinator, record, prepareResults, false, 'Coordinator and every participant failed after PRE COMMIT - in doubt until node recovery commits it', true);
+    }
+    return endRound(coordinator, record, prepareResults, false, 'Coordinator and every participant failed - presumed abort');
+  }
+  
+  const live = branches.filter(b => b.state === 'prepared');
+  const commit = live.some(b => states[b.target] === 'precommitted');
+  console.log(`[3PC] ${successor} takes over: ${live.map(b => `${b.target}=${states[b.target]}`).join(', ')} -> ${commit ? 'COMMIT' : 'ABORT'}`);
+  
+  if (commit) {
+    for (const branch of live.filter(b => states[b.target] === 'uncertain')) {
+      states[branch.target] = 'precommitted';
+      console.log(`[3PC] ${branch.target} ACK PRE COMMIT (from ${successor})`);
+    }
+  }
+  record.decision = commit ? 'commit' : 'abort';
+  record.state = 'decided';
+  record.terminatedBy = successor;
+  record.decidedAt = new Date();
+  await coordinator.persist(record).catch(error => console.error(`[3PC] Could not log the termination of ${record.globalId}: ${error.message}`));
+  
+  await finishBranches(record, branches, commit);
+  return endRound(coordinator, record, prepareResults, commit, `Coordinator failed after ${failedAfter}; ${successor} found no pre-committed participant`);
+}
+
+/**
+ * Run the selected atomic commit protocol (commitOptions.protocol, else the
+ * default) for a replicated write; commitOptions.held as in twoPhaseCommit
+ */
+export function atomicCommit(coordinator, commitOptions, sourceNode, query, targets, statements, globalId, origin) {
+  if ((commitOptions.protocol || coordinator.protocol) === '3PC') {
+    return threePhaseCommit(coordinator, sourceNode, query, targets, statements, globalId, origin, commitOptions);
+  }
+  return twoPhaseCommit(coordinator, sourceNode, query, targets, statements, globalId, origin, commitOptions);
+}
+
+/**
+ * One round for several writes of an interactive transaction, in the order
+ * they ran: writes = [{ query, plan }], each plan is
+ *   { targets, statements: { node: [sql] }, replay: { node: [sql] }, migration }
+ * Every node runs the statements of each write that reaches it (the query
+ * when the plan has none for it). A target only keeps replay statements when
+ * every write reaching it had them.
+ */
+export function mergeReplicationPlans(writes) {
+  const merged = { targets: [], statements: {}, replay: {}, migration: writes.some(({ plan }) => plan.migration) };
+  const imaged = {};
+  
+  for (const { query, plan } of writes) {
+    for (const node of plan.targets) {
+      if (!merged.targets.includes(node)) {
+        merged.targets.push(node);
+      }
+      merged.statements[node] = [...(merged.statements[node] || []), ...(plan.statements[node] || [query])];
+      merged.replay[node] = [...(merged.replay[node] || []), ...(plan.replay[node] || [])];
+      imaged[node] = (imaged[node] ?? true) && Boolean(plan.replay[node]);
+    }
+  }
+  
+  for (const node of Object.keys(merged.replay).filter(node => !imaged[node])) {
+    delete merged.replay[node];
+  }
+  return merged;
+}
+
+/**
+ * Commit protocol options of a request: { options } or { error } (a 400 body)
+ */
+export function parseCommitOptions(coordinator, { protocol, failCoordinatorAfter }) {
+  const selected = protocol || coordinator.protocol;
+  if (!COMMIT_PROTOCOLS.includes(selected)) {
+    return { error: { error: `Invalid commit protocol: ${selected}`, available: COMMIT_PROTOCOLS } };
+  }
+  if (failCoordinatorAfter && (selected !== '3PC' || !COORDINATOR_FAILURE_POINTS.includes(failCoordinatorAfter))) {
+    return {
+      error: {
+        error: `failCoordinatorAfter needs the 3PC protocol and one of: ${COORDINATOR_FAILURE_POINTS.join(', ')}`,
+        available: COORDINATOR_FAILURE_POINTS
+      }
+    };
+  }
+  return { options: { protocol: selected, failCoordinatorAfter: failCoordinatorAfter || null } };
+}
+
+/**
+ * Re-drive phase 2 of the logged rounds that did not complete: the decision
+ * is sent again to every participant on nodes that has not acknowledged it.
+ * A round that never logged a decision is aborted (presumed abort).
+ */
+async function redriveCoordinatorLog(coordinator, nodes) {
+  const resolved = [];
+  
+  for (const record of coordinator.log.filter(r => r.state !== 'completed' && !coordinator.inFlight.has(r.globalId))) {
+    if (!record.decision) {
+      record.decision = 'abort';
+      record.presumed = true;
+      record.state = 'decided';
+      console.log(`[XA-RECOVERY] ${record.globalId}: no decision logged, presumed abort`);
+    }
+    const action = record.decision === 'commit' ? 'COMMIT' : 'ROLLBACK';
+    
+    const pending = record.participants.filter(node => nodes.includes(node) && !record.acknowledged.includes(node));
+    for (const node of pending.filter(coordinator.reachable)) {
+      let conn = null;
+      try {
+        conn = await coordinator.connect(node);
+        await conn.query(`XA ${action} ${xaXid(record.globalId, node)}`);
+        resolved.push({ node, globalId: record.globalId, branch: node, action, presumed: !!record.presumed });
+        console.log(`[XA-RECOVERY] ${node}: ${action} ${record.globalId} (logged decision re-driven)`);
+        
+        coordinator.onResolved(record.globalId, node, action);
+      } catch (error) {
+        if (error.code !== XA_UNKNOWN_XID) {
+          console.error(`[XA-RECOVERY] ${node}: could not ${action} ${record.globalId}: ${error.message}`);
+          continue;
+        }
+      } finally {
+        conn?.release();
+      }
+      acknowledgePhaseTwo(record, node);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Finish the 2PC rounds a crash interrupted on the given nodes:
+ * 1. Re-drive phase 2 from the coordinator log (redriveCoordinatorLog)
+ * 2. Resolve any other prepared branch of ours that XA RECOVER still lists.
+ *    It commits when the log holds a commit decision for its global
+ *    transaction and rolls back otherwise (presumed abort: without a logged
+ *    decision nobody can have been told to commit).
+ */
+export async function recoverInDoubtTransactions(coordinator, nodes) {
+  const changed = new Set(coordinator.log.filter(r => r.state !== 'completed' && !coordinator.inFlight.has(r.globalId)));
+  const resolved = await redriveCoordinatorLog(coordinator, nodes);
+  
+  for (const node of nodes) {
+    if (!coordinator.reachable(node)) continue;
+    
+    let conn = null;
+    try {
+      conn = await coordinator.connect(node);
+      const [rows] = await conn.query('XA RECOVER');
+      
+      for (const row of rows.filter(r => Number(r.formatID) === XA_FORMAT_ID)) {
+        const data = String(row.data);
+        const globalId = data.slice(0, Number(row.gtrid_length));
+        const branch = data.slice(Number(row.gtrid_length), Number(row.gtrid_length) + Number(row.bqual_length));
+        if (coordinator.inFlight.has(globalId)) continue;
+        
+        const record = coordinator.log.find(entry => entry.globalId === globalId);
+        const action = record?.decision === 'commit' ? 'COMMIT' : 'ROLLBACK';
+        try {
+          await conn.query(`XA ${action} ${xaXid(globalId, branch)}`);
+          resolved.push({ node, globalId, branch, action, presumed: !record?.decision });
+          console.log(`[XA-RECOVERY] ${node}: ${action} in-doubt branch ${globalId}/${branch}${record?.decision ? '' : ' (no decision logged, presumed abort)'}`);
+          if (record) {
+            acknowledgePhaseTwo(record, branch);
+            changed.add(record);
+          }
+        } catch (error) {
+          console.error(`[XA-RECOVERY] ${node}: could not ${action} ${globalId}/${branch}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      console.log(`[XA-RECOVERY] Could not check ${node}: ${error.message}`);
+    } finally {
+      conn?.release();
+    }
+  }
+  
+  for (const record of changed) {
+    await coordinator.persist(record).catch(error => console.error(`[XA-RECOVERY] Could not log the recovery of ${record.globalId}: ${error.message}`));
+  }
+  return resolved;
+}
+
@@ -0,0 +1,246 @@
+// ============================================================================
+// ANTI-ENTROPY - range checksums that find rows two copies disagree on
+// ============================================================================
+
+/**
+ * Two copies of a set of trans rows (the master's rows of a fragment and the
+ * fragment node, a node and its replica) are compared without shipping every
+ * row. Each side sums a per-row checksum over trans_id ranges, split
+ * CHECKSUM_FANOUT ways, in one GROUP BY query. Only ranges whose row count or
+ * checksum differ are split again, Merkle-tree style, until a range spans at
+ * most LEAF_RANGE_SIZE trans_ids. The rows of those ranges are then fetched
+ * from both sides and diffed:
+ *   missing   - the authoritative copy has the row, the other copy does not
+ *   extra     - the other copy has a row the authoritative copy does not
+ *   divergent - both have the row with different values
+ *
+ * A copy is read through a source: { bounds(), checksums(range, fanout),
+ * rows(range) } (see merkleDiff). The SQL for MySQL-backed sources is built
+ * here; running it is up to the caller. Repairs (see repairRows) likewise
+ * lock, read and write the rows through functions the caller passes.
+ */
+
+import { TRANS_COLUMNS } from './sql-parser.js';
+
+export const CHECKSUM_FANOUT = 16;
+export const LEAF_RANGE_SIZE = 64;
+
+/**
+ * Column as the checksum and row diffs read it: dates as formatted strings,
+ * so both sides produce the same text
+ */
+function columnSql(column) {
+  return column === 'newdate' ? "DATE_FORMAT(newdate, '%Y-%m-%d %H:%i:%s')" : column;
+}
+
+/**
+ * Checksum of one row: CRC32 of every column, NULL spelled out so that
+ * (1, NULL) and (NULL, 1) differ
+ */
+export function rowChecksumSql(columns = TRANS_COLUMNS) {
+  return `CRC32(CONCAT_WS('|', ${columns.map(column => `IFNULL(${columnSql(column)}, 'NULL')`).join(', ')}))`;
+}
+
+/**
+ * Width of the sub-ranges a range is split into
+ */
+function bucketWidth(range, fanout) {
+  return Math.max(1, Math.ceil((range.hi - range.lo + 1) / fanout));
+}
+
+/**
+ * Sub-ranges of [lo, hi] (inclusive) in bucket order
+ */
+export function splitRange(range, fanout = CHECKSUM_FANOUT) {
+  const width = bucketWidth(range, fanout);
+  const ranges = [];
+  for (let lo = range.lo; lo <= range.hi; lo += width) {
+    ranges.push({ lo, hi: Math.min(range.hi, lo + width - 1) });
+  }
+  return ranges;
+}
+
+/**
+ * Rows that are not in any of the conditions: { sql, params }. A condition
+ * that is NULL for a row (e.g. a NULL column) does not claim it.
+ */
+export function outsideConditions(conditions) {
+  if (conditions.length === 0) {
+    return { sql: '1 = 1', params: [] };
+  }
+  return {
+    sql: `NOT (${conditions.map(condition => `IFNULL((${condition.sql}), 0)`).join(' OR ')})`,
+    params: conditions.flatMap(condition => condition.params)
+  };
+}
+
+/**
+ * Lowest and highest trans_id of the rows in scope: { lo, hi } (null when none)
+ */
+export function rangeBoundsQuery(scope) {
+  return {
+    sql: `SELECT MIN(trans_id) AS lo, MAX(trans_id) AS hi FROM trans WHERE ${scope.sql}`,
+    params: scope.params
+  };
+}
+
+/**
+ * Row count and checksum of the rows in scope per sub-range of range (see
+ * splitRange): { bucket, row_count, checksum } for every bucket with rows
+ */
+export function rangeChecksumQuery(scope, range, fanout = CHECKSUM_FANOUT) {
+  return {
+    sql: `SELECT FLOOR((trans_id - ?) / ?) AS bucket, COUNT(*) AS row_count, SUM(${rowChecksumSql()}) AS checksum ` +
+      `FROM trans WHERE (${scope.sql}) AND trans_id BETWEEN ? AND ? GROUP BY bucket`,
+    params: [range.lo, bucketWidth(range, fanout), ...scope.params, range.lo, range.hi]
+  };
+}
+
+/**
+ * Every column of the rows in scope within range, ordered by trans_id
+ */
+export function rangeRowsQuery(scope, range) {
+  return {
+    sql: `SELECT ${rowColumnsSql()} FROM trans WHERE (${scope.sql}) AND trans_id BETWEEN ? AND ? ORDER BY trans_id`,
+    params: [...scope.params, range.lo, range.hi]
+  };
+}
+
+/**
+ * The next limit rows in scope after trans_id afterId (from the start when
+ * null), ordered by trans_id: one chunk of a copy read chunk by chunk
+ */
+export function chunkRowsQuery(scope, afterId, limit) {
+  const after = afterId === null ? '' : ' AND trans_id > ?';
+  return {
+    sql: `SELECT ${rowColumnsSql()} FROM trans WHERE (${scope.sql})${after} ORDER BY trans_id LIMIT ?`,
+    params: [...scope.params, ...(afterId === null ? [] : [afterId]), limit]
+  };
+}
+
+/**
+ * Select list of every column, named as the columns themselves
+ */
+function rowColumnsSql() {
+  return TRANS_COLUMNS.map(column => (columnSql(column) === column ? column : `${columnSql(column)} AS ${column}`)).join(', ');
+}
+
+/**
+ * Sub-ranges of range whose buckets differ between the two checksum results
+ */
+export function mismatchedRanges(range, fanout, authorityBuckets, copyBuckets) {
+  const byBucket = buckets => new Map(buckets.map(bucket => [Number(bucket.bucket), bucket]));
+  const authority = byBucket(authorityBuckets);
+  const copy = byBucket(copyBuckets);
+  
+  return splitRange(range, fanout).filter((subrange, i) => {
+    const a = authority.get(i);
+    const c = copy.get(i);
+    if (!a || !c) return !!(a || c);
+    return Number(a.row_count) !== Number(c.row_count) || String(a.checksum) !== String(c.checksum);
+  });
+}
+
+/**
+ * Column values compare as text, except that numbers compare by value
+ * (5 and '5.00' are the same amount)
+ */
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  const numeric = value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+  return numeric(a) && numeric(b) ? Number(a) === Number(b) : String(a) === String(b);
+}
+
+/**
+ * Differences between the rows of both copies:
+ * { missing: [row], extra: [row], divergent: [{ trans_id, columns, authority, copy }] }
+ */
+export function diffRows(authorityRows, copyRows, columns = TRANS_COLUMNS) {
+  const copyById = new Map(copyRows.map(row => [String(row.trans_id), row]));
+  const diff = { missing: [], extra: [], divergent: [] };
+  
+  for (const row of authorityRows) {
+    const copy = copyById.get(String(row.trans_id));
+    copyById.delete(String(row.trans_id));
+    if (!copy) {
+      diff.missing.push(row);
+      continue;
+    }
+    const differing = columns.filter(column => !sameValue(row[column], copy[column]));
+    if (differing.length > 0) {
+      diff.divergent.push({ trans_id: row.trans_id, columns: differing, authority: row, copy });
+    }
+  }
+  diff.extra.push(...copyById.values());
+  return diff;
+}
+
+/**
+ * Compare two copies (sources, see above) range by range and diff the rows of
+ * the ranges that differ. Returns the diffRows() result plus rangesCompared
+ * (checksum queries per side) and rangesFetched (leaf ranges read row by row).
+ */
+export async function merkleDiff(authority, copy, { fanout = CHECKSUM_FANOUT, leafSize = LEAF_RANGE_SIZE } = {}) {
+  const result = { missing: [], extra: [], divergent: [], rangesCompared: 0, rangesFetched: 0 };
+  
+  const bounds = (await Promise.all([authority.bounds(), copy.bounds()]))
+    .filter(side => side && side.lo !== null && side.lo !== undefined);
+  if (bounds.length === 0) {
+    return result;
+  }
+  
+  const pending = [{
+    lo: Math.min(...bounds.map(side => Number(side.lo))),
+    hi: Math.max(...bounds.map(side => Number(side.hi)))
+  }];
+  while (pending.length > 0) {
+    const range = pending.shift();
+    
+    if (range.hi - range.lo + 1 <= leafSize) {
+      const [authorityRows, copyRows] = await Promise.all([authority.rows(range), copy.rows(range)]);
+      const diff = diffRows(authorityRows, copyRows);
+      result.missing.push(...diff.missing);
+      result.extra.push(...diff.extra);
+      result.divergent.push(...diff.divergent);
+      result.rangesFetched++;
+      continue;
+    }
+    
+    const [authorityBuckets, copyBuckets] = await Promise.all([authority.checksums(range, fanout), copy.checksums(range, fanout)]);
+    result.rangesCompared++;
+    pending.push(...mismatchedRanges(range, fanout, authorityBuckets, copyBuckets));
+  }
+  return result;
+}
+
+/**
+ * Re-sync rows of a copy from the authoritative copy:
+ *   lock(ids)            - write-lock the rows; resolves to release(committed)
+ *   rows(ids)            - their current rows on the authority
+ *   place(rows)          - { store, remove }: the rows the copy holds, and the
+ *                          trans_ids it must not (default: it holds every row)
+ *   write(store, remove) - store and delete the rows on the copy
+ * The rows are read only once they are locked, so a write to them that is
+ * still committing is waited for instead of being overwritten on the copy
+ * with the image from before it. trans_ids the authority no longer has are
+ * deleted. Returns { stored, deleted }.
+ */
+export async function repairRows(ids, { lock, rows, place = current => ({ store: current, remove: [] }), write }) {
+  const release = await lock(ids);
+  let committed = false;
+  try {
+    const current = await rows(ids);
+    const placed = place(current);
+    const remove = [...ids.filter(id => !current.some(row => String(row.trans_id) === String(id))), ...placed.remove];
+    await write(placed.store, remove);
+    committed = true;
+    return { stored: placed.store.length, deleted: remove.length };
+  } finally {
+    release(committed);
+  }
+}
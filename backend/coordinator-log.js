@@ -0,0 +1,146 @@
+// ============================================================================
+// COORDINATOR LOG - append-only, fsynced records of the 2PC/3PC rounds
+// ============================================================================
+
+/**
+ * Every change of a round record (prepare_sent, decided, completed, ...) is
+ * appended to the file as one JSON line and fsynced, so the cost of a write
+ * does not grow with the log. Replaying the file gives each global
+ * transaction the last state it was written with.
+ *
+ * Only terminal records ('completed': every participant acknowledged) are
+ * ever pruned. A record that is still in doubt stays in memory and on disk
+ * however many rounds follow it - recovery cannot finish a round whose
+ * decision was thrown away. The file is compacted (rewritten with the kept
+ * records, then renamed over the log) once enough lines were appended.
+ *
+ * createCoordinatorLog() returns the file state; the functions below take it
+ * as their first argument.
+ */
+
+import fs from 'fs/promises';
+
+// Completed records kept (in memory and on disk) after a compaction
+export const COMPLETED_RECORDS_KEPT = 1000;
+
+// Lines appended before the file is compacted
+export const COMPACT_AFTER_APPENDS = 5000;
+
+/**
+ * New log stored in file.
+ *
+ * writes:   appends and compactions, one at a time and in order
+ * appended: lines written since the last compaction
+ */
+export function createCoordinatorLog({ file, keepCompleted = COMPLETED_RECORDS_KEPT, compactAfter = COMPACT_AFTER_APPENDS }) {
+  return {
+    file,
+    keepCompleted,
+    compactAfter,
+    writes: Promise.resolve(),
+    appended: 0
+  };
+}
+
+/**
+ * Run a write after every earlier one; the returned promise rejects when it
+ * fails, the queue carries on
+ */
+function enqueue(log, write) {
+  const next = log.writes.then(write);
+  log.writes = next.catch(() => {});
+  return next;
+}
+
+async function writeSynced(file, data, flags) {
+  const handle = await fs.open(file, flags);
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Append the current state of a record and fsync it. Rejects when the line
+ * could not be written: the round must not go on with a record that is not
+ * on disk.
+ */
+export function appendRecord(log, record) {
+  const line = `${JSON.stringify(record)}\n`;
+  return enqueue(log, async () => {
+    await writeSynced(log.file, line, 'a');
+    log.appended++;
+  });
+}
+
+/**
+ * Records in the file, the last state of each global transaction in the
+ * order the rounds started. A line a crash cut short is skipped. [] when
+ * there is no file.
+ */
+export async function loadCoordinatorLog(log) {
+  let data;
+  try {
+    data = await fs.readFile(log.file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  
+  const records = new Map();
+  for (const line of data.split('\n').filter(line => line.trim())) {
+    try {
+      const record = JSON.parse(line);
+      records.set(record.globalId, record);
+    } catch (error) {
+      console.log(`[COORDINATOR-LOG] Skipping a partly written record: ${error.message}`);
+    }
+  }
+  return Array.from(records.values());
+}
+
+/**
+ * Drop all but the newest keepCompleted completed records from records (in
+ * place); records that are not completed are always kept. Returns how many
+ * were dropped.
+ */
+export function pruneCompletedRecords(records, keepCompleted) {
+  const completed = records.filter(record => record.state === 'completed');
+  const dropped = new Set(completed.slice(0, Math.max(0, completed.length - keepCompleted)));
+  if (dropped.size === 0) return 0;
+  
+  const kept = records.filter(record => !dropped.has(record));
+  records.splice(0, records.length, ...kept);
+  return dropped.size;
+}
+
+/**
+ * Prune records (see pruneCompletedRecords) and rewrite the file with what is
+ * left: a temporary file is fsynced and renamed over the log, so a crash
+ * leaves either the old or the new file. Appends queued meanwhile land after it.
+ */
+export function compactCoordinatorLog(log, records) {
+  const dropped = pruneCompletedRecords(records, log.keepCompleted);
+  log.appended = 0;
+  const data = records.map(record => `${JSON.stringify(record)}\n`).join('');
+  
+  return enqueue(log, async () => {
+    const tmpFile = `${log.file}.tmp`;
+    await writeSynced(tmpFile, data, 'w');
+    await fs.rename(tmpFile, log.file);
+    console.log(`[COORDINATOR-LOG] Compacted: ${records.length} records kept, ${dropped} completed records dropped`);
+  });
+}
+
+/**
+ * Append a record, then compact once compactAfter lines were appended since
+ * the last compaction. Only the append can reject.
+ */
+export async function persistRecord(log, records, record) {
+  await appendRecord(log, record);
+  if (log.appended >= log.compactAfter) {
+    compactCoordinatorLog(log, records).catch(error => console.error(`[COORDINATOR-LOG] Compaction failed: ${error.message}`));
+  }
+}
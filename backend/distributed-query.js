@@ -0,0 +1,347 @@
+// ============================================================================
+// SCATTER-GATHER QUERIES - one SELECT answered by every fragment
+// ============================================================================
+
+/**
+ * While the master is offline no single node stores every row. A SELECT over
+ * trans is then rewritten into one query per fragment, each limited to that
+ * fragment's rows, and the partial results are merged here the way the master
+ * would have computed them:
+ *   plain rows - concatenated, DISTINCT applied again, sorted, LIMIT applied
+ *   aggregates - per GROUP BY group: COUNT and SUM added up, MIN and MAX
+ *                compared, AVG rebuilt from per-fragment SUM and COUNT
+ * ORDER BY and LIMIT are pushed down to plain-row queries (no fragment has to
+ * return more than offset + count rows) and applied again after the merge.
+ *
+ * Only single-table SELECTs on trans qualify: no joins, CTEs, UNIONs,
+ * subqueries, HAVING, WITH ROLLUP, locking reads, DISTINCT aggregates or
+ * aggregates inside larger expressions. Merged SUM and AVG values are numbers
+ * (MySQL returns sums of DECIMAL columns as strings).
+ */
+
+import { compareValues, TRANS_COLUMNS } from './sql-parser.js';
+
+export const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+const AGGREGATE_CALL = new RegExp(`\\b(${AGGREGATE_FUNCTIONS.join('|')})\\s*\\(`, 'i');
+
+/**
+ * Expression text for comparisons: case, backquotes and whitespace ignored
+ */
+function normalizeText(text) {
+  return String(text).replace(/[`\s]/g, '').toLowerCase();
+}
+
+/**
+ * { fn, argument, distinct } when the whole expression is one aggregate call
+ * (SUM(a) / COUNT(b) is not)
+ */
+function parseAggregate(text) {
+  const match = /^(\w+)\s*\(/.exec(text);
+  if (!match || !AGGREGATE_FUNCTIONS.includes(match[1].toUpperCase())) return null;
+  
+  let depth = 0;
+  for (let i = match[0].length - 1; i < text.length; i++) {
+    if (text[i] === '(') depth++;
+    if (text[i] === ')' && --depth === 0 && i !== text.length - 1) return null;
+  }
+  
+  const argument = text.slice(match[0].length, -1).trim();
+  const distinct = /^DISTINCT\b/i.test(argument);
+  return { fn: match[1].toUpperCase(), argument: argument.replace(/^DISTINCT\s+/i, ''), distinct };
+}
+
+/**
+ * Name MySQL gives the result column of a select item
+ */
+function resultKey(item) {
+  if (item.alias !== null) return item.alias;
+  const column = /^(?:`?\w+`?\.)?`?(\w+)`?$/.exec(item.text);
+  return column ? column[1] : item.text;
+}
+
+/**
+ * Select item a GROUP BY / ORDER BY entry refers to: by position, alias or expression
+ */
+function findItem(items, text) {
+  if (/^\d+$/.test(text)) {
+    return items.some(item => item.star) ? null : items[parseInt(text, 10) - 1] || null;
+  }
+  const normalized = normalizeText(text);
+  return items.find(item => item.alias !== null && normalizeText(item.alias) === normalized) ||
+    items.find(item => !item.star && normalizeText(item.text) === normalized) ||
+    null;
+}
+
+function quoteAlias(alias) {
+  return `\`${alias.replace(/`/g, '``')}\``;
+}
+
+/**
+ * Plan the scatter-gather execution of a parsed SELECT.
+ * Returns { supported: true, aggregated, select, from, whereText, tail, ... }
+ * or { supported: false, reason }.
+ */
+export function planDistributedSelect(statement) {
+  const unsupported = reason => ({ supported: false, reason });
+  
+  if (!statement?.supported || statement.type !== 'SELECT') {
+    return unsupported('Only SELECT statements can run on every fragment');
+  }
+  if (statement.table !== 'trans' || statement.joined || statement.tables.length !== 1) {
+    return unsupported('Only single-table queries on trans can run on every fragment');
+  }
+  if (statement.ctes.length > 0 || statement.unions.length > 0 || statement.parenthesized) {
+    return unsupported('CTEs, UNIONs and parenthesised queries cannot run on every fragment');
+  }
+  if (statement.locking) {
+    return unsupported('Locking reads cannot run on every fragment');
+  }
+  if (statement.havingText !== null || statement.rollup) {
+    return unsupported('HAVING and WITH ROLLUP cannot be merged across fragments');
+  }
+  
+  const texts = [
+    ...statement.items.map(item => item.text),
+    statement.whereText || '',
+    ...statement.groupBy,
+    ...statement.orderBy.map(order => order.text)
+  ];
+  if (texts.some(text => /\bSELECT\b/i.test(text))) {
+    return unsupported('Subqueries cannot run on every fragment');
+  }
+  if (statement.limit && (statement.limit.count === null || statement.limit.offset === null)) {
+    return unsupported('LIMIT must use literal numbers');
+  }
+  
+  const items = statement.items.map((item, index) => ({
+    ...item,
+    index,
+    key: item.star ? null : resultKey(item),
+    aggregate: item.star ? null : parseAggregate(item.text)
+  }));
+  for (const item of items) {
+    if (item.aggregate?.distinct) {
+      return unsupported(`${item.text}: DISTINCT aggregates cannot be merged across fragments`);
+    }
+    if (!item.aggregate && !item.star && AGGREGATE_CALL.test(item.text)) {
+      return unsupported(`${item.text}: aggregates inside expressions cannot be merged across fragments`);
+    }
+  }
+  
+  const aggregated = items.some(item => item.aggregate) || statement.groupBy.length > 0;
+  const plan = aggregated ? planAggregate(statement, items) : planRows(statement, items);
+  if (!plan.supported) return plan;
+  
+  return {
+    ...plan,
+    aggregated,
+    distinct: statement.distinct,
+    limit: statement.limit,
+    from: statement.fromText,
+    whereText: statement.whereText
+  };
+}
+
+/**
+ * Plain rows: the select list as written plus hidden ORDER BY columns
+ */
+function planRows(statement, items) {
+  const star = items.some(item => item.star);
+  const hidden = [];
+  const order = [];
+  
+  for (const [i, { text, descending }] of statement.orderBy.entries()) {
+    const item = findItem(items, text);
+    const column = /^`?(\w+)`?$/.exec(text)?.[1].toLowerCase();
+    if (item && !item.star) {
+      order.push({ key: item.key, descending });
+    } else if (star && TRANS_COLUMNS.includes(column)) {
+      order.push({ key: column, descending });
+    } else if (statement.distinct) {
+      return { supported: false, reason: `With DISTINCT, ORDER BY ${text} must name a selected column` };
+    } else {
+      hidden.push(`${text} AS __order_${i}`);
+      order.push({ key: `__order_${i}`, descending });
+    }
+  }
+  
+  const columns = [...items.map(item => (item.alias !== null ? `${item.text} AS ${quoteAlias(item.alias)}` : item.text)), ...hidden];
+  const limit = statement.limit ? ` LIMIT ${statement.limit.offset + statement.limit.count}` : '';
+  const orderBy = statement.orderBy.length > 0
+    ? ` ORDER BY ${statement.orderBy.map(({ text, descending }) => `${text}${descending ? ' DESC' : ''}`).join(', ')}`
+    : '';
+  
+  return {
+    supported: true,
+    select: `SELECT ${statement.distinct ? 'DISTINCT ' : ''}${columns.join(', ')}`,
+    tail: `${orderBy}${limit}`,
+    order
+  };
+}
+
+/**
+ * GROUP BY / aggregates: group values and partial aggregates per fragment
+ */
+function planAggregate(statement, items) {
+  if (items.some(item => item.star)) {
+    return { supported: false, reason: 'SELECT * cannot be combined with GROUP BY or aggregates' };
+  }
+  
+  const groups = [];
+  for (const text of statement.groupBy) {
+    const item = findItem(items, text);
+    if (item?.aggregate) {
+      return { supported: false, reason: `Cannot GROUP BY the aggregate ${item.text}` };
+    }
+    groups.push(item ? item.text : text);
+  }
+  
+  const columns = groups.map((group, i) => `${group} AS __group_${i}`);
+  for (const item of items) {
+    if (item.aggregate) {
+      const { fn, argument } = item.aggregate;
+      if (fn === 'AVG') {
+        columns.push(`SUM(${argument}) AS __sum_${item.index}`, `COUNT(${argument}) AS __count_${item.index}`);
+      } else {
+        columns.push(`${fn}(${argument}) AS __agg_${item.index}`);
+      }
+      continue;
+    }
+    item.group = groups.findIndex(group => normalizeText(group) === normalizeText(item.text));
+    if (item.group === -1) {
+      return { supported: false, reason: `${item.text} is neither aggregated nor in GROUP BY` };
+    }
+  }
+  
+  const order = [];
+  for (const { text, descending } of statement.orderBy) {
+    const item = findItem(items, text);
+    if (!item) {
+      return { supported: false, reason: `ORDER BY ${text} must name a selected column` };
+    }
+    order.push({ key: item.key, descending });
+  }
+  
+  return {
+    supported: true,
+    select: `SELECT ${columns.join(', ')}`,
+    tail: groups.length > 0 ? ` GROUP BY ${groups.join(', ')}` : '',
+    items,
+    groups,
+    order
+  };
+}
+
+/**
+ * SQL for one fragment. condition is the fragment's WHERE condition as SQL
+ * text (bind its parameters first - the user's WHERE clause may contain ?
+ * inside string literals).
+ */
+export function fragmentQuery(plan, condition) {
+  const where = plan.whereText ? `(${plan.whereText}) AND (${condition})` : condition;
+  return `${plan.select} FROM ${plan.from} WHERE ${where}${plan.tail}`;
+}
+
+/**
+ * Order of two result values: NULL first, then numbers, dates and strings
+ */
+export function compareResultValues(a, b) {
+  const aNull = a === null || a === undefined;
+  const bNull = b === null || b === undefined;
+  if (aNull || bNull) return aNull && bNull ? 0 : aNull ? -1 : 1;
+  return compareValues(a instanceof Date ? a.getTime() : a, b instanceof Date ? b.getTime() : b);
+}
+
+function decimalsOf(values) {
+  return Math.min(16, Math.max(0, ...values.map(value => (String(value).split('.')[1] || '').length)));
+}
+
+/**
+ * Sum of numbers or numeric strings, rounded to the most decimals among them
+ */
+function sumValues(values) {
+  const total = values.reduce((sum, value) => sum + Number(value), 0);
+  return Number(total.toFixed(decimalsOf(values)));
+}
+
+function combineAggregate(item, partials) {
+  const { fn } = item.aggregate;
+  const present = key => partials.map(row => row[key]).filter(value => value !== null && value !== undefined);
+  
+  if (fn === 'AVG') {
+    // Like MySQL, an average keeps four more decimals than the values
+    const sums = present(`__sum_${item.index}`);
+    const count = sumValues(present(`__count_${item.index}`));
+    return count === 0 ? null : Number((sumValues(sums) / count).toFixed(decimalsOf(sums) + 4));
+  }
+  
+  const values = present(`__agg_${item.index}`);
+  if (fn === 'COUNT') return sumValues(values);
+  if (values.length === 0) return null;
+  if (fn === 'SUM') return sumValues(values);
+  return values.reduce((best, value) => {
+    const order = compareResultValues(value, best);
+    return (fn === 'MIN' ? order < 0 : order > 0) ? value : best;
+  });
+}
+
+function mergeGroups(plan, resultSets) {
+  const groups = new Map();
+  for (const row of resultSets.flat()) {
+    const values = plan.groups.map((group, i) => row[`__group_${i}`]);
+    const key = JSON.stringify(values);
+    if (!groups.has(key)) groups.set(key, { values, partials: [] });
+    groups.get(key).partials.push(row);
+  }
+  
+  // An aggregate without GROUP BY returns one row even when no row matched
+  if (plan.groups.length === 0 && groups.size === 0) {
+    groups.set('[]', { values: [], partials: [] });
+  }
+  
+  return [...groups.values()].map(({ values, partials }) => {
+    const row = {};
+    for (const item of plan.items) {
+      row[item.key] = item.aggregate ? combineAggregate(item, partials) : values[item.group];
+    }
+    return row;
+  });
+}
+
+/**
+ * Merge the result sets of every fragment that answered into the rows the
+ * original SELECT returns
+ */
+export function mergeResults(plan, resultSets) {
+  let rows = plan.aggregated ? mergeGroups(plan, resultSets) : resultSets.flat();
+  
+  if (plan.distinct) {
+    const seen = new Set();
+    rows = rows.filter(row => {
+      const key = JSON.stringify(Object.values(row));
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  
+  if (plan.order.length > 0) {
+    rows = [...rows].sort((a, b) => {
+      for (const { key, descending } of plan.order) {
+        const order = compareResultValues(a[key], b[key]);
+        if (order !== 0) return descending ? -order : order;
+      }
+      return 0;
+    });
+  }
+  
+  if (plan.limit) {
+    rows = rows.slice(plan.limit.offset, plan.limit.offset + plan.limit.count);
+  }
+  
+  if (!plan.aggregated && plan.order.some(({ key }) => key.startsWith('__order_'))) {
+    rows = rows.map(row => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('__order_'))));
+  }
+  return rows;
+}
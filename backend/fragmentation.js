@@ -0,0 +1,324 @@
+// ============================================================================
+// FRAGMENTATION CATALOG - which fragment node stores which `trans` rows
+// ============================================================================
+
+/**
+ * The master (node0) keeps every row; each fragment node keeps the rows its
+ * fragments describe. A catalog is built from a config object and answers the
+ * one question routing, replication targeting, data filters and reports all
+ * ask: "which fragment does a row with this column value belong to?"
+ *
+ * Config:
+ *   { strategy: 'range', column, fragments: [{ name, node, from?, to? }] }
+ *     Ranges are [from, to). Sorted by from they must cover every value with
+ *     no gaps or overlaps, so the first has no from and the last has no to.
+ *   { strategy: 'hash', column, fragments: [{ name, node }] }
+ *     A row belongs to fragments[ABS(column) MOD fragments.length]. Integer
+ *     columns only.
+ *   { strategy: 'list', column, fragments: [{ name, node, values } | { name, node, default: true }] }
+ *     Each value may appear in one fragment. Exactly one default fragment
+ *     takes every value that is not listed.
+ *
+ * Several fragments may live on the same node. Fragment names double as
+ * /api/data filter values, so they are restricted to letters, digits and _.
+ */
+
+import { compareValues, TRANS_COLUMNS } from './sql-parser.js';
+
+export const FRAGMENTATION_STRATEGIES = ['range', 'hash', 'list'];
+
+const COLUMN_TYPES = {
+  trans_id: 'integer',
+  account_id: 'integer',
+  newdate: 'date',
+  amount: 'number',
+  balance: 'number'
+};
+
+// The original scheme: node1 holds rows before 1997, node2 the rest
+export const DEFAULT_FRAGMENTATION = {
+  strategy: 'range',
+  column: 'newdate',
+  fragments: [
+    { name: 'pre_1997', node: 'node1', to: '1997-01-01' },
+    { name: 'post_1997', node: 'node2', from: '1997-01-01' }
+  ]
+};
+
+function configError(message) {
+  return new Error(`Invalid fragmentation config: ${message}`);
+}
+
+/**
+ * Comparable form of a column value (null when it is missing). Dates lose
+ * their time part, matching literalValue() in the SQL parser.
+ */
+function normalizeValue(type, value) {
+  if (value === null || value === undefined) return null;
+  return type === 'date' ? String(value).slice(0, 10) : String(value);
+}
+
+function checkValue(type, value, label) {
+  const valid = type === 'date'
+    ? /^\d{4}-\d{2}-\d{2}/.test(String(value))
+    : type === 'integer'
+      ? /^-?\d+$/.test(String(value))
+      : value !== '' && Number.isFinite(Number(value));
+  if (!valid) {
+    throw configError(`${label} must be a ${type === 'date' ? 'YYYY-MM-DD date' : type}, got ${JSON.stringify(value)}`);
+  }
+  return normalizeValue(type, value);
+}
+
+function normalizeRangeFragments(fragments, type) {
+  const ranges = fragments.map(fragment => ({
+    ...fragment,
+    from: fragment.from === undefined || fragment.from === null ? null : checkValue(type, fragment.from, `${fragment.name}.from`),
+    to: fragment.to === undefined || fragment.to === null ? null : checkValue(type, fragment.to, `${fragment.name}.to`)
+  }));
+  ranges.sort((a, b) => (a.from === null ? -1 : b.from === null ? 1 : compareValues(a.from, b.from)));
+  
+  ranges.forEach((range, i) => {
+    if (range.from !== null && range.to !== null && compareValues(range.from, range.to) >= 0) {
+      throw configError(`${range.name} is empty (from ${range.from} to ${range.to})`);
+    }
+    if (i === 0 && range.from !== null) {
+      throw configError(`values below ${range.from} belong to no fragment`);
+    }
+    if (i === ranges.length - 1 && range.to !== null) {
+      throw configError(`values from ${range.to} belong to no fragment`);
+    }
+    const next = ranges[i + 1];
+    if (next && (range.to === null || next.from === null || compareValues(range.to, next.from) !== 0)) {
+      throw configError(`${range.name} and ${next.name} must meet (to ${range.to ?? 'unbounded'}, from ${next.from})`);
+    }
+  });
+  
+  return ranges;
+}
+
+function normalizeListFragments(fragments, type) {
+  const seen = new Map();
+  const lists = fragments.map(fragment => {
+    if (fragment.default === true) {
+      if (fragment.values !== undefined && fragment.values !== null) {
+        throw configError(`${fragment.name} is the default fragment and cannot list values`);
+      }
+      return { ...fragment, values: null };
+    }
+    if (!Array.isArray(fragment.values) || fragment.values.length === 0) {
+      throw configError(`${fragment.name} needs a non-empty values list or default: true`);
+    }
+    
+    const values = fragment.values.map(value => checkValue(type, value, `${fragment.name}.values`));
+    for (const value of values) {
+      if (seen.has(value)) {
+        throw configError(`value ${value} is listed by both ${seen.get(value)} and ${fragment.name}`);
+      }
+      seen.set(value, fragment.name);
+    }
+    return { ...fragment, values, default: false };
+  });
+  
+  if (lists.filter(fragment => fragment.default).length !== 1) {
+    throw configError('list fragmentation needs exactly one fragment with default: true');
+  }
+  return lists;
+}
+
+/**
+ * Validate a fragmentation config and build its catalog. nodes lists the
+ * node names fragments may be placed on. Throws on an invalid config - rows
+ * routed by a half-understood scheme would land on the wrong nodes.
+ */
+export function createFragmentationCatalog(config, nodes) {
+  if (!config || typeof config !== 'object') {
+    throw configError('expected an object');
+  }
+  
+  const { strategy, column, fragments } = config;
+  if (!FRAGMENTATION_STRATEGIES.includes(strategy)) {
+    throw configError(`strategy must be one of ${FRAGMENTATION_STRATEGIES.join(', ')}`);
+  }
+  if (!TRANS_COLUMNS.includes(column)) {
+    throw configError(`column must be one of ${TRANS_COLUMNS.join(', ')}`);
+  }
+  const type = COLUMN_TYPES[column];
+  if (strategy === 'hash' && type !== 'integer') {
+    throw configError(`hash fragmentation needs an integer column, ${column} is a ${type}`);
+  }
+  if (!Array.isArray(fragments) || fragments.length === 0) {
+    throw configError('fragments must be a non-empty array');
+  }
+  
+  const names = new Set();
+  for (const fragment of fragments) {
+    if (!/^\w+$/.test(fragment?.name || '')) {
+      throw configError('every fragment needs a name made of letters, digits and _');
+    }
+    if (names.has(fragment.name)) {
+      throw configError(`duplicate fragment name ${fragment.name}`);
+    }
+    names.add(fragment.name);
+    if (!nodes.includes(fragment.node)) {
+      throw configError(`${fragment.name} is placed on unknown node ${fragment.node} (expected one of ${nodes.join(', ')})`);
+    }
+  }
+  
+  let normalized;
+  if (strategy === 'range') {
+    normalized = normalizeRangeFragments(fragments, type);
+  } else if (strategy === 'list') {
+    normalized = normalizeListFragments(fragments, type);
+  } else {
+    normalized = fragments.map((fragment, remainder) => ({ ...fragment, remainder }));
+  }
+  
+  const catalog = {
+    strategy,
+    column,
+    type,
+    fragments: normalized.map(fragment => {
+      const { name, node, from, to, values, remainder } = fragment;
+      if (strategy === 'range') return { name, node, from, to };
+      if (strategy === 'hash') return { name, node, remainder };
+      return { name, node, values, default: fragment.default };
+    })
+  };
+  catalog.nodes = [...new Set(catalog.fragments.map(fragment => fragment.node))];
+  return catalog;
+}
+
+/**
+ * Fragment a row with this column value belongs to (null if the value is
+ * missing or cannot be placed, e.g. a non-integer under hash fragmentation)
+ */
+export function fragmentForValue(catalog, value) {
+  const normalized = normalizeValue(catalog.type, value);
+  if (normalized === null) return null;
+  
+  switch (catalog.strategy) {
+    case 'range':
+      return catalog.fragments.find(fragment =>
+        (fragment.from === null || compareValues(normalized, fragment.from) >= 0) &&
+        (fragment.to === null || compareValues(normalized, fragment.to) < 0)
+      ) || null;
+    case 'hash': {
+      if (!/^-?\d+$/.test(normalized)) return null;
+      const remainder = Math.abs(parseInt(normalized, 10)) % catalog.fragments.length;
+      return catalog.fragments[remainder];
+    }
+    case 'list':
+      return catalog.fragments.find(fragment => !fragment.default && fragment.values.some(v => compareValues(v, normalized) === 0)) ||
+        catalog.fragments.find(fragment => fragment.default);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Distinct fragments for several row values, or null if any one of them
+ * cannot be placed
+ */
+export function fragmentsForValues(catalog, values) {
+  const fragments = [];
+  for (const value of values) {
+    const fragment = fragmentForValue(catalog, value);
+    if (!fragment) return null;
+    if (!fragments.includes(fragment)) fragments.push(fragment);
+  }
+  return fragments;
+}
+
+/**
+ * Where each row should be stored after a write: for every fragment node, the
+ * rows it owns (store) and the trans_ids it must not keep (remove). rows need
+ * trans_id and the fragmentation column; a row that cannot be placed is
+ * removed from every fragment node and kept only on the master.
+ */
+export function placeRows(catalog, rows) {
+  const placement = {};
+  for (const node of catalog.nodes) {
+    placement[node] = { store: [], remove: [] };
+  }
+  
+  for (const row of rows) {
+    const owner = fragmentForValue(catalog, row[catalog.column])?.node;
+    for (const node of catalog.nodes) {
+      if (node === owner) placement[node].store.push(row);
+      else placement[node].remove.push(row.trans_id);
+    }
+  }
+  return placement;
+}
+
+export function findFragment(catalog, name) {
+  return catalog.fragments.find(fragment => fragment.name === name) || null;
+}
+
+/**
+ * SQL expression that reads the fragmentation column in the same form
+ * fragmentForValue() compares (dates as YYYY-MM-DD strings)
+ */
+export function fragmentColumnSql(catalog) {
+  return catalog.type === 'date'
+    ? `DATE_FORMAT(DATE(${catalog.column}), '%Y-%m-%d')`
+    : catalog.column;
+}
+
+/**
+ * WHERE condition selecting the rows of one fragment: { sql, params } with
+ * ? placeholders. The column name comes from TRANS_COLUMNS, never a request.
+ */
+export function fragmentCondition(catalog, fragment) {
+  const column = catalog.column;
+  
+  switch (catalog.strategy) {
+    case 'range': {
+      const parts = [];
+      const params = [];
+      if (fragment.from !== null) {
+        parts.push(`${column} >= ?`);
+        params.push(fragment.from);
+      }
+      if (fragment.to !== null) {
+        parts.push(`${column} < ?`);
+        params.push(fragment.to);
+      }
+      return { sql: parts.length > 0 ? parts.join(' AND ') : '1 = 1', params };
+    }
+    case 'hash':
+      return { sql: `MOD(ABS(${column}), ?) = ?`, params: [catalog.fragments.length, fragment.remainder] };
+    case 'list': {
+      if (!fragment.default) {
+        return { sql: `${column} IN (?)`, params: [fragment.values] };
+      }
+      const listed = catalog.fragments.filter(other => !other.default).flatMap(other => other.values);
+      return { sql: `(${column} NOT IN (?) OR ${column} IS NULL)`, params: [listed] };
+    }
+    default:
+      throw new Error(`Unknown fragmentation strategy: ${catalog.strategy}`);
+  }
+}
+
+/**
+ * Human-readable rule for one fragment, for logs, reports and the UI
+ */
+export function describeFragment(catalog, fragment) {
+  const column = catalog.column;
+  
+  switch (catalog.strategy) {
+    case 'range': {
+      if (fragment.from === null && fragment.to === null) return `all ${column} values`;
+      if (fragment.from === null) return `${column} < ${fragment.to}`;
+      if (fragment.to === null) return `${column} >= ${fragment.from}`;
+      return `${fragment.from} <= ${column} < ${fragment.to}`;
+    }
+    case 'hash':
+      return `${column} mod ${catalog.fragments.length} = ${fragment.remainder}`;
+    case 'list':
+      return fragment.default ? `any other ${column}` : `${column} in (${fragment.values.join(', ')})`;
+    default:
+      return column;
+  }
+}
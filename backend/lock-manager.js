@@ -0,0 +1,1112 @@
+// ============================================================================
+// LOCK MANAGER - row, table and predicate locks with deadlock handling
+// ============================================================================
+
+/**
+ * The application-level lock manager (MySQL's own locking is not used):
+ * - Row locks on trans_ids: shared/exclusive with shared -> exclusive upgrades,
+ *   FIFO wait queues woken on release (no polling)
+ * - Table locks (IS / IX / S / SIX / X) above the row locks, with lock escalation
+ * - Predicate (range) locks for SERIALIZABLE phantom protection
+ * - A wait-for graph for deadlock detection, or wait-die / wound-wait prevention
+ *
+ * createLockManager() returns the lock state; the functions below take it as
+ * their first argument. The manager does not own transactions: it reads them
+ * through the transaction() callback and records the locks it grants in
+ * txn.locks and txn.tableLocks. Deadlock victims and wounded or dying
+ * transactions are aborted through abort(), which must end in
+ * releaseAllLocks().
+ */
+
+import { predicatesOverlap, describePredicate } from './sql-parser.js';
+
+export const DEADLOCK_POLICIES = ['detect', 'wait-die', 'wound-wait'];
+
+// How long a lock request waits before it fails
+export const TRANSACTION_TIMEOUT = 5000;
+
+// Row locks a transaction may hold before they are traded for a table lock
+export const LOCK_ESCALATION_THRESHOLD = 50;
+
+// Most recent deadlocks / preventions kept for /api/locks/status
+const DEADLOCK_HISTORY_LIMIT = 50;
+
+// Can a lock in mode [requested] be granted while another transaction holds [held]?
+const TABLE_LOCK_COMPATIBILITY = {
+  IS:  { IS: true,  IX: true,  S: true,  SIX: true,  X: false },
+  IX:  { IS: true,  IX: true,  S: false, SIX: false, X: false },
+  S:   { IS: true,  IX: false, S: true,  SIX: false, X: false },
+  SIX: { IS: true,  IX: false, S: false, SIX: false, X: false },
+  X:   { IS: false, IX: false, S: false, SIX: false, X: false }
+};
+
+// Modes each mode already includes
+const TABLE_LOCK_COVERS = {
+  IS: ['IS'],
+  IX: ['IS', 'IX'],
+  S: ['IS', 'S'],
+  SIX: ['IS', 'IX', 'S', 'SIX'],
+  X: ['IS', 'IX', 'S', 'SIX', 'X']
+};
+
+/**
+ * New, empty lock manager.
+ *   transaction(txnId)          - the transaction record: { startTime, startSeq,
+ *                                 deadlockPolicy, status, locks, tableLocks }
+ *   abort(txnId)                - abort a transaction (releases its locks)
+ *   isInteractive(txnId)        - can an idle transaction still be wounded?
+ *   rollbackIdle(txnId, reason) - undo the work of a wounded idle transaction
+ *
+ * lockTable: { "123": { readers: [txnId, ...], writer: txnId | null,
+ *                       queue: [{ txnId, lockType, upgrade, isolationLevel, requestedAt, resolve, timer }] } }
+ * Upgrade requests (read holder asking for write) are queued ahead of all other requests.
+ * tableLocks: { "trans": { holders: { txnId: mode }, queue: [entry, ...] } }
+ * Row locks in lockTable all belong to the trans table.
+ * predicateLocks:   [{ txnId, mode, predicate, text, acquired }]
+ * predicateWaiters: [{ txnId, mode, predicate, text, isolationLevel, requestedAt, resolve, timer }] (FIFO)
+ * waitForGraph: { "txn_waiting": { waitingFor: [txn_blocker, ...], transId, table, predicate, lockType, upgrade, since } }
+ */
+export function createLockManager({
+  transaction,
+  abort,
+  isInteractive = () => false,
+  rollbackIdle = async () => {},
+  policy = 'detect',
+  timeout = TRANSACTION_TIMEOUT,
+  escalationThreshold = LOCK_ESCALATION_THRESHOLD
+}) {
+  return {
+    transaction,
+    abort,
+    isInteractive,
+    rollbackIdle,
+    deadlockPolicy: DEADLOCK_POLICIES.includes(policy) ? policy : 'detect',
+    timeout,
+    escalationThreshold,
+    lockTable: {},
+    tableLocks: {},
+    predicateLocks: [],
+    predicateWaiters: [],
+    waitForGraph: {},
+    deadlockHistory: [],
+    preventionHistory: []
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Row locks and the wait-for graph
+// ----------------------------------------------------------------------------
+
+/**
+ * Get the lock entry for a trans_id, creating it if needed
+ */
+function getLockEntry(manager, transId) {
+  if (!manager.lockTable[transId]) {
+    manager.lockTable[transId] = { readers: [], writer: null, queue: [] };
+  }
+  return manager.lockTable[transId];
+}
+
+/**
+ * Drop a lock entry once nobody holds or waits for it
+ */
+function cleanupLockEntry(manager, transId) {
+  const lock = manager.lockTable[transId];
+  if (lock && lock.writer === null && lock.readers.length === 0 && lock.queue.length === 0) {
+    delete manager.lockTable[transId];
+  }
+}
+
+/**
+ * Remove a transaction's outgoing edges from the wait-for graph
+ */
+function clearWait(manager, txnId) {
+  delete manager.waitForGraph[txnId];
+}
+
+/**
+ * Could txnId be granted lockType right now, looking only at the holders?
+ * Write needs no other reader and no other writer, read needs no other writer.
+ */
+function isLockCompatible(lock, txnId, lockType) {
+  if (lock.writer && lock.writer !== txnId) return false;
+  if (lockType === 'write') return lock.readers.every(r => r === txnId);
+  return true;
+}
+
+/**
+ * Does txnId already hold a lock at least as strong as lockType?
+ */
+function holdsLock(lock, txnId, lockType) {
+  if (lock.writer === txnId) return true;
+  return lockType === 'read' && lock.readers.includes(txnId);
+}
+
+/**
+ * Hand a lock to a transaction and track it in txn.locks
+ */
+function grantLock(manager, lock, transId, txnId, lockType, isolationLevel) {
+  const upgrade = lockType === 'write' && lock.readers.includes(txnId);
+  
+  if (lockType === 'write') {
+    // An upgraded transaction stays in readers; releases clear both
+    lock.writer = txnId;
+    console.log(`[${isolationLevel}] Write lock ${upgrade ? 'UPGRADED from read' : 'ACQUIRED'} on trans_id=${transId} by ${txnId}`);
+  } else if (!lock.readers.includes(txnId)) {
+    lock.readers.push(txnId);
+    const kind = isolationLevel === 'READ_COMMITTED' ? 'Short read' : 'Read';
+    console.log(`[${isolationLevel}] ${kind} lock ACQUIRED on trans_id=${transId} by ${txnId}`);
+  }
+  
+  // Track lock in transaction (READ_COMMITTED releases read locks right after the query)
+  const txn = manager.transaction(txnId);
+  if (txn && !txn.locks[transId]) {
+    txn.locks[transId] = { type: lockType, acquired: Date.now() };
+  } else if (txn && upgrade) {
+    txn.locks[transId] = { ...txn.locks[transId], type: 'write', upgraded: Date.now() };
+  }
+}
+
+/**
+ * Transactions a queued request waits for: incompatible holders plus
+ * incompatible requests queued ahead of it (FIFO - it may not overtake them).
+ * Upgrade requests sit at the front, so only earlier upgrades are ahead of them.
+ */
+function getBlockers(lock, entry) {
+  const blockers = new Set();
+  
+  if (lock.writer && lock.writer !== entry.txnId) {
+    blockers.add(lock.writer);
+  }
+  if (entry.lockType === 'write') {
+    lock.readers.filter(r => r !== entry.txnId).forEach(r => blockers.add(r));
+  }
+  
+  for (const ahead of lock.queue) {
+    if (ahead === entry) break;
+    if (ahead.txnId !== entry.txnId && (ahead.lockType === 'write' || entry.lockType === 'write')) {
+      blockers.add(ahead.txnId);
+    }
+  }
+  
+  return Array.from(blockers);
+}
+
+/**
+ * Depth-first search for a cycle that passes through txnId.
+ * Returns the cycle as [txnId, ..., txnId's blocker chain] or null.
+ */
+export function findDeadlockCycle(manager, txnId) {
+  const path = [];
+  const visited = new Set();
+  
+  function visit(current) {
+    if (current === txnId && path.length > 0) return true;
+    if (visited.has(current)) return false;
+    visited.add(current);
+    path.push(current);
+    
+    for (const holder of manager.waitForGraph[current]?.waitingFor || []) {
+      if (visit(holder)) return true;
+    }
+    
+    path.pop();
+    return false;
+  }
+  
+  return visit(txnId) ? [...path] : null;
+}
+
+/**
+ * Pick the youngest transaction (latest startTime) in the cycle as victim:
+ * it has done the least work and is cheapest to redo
+ */
+function chooseDeadlockVictim(manager, cycle) {
+  return cycle.reduce((youngest, candidate) => {
+    const a = manager.transaction(youngest)?.startTime || 0;
+    const b = manager.transaction(candidate)?.startTime || 0;
+    return b > a ? candidate : youngest;
+  });
+}
+
+/**
+ * Resolve a deadlock detected by txnId: abort the victim and record it.
+ * Aborting releases the victim's locks and fails its pending lock request.
+ */
+function resolveDeadlock(manager, txnId, cycle) {
+  const victim = chooseDeadlockVictim(manager, cycle);
+  const edges = cycle.map(waiter => ({ from: waiter, ...manager.waitForGraph[waiter] }));
+  
+  // Classic upgrade deadlock: readers of the same trans_id all waiting to upgrade
+  const isUpgradeDeadlock = edges.every(edge => edge.upgrade && edge.transId === edges[0].transId);
+  
+  const record = {
+    detectedAt: new Date(),
+    detectedBy: txnId,
+    type: isUpgradeDeadlock ? 'upgrade' : 'cycle',
+    cycle,
+    edges,
+    victim
+  };
+  manager.deadlockHistory.push(record);
+  manager.deadlockHistory = manager.deadlockHistory.slice(-DEADLOCK_HISTORY_LIMIT);
+  
+  console.log(`[DEADLOCK] ${isUpgradeDeadlock ? 'Upgrade deadlock' : 'Cycle'} detected: ${cycle.join(' -> ')} -> ${cycle[0]} | victim=${victim}`);
+  
+  manager.transaction(victim).deadlockVictim = record;
+  manager.abort(victim);
+  
+  return victim;
+}
+
+// ----------------------------------------------------------------------------
+// Deadlock prevention (alternative to detection)
+// ----------------------------------------------------------------------------
+
+/**
+ * Policy of the transaction that has to wait decides what happens, using
+ * transaction start timestamps (startTime, ties broken by startSeq):
+ * - detect:     wait; the wait-for graph finds cycles (default)
+ * - wait-die:   an older requester waits, a younger one dies (aborts itself)
+ * - wound-wait: an older requester wounds (aborts) younger holders and waits
+ *               for older ones; a younger requester waits
+ * A transaction that is not waiting and not interactive is already finishing
+ * its only statement, so it cannot be wounded - the requester waits instead.
+ */
+function isOlderTransaction(manager, a, b) {
+  const ta = manager.transaction(a);
+  const tb = manager.transaction(b);
+  if (!ta || !tb) return false;
+  return ta.startTime < tb.startTime || (ta.startTime === tb.startTime && ta.startSeq < tb.startSeq);
+}
+
+function recordPrevention(manager, type, txnId, other, policy, wait) {
+  const record = {
+    type,
+    transactionId: txnId,
+    [type === 'wound' ? 'woundedBy' : 'olderThan']: other,
+    policy,
+    trans_id: wait.transId,
+    table: wait.table,
+    predicate: wait.predicate,
+    at: new Date()
+  };
+  manager.preventionHistory.push(record);
+  manager.preventionHistory = manager.preventionHistory.slice(-DEADLOCK_HISTORY_LIMIT);
+  return record;
+}
+
+/**
+ * Wait-die: the younger requester aborts itself; its pending request fails
+ */
+function dieTransaction(manager, txnId, olderTxnId, wait) {
+  const txn = manager.transaction(txnId);
+  txn.died = recordPrevention(manager, 'die', txnId, olderTxnId, 'wait-die', wait);
+  console.log(`[WAIT-DIE] ${txnId} is younger than ${olderTxnId} - DIES`);
+  manager.abort(txnId);
+}
+
+/**
+ * Wound-wait: abort a younger transaction standing in an older one's way.
+ * Returns false when it cannot be wounded (already finishing its statement).
+ */
+function woundTransaction(manager, victimId, byTxnId, wait) {
+  const victim = manager.transaction(victimId);
+  if (!victim || victim.status !== 'active') return false;
+  
+  const waiting = Boolean(manager.waitForGraph[victimId]);
+  if (!waiting && !manager.isInteractive(victimId)) return false;
+  
+  victim.wounded = recordPrevention(manager, 'wound', victimId, byTxnId, 'wound-wait', wait);
+  console.log(`[WOUND-WAIT] ${byTxnId} WOUNDS younger ${victimId}`);
+  manager.abort(victimId);
+  
+  // An idle interactive victim still has MySQL work to undo
+  if (!waiting) {
+    manager.rollbackIdle(victimId, `Wounded by older transaction ${byTxnId} (wound-wait)`).catch(err =>
+      console.error(`[WOUND-WAIT] Rollback of ${victimId} failed: ${err.message}`)
+    );
+  }
+  return true;
+}
+
+/**
+ * Apply the requester's prevention policy before it starts waiting.
+ * Returns true when the wait was resolved (requester died or wounded someone,
+ * which re-ran the queues), false when it should wait for blockers normally.
+ */
+function applyDeadlockPrevention(manager, txnId, blockers, wait) {
+  const txn = manager.transaction(txnId);
+  const policy = txn?.deadlockPolicy || manager.deadlockPolicy;
+  
+  if (policy === 'wait-die') {
+    const older = blockers.find(blocker => isOlderTransaction(manager, blocker, txnId));
+    if (older) {
+      dieTransaction(manager, txnId, older, wait);
+      return true;
+    }
+  }
+  
+  if (policy === 'wound-wait') {
+    let wounded = false;
+    for (const blocker of blockers.filter(b => isOlderTransaction(manager, txnId, b))) {
+      wounded = woundTransaction(manager, blocker, txnId, wait) || wounded;
+    }
+    return wounded;
+  }
+  
+  return false;
+}
+
+/**
+ * Record the wait-for edges of a queued request and run deadlock detection
+ * whenever they change (a new cycle can only close on a changed edge)
+ */
+function registerWait(manager, transId, entry) {
+  const kind = entry.upgrade ? 'Upgrade' : entry.lockType === 'write' ? 'Write' : 'Read';
+  
+  updateWaitEdges(manager, entry.txnId, getBlockers(manager.lockTable[transId], entry), {
+    transId,
+    lockType: entry.lockType,
+    upgrade: entry.upgrade,
+    since: new Date(entry.requestedAt)
+  }, `[${entry.isolationLevel}] ${kind} waiting on trans_id=${transId}`);
+}
+
+/**
+ * Set the wait-for edges txnId -> blockers (row, table or predicate wait) and look
+ * for a deadlock if they changed (after wait-die / wound-wait had their say)
+ */
+function updateWaitEdges(manager, txnId, blockers, wait, description) {
+  const previous = manager.waitForGraph[txnId];
+  if (previous && previous.transId === wait.transId && previous.predicate === wait.predicate &&
+      previous.table === wait.table && previous.waitingFor.join(',') === blockers.join(',')) {
+    return;
+  }
+  
+  if (applyDeadlockPrevention(manager, txnId, blockers, wait)) {
+    return;
+  }
+  
+  manager.waitForGraph[txnId] = { waitingFor: blockers, ...wait };
+  console.log(`${description} for [${blockers.join(', ')}]...`);
+  
+  const cycle = findDeadlockCycle(manager, txnId);
+  if (cycle) {
+    resolveDeadlock(manager, txnId, cycle);
+  }
+}
+
+/**
+ * Finish a queued request: stop its timer, take it out of the queue and wake the waiter
+ */
+function settleLockRequest(manager, transId, entry, result) {
+  clearTimeout(entry.timer);
+  
+  const lock = manager.lockTable[transId];
+  const index = lock ? lock.queue.indexOf(entry) : -1;
+  if (index >= 0) {
+    lock.queue.splice(index, 1);
+  }
+  
+  clearWait(manager, entry.txnId);
+  entry.resolve(result);
+}
+
+/**
+ * Grant queued requests in arrival order. Stops at the first request that is
+ * still incompatible, so a waiting writer is never overtaken by later readers.
+ * Whoever keeps waiting gets its wait-for edges refreshed.
+ */
+function processLockQueue(manager, transId) {
+  const lock = manager.lockTable[transId];
+  if (!lock) return;
+  
+  while (lock.queue.length > 0 && isLockCompatible(lock, lock.queue[0].txnId, lock.queue[0].lockType)) {
+    const entry = lock.queue[0];
+    grantLock(manager, lock, transId, entry.txnId, entry.lockType, entry.isolationLevel);
+    settleLockRequest(manager, transId, entry, { success: true, waited: Date.now() - entry.requestedAt });
+  }
+  
+  // Resolving a deadlock aborts a victim, which may change the queue under us
+  for (const entry of [...lock.queue]) {
+    if (manager.lockTable[transId] === lock && lock.queue.includes(entry)) {
+      registerWait(manager, transId, entry);
+    }
+  }
+  
+  cleanupLockEntry(manager, transId);
+}
+
+/**
+ * Fail every queued lock request of a transaction (it is being aborted)
+ */
+function cancelLockRequests(manager, txnId, result) {
+  for (const transId of Object.keys(manager.lockTable)) {
+    const entry = manager.lockTable[transId]?.queue.find(e => e.txnId === txnId);
+    if (entry) {
+      settleLockRequest(manager, transId, entry, result);
+      processLockQueue(manager, transId);
+    }
+  }
+}
+
+/**
+ * Acquire lock based on isolation level.
+ * Conflicting requests wait in a FIFO queue on the lock entry and are woken
+ * by releaseLock/releaseAllLocks - no polling.
+ * Returns: { success: true } or { success: false, reason: string, deadlock?: true }
+ */
+export async function acquireLock(manager, txnId, transId, lockType, isolationLevel) {
+  // READ_UNCOMMITTED: NO locks at all
+  if (isolationLevel === 'READ_UNCOMMITTED') {
+    console.log(`[${isolationLevel}] No lock needed for ${lockType} on trans_id=${transId}`);
+    return { success: true };
+  }
+  
+  const lock = getLockEntry(manager, transId);
+  
+  // Re-entrant: already holding an equal or stronger lock
+  if (holdsLock(lock, txnId, lockType)) {
+    return { success: true };
+  }
+  
+  // Read holder asking for write: shared -> exclusive upgrade
+  const upgrade = lockType === 'write' && lock.readers.includes(txnId);
+  const pendingUpgrades = lock.queue.filter(e => e.upgrade).length;
+  
+  // Granted right away only when nobody is queued ahead (fairness).
+  // Upgrades only have to respect earlier upgrades: they jump ahead of new requests.
+  const queuedAhead = upgrade ? pendingUpgrades : lock.queue.length;
+  if (queuedAhead === 0 && isLockCompatible(lock, txnId, lockType)) {
+    grantLock(manager, lock, transId, txnId, lockType, isolationLevel);
+    return { success: true };
+  }
+  
+  // WAIT in line: READ_COMMITTED/REPEATABLE_READ/SERIALIZABLE reads wait for the
+  // writer to commit (no dirty reads), writes wait for readers and the writer
+  let timeoutReason = 'Timeout waiting for lock';
+  if (lockType === 'read') {
+    timeoutReason = isolationLevel === 'READ_COMMITTED'
+      ? 'Timeout waiting for write to commit'
+      : 'Timeout waiting for write lock to release';
+  }
+  
+  return new Promise(resolve => {
+    const entry = { txnId, lockType, upgrade, isolationLevel, requestedAt: Date.now(), resolve, timer: null };
+    
+    entry.timer = setTimeout(() => {
+      console.log(`[${isolationLevel}] ${lockType === 'write' ? 'Write' : 'Read'} lock TIMEOUT on trans_id=${transId}`);
+      settleLockRequest(manager, transId, entry, { success: false, reason: timeoutReason });
+      processLockQueue(manager, transId);
+    }, manager.timeout);
+    
+    // Upgrades go after earlier upgrades but ahead of every new reader/writer
+    if (upgrade) {
+      lock.queue.splice(pendingUpgrades, 0, entry);
+      console.log(`[${isolationLevel}] Upgrade read -> write REQUESTED on trans_id=${transId} by ${txnId}`);
+    } else {
+      lock.queue.push(entry);
+    }
+    
+    // Nothing new can be granted here; this registers the wait-for edges of
+    // the new request and of everyone an upgrade just jumped ahead of
+    processLockQueue(manager, transId);
+  });
+}
+
+/**
+ * Release one row lock before commit (READ_COMMITTED short read locks)
+ */
+export function releaseLock(manager, txnId, transId, isolationLevel) {
+  const lock = manager.lockTable[transId];
+  if (!lock) return;
+  
+  // READ_UNCOMMITTED: No locks to release
+  if (isolationLevel === 'READ_UNCOMMITTED') {
+    return;
+  }
+  
+  if (lock.writer === txnId) {
+    lock.writer = null;
+    console.log(`[${isolationLevel}] Write lock RELEASED on trans_id=${transId} by ${txnId}`);
+  }
+  
+  const readerIndex = lock.readers.indexOf(txnId);
+  if (readerIndex >= 0) {
+    lock.readers.splice(readerIndex, 1);
+    console.log(`[${isolationLevel}] Read lock RELEASED on trans_id=${transId} by ${txnId}`);
+  }
+  
+  // Wake the next waiters in line (also cleans up empty entries)
+  processLockQueue(manager, transId);
+}
+
+/**
+ * Release all locks held by a transaction (called at commit/abort)
+ */
+export function releaseAllLocks(manager, txnId) {
+  const txn = manager.transaction(txnId);
+  if (!txn) return;
+  
+  console.log(`[RELEASE ALL] Releasing all locks for ${txnId}`);
+  
+  // A finished transaction no longer waits for anyone
+  const victim = txn.deadlockVictim;
+  let cancelled = { success: false, reason: 'Transaction aborted while waiting for lock' };
+  if (victim) {
+    cancelled = {
+      success: false,
+      deadlock: true,
+      reason: `${victim.type === 'upgrade' ? 'Upgrade deadlock' : 'Deadlock'} victim (cycle: ${victim.cycle.join(' -> ')})`,
+      cycle: victim.cycle
+    };
+  } else if (txn.wounded) {
+    cancelled = {
+      success: false,
+      wounded: true,
+      reason: `Wounded by older transaction ${txn.wounded.woundedBy} (wound-wait)`,
+      prevention: txn.wounded
+    };
+  } else if (txn.died) {
+    cancelled = {
+      success: false,
+      died: true,
+      reason: `Died waiting for older transaction ${txn.died.olderThan} (wait-die)`,
+      prevention: txn.died
+    };
+  }
+  cancelLockRequests(manager, txnId, cancelled);
+  cancelTableLockRequests(manager, txnId, cancelled);
+  cancelPredicateRequests(manager, txnId, cancelled);
+  clearWait(manager, txnId);
+  
+  releasePredicateLocks(manager, txnId);
+  releaseRowLocks(manager, txnId);
+  releaseTableLocks(manager, txnId);
+}
+
+/**
+ * Drop every row lock of a transaction (commit/abort or lock escalation)
+ */
+function releaseRowLocks(manager, txnId) {
+  const txn = manager.transaction(txnId);
+  
+  for (const transId in txn.locks) {
+    const lock = manager.lockTable[transId];
+    if (lock) {
+      if (lock.writer === txnId) {
+        lock.writer = null;
+      }
+      
+      const readerIndex = lock.readers.indexOf(txnId);
+      if (readerIndex >= 0) {
+        lock.readers.splice(readerIndex, 1);
+      }
+      
+      // Wake the next waiters in line (also cleans up empty entries)
+      processLockQueue(manager, transId);
+    }
+  }
+  
+  txn.locks = {};
+}
+
+// ----------------------------------------------------------------------------
+// Table locks (multi-granularity) - IS / IX / S / SIX / X on whole tables
+// ----------------------------------------------------------------------------
+
+/**
+ * Row locks only exist for statements that name a trans_id. Everything else
+ * (full-table reports, bulk UPDATE/DELETE by account or date) locks the table:
+ *
+ * - Row reads take IS, row writes and INSERTs take IX on the table first
+ * - Scans take S (REPEATABLE_READ, SERIALIZABLE), bulk writes take X
+ * - READ_COMMITTED read locks on the table are instant: granted once nothing
+ *   conflicts and not kept, like its short row read locks
+ * - SERIALIZABLE scans whose WHERE narrows to a range take IS and rely on
+ *   their predicate lock instead of blocking every writer
+ * - A transaction holding more than escalationThreshold row locks trades
+ *   them for one table S (reads only) or X lock when that is grantable
+ *   without waiting
+ */
+
+/**
+ * Weakest mode that includes both a and b (S + IX = SIX)
+ */
+export function combineTableModes(a, b) {
+  if (!a) return b;
+  if (!b || TABLE_LOCK_COVERS[a].includes(b)) return a;
+  if (TABLE_LOCK_COVERS[b].includes(a)) return b;
+  return 'SIX';
+}
+
+function getTableLockEntry(manager, table) {
+  if (!manager.tableLocks[table]) {
+    manager.tableLocks[table] = { holders: {}, queue: [] };
+  }
+  return manager.tableLocks[table];
+}
+
+function cleanupTableLockEntry(manager, table) {
+  const lock = manager.tableLocks[table];
+  if (lock && Object.keys(lock.holders).length === 0 && lock.queue.length === 0) {
+    delete manager.tableLocks[table];
+  }
+}
+
+function isTableLockCompatible(lock, txnId, mode) {
+  return Object.entries(lock.holders).every(([holder, held]) => holder === txnId || TABLE_LOCK_COMPATIBILITY[held][mode]);
+}
+
+/**
+ * Does txnId hold a table lock that makes row locks of lockType unnecessary?
+ */
+export function tableLockCovers(manager, txnId, table, lockType) {
+  const held = manager.tableLocks[table]?.holders[txnId];
+  if (!held) return false;
+  return held === 'X' || (lockType === 'read' && TABLE_LOCK_COVERS[held].includes('S'));
+}
+
+function grantTableLock(manager, lock, table, entry) {
+  const { txnId, mode, isolationLevel } = entry;
+  
+  if (entry.instant) {
+    console.log(`[${isolationLevel}] Instant ${mode} table lock GRANTED on ${table} to ${txnId}`);
+    return;
+  }
+  
+  const previous = lock.holders[txnId];
+  lock.holders[txnId] = mode;
+  console.log(`[${isolationLevel}] ${mode} table lock ${previous ? `CONVERTED from ${previous}` : 'ACQUIRED'} on ${table} by ${txnId}`);
+  
+  const txn = manager.transaction(txnId);
+  if (txn) {
+    txn.tableLocks = { ...txn.tableLocks, [table]: mode };
+  }
+}
+
+/**
+ * Holders with an incompatible mode plus incompatible requests queued ahead.
+ * Conversions sit at the front, so only earlier conversions are ahead of them.
+ */
+function getTableBlockers(lock, entry) {
+  const blockers = new Set(
+    Object.entries(lock.holders)
+      .filter(([holder, held]) => holder !== entry.txnId && !TABLE_LOCK_COMPATIBILITY[held][entry.mode])
+      .map(([holder]) => holder)
+  );
+  
+  for (const ahead of lock.queue) {
+    if (ahead === entry) break;
+    if (ahead.txnId !== entry.txnId && !TABLE_LOCK_COMPATIBILITY[ahead.mode][entry.mode]) {
+      blockers.add(ahead.txnId);
+    }
+  }
+  
+  return Array.from(blockers);
+}
+
+function settleTableLockRequest(manager, table, entry, result) {
+  clearTimeout(entry.timer);
+  
+  const lock = manager.tableLocks[table];
+  const index = lock ? lock.queue.indexOf(entry) : -1;
+  if (index >= 0) {
+    lock.queue.splice(index, 1);
+  }
+  
+  clearWait(manager, entry.txnId);
+  entry.resolve(result);
+}
+
+/**
+ * Grant queued table requests in arrival order (same FIFO rule as row locks)
+ * and refresh the wait-for edges of whoever keeps waiting
+ */
+function processTableLockQueue(manager, table) {
+  const lock = manager.tableLocks[table];
+  if (!lock) return;
+  
+  while (lock.queue.length > 0 && isTableLockCompatible(lock, lock.queue[0].txnId, lock.queue[0].mode)) {
+    const entry = lock.queue[0];
+    grantTableLock(manager, lock, table, entry);
+    settleTableLockRequest(manager, table, entry, { success: true, waited: Date.now() - entry.requestedAt });
+  }
+  
+  for (const entry of [...lock.queue]) {
+    if (manager.tableLocks[table] === lock && lock.queue.includes(entry)) {
+      updateWaitEdges(manager, entry.txnId, getTableBlockers(lock, entry), {
+        transId: null,
+        table,
+        lockType: entry.mode,
+        upgrade: entry.conversion,
+        since: new Date(entry.requestedAt)
+      }, `[${entry.isolationLevel}] ${entry.mode} table lock waiting on ${table}`);
+    }
+  }
+  
+  cleanupTableLockEntry(manager, table);
+}
+
+/**
+ * Acquire a table lock in mode (IS, IX, S, X). A holder asking for more is
+ * converted to the combined mode (e.g. S + IX = SIX) ahead of new requests.
+ * Returns: { success: true } or { success: false, reason, deadlock? }
+ */
+export async function acquireTableLock(manager, txnId, table, mode, isolationLevel, { instant = false } = {}) {
+  if (isolationLevel === 'READ_UNCOMMITTED') {
+    return { success: true };
+  }
+  
+  const lock = getTableLockEntry(manager, table);
+  const held = lock.holders[txnId];
+  
+  if (held && TABLE_LOCK_COVERS[held].includes(mode)) {
+    return { success: true };
+  }
+  
+  const conversion = Boolean(held) && !instant;
+  const entry = {
+    txnId,
+    mode: instant ? mode : combineTableModes(held, mode),
+    conversion,
+    instant,
+    isolationLevel,
+    requestedAt: Date.now(),
+    resolve: null,
+    timer: null
+  };
+  
+  const pendingConversions = lock.queue.filter(e => e.conversion).length;
+  const queuedAhead = conversion ? pendingConversions : lock.queue.length;
+  if (queuedAhead === 0 && isTableLockCompatible(lock, txnId, entry.mode)) {
+    grantTableLock(manager, lock, table, entry);
+    cleanupTableLockEntry(manager, table);
+    return { success: true };
+  }
+  
+  return new Promise(resolve => {
+    entry.resolve = resolve;
+    entry.timer = setTimeout(() => {
+      console.log(`[${isolationLevel}] ${entry.mode} table lock TIMEOUT on ${table}`);
+      settleTableLockRequest(manager, table, entry, { success: false, reason: `Timeout waiting for ${entry.mode} lock on table ${table}` });
+      processTableLockQueue(manager, table);
+    }, manager.timeout);
+    
+    if (conversion) {
+      lock.queue.splice(pendingConversions, 0, entry);
+    } else {
+      lock.queue.push(entry);
+    }
+    
+    processTableLockQueue(manager, table);
+  });
+}
+
+/**
+ * Release every table lock of a transaction (commit/abort) and wake waiters
+ */
+function releaseTableLocks(manager, txnId) {
+  for (const table of Object.keys(manager.tableLocks)) {
+    const lock = manager.tableLocks[table];
+    if (lock.holders[txnId]) {
+      delete lock.holders[txnId];
+      console.log(`[RELEASE ALL] Table lock RELEASED on ${table} by ${txnId}`);
+      processTableLockQueue(manager, table);
+    }
+  }
+}
+
+/**
+ * Fail the queued table lock request of a transaction (it is being aborted)
+ */
+function cancelTableLockRequests(manager, txnId, result) {
+  for (const table of Object.keys(manager.tableLocks)) {
+    const entry = manager.tableLocks[table]?.queue.find(e => e.txnId === txnId);
+    if (entry) {
+      settleTableLockRequest(manager, table, entry, result);
+      processTableLockQueue(manager, table);
+    }
+  }
+}
+
+/**
+ * Lock escalation: past escalationThreshold row locks, replace them with one
+ * S (only reads) or X table lock. Escalation never waits - if another
+ * transaction holds a conflicting intention lock the row locks are kept and
+ * escalation is retried on the next row lock.
+ */
+export function escalateLocks(manager, txnId, table) {
+  const txn = manager.transaction(txnId);
+  const rowLocks = Object.values(txn.locks);
+  if (rowLocks.length <= manager.escalationThreshold) return;
+  
+  const lock = getTableLockEntry(manager, table);
+  const held = lock.holders[txnId];
+  const target = combineTableModes(held, rowLocks.some(l => l.type === 'write') ? 'X' : 'S');
+  
+  if (held === target) return;
+  
+  const otherConversions = lock.queue.some(e => e.conversion && e.txnId !== txnId);
+  if (otherConversions || !isTableLockCompatible(lock, txnId, target)) {
+    console.log(`[ESCALATION] ${txnId} holds ${rowLocks.length} row locks but ${target} on ${table} is not grantable yet`);
+    cleanupTableLockEntry(manager, table);
+    return;
+  }
+  
+  lock.holders[txnId] = target;
+  txn.tableLocks = { ...txn.tableLocks, [table]: target };
+  txn.escalation = { table, mode: target, rowLocks: rowLocks.length, at: Date.now() };
+  console.log(`[ESCALATION] ${txnId}: ${rowLocks.length} row locks -> ${target} lock on ${table}`);
+  
+  releaseRowLocks(manager, txnId);
+  
+  // Waiters now wait for the table lock instead of the rows
+  processTableLockQueue(manager, table);
+}
+
+// ----------------------------------------------------------------------------
+// Predicate (range) locks - phantom protection for SERIALIZABLE
+// ----------------------------------------------------------------------------
+
+/**
+ * Row locks only cover trans_ids that a statement names, so a SERIALIZABLE
+ * "WHERE account_id = 3818" or "WHERE newdate < '1997-01-01'" scan would not
+ * stop another transaction from inserting a matching row (a phantom).
+ *
+ * - SERIALIZABLE reads hold a 'read' predicate lock on their WHERE clause
+ * - Writes (all levels but READ_UNCOMMITTED) hold a 'write' predicate lock on
+ *   every row image they touch: INSERT values, UPDATE/DELETE targets, UPDATE
+ *   after-images
+ * - A read and a write predicate of different transactions conflict when some
+ *   row could satisfy both; write/write conflicts are left to the row locks
+ */
+
+/**
+ * Transactions a predicate request waits for: conflicting holders plus
+ * conflicting requests that arrived earlier (FIFO)
+ */
+function getPredicateBlockers(manager, entry) {
+  const conflicts = other =>
+    other.txnId !== entry.txnId && other.mode !== entry.mode && predicatesOverlap(other.predicate, entry.predicate);
+  
+  const blockers = new Set(manager.predicateLocks.filter(conflicts).map(lock => lock.txnId));
+  
+  for (const ahead of manager.predicateWaiters) {
+    if (ahead === entry) break;
+    if (conflicts(ahead)) blockers.add(ahead.txnId);
+  }
+  
+  return Array.from(blockers);
+}
+
+function grantPredicateLock(manager, entry) {
+  manager.predicateLocks.push({
+    txnId: entry.txnId,
+    mode: entry.mode,
+    predicate: entry.predicate,
+    text: entry.text,
+    acquired: Date.now()
+  });
+  console.log(`[${entry.isolationLevel}] Predicate ${entry.mode} lock ACQUIRED on ${entry.text} by ${entry.txnId}`);
+}
+
+/**
+ * Finish a waiting predicate request and wake its waiter
+ */
+function settlePredicateRequest(manager, entry, result) {
+  clearTimeout(entry.timer);
+  manager.predicateWaiters = manager.predicateWaiters.filter(waiter => waiter !== entry);
+  clearWait(manager, entry.txnId);
+  entry.resolve(result);
+}
+
+/**
+ * Grant every waiting request that no longer conflicts (in arrival order),
+ * then refresh the wait-for edges of those still waiting
+ */
+function processPredicateWaiters(manager) {
+  let granted = true;
+  while (granted) {
+    granted = false;
+    for (const entry of manager.predicateWaiters) {
+      if (getPredicateBlockers(manager, entry).length === 0) {
+        grantPredicateLock(manager, entry);
+        settlePredicateRequest(manager, entry, { success: true, waited: Date.now() - entry.requestedAt });
+        granted = true;
+        break;
+      }
+    }
+  }
+  
+  // Resolving a deadlock aborts a victim, which may change the list under us
+  for (const entry of [...manager.predicateWaiters]) {
+    if (manager.predicateWaiters.includes(entry)) {
+      updateWaitEdges(manager, entry.txnId, getPredicateBlockers(manager, entry), {
+        transId: null,
+        predicate: entry.text,
+        lockType: entry.mode,
+        since: new Date(entry.requestedAt)
+      }, `[${entry.isolationLevel}] Predicate ${entry.mode} waiting`);
+    }
+  }
+}
+
+/**
+ * Acquire a predicate lock, waiting (event-driven) for conflicting transactions
+ * Returns: { success: true } or { success: false, reason, deadlock? }
+ */
+export async function acquirePredicateLock(manager, txnId, predicate, mode, isolationLevel) {
+  const entry = {
+    txnId,
+    mode,
+    predicate,
+    text: describePredicate(predicate),
+    isolationLevel,
+    requestedAt: Date.now(),
+    resolve: null,
+    timer: null
+  };
+  
+  // Nothing to protect (e.g. WHERE trans_id > 5 AND trans_id < 3)
+  if (predicate.length === 0) {
+    return { success: true };
+  }
+  
+  // Already covered by an identical lock of our own
+  if (manager.predicateLocks.some(lock => lock.txnId === txnId && lock.mode === mode && lock.text === entry.text)) {
+    return { success: true };
+  }
+  
+  if (getPredicateBlockers(manager, entry).length === 0) {
+    grantPredicateLock(manager, entry);
+    return { success: true };
+  }
+  
+  return new Promise(resolve => {
+    entry.resolve = resolve;
+    entry.timer = setTimeout(() => {
+      console.log(`[${isolationLevel}] Predicate ${mode} lock TIMEOUT on ${entry.text}`);
+      settlePredicateRequest(manager, entry, {
+        success: false,
+        reason: mode === 'read' ? 'Timeout waiting for writes in range to commit' : 'Timeout waiting for range readers to commit'
+      });
+      processPredicateWaiters(manager);
+    }, manager.timeout);
+    
+    manager.predicateWaiters.push(entry);
+    processPredicateWaiters(manager);
+  });
+}
+
+/**
+ * Release every predicate lock of a transaction (commit/abort) and wake waiters
+ */
+function releasePredicateLocks(manager, txnId) {
+  const before = manager.predicateLocks.length;
+  manager.predicateLocks = manager.predicateLocks.filter(lock => lock.txnId !== txnId);
+  
+  if (manager.predicateLocks.length !== before) {
+    processPredicateWaiters(manager);
+  }
+}
+
+/**
+ * Fail the waiting predicate request of a transaction (it is being aborted)
+ */
+function cancelPredicateRequests(manager, txnId, result) {
+  const entry = manager.predicateWaiters.find(waiter => waiter.txnId === txnId);
+  if (entry) {
+    settlePredicateRequest(manager, entry, result);
+    processPredicateWaiters(manager);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// Status and reset
+// ----------------------------------------------------------------------------
+
+/**
+ * Fail every queued request with reason and drop all locks, the wait-for
+ * graph and the deadlock history (the deadlock policy is kept)
+ */
+export function clearLockManager(manager, reason) {
+  for (const transId of Object.keys(manager.lockTable)) {
+    for (const entry of [...manager.lockTable[transId].queue]) {
+      settleLockRequest(manager, transId, entry, { success: false, reason });
+    }
+  }
+  for (const table of Object.keys(manager.tableLocks)) {
+    for (const entry of [...manager.tableLocks[table].queue]) {
+      settleTableLockRequest(manager, table, entry, { success: false, reason });
+    }
+  }
+  for (const entry of [...manager.predicateWaiters]) {
+    settlePredicateRequest(manager, entry, { success: false, reason });
+  }
+  
+  manager.lockTable = {};
+  manager.tableLocks = {};
+  manager.predicateLocks = [];
+  manager.predicateWaiters = [];
+  manager.waitForGraph = {};
+  manager.deadlockHistory = [];
+  manager.preventionHistory = [];
+}
+
+/**
+ * Locks, waiters and the wait-for graph as reported by /api/locks/status
+ */
+export function describeLocks(manager) {
+  const now = Date.now();
+  const { lockTable, tableLocks, waitForGraph } = manager;
+  
+  return {
+    locks: Object.keys(lockTable).map(transId => ({
+      trans_id: transId,
+      readers: lockTable[transId].readers,
+      writer: lockTable[transId].writer,
+      queue: lockTable[transId].queue.map(entry => ({
+        transactionId: entry.txnId,
+        lockType: entry.lockType,
+        upgrade: !!entry.upgrade,
+        waitingMs: now - entry.requestedAt
+      }))
+    })),
+    tableLocks: Object.fromEntries(Object.entries(tableLocks).map(([table, lock]) => [table, {
+      holders: Object.entries(lock.holders).map(([transactionId, mode]) => ({ transactionId, mode })),
+      queue: lock.queue.map(entry => ({
+        transactionId: entry.txnId,
+        mode: entry.mode,
+        conversion: entry.conversion,
+        waitingMs: now - entry.requestedAt
+      }))
+    }])),
+    lockEscalationThreshold: manager.escalationThreshold,
+    predicateLocks: manager.predicateLocks.map(lock => ({
+      transactionId: lock.txnId,
+      mode: lock.mode,
+      predicate: lock.text,
+      acquired: lock.acquired
+    })),
+    predicateWaiters: manager.predicateWaiters.map(entry => ({
+      transactionId: entry.txnId,
+      mode: entry.mode,
+      predicate: entry.text,
+      waitingMs: now - entry.requestedAt
+    })),
+    waitForGraph: {
+      nodes: Array.from(new Set(Object.entries(waitForGraph).flatMap(([waiter, wait]) => [waiter, ...wait.waitingFor]))),
+      edges: Object.entries(waitForGraph).flatMap(([waiter, wait]) =>
+        wait.waitingFor.map(holder => ({ from: waiter, to: holder, trans_id: wait.transId, table: wait.table, predicate: wait.predicate, lockType: wait.lockType, since: wait.since }))
+      )
+    },
+    recentDeadlocks: manager.deadlockHistory,
+    deadlockPolicy: {
+      default: manager.deadlockPolicy,
+      available: DEADLOCK_POLICIES,
+      recentPreventions: manager.preventionHistory
+    }
+  };
+}
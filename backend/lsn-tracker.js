@@ -0,0 +1,226 @@
+// ============================================================================
+// LSN TRACKER - log sequence numbers and per-node apply watermarks
+// ============================================================================
+
+/**
+ * Every write gets the next LSN when its commit round starts, so an aborted
+ * write leaves a gap. Each node records in a watermark table the LSN it has
+ * applied up to: it has every write up to applied_lsn that was meant for it.
+ * A watermark only moves up to just below the oldest write the node may still
+ * be missing - an unapplied replication queue entry or an unfinished commit
+ * round that includes it.
+ *
+ * createLsnTracker() returns the tracker state; the functions below take it
+ * as their first argument. The tracker owns neither the queue nor the nodes:
+ * entries are read through queue() and connections come from connect().
+ */
+
+import mysql from 'mysql2/promise';
+import { UNAPPLIED_REPLICATION_STATES } from './replication-worker.js';
+
+export const WATERMARK_TABLE = 'replication_watermark';
+
+/**
+ * New tracker, numbering from LSN 1.
+ *   queue()           - the replication queue (entries: { lsn, target, status, ... })
+ *   connect(node)     - a connection to the node (released after use)
+ *   isAvailable(node) - can the node's watermark be read and written now?
+ *
+ * appliedLsns: node -> applied LSN, for every node whose watermark was read
+ * openRounds:  LSN -> nodes the write goes to, for commit rounds not finished
+ * holds:       while not empty, new rounds wait for their LSN (see holdNewRounds)
+ * horizon:     queue entries up to horizon.lsn may be gone, dropped from the
+ *              persisted queue by its size cap or cleared with the logs, so a
+ *              node whose watermark is below it cannot be caught up from the
+ *              queue alone
+ */
+export function createLsnTracker({ queue, connect, isAvailable = () => true }) {
+  return {
+    queue,
+    connect,
+    isAvailable,
+    lastLsn: 0,
+    appliedLsns: {},
+    openRounds: new Map(),
+    holds: new Set(),
+    horizon: { lsn: 0, reason: null, at: null }
+  };
+}
+
+/**
+ * Assign the next LSN to a write about to be committed on nodes, once no
+ * hold keeps new rounds back
+ */
+export async function beginLsn(tracker, nodes) {
+  while (tracker.holds.size > 0) {
+    await Promise.all(tracker.holds);
+  }
+  const lsn = ++tracker.lastLsn;
+  tracker.openRounds.set(lsn, nodes);
+  return lsn;
+}
+
+/**
+ * The commit round of lsn has finished, committed or not
+ */
+export function endLsn(tracker, lsn) {
+  tracker.openRounds.delete(lsn);
+}
+
+/**
+ * Keep new commit rounds from getting an LSN (and so from committing) until
+ * the returned release() is called. Rounds that already have one run on.
+ */
+export function holdNewRounds(tracker) {
+  let release;
+  const hold = new Promise(resolve => { release = resolve; });
+  tracker.holds.add(hold);
+  return () => {
+    tracker.holds.delete(hold);
+    release();
+  };
+}
+
+/**
+ * Continue numbering after the highest of lsns (read back from disk)
+ */
+export function restoreLastLsn(tracker, lsns) {
+  for (const lsn of lsns) {
+    if (lsn > tracker.lastLsn) {
+      tracker.lastLsn = lsn;
+    }
+  }
+}
+
+/**
+ * Record that the queue no longer holds every entry up to lsn
+ */
+export function raiseReplicationHorizon(tracker, lsn, reason) {
+  if (lsn > tracker.horizon.lsn) {
+    tracker.horizon = { lsn, reason, at: new Date() };
+    console.log(`[LSN] Replication queue entries up to LSN ${lsn} are no longer kept (${reason})`);
+  }
+}
+
+/**
+ * Run one statement on a node
+ */
+async function query(tracker, node, sql) {
+  const conn = await tracker.connect(node);
+  try {
+    return await conn.query(sql);
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Read a node's applied LSN, creating its watermark table on first use
+ */
+export async function loadAppliedLsn(tracker, node) {
+  const conn = await tracker.connect(node);
+  try {
+    await conn.query(`
+      CREATE TABLE IF NOT EXISTS ${WATERMARK_TABLE} (
+        node VARCHAR(64) NOT NULL PRIMARY KEY,
+        applied_lsn BIGINT UNSIGNED NOT NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      )
+    `);
+    const [rows] = await conn.query(mysql.format(`SELECT applied_lsn FROM ${WATERMARK_TABLE} WHERE node = ?`, [node]));
+    tracker.appliedLsns[node] = rows.length > 0 ? Number(rows[0].applied_lsn) : 0;
+    restoreLastLsn(tracker, [tracker.appliedLsns[node]]);
+    return tracker.appliedLsns[node];
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Read the watermark of every reachable node of nodes
+ */
+export async function loadAppliedLsns(tracker, nodes) {
+  for (const node of nodes.filter(tracker.isAvailable)) {
+    try {
+      await loadAppliedLsn(tracker, node);
+      console.log(`[LSN] ${node} has applied up to LSN ${tracker.appliedLsns[node]}`);
+    } catch (error) {
+      console.log(`[LSN] Could not read the watermark of ${node}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * LSNs of writes a node should have but may not yet: its queue entries that
+ * are not applied and the unfinished commit rounds that include it
+ */
+export function unappliedLsns(tracker, node) {
+  return [
+    ...tracker.queue()
+      .filter(entry => entry.target === node && entry.lsn && UNAPPLIED_REPLICATION_STATES.includes(entry.status))
+      .map(entry => entry.lsn),
+    ...[...tracker.openRounds].filter(([, nodes]) => nodes.includes(node)).map(([lsn]) => lsn)
+  ];
+}
+
+/**
+ * Move a node's watermark up to just below its oldest unapplied write, or to
+ * the last LSN when there is none. It is written after the writes it covers
+ * have committed, so a crash leaves it behind the node's data, never ahead.
+ */
+export async function advanceWatermark(tracker, node) {
+  if (tracker.appliedLsns[node] === undefined || !tracker.isAvailable(node)) {
+    return;
+  }
+  const watermark = unappliedLsns(tracker, node).reduce((lowest, lsn) => Math.min(lowest, lsn - 1), tracker.lastLsn);
+  if (watermark <= tracker.appliedLsns[node]) {
+    return;
+  }
+  
+  try {
+    await query(tracker, node, mysql.format(
+      `INSERT INTO ${WATERMARK_TABLE} (node, applied_lsn) VALUES (?, ?) ON DUPLICATE KEY UPDATE applied_lsn = GREATEST(applied_lsn, VALUES(applied_lsn))`,
+      [node, watermark]
+    ));
+    tracker.appliedLsns[node] = Math.max(tracker.appliedLsns[node], watermark);
+  } catch (error) {
+    console.error(`[LSN] Could not advance the watermark of ${node}: ${error.message}`);
+  }
+}
+
+/**
+ * Set a node's watermark to lsn, also below where it was: a node rebuilt
+ * from a snapshot has exactly the writes up to the snapshot's LSN
+ */
+export async function setWatermark(tracker, node, lsn) {
+  await query(tracker, node, mysql.format(
+    `INSERT INTO ${WATERMARK_TABLE} (node, applied_lsn) VALUES (?, ?) ON DUPLICATE KEY UPDATE applied_lsn = VALUES(applied_lsn)`,
+    [node, lsn]
+  ));
+  tracker.appliedLsns[node] = lsn;
+}
+
+/**
+ * Wait until every commit round up to lsn has finished
+ */
+export async function waitForOpenRounds(tracker, lsn, pollMs = 50) {
+  while ([...tracker.openRounds.keys()].some(open => open <= lsn)) {
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+}
+
+/**
+ * A node's watermark, lag behind the last LSN and backlog as reported by
+ * /api/replication/lsn
+ */
+export function describeNodeLsn(tracker, node) {
+  const unapplied = unappliedLsns(tracker, node);
+  const appliedLsn = tracker.appliedLsns[node] ?? null;
+  return {
+    available: tracker.isAvailable(node),
+    appliedLsn,
+    lag: appliedLsn === null ? null : tracker.lastLsn - appliedLsn,
+    backlog: unapplied.length,
+    oldestUnappliedLsn: unapplied.length > 0 ? unapplied.reduce((lowest, lsn) => Math.min(lowest, lsn)) : null
+  };
+}
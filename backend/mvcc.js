@@ -0,0 +1,273 @@
+// ============================================================================
+// MVCC - SNAPSHOT isolation with versioned rows
+// ============================================================================
+
+/**
+ * SNAPSHOT transactions read the database as of their start timestamp and
+ * never take read locks. The current rows live in MySQL; older committed
+ * versions are kept here, per node, for as long as an active snapshot may
+ * still need them:
+ *
+ * versions: { node0: { "<trans_id>": [{ row, commitTs, txnId }, ...] } }
+ *   row is null when the row did not exist (before an INSERT / after a DELETE)
+ *   commitTs 0 is the image the row had before tracking started
+ *
+ * - Writers capture before-images while a snapshot is active (interactive
+ *   transactions always, as they may commit after a snapshot started)
+ * - At commit the after-images get the next commit timestamp
+ * - A SNAPSHOT read runs on the transaction's own connection (it sees its own
+ *   uncommitted writes) and every other row is replaced by the version that
+ *   was committed at the transaction's start
+ * - First-committer-wins: a SNAPSHOT write to a row that someone else
+ *   committed after our start fails with 409, both when the statement runs
+ *   and again at COMMIT
+ *
+ * createVersionStore() returns the store; the functions below take it as
+ * their first argument. Transactions are read through the transactions()
+ * callback, the store only adds txn.mvccWrites and txn.commitTs to them.
+ */
+
+import {
+  PREDICATE_COLUMNS,
+  parseStatement,
+  wherePredicate,
+  insertPredicate,
+  literalValue,
+  equalityRange,
+  predicatesOverlap
+} from './sql-parser.js';
+
+// Isolation levels that read from the version store
+export const SNAPSHOT_LEVELS = ['SNAPSHOT', 'SSI'];
+
+/**
+ * New, empty version store.
+ *   transactions() - every registered transaction record: { transactionId,
+ *                    node, isolationLevel, interactive, startTs, status }
+ */
+export function createVersionStore({ transactions }) {
+  return {
+    transactions,
+    versions: {},
+    clock: 0
+  };
+}
+
+export function usesSnapshot(txn) {
+  return SNAPSHOT_LEVELS.includes(txn.isolationLevel);
+}
+
+export function hasActiveSnapshots(store, exceptTxnId = null) {
+  return store.transactions().some(txn =>
+    usesSnapshot(txn) && txn.status === 'active' && txn.transactionId !== exceptTxnId
+  );
+}
+
+/**
+ * Advance the clock (commit timestamps are shared with SSI)
+ */
+export function nextCommitTs(store) {
+  return ++store.clock;
+}
+
+/**
+ * Commit timestamp of the newest recorded version of a row (0 if none)
+ */
+export function latestCommitTs(store, node, transId) {
+  const versions = store.versions[node]?.[transId];
+  return versions ? versions[versions.length - 1].commitTs : 0;
+}
+
+/**
+ * Version of a row visible at timestamp ts, or undefined when the row has no
+ * recorded history (the current MySQL row is then the right one)
+ */
+export function visibleVersion(store, node, transId, ts) {
+  const versions = store.versions[node]?.[transId];
+  if (!versions) return undefined;
+  
+  for (let i = versions.length - 1; i >= 0; i--) {
+    if (versions[i].commitTs <= ts) return versions[i];
+  }
+  return versions[0];
+}
+
+/**
+ * A trans_id committed by another transaction after txn's snapshot was taken
+ */
+export function findWriteConflict(store, txn, transIds) {
+  return transIds.find(transId => latestCommitTs(store, txn.node, transId) > txn.startTs);
+}
+
+function formatColumnValue(value) {
+  if (value instanceof Date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return value;
+}
+
+/**
+ * A row as an equality conjunct on the indexed columns
+ */
+export function rowConjunct(row) {
+  return Object.fromEntries(PREDICATE_COLUMNS.map(column =>
+    [column, equalityRange(literalValue({ type: 'literal', value: formatColumnValue(row[column]) }, column))]
+  ));
+}
+
+/**
+ * Does a row satisfy a parsed WHERE predicate? Only the indexed columns are
+ * checked, so a row may match a predicate the real WHERE would reject.
+ */
+function rowMatchesPredicate(row, conjuncts) {
+  return predicatesOverlap([rowConjunct(row)], conjuncts);
+}
+
+/**
+ * Remember the committed image of every row a write is about to change
+ * (first write to a row only - later ones would see our own changes).
+ * Returns the rows an UPDATE/DELETE targets, or null when nothing was read.
+ */
+export async function captureBeforeImages(store, connection, txn, query) {
+  if (!txn || (!txn.interactive && !hasActiveSnapshots(store))) return null;
+  
+  txn.mvccWrites = txn.mvccWrites || {};
+  const statement = parseStatement(query);
+  
+  if (statement.type === 'INSERT') {
+    for (const conjunct of insertPredicate(statement)) {
+      const transId = conjunct.trans_id?.low;
+      if (transId !== undefined && !(transId in txn.mvccWrites)) {
+        txn.mvccWrites[transId] = null;
+      }
+    }
+    return null;
+  }
+  
+  // Same rows the write will target: its WHERE (and ORDER BY / LIMIT), or its join
+  const where = statement.whereText ? ` WHERE ${statement.whereText}` : '';
+  const [rows] = await connection.query(statement.joined
+    ? `SELECT DISTINCT ${statement.alias || statement.table}.* FROM ${statement.fromText}${where}`
+    : `SELECT * FROM ${statement.table}${where}${statement.orderLimitText ? ` ${statement.orderLimitText}` : ''}`);
+  
+  for (const row of rows) {
+    if (!(row.trans_id in txn.mvccWrites)) {
+      txn.mvccWrites[row.trans_id] = row;
+    }
+  }
+  return rows;
+}
+
+/**
+ * After COMMIT: record the before-images and the new after-images of the rows
+ * txn wrote, stamped with the next commit timestamp. Skipped when no other
+ * snapshot is active - nobody could ask for the old versions.
+ */
+export async function recordCommittedVersions(store, connection, txn) {
+  const transIds = Object.keys(txn?.mvccWrites || {});
+  if (transIds.length === 0 || !hasActiveSnapshots(store, txn.transactionId)) return;
+  
+  const [rows] = await connection.query('SELECT * FROM trans WHERE trans_id IN (?)', [transIds]);
+  const after = Object.fromEntries(rows.map(row => [row.trans_id, row]));
+  const commitTs = nextCommitTs(store);
+  const history = store.versions[txn.node] = store.versions[txn.node] || {};
+  
+  for (const transId of transIds) {
+    if (!history[transId]) {
+      history[transId] = [{ row: txn.mvccWrites[transId], commitTs: 0, txnId: null }];
+    }
+    history[transId].push({ row: after[transId] || null, commitTs, txnId: txn.transactionId });
+  }
+  
+  txn.commitTs = commitTs;
+  console.log(`[MVCC] ${txn.transactionId} committed ${transIds.length} row version(s) at ts=${commitTs} on ${txn.node}`);
+}
+
+/**
+ * Drop versions no active snapshot can see any more
+ */
+export function pruneVersionStore(store) {
+  const starts = store.transactions()
+    .filter(txn => usesSnapshot(txn) && txn.status === 'active')
+    .map(txn => txn.startTs);
+  
+  if (starts.length === 0) {
+    store.versions = {};
+    return;
+  }
+  
+  const oldest = Math.min(...starts);
+  for (const node of Object.keys(store.versions)) {
+    for (const [transId, versions] of Object.entries(store.versions[node])) {
+      // Keep the version the oldest snapshot sees plus everything newer
+      const visible = versions.findLastIndex(version => version.commitTs <= oldest);
+      const kept = versions.slice(Math.max(visible, 0));
+      if (kept.length === 1) {
+        delete store.versions[node][transId];
+      } else {
+        store.versions[node][transId] = kept;
+      }
+    }
+  }
+}
+
+/**
+ * Rewrite the result of a SELECT on the transaction's own connection into
+ * what the database looked like at txn.startTs (own writes stay visible).
+ * Aggregates and results without trans_id cannot be rewritten.
+ */
+export function applySnapshot(store, txn, query, results, fields) {
+  const columns = (fields || []).map(field => field.name);
+  if (!Array.isArray(results) || !columns.includes('trans_id')) {
+    return { results, versioned: false };
+  }
+  
+  const own = new Set(Object.keys(txn.mvccWrites || {}));
+  const history = store.versions[txn.node] || {};
+  const predicate = wherePredicate(parseStatement(query));
+  const project = row => Object.fromEntries(columns.map(column => [column, row[column]]));
+  const seen = new Set();
+  const rows = [];
+  
+  for (const row of results) {
+    const transId = String(row.trans_id);
+    seen.add(transId);
+    const changed = !own.has(transId) && latestCommitTs(store, txn.node, transId) > txn.startTs;
+    const version = changed ? visibleVersion(store, txn.node, transId, txn.startTs) : undefined;
+    
+    if (version === undefined) {
+      rows.push(row);
+    } else if (version.row && rowMatchesPredicate(version.row, predicate)) {
+      rows.push(project(version.row));
+    }
+  }
+  
+  // Rows deleted (or moved out of the WHERE) after our snapshot was taken
+  for (const transId of Object.keys(history)) {
+    if (seen.has(transId) || own.has(transId) || latestCommitTs(store, txn.node, transId) <= txn.startTs) continue;
+    const version = visibleVersion(store, txn.node, transId, txn.startTs);
+    if (version.row && rowMatchesPredicate(version.row, predicate)) {
+      rows.push(project(version.row));
+    }
+  }
+  
+  return { results: rows, versioned: true };
+}
+
+/**
+ * Drop every recorded version (the clock keeps counting)
+ */
+export function clearVersionStore(store) {
+  store.versions = {};
+}
+
+/**
+ * Clock and versioned row counts as reported by /api/locks/status
+ */
+export function describeVersionStore(store) {
+  return {
+    clock: store.clock,
+    versionedRows: Object.fromEntries(Object.entries(store.versions).map(([node, rows]) => [node, Object.keys(rows).length]))
+  };
+}
@@ -0,0 +1,184 @@
+// ============================================================================
+// OPTIMISTIC CONCURRENCY CONTROL (OCC)
+// ============================================================================
+
+/**
+ * concurrencyControl 'OCC' (instead of the default lock-based '2PL'):
+ * - Read phase: statements run without any locks; their trans_ids go to the
+ *   readSet/writeSet, statements without one mark the whole table
+ * - Validation phase (commit): backward validation against every transaction
+ *   that committed after this one started - if it wrote a row we read or
+ *   wrote, we abort with a retryable 409
+ * - Write phase: COMMIT in MySQL
+ * Validating and registering the commit in the history is one synchronous
+ * step, so two transactions validating at once cannot both miss each other.
+ * Lock-based commits are registered too while OCC transactions are active, so
+ * an OCC reader notices a 2PL writer; 2PL transactions never validate.
+ *
+ * createOccValidator() returns the validator state; the functions below take
+ * it as their first argument. Transactions are read through the
+ * transactions() callback, the validator only adds txn.occCommitSeq to them.
+ */
+
+export const CONCURRENCY_CONTROLS = ['2PL', 'OCC'];
+
+/**
+ * New, empty validator.
+ *   transactions() - every registered transaction record: { transactionId,
+ *                    concurrencyControl, occStartSeq, readSet, writeSet,
+ *                    readsTable, writesTable, status }
+ *
+ * history: [{ txnId, commitSeq, writeSet: [transId], writesTable }]
+ * A transaction started at commitSeq n validates against entries above n.
+ */
+export function createOccValidator({ transactions }) {
+  return {
+    transactions,
+    history: [],
+    commitSeq: 0,
+    stats: { validated: 0, aborted: 0 }
+  };
+}
+
+function activeOccTransactions(occ) {
+  return occ.transactions().filter(txn => txn.concurrencyControl === 'OCC' && txn.status === 'active');
+}
+
+export function hasActiveOcc(occ, exceptTxnId = null) {
+  return activeOccTransactions(occ).some(txn => txn.transactionId !== exceptTxnId);
+}
+
+/**
+ * Record which rows a statement reads or writes (keys from statementKeys).
+ * Statements whose trans_ids are unknown cover the whole table.
+ */
+export function trackStatementFootprint(txn, keys, isWrite) {
+  const set = isWrite ? txn.writeSet : txn.readSet;
+  if (keys) {
+    keys.forEach(key => set.add(key));
+  } else if (isWrite) {
+    txn.writesTable = true;
+  } else {
+    txn.readsTable = true;
+  }
+}
+
+/**
+ * What of txn's footprint did a committed transaction overwrite? (undefined if nothing)
+ */
+function findOccConflict(txn, committed) {
+  const touchesRows = txn.readSet.size > 0 || txn.writeSet.size > 0;
+  
+  if (committed.writesTable && (touchesRows || txn.readsTable || txn.writesTable)) {
+    return 'the trans table';
+  }
+  if ((txn.readsTable || txn.writesTable) && committed.writeSet.length > 0) {
+    return `trans_id=${committed.writeSet[0]} (table scan)`;
+  }
+  
+  const row = committed.writeSet.find(id => txn.readSet.has(id) || txn.writeSet.has(id));
+  return row === undefined ? undefined : `trans_id=${row}`;
+}
+
+/**
+ * Give a committing transaction its place in the commit order
+ */
+export function registerOccCommit(occ, txn) {
+  if (!txn || txn.occCommitSeq) return;
+  
+  txn.occCommitSeq = ++occ.commitSeq;
+  occ.history.push({
+    txnId: txn.transactionId,
+    commitSeq: txn.occCommitSeq,
+    writeSet: Array.from(txn.writeSet),
+    writesTable: Boolean(txn.writesTable)
+  });
+}
+
+/**
+ * Validation phase of an OCC transaction. On success the transaction is
+ * registered as committed right away (before the MySQL COMMIT returns).
+ * Returns: { success: true } or { success: false, conflict, retryable, conflictsWith, reason }
+ */
+export function validateOptimistic(occ, txn) {
+  const txnId = txn.transactionId;
+  
+  for (const committed of occ.history) {
+    if (committed.commitSeq <= txn.occStartSeq || committed.txnId === txnId) continue;
+    
+    const conflict = findOccConflict(txn, committed);
+    if (conflict !== undefined) {
+      occ.stats.aborted++;
+      console.log(`[OCC] Validation FAILED for ${txnId}: ${conflict} written by ${committed.txnId}`);
+      return {
+        success: false,
+        conflict: true,
+        retryable: true,
+        conflictsWith: committed.txnId,
+        reason: `OCC validation failed: ${conflict} was written by ${committed.txnId}, which committed after this transaction started`
+      };
+    }
+  }
+  
+  occ.stats.validated++;
+  registerOccCommit(occ, txn);
+  console.log(`[OCC] Validation PASSED for ${txnId} (commit #${txn.occCommitSeq})`);
+  return { success: true };
+}
+
+/**
+ * A validated transaction whose COMMIT failed never happened
+ */
+export function forgetOccCommit(occ, txn) {
+  if (txn.occCommitSeq) {
+    occ.history = occ.history.filter(committed => committed.txnId !== txn.transactionId);
+  }
+}
+
+/**
+ * Forget committed write sets no active OCC transaction can conflict with
+ */
+export function pruneOccHistory(occ) {
+  const starts = activeOccTransactions(occ).map(txn => txn.occStartSeq);
+  
+  if (starts.length === 0) {
+    occ.history = [];
+    return;
+  }
+  
+  const oldest = Math.min(...starts);
+  occ.history = occ.history.filter(committed => committed.commitSeq > oldest);
+}
+
+/**
+ * Drop the history and the counters (the commit order keeps counting)
+ */
+export function clearOccValidator(occ) {
+  occ.history = [];
+  occ.stats = { validated: 0, aborted: 0 };
+}
+
+/**
+ * HTTP body for a failed OCC validation
+ */
+export function describeValidationFailure(transactionId, validation) {
+  return {
+    transactionId,
+    error: validation.reason,
+    conflict: true,
+    retryable: true,
+    conflictsWith: validation.conflictsWith,
+    concurrencyControl: 'OCC'
+  };
+}
+
+/**
+ * Counters and history size as reported by /api/locks/status
+ */
+export function describeOccValidator(occ) {
+  return {
+    ...occ.stats,
+    activeTransactions: activeOccTransactions(occ).length,
+    committedWriteSets: occ.history.length
+  };
+}
@@ -0,0 +1,357 @@
+// ============================================================================
+// REPLICATION WORKER - applies the writes targets missed, with backoff
+// ============================================================================
+
+/**
+ * A target that missed a committed write gets a replication queue entry the
+ * worker applies once the node is reachable. Entry states:
+ *   pending -> in_flight -> replayed
+ *                        -> retry_wait (backoff, then in_flight again)
+ *                        -> failed_permanent (after maxAttempts)
+ *           -> needs_resync (the entry cannot be replayed safely, see replayable)
+ * The entries of one target are applied in LSN (commit) order. An entry that
+ * is waiting or fails holds back every later entry for the same rows, so a
+ * target never sees write N+1 to a row before write N; writes to other rows
+ * go ahead.
+ *
+ * createReplicationWorker() returns the worker state; the functions below
+ * take it as their first argument. The worker owns neither the queue nor the
+ * nodes: entries are read through queue(), connections come from connect(),
+ * and the LSN watermarks are read and moved through appliedLsn() and
+ * onApplied().
+ */
+
+import { parseStatement, statementKeys } from './sql-parser.js';
+
+// Default pass interval, attempt limit and backoff (REPLICATION_* env vars override them)
+export const REPLICATION_WORKER_INTERVAL_MS = 1000;
+export const REPLICATION_MAX_ATTEMPTS = 8;
+export const REPLICATION_BACKOFF_BASE_MS = 500;
+export const REPLICATION_BACKOFF_MAX_MS = 30000;
+
+// States the worker still has to act on
+export const OUTSTANDING_REPLICATION_STATES = ['pending', 'in_flight', 'retry_wait'];
+
+// States the worker leaves alone but that still hold back later writes to
+// their rows: in_doubt until node recovery finishes the branch,
+// failed_permanent until an operator requeues the entry, and needs_resync
+// until the target is rebuilt from a snapshot
+export const HOLDING_REPLICATION_STATES = ['in_doubt', 'failed_permanent', 'needs_resync'];
+
+export const UNAPPLIED_REPLICATION_STATES = [...OUTSTANDING_REPLICATION_STATES, ...HOLDING_REPLICATION_STATES];
+
+/**
+ * New, idle worker.
+ *   queue()            - the replication queue (entries: { id, lsn, target, query, statements, status, ... })
+ *   connect(node)      - a connection to the target (released after the entry)
+ *   isAvailable(node)  - can entries be applied to the node now?
+ *   appliedLsn(node)   - the node's watermark: entries at or below it are already there
+ *   onApplied(entry)   - the entry's write is on its target (moves the watermark)
+ *   afterPass()        - runs at the end of every worker pass
+ *   persist()          - save the queue after a drain
+ *   interval, maxAttempts, backoffBase, backoffMax - timing (ms) and attempt limit
+ *
+ * drains: target -> the drain running for it; drains of a target run one at a time
+ */
+export function createReplicationWorker({
+  queue,
+  connect,
+  isAvailable = () => true,
+  appliedLsn = () => undefined,
+  onApplied = async () => {},
+  afterPass = async () => {},
+  persist = async () => {},
+  interval = REPLICATION_WORKER_INTERVAL_MS,
+  maxAttempts = REPLICATION_MAX_ATTEMPTS,
+  backoffBase = REPLICATION_BACKOFF_BASE_MS,
+  backoffMax = REPLICATION_BACKOFF_MAX_MS
+}) {
+  return {
+    queue,
+    connect,
+    isAvailable,
+    appliedLsn,
+    onApplied,
+    afterPass,
+    persist,
+    interval,
+    maxAttempts,
+    backoffBase,
+    backoffMax,
+    paused: false,
+    timer: null,
+    lastRunAt: null,
+    applied: 0,
+    retried: 0,
+    failedPermanent: 0,
+    drains: {}
+  };
+}
+
+/**
+ * Entries queued before the worker existed (or interrupted mid-apply by a
+ * crash) go back to pending.
+ */
+export function resetReplicationStates(entries) {
+  for (const entry of entries) {
+    if (['failed', 'retry_pending', 'in_flight'].includes(entry.status)) {
+      entry.status = 'pending';
+    }
+  }
+}
+
+/**
+ * Exponential backoff with jitter: half of base * 2^(attempt-1) (capped at
+ * the maximum) plus a random share of the other half, so retries against the
+ * same target spread out instead of arriving together.
+ */
+export function replicationBackoff(worker, attempt, random = Math.random()) {
+  const delay = Math.min(worker.backoffMax, worker.backoffBase * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + random * delay / 2);
+}
+
+/**
+ * trans_ids an entry writes (null: unknown, so it orders against every row)
+ */
+export function entryRows(entry) {
+  return statementKeys(parseStatement(entry.query));
+}
+
+/**
+ * Whether running an entry on a target that may already have its write
+ * leaves the target as it was: row images (REPLACE / DELETE by trans_id), or
+ * a plain INSERT of named trans_ids, which then fails on its own key (see
+ * alreadyApplied). A raw UPDATE or DELETE is not - amount = amount + 1 would
+ * be applied twice - so such an entry is never replayed; its target has to be
+ * resynchronized instead.
+ */
+export function replayable(entry) {
+  if (entry.rowImages) {
+    return true;
+  }
+  const statement = parseStatement(entry.query);
+  return !entry.statements && statement.type === 'INSERT' && statementKeys(statement)?.length > 0;
+}
+
+/**
+ * Whether an earlier outstanding entry writes one of the same rows
+ */
+function heldBackBy(rows, earlierRows) {
+  return earlierRows.some(earlier => !earlier || !rows || earlier.some(row => rows.includes(row)));
+}
+
+/**
+ * Entries for target that are not applied yet and write one of rows (null:
+ * any row). A new write to those rows must not reach the target before them,
+ * so it is queued behind them instead of committing there.
+ */
+export function queuedAhead(worker, target, rows) {
+  return worker.queue().filter(entry => entry.target === target && UNAPPLIED_REPLICATION_STATES.includes(entry.status) && heldBackBy(rows, [entryRows(entry)]));
+}
+
+/**
+ * Whether a replay failed only because its write is already on the target: a
+ * plain INSERT (an entry without row images) that hits its own primary key
+ */
+function alreadyApplied(entry, error) {
+  return error.code === 'ER_DUP_ENTRY' && !entry.rowImages && replayable(entry);
+}
+
+/**
+ * The entry's write is on its target, by this attempt or an earlier one
+ */
+export async function markReplayed(worker, entry, alreadyThere = false) {
+  entry.status = 'replayed';
+  entry.recoveryTime = new Date();
+  entry.error = undefined;
+  entry.nextAttemptAt = undefined;
+  if (alreadyThere) {
+    entry.alreadyApplied = true;
+  }
+  worker.applied++;
+  await worker.onApplied(entry);
+}
+
+/**
+ * Apply one entry to its target and move it to its next state
+ */
+async function applyReplicationEntry(worker, entry) {
+  entry.status = 'in_flight';
+  entry.retryCount = (entry.retryCount || 0) + 1;
+  entry.lastAttemptAt = new Date();
+  
+  try {
+    const conn = await worker.connect(entry.target);
+    try {
+      for (const sql of entry.statements || [entry.query]) {
+        await conn.query(sql);
+      }
+    } finally {
+      conn.release();
+    }
+    
+    console.log(`[REPLICATION] ✓ Applied ${entry.id} to ${entry.target} (attempt ${entry.retryCount})`);
+    await markReplayed(worker, entry);
+    return true;
+  } catch (error) {
+    if (alreadyApplied(entry, error)) {
+      console.log(`[REPLICATION] ✓ ${entry.id} is already on ${entry.target}: ${error.message}`);
+      await markReplayed(worker, entry, true);
+      return true;
+    }
+    
+    entry.lastError = error.message;
+    if (entry.retryCount >= worker.maxAttempts) {
+      entry.status = 'failed_permanent';
+      entry.nextAttemptAt = undefined;
+      worker.failedPermanent++;
+      console.log(`[REPLICATION] ✗ ${entry.id} failed permanently on ${entry.target} after ${entry.retryCount} attempts: ${error.message}`);
+    } else {
+      entry.status = 'retry_wait';
+      entry.nextAttemptAt = new Date(Date.now() + replicationBackoff(worker, entry.retryCount));
+      worker.retried++;
+      console.log(`[REPLICATION] ⚠ ${entry.id} failed on ${entry.target} (attempt ${entry.retryCount}/${worker.maxAttempts}), retry at ${entry.nextAttemptAt.toISOString()}: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Apply the outstanding entries of one target in LSN order (see the module
+ * comment). Entries at or below the target's watermark are already there.
+ * Returns the entries attempted, including those sent to resync.
+ */
+async function drainTargetQueue(worker, target) {
+  const entries = worker.queue()
+    .filter(entry => entry.target === target && UNAPPLIED_REPLICATION_STATES.includes(entry.status))
+    .sort((a, b) => (a.lsn || 0) - (b.lsn || 0));
+  const heldRows = [];
+  const attempted = [];
+  
+  for (const entry of entries) {
+    if ([...OUTSTANDING_REPLICATION_STATES, 'needs_resync'].includes(entry.status) && entry.lsn <= worker.appliedLsn(target)) {
+      console.log(`[REPLICATION] ${entry.id} (LSN ${entry.lsn}) is already on ${target}`);
+      await markReplayed(worker, entry, true);
+      attempted.push(entry);
+      continue;
+    }
+    
+    const rows = entryRows(entry);
+    if (HOLDING_REPLICATION_STATES.includes(entry.status) || heldBackBy(rows, heldRows)) {
+      heldRows.push(rows);
+      continue;
+    }
+    if (entry.status === 'retry_wait' && new Date(entry.nextAttemptAt) > new Date()) {
+      heldRows.push(rows);
+      continue;
+    }
+    if (!worker.isAvailable(target)) {
+      break;
+    }
+    if (!replayable(entry)) {
+      entry.status = 'needs_resync';
+      entry.nextAttemptAt = undefined;
+      heldRows.push(rows);
+      attempted.push(entry);
+      console.log(`[REPLICATION] ✗ ${entry.id} has no row images and cannot be replayed safely - ${target} needs a resync`);
+      continue;
+    }
+    
+    attempted.push(entry);
+    if (!await applyReplicationEntry(worker, entry)) {
+      heldRows.push(rows);
+    }
+  }
+  
+  if (attempted.length > 0) {
+    await worker.persist();
+  }
+  return attempted;
+}
+
+/**
+ * Drain a target behind any drain already running for it, whether started
+ * by the worker or by recovery. Returns the entries attempted.
+ */
+export function drainTarget(worker, target) {
+  const drain = (worker.drains[target] || Promise.resolve()).then(() => drainTargetQueue(worker, target));
+  worker.drains[target] = drain.catch(() => {});
+  return drain;
+}
+
+/**
+ * One worker pass over every reachable target with outstanding entries,
+ * then afterPass()
+ */
+export async function runReplicationWorker(worker) {
+  worker.lastRunAt = new Date();
+  const targets = [...new Set(
+    worker.queue()
+      .filter(entry => OUTSTANDING_REPLICATION_STATES.includes(entry.status))
+      .map(entry => entry.target)
+  )];
+  
+  for (const target of targets.filter(worker.isAvailable)) {
+    await drainTarget(worker, target);
+  }
+  await worker.afterPass();
+}
+
+/**
+ * Run a pass every worker.interval ms until paused
+ */
+export function scheduleReplicationWorker(worker) {
+  clearTimeout(worker.timer);
+  worker.timer = null;
+  if (worker.paused) {
+    return;
+  }
+  
+  worker.timer = setTimeout(async () => {
+    try {
+      await runReplicationWorker(worker);
+    } catch (error) {
+      console.error('[REPLICATION] Worker pass failed:', error.message);
+    }
+    if (worker.timer) {
+      scheduleReplicationWorker(worker);
+    }
+  }, worker.interval);
+}
+
+/**
+ * Worker state and per-target queue depth as reported by /api/replication/worker
+ */
+export function describeReplicationWorker(worker) {
+  const targets = {};
+  for (const entry of worker.queue()) {
+    if (!OUTSTANDING_REPLICATION_STATES.includes(entry.status) && !['failed_permanent', 'needs_resync'].includes(entry.status)) {
+      continue;
+    }
+    const target = targets[entry.target] ||= {
+      available: worker.isAvailable(entry.target),
+      pending: 0,
+      in_flight: 0,
+      retry_wait: 0,
+      failed_permanent: 0,
+      needs_resync: 0,
+      nextAttemptAt: null
+    };
+    target[entry.status]++;
+    if (entry.status === 'retry_wait' && (!target.nextAttemptAt || new Date(entry.nextAttemptAt) < new Date(target.nextAttemptAt))) {
+      target.nextAttemptAt = entry.nextAttemptAt;
+    }
+  }
+  
+  return {
+    paused: worker.paused,
+    intervalMs: worker.interval,
+    maxAttempts: worker.maxAttempts,
+    backoff: { baseMs: worker.backoffBase, maxMs: worker.backoffMax },
+    lastRunAt: worker.lastRunAt,
+    applied: worker.applied,
+    retried: worker.retried,
+    failedPermanent: worker.failedPermanent,
+    targets
+  };
+}
@@ -0,0 +1,230 @@
+// ============================================================================
+// NODE RESYNC - rebuild a node from a consistent snapshot of other nodes
+// ============================================================================
+
+/**
+ * A node the replication queue cannot catch up (entries it needs are gone or
+ * cannot be replayed safely) is rebuilt from other nodes instead:
+ * 1. The node is left out of new writes, which queue entries for it instead
+ * 2. New commit rounds are held back, the open ones finish, every source
+ *    opens its consistent snapshot and only then is the last LSN read as the
+ *    snapshot point: the snapshots hold exactly the writes up to it
+ * 3. Each source is copied chunk by chunk (see copyResyncSource). Rows
+ *    outside every source's scope are deleted, unless the node stores every row
+ * 4. The node's watermark is set to the snapshot point and its queue entries
+ *    up to it are covered. Entries after it are left for the replay.
+ *
+ * createResyncManager() returns the resync state; the functions below take it
+ * as their first argument. Which nodes a node copies from is up to sources(),
+ * connections come from connect() and the LSNs from the tracker (see
+ * lsn-tracker.js).
+ */
+
+import mysql from 'mysql2/promise';
+import { v4 as uuidv4 } from 'uuid';
+import { chunkRowsQuery, outsideConditions } from './consistency.js';
+import { UNAPPLIED_REPLICATION_STATES } from './replication-worker.js';
+import { rowImageStatements } from './trans-record.js';
+import { loadAppliedLsn, holdNewRounds, waitForOpenRounds, setWatermark } from './lsn-tracker.js';
+
+// Rows copied per chunk (RESYNC_CHUNK_SIZE env var overrides it)
+export const RESYNC_CHUNK_SIZE = 1000;
+
+/**
+ * New resync manager.
+ *   tracker              - the LSN tracker (lsn-tracker.js)
+ *   connect(node)        - a connection to the node (released after use)
+ *   sources(node)        - { sources: [{ node, fragment, scope }] } or { error }
+ *   storesAllRows(node)  - does the node hold every row (no rows to delete outside its sources)?
+ *   queue()              - the replication queue
+ *   onCovered(entry)     - a queue entry the snapshot already has (marks it replayed)
+ *   persist()            - save the queue after a resync
+ *   chunkSize            - rows copied per chunk
+ *
+ * resyncing: nodes being rebuilt (left out of reads and writes)
+ * progress:  node -> progress of its latest resync
+ */
+export function createResyncManager({
+  tracker,
+  connect,
+  sources,
+  storesAllRows = () => false,
+  queue,
+  onCovered = async () => {},
+  persist = async () => {},
+  chunkSize = RESYNC_CHUNK_SIZE
+}) {
+  return {
+    tracker,
+    connect,
+    sources,
+    storesAllRows,
+    queue,
+    onCovered,
+    persist,
+    chunkSize,
+    resyncing: new Set(),
+    progress: {}
+  };
+}
+
+/**
+ * Run statements on node in one transaction
+ */
+async function runInTransaction(manager, node, statements) {
+  const conn = await manager.connect(node);
+  try {
+    await conn.query('START TRANSACTION');
+    for (const sql of statements) {
+      await conn.query(sql);
+    }
+    await conn.query('COMMIT');
+  } catch (error) {
+    await conn.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Copy the rows of one source to node, chunkSize at a time in trans_id
+ * order. Each chunk replaces, in one transaction, the node's rows in the
+ * source's scope from just after the previous chunk up to its own last
+ * trans_id (the last chunk: up to the end), so rows the source no longer has
+ * go too.
+ */
+async function copyResyncSource(manager, node, source, snapshot, progress) {
+  const sourceProgress = progress.sources.find(s => s.fragment === source.fragment && s.node === source.node);
+  let after = null;
+  
+  for (let done = false; !done;) {
+    const chunk = chunkRowsQuery(source.scope, after, manager.chunkSize);
+    const [rows] = await snapshot.query(chunk.sql, chunk.params);
+    done = rows.length < manager.chunkSize;
+    const upTo = done ? null : rows[rows.length - 1].trans_id;
+    
+    const bounds = [[after, 'trans_id > ?'], [upTo, 'trans_id <= ?']].filter(([value]) => value !== null);
+    const replaced = mysql.format(
+      `DELETE FROM trans WHERE (${source.scope.sql})${bounds.map(([, sql]) => ` AND ${sql}`).join('')}`,
+      [...source.scope.params, ...bounds.map(([value]) => value)]
+    );
+    await runInTransaction(manager, node, [replaced, ...rowImageStatements(rows)]);
+    
+    after = upTo;
+    sourceProgress.rowsCopied += rows.length;
+    progress.rowsCopied += rows.length;
+    progress.chunks++;
+    progress.updatedAt = new Date();
+    console.log(`[RESYNC] ${node}: ${progress.rowsCopied}/${progress.totalRows} rows copied (${source.fragment || 'all rows'} from ${source.node})`);
+  }
+}
+
+/**
+ * Open a consistent snapshot on every source node and return the snapshot
+ * point. New commit rounds are held back until all of them are open, so no
+ * write can commit on a source after the snapshot point but before its
+ * snapshot - it would be copied and then replayed on top.
+ */
+async function openSnapshots(manager, nodes, snapshots) {
+  const release = holdNewRounds(manager.tracker);
+  try {
+    await waitForOpenRounds(manager.tracker, manager.tracker.lastLsn);
+    for (const source of nodes) {
+      const conn = await manager.connect(source);
+      snapshots.set(source, conn);
+      await conn.query('SET TRANSACTION ISOLATION LEVEL REPEATABLE READ');
+      await conn.query('START TRANSACTION WITH CONSISTENT SNAPSHOT, READ ONLY');
+    }
+    return manager.tracker.lastLsn;
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Rebuild node from a snapshot of its sources (see the module comment).
+ * Never throws: a failed resync has status 'failed' and its error.
+ * Returns the progress, also kept in manager.progress[node].
+ */
+export async function resyncNode(manager, node, reason) {
+  const progress = manager.progress[node] = {
+    id: uuidv4(),
+    node,
+    reason,
+    status: 'snapshot',
+    snapshotLsn: null,
+    sources: [],
+    totalRows: 0,
+    rowsCopied: 0,
+    chunks: 0,
+    entriesCovered: 0,
+    startedAt: new Date(),
+    updatedAt: new Date(),
+    finishedAt: null,
+    error: null
+  };
+  console.log(`[RESYNC] Resynchronizing ${node} from a snapshot: ${reason}`);
+  
+  manager.resyncing.add(node);
+  const snapshots = new Map();
+  try {
+    const { sources, error } = manager.sources(node);
+    if (error) {
+      throw new Error(error);
+    }
+    await loadAppliedLsn(manager.tracker, node);
+    
+    const snapshotLsn = await openSnapshots(manager, new Set(sources.map(s => s.node)), snapshots);
+    progress.snapshotLsn = snapshotLsn;
+    for (const source of sources) {
+      const [[{ row_count }]] = await snapshots.get(source.node).query(`SELECT COUNT(*) AS row_count FROM trans WHERE ${source.scope.sql}`, source.scope.params);
+      progress.sources.push({ node: source.node, fragment: source.fragment, totalRows: Number(row_count), rowsCopied: 0 });
+      progress.totalRows += Number(row_count);
+    }
+    
+    progress.status = 'copying';
+    for (const source of sources) {
+      await copyResyncSource(manager, node, source, snapshots.get(source.node), progress);
+    }
+    if (!manager.storesAllRows(node)) {
+      const outside = outsideConditions(sources.map(source => source.scope));
+      await runInTransaction(manager, node, [mysql.format(`DELETE FROM trans WHERE ${outside.sql}`, outside.params)]);
+    }
+    
+    await setWatermark(manager.tracker, node, snapshotLsn);
+    
+    const covered = manager.queue().filter(entry => entry.target === node && UNAPPLIED_REPLICATION_STATES.includes(entry.status) && !(entry.lsn > snapshotLsn));
+    for (const entry of covered) {
+      entry.resyncId = progress.id;
+      await manager.onCovered(entry);
+    }
+    progress.entriesCovered = covered.length;
+    await manager.persist();
+    
+    progress.status = 'completed';
+    console.log(`[RESYNC] ✓ ${node} resynchronized up to LSN ${snapshotLsn}: ${progress.rowsCopied} rows in ${progress.chunks} chunks, ${covered.length} queue entries covered`);
+  } catch (error) {
+    progress.status = 'failed';
+    progress.error = error.message;
+    console.error(`[RESYNC] ✗ Resync of ${node} failed: ${error.message}`);
+  } finally {
+    for (const conn of snapshots.values()) {
+      await conn.query('COMMIT').catch(() => {});
+      conn.release();
+    }
+    manager.resyncing.delete(node);
+    progress.finishedAt = progress.updatedAt = new Date();
+  }
+  return progress;
+}
+
+/**
+ * A resync's progress for the API, with the share of rows copied so far
+ */
+export function resyncStatus(progress) {
+  const percent = progress.totalRows > 0
+    ? Math.floor(progress.rowsCopied / progress.totalRows * 100)
+    : progress.status === 'completed' ? 100 : 0;
+  return { ...progress, percent };
+}
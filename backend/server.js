@@ -6,6 +6,132 @@ import dotenv from 'dotenv';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+  TRANS_COLUMNS,
+  parseStatement,
+  statementKeys,
+  insertValues,
+  literalValue
+} from './sql-parser.js';
+import {
+  DEADLOCK_POLICIES,
+  LOCK_ESCALATION_THRESHOLD,
+  releaseLock,
+  describeLocks
+} from './lock-manager.js';
+import {
+  createTransactionManager,
+  startTransaction,
+  commitTransaction,
+  abortTransaction,
+  lockForStatement,
+  describeLockFailure,
+  clearTransactionManager
+} from './transaction-manager.js';
+import { validateTransRecord, parseTransIdParam, buildTransStatement, rowImageStatements } from './trans-record.js';
+import {
+  COMMIT_PROTOCOLS,
+  THREE_PC_TIMEOUT_MS,
+  createCommitCoordinator,
+  startOriginBranch,
+  rollbackBranch,
+  commitOnePhase,
+  atomicCommit,
+  mergeReplicationPlans,
+  parseCommitOptions,
+  recoverInDoubtTransactions
+} from './atomic-commit.js';
+import {
+  createCoordinatorLog,
+  loadCoordinatorLog,
+  compactCoordinatorLog,
+  persistRecord
+} from './coordinator-log.js';
+import {
+  REPLICATION_WORKER_INTERVAL_MS,
+  REPLICATION_MAX_ATTEMPTS,
+  REPLICATION_BACKOFF_BASE_MS,
+  REPLICATION_BACKOFF_MAX_MS,
+  UNAPPLIED_REPLICATION_STATES,
+  createReplicationWorker,
+  resetReplicationStates,
+  entryRows,
+  replayable,
+  queuedAhead,
+  markReplayed,
+  drainTarget,
+  scheduleReplicationWorker,
+  describeReplicationWorker
+} from './replication-worker.js';
+import {
+  createLsnTracker,
+  beginLsn,
+  endLsn,
+  restoreLastLsn,
+  raiseReplicationHorizon,
+  loadAppliedLsn,
+  loadAppliedLsns,
+  advanceWatermark,
+  describeNodeLsn
+} from './lsn-tracker.js';
+import {
+  RESYNC_CHUNK_SIZE,
+  createResyncManager,
+  resyncNode,
+  resyncStatus
+} from './resync.js';
+import {
+  usesSnapshot,
+  findWriteConflict,
+  captureBeforeImages,
+  recordCommittedVersions,
+  applySnapshot,
+  describeVersionStore
+} from './mvcc.js';
+import {
+  CONCURRENCY_CONTROLS,
+  validateOptimistic,
+  describeValidationFailure,
+  describeOccValidator
+} from './occ.js';
+import {
+  trackSerializableSnapshot,
+  describeSsiTracker
+} from './ssi.js';
+import {
+  DEFAULT_FRAGMENTATION,
+  createFragmentationCatalog,
+  fragmentsForValues,
+  placeRows,
+  findFragment,
+  fragmentColumnSql,
+  fragmentCondition,
+  describeFragment
+} from './fragmentation.js';
+import {
+  DEFAULT_TOPOLOGY,
+  createTopology,
+  addNode,
+  findNode,
+  nodesWithRole,
+  replicasOf,
+  publicNode
+} from './topology.js';
+import {
+  CHECKSUM_FANOUT,
+  LEAF_RANGE_SIZE,
+  outsideConditions,
+  rangeBoundsQuery,
+  rangeChecksumQuery,
+  rangeRowsQuery,
+  merkleDiff,
+  repairRows
+} from './consistency.js';
+import {
+  planDistributedSelect,
+  fragmentQuery,
+  mergeResults
+} from './distributed-query.js';
 //This is for testing
 dotenv.config();
 
@@ -32,72 +158,17 @@ app.use(cors({
 app.use(express.json());
 
 
-// Database Configuration
-const dbConfig = {
-  node0: {
-    host: process.env.DB_HOST_NODE0 || 'ccscloud.dlsu.edu.ph',
-    port: parseInt(process.env.DB_PORT_NODE0 || '60709'),
-    user: process.env.DB_USER_NODE0 || 'root',
-    password: process.env.DB_PASSWORD_NODE0 !== '' ? process.env.DB_PASSWORD_NODE0 : undefined,
-    database: process.env.DB_NAME || 'bankdb',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    connectTimeout: 3000,
-    authPlugins: {
-      mysql_clear_password: () => () => process.env.DB_PASSWORD_NODE0 || ''
-    }
-  },
-  node1: {
-    host: process.env.DB_HOST_NODE1 || 'ccscloud.dlsu.edu.ph',
-    port: parseInt(process.env.DB_PORT_NODE1 || '60710'),
-    user: process.env.DB_USER_NODE1 || 'root',
-    password: process.env.DB_PASSWORD_NODE1 !== '' ? process.env.DB_PASSWORD_NODE1 : undefined,
-    database: process.env.DB_NAME || 'bankdb',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    connectTimeout: 3000,
-    authPlugins: {
-      mysql_clear_password: () => () => process.env.DB_PASSWORD_NODE1 || ''
-    }
-  },
-  node2: {
-    host: process.env.DB_HOST_NODE2 || 'ccscloud.dlsu.edu.ph',
-    port: parseInt(process.env.DB_PORT_NODE2 || '60711'),
-    user: process.env.DB_USER_NODE2 || 'root',
-    password: process.env.DB_PASSWORD_NODE2 !== '' ? process.env.DB_PASSWORD_NODE2 : undefined,
-    database: process.env.DB_NAME || 'bankdb',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0,
-    connectTimeout: 3000,
-    authPlugins: {
-      mysql_clear_password: () => () => process.env.DB_PASSWORD_NODE2 || ''
-    }
-  }
-};
+// Database Configuration, one entry per topology node (see registerNode)
+const dbConfig = {};
 
 // Connection Pools
-let pools = {
-  node0: null,
-  node1: null,
-  node2: null
-};
+let pools = {};
 
 // Node Status Tracking
-let nodeStatus = {
-  node0: { status: 'offline', lastCheck: null },
-  node1: { status: 'offline', lastCheck: null },
-  node2: { status: 'offline', lastCheck: null }
-};
+let nodeStatus = {};
 
 // Simulated Node Failures (to override actual connectivity)
-let simulatedFailures = {
-  node0: false,
-  node1: false,
-  node2: false
-};
+let simulatedFailures = {};
 
 // Replication Queue
 let replicationQueue = [];
@@ -108,13 +179,158 @@ let transactionLog = [];
 // Log file paths for persistence
 const LOG_FILE = path.join(__dirname, 'transaction_log.json');
 const REPLICATION_QUEUE_FILE = path.join(__dirname, 'replication_queue.json');
+const COORDINATOR_LOG_FILE = path.join(__dirname, 'coordinator_log.jsonl');
+const REPLICATION_HORIZON_FILE = path.join(__dirname, 'replication_horizon.json');
+
+// Entries kept per persisted log file
+const PERSISTED_LOG_LIMIT = 10000;
 
 // Recovery lock tracking
-let recoveryInProgress = {
-  node0: false,
-  node1: false,
-  node2: false
-};
+let recoveryInProgress = {};
+
+// ============================================================================
+// CLUSTER TOPOLOGY
+// ============================================================================
+
+const TOPOLOGY_FILE = process.env.TOPOLOGY_CONFIG
+  ? path.resolve(__dirname, process.env.TOPOLOGY_CONFIG)
+  : path.join(__dirname, 'topology.json');
+
+// Replaced by loadTopology() at startup when a config file exists
+let topology = createTopology(DEFAULT_TOPOLOGY);
+
+/**
+ * MySQL pool options for a node. DB_HOST_<NAME>, DB_PORT_<NAME>,
+ * DB_USER_<NAME> and DB_PASSWORD_<NAME> override what the topology declares,
+ * so credentials can stay out of topology.json.
+ */
+function connectionConfig(node) {
+  const env = key => process.env[`${key}_${node.name.toUpperCase()}`];
+  const password = env('DB_PASSWORD') ?? node.password;
+  
+  return {
+    host: env('DB_HOST') || node.host,
+    port: parseInt(env('DB_PORT') || node.port || '3306'),
+    user: env('DB_USER') || node.user || 'root',
+    password: password !== '' ? password : undefined,
+    database: node.database || process.env.DB_NAME || 'bankdb',
+    waitForConnections: true,
+    connectionLimit: 10,
+    queueLimit: 0,
+    connectTimeout: 3000,
+    authPlugins: {
+      mysql_clear_password: () => () => password || ''
+    }
+  };
+}
+
+/**
+ * Create the per-node state for a topology node. The pool is only created
+ * once initializePools() has run, so nodes loaded at startup share its timing.
+ */
+function registerNode(node, { createPool = false } = {}) {
+  dbConfig[node.name] = connectionConfig(node);
+  nodeStatus[node.name] = { status: 'offline', lastCheck: null };
+  simulatedFailures[node.name] = false;
+  recoveryInProgress[node.name] = false;
+  
+  if (createPool) {
+    pools[node.name] = mysql.createPool(dbConfig[node.name]);
+  }
+}
+
+for (const node of topology.nodes) {
+  registerNode(node);
+}
+
+/**
+ * Load the topology from TOPOLOGY_CONFIG (default topology.json). A missing
+ * file keeps the built-in node0/node1/node2 cluster; an invalid one stops
+ * the server.
+ */
+async function loadTopology() {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(TOPOLOGY_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' || process.env.TOPOLOGY_CONFIG) {
+      throw new Error(`Could not read topology config ${TOPOLOGY_FILE}: ${error.message}`);
+    }
+    console.log(`[TOPOLOGY] No ${path.basename(TOPOLOGY_FILE)}, using the default three-node cluster`);
+    return;
+  }
+  
+  topology = createTopology(config);
+  for (const name of Object.keys(dbConfig)) {
+    delete dbConfig[name];
+    delete nodeStatus[name];
+    delete simulatedFailures[name];
+    delete recoveryInProgress[name];
+  }
+  for (const node of topology.nodes) {
+    registerNode(node);
+  }
+  console.log(`[TOPOLOGY] Loaded ${topology.nodes.length} nodes from ${TOPOLOGY_FILE}`);
+}
+
+function masterNode() {
+  return topology.master;
+}
+
+function nodeNames() {
+  return topology.nodes.map(node => node.name);
+}
+
+/**
+ * Why a node cannot serve reads or take part in new commit rounds, or null
+ * when it can. A node being recovered or rebuilt from a snapshot is up but
+ * not caught up: writes queue entries for it until it is.
+ */
+function unavailableReason(node) {
+  if (simulatedFailures[node]) return 'Node offline (simulated failure)';
+  if (recoveryInProgress[node]) return 'Node recovering (missed writes not applied yet)';
+  if (resyncManager.resyncing.has(node)) return 'Node resynchronizing from a snapshot';
+  if (!pools[node]) return 'Pool not initialized';
+  return null;
+}
+
+function isNodeAvailable(node) {
+  return !unavailableReason(node);
+}
+
+/**
+ * Can recovery, the replication worker and the watermarks reach the node? A
+ * node being recovered can; one being rebuilt from a snapshot is left to the resync.
+ */
+function isNodeReachable(node) {
+  return !simulatedFailures[node] && !resyncManager.resyncing.has(node) && !!pools[node];
+}
+
+/**
+ * Does a node store every row (the master or one of its replicas)?
+ */
+function storesAllRows(node) {
+  const master = masterNode();
+  return node === master || findNode(topology, node)?.replicaOf === master;
+}
+
+/**
+ * Topology for /api/topology: each node with its status and the fragments it stores
+ */
+function describeTopology() {
+  return {
+    master: topology.master,
+    nodes: topology.nodes.map(node => ({
+      ...publicNode(node),
+      host: dbConfig[node.name].host,
+      port: dbConfig[node.name].port,
+      fragments: fragmentation.fragments
+        .filter(fragment => fragment.node === (node.replicaOf || node.name))
+        .map(fragment => fragment.name),
+      status: nodeStatus[node.name].status
+    }))
+  };
+}
 
 // ============================================================================
 // LOG PERSISTENCE - Write-Ahead Logging (WAL)
@@ -134,15 +350,36 @@ async function loadPersistedLogs() {
     console.log('[RECOVERY] No existing transaction log found (starting fresh)');
   }
   
+  try {
+    // Load how far back the replication queue is incomplete
+    lsnTracker.horizon = JSON.parse(await fs.readFile(REPLICATION_HORIZON_FILE, 'utf8'));
+    restoreLastLsn(lsnTracker, [lsnTracker.horizon.lsn]);
+    console.log(`[RECOVERY] Replication queue entries up to LSN ${lsnTracker.horizon.lsn} are no longer kept (${lsnTracker.horizon.reason})`);
+  } catch (error) {
+    // Nothing was ever dropped from the queue
+  }
+  
   try {
     // Load replication queue
     const queueData = await fs.readFile(REPLICATION_QUEUE_FILE, 'utf8');
     const queue = JSON.parse(queueData);
     replicationQueue.push(...queue);
+    resetReplicationStates(replicationQueue);
+    restoreLastLsn(lsnTracker, [...replicationQueue.map(entry => entry.lsn), ...transactionLog.map(entry => entry.commit?.lsn)]);
     console.log(`[RECOVERY] Loaded ${queue.length} replication entries from disk`);
   } catch (error) {
     console.log('[RECOVERY] No existing replication queue found (starting fresh)');
   }
+  
+  try {
+    // Load 2PC coordinator records, then compact the file they came from
+    const records = await loadCoordinatorLog(coordinatorLog);
+    commitCoordinator.log.push(...records);
+    console.log(`[RECOVERY] Loaded ${records.length} 2PC records from disk`);
+    await compactCoordinatorLog(coordinatorLog, commitCoordinator.log);
+  } catch (error) {
+    console.error(`[RECOVERY] Could not load the coordinator log: ${error.message}`);
+  }
 }
 
 /**
@@ -150,13 +387,17 @@ async function loadPersistedLogs() {
  */
 async function persistLogs() {
   try {
-    // Keep only last 10000 entries to prevent file bloat
-    const logsToSave = transactionLog.slice(-10000);
-    const queueToSave = replicationQueue.slice(-10000);
+    // Keep only the last entries to prevent file bloat. Queue entries left
+    // out are gone after a restart, so they raise the replication horizon.
+    const logsToSave = transactionLog.slice(-PERSISTED_LOG_LIMIT);
+    const queueToSave = replicationQueue.slice(-PERSISTED_LOG_LIMIT);
+    const dropped = replicationQueue.slice(0, -PERSISTED_LOG_LIMIT);
+    raiseReplicationHorizon(lsnTracker, dropped.reduce((highest, entry) => Math.max(highest, entry.lsn || 0), 0), 'queue size cap');
     
     await Promise.all([
       fs.writeFile(LOG_FILE, JSON.stringify(logsToSave, null, 2)),
-      fs.writeFile(REPLICATION_QUEUE_FILE, JSON.stringify(queueToSave, null, 2))
+      fs.writeFile(REPLICATION_QUEUE_FILE, JSON.stringify(queueToSave, null, 2)),
+      fs.writeFile(REPLICATION_HORIZON_FILE, JSON.stringify(lsnTracker.horizon, null, 2))
     ]);
   } catch (error) {
     console.error('[ERROR] Failed to persist logs:', error.message);
@@ -184,431 +425,361 @@ function writeAheadLog(transactionId, node, query, isolationLevel) {
 }
 
 // ============================================================================
-// CUSTOM APPLICATION-LEVEL LOCK MANAGER (NOT using MySQL built-in locking)
+// CONCURRENCY CONTROL - LOCKS AND ISOLATION LEVELS
 // ============================================================================
 
-// =============================================================================
-// COMPREHENSIVE CONCURRENCY CONTROL - ISOLATION LEVELS
-// =============================================================================
+// Application-level locks live in lock-manager.js, transactions and isolation levels in transaction-manager.js
 
-/**
- * Transaction State Tracking
- * Each transaction tracks:
- * - transactionId: Unique identifier
- * - node: Origin node
- * - isolationLevel: READ_UNCOMMITTED, READ_COMMITTED, REPEATABLE_READ, SERIALIZABLE
- * - startTime: When transaction started
- * - readSet: Set of trans_ids this transaction has read
- * - writeSet: Set of trans_ids this transaction has written
- * - locks: { transId: { type: 'read'|'write', acquired: timestamp } }
- * - snapshot: For REPEATABLE_READ, stores data snapshot at transaction start
- * - status: 'active' | 'committed' | 'aborted'
- */
-let transactions = {};
-// { "txn_uuid": { transactionId, node, isolationLevel, startTime, readSet, writeSet, locks, snapshot, status } }
+// Helper functions (statement parsing lives in sql-parser.js)
 
 /**
- * Lock Manager
- * Tracks locks on individual trans_ids
- * { "trans_123": { readers: [txn_id1, txn_id2], writer: txn_id3 or null } }
+ * The single trans_id a statement is limited to, or null
  */
-let lockTable = {};
-
-const TRANSACTION_TIMEOUT = 5000; // 5 seconds
-
-// Helper functions
 function parseTransId(query) {
-  const match = /WHERE\s+trans_id\s*=\s*(\d+)/i.exec(query || '');
-  return match ? parseInt(match[1], 10) : null;
+  const keys = statementKeys(parseStatement(query));
+  return keys && keys.length === 1 ? keys[0] : null;
 }
 
 function isWriteQuery(query) {
-  const upper = String(query || '').trim().toUpperCase();
-  return upper.startsWith('UPDATE') || upper.startsWith('INSERT') || upper.startsWith('DELETE');
+  return parseStatement(query).isWrite;
 }
 
 /**
- * ISOLATION LEVEL SPECIFIC BEHAVIORS:
- * 
- * READ_UNCOMMITTED:
- * - NO locks acquired (not even for writes!)
- * - Can read uncommitted data (dirty reads)
- * - Highest concurrency, lowest consistency
- * 
- * READ_COMMITTED:
- * - SHORT write locks (released immediately after query)
- * - NO read locks
- * - Cannot read uncommitted data
- * - Locks prevent lost updates but allow non-repeatable reads
- * 
- * REPEATABLE_READ:
- * - LONG write locks (released at commit)
- * - READ locks for snapshot consistency
- * - Uses snapshot isolation
- * - Prevents non-repeatable reads
- * 
- * SERIALIZABLE:
- * - LONG read AND write locks (both released at commit)
- * - Strictest isolation
- * - Simulates serial execution
+ * Transactions, their isolation levels and the locks each statement needs
+ * live in transaction-manager.js, together with the lock manager, the MVCC
+ * version store, OCC validation and SSI tracking that work on them.
+ * Wounded idle sessions are rolled back here (their connection is ours).
  */
+const transactionManager = createTransactionManager({
+  isInteractive: txnId => Boolean(sessions[txnId]),
+  rollbackIdle: (txnId, reason) => rollbackSession(txnId, reason, 'wounded'),
+  policy: process.env.DEADLOCK_POLICY,
+  escalationThreshold: parseInt(process.env.LOCK_ESCALATION_THRESHOLD, 10) || LOCK_ESCALATION_THRESHOLD
+});
+const {
+  transactions,
+  locks: lockManager,
+  versions: versionStore,
+  occ: occValidator,
+  ssi: ssiTracker
+} = transactionManager;
 
 /**
- * Acquire lock based on isolation level
- * Returns: { success: true } or { success: false, reason: string }
+ * 400 response body for a query the SQL parser does not accept (null if it does).
+ * Such statements would run without any locks, so they are never executed.
  */
-async function acquireLock(txnId, transId, lockType, isolationLevel) {
-  // READ_UNCOMMITTED: NO locks at all
-  if (isolationLevel === 'READ_UNCOMMITTED') {
-    console.log(`[${isolationLevel}] No lock needed for ${lockType} on trans_id=${transId}`);
-    return { success: true };
-  }
-  
-  // Initialize lock entry if doesn't exist
-  if (!lockTable[transId]) {
-    lockTable[transId] = { readers: [], writer: null };
-  }
-  
-  const lock = lockTable[transId];
-  const startWait = Date.now();
-  
-  if (lockType === 'write') {
-    // WAIT for conflicts to clear
-    while (true) {
-      // Check for conflicts: Can't acquire write lock if there are readers or another writer
-      if (lock.writer && lock.writer !== txnId) {
-        console.log(`[${isolationLevel}] Write waiting for writer ${lock.writer} on trans_id=${transId}...`);
-      } else if (lock.readers.length > 0 && !lock.readers.every(r => r === txnId)) {
-        console.log(`[${isolationLevel}] Write waiting for ${lock.readers.length} readers on trans_id=${transId}...`);
-      } else {
-        // No conflicts - can acquire lock
-        break;
-      }
-      
-      // Check timeout
-      if (Date.now() - startWait > TRANSACTION_TIMEOUT) {
-        console.log(`[${isolationLevel}] Write lock TIMEOUT on trans_id=${transId}`);
-        return { success: false, reason: `Timeout waiting for lock` };
-      }
-      
-      // Wait a bit before retrying
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-    
-    // Acquire write lock
-    lock.writer = txnId;
-    console.log(`[${isolationLevel}] Write lock ACQUIRED on trans_id=${transId} by ${txnId}`);
-    
-    // Track lock in transaction
-    if (!transactions[txnId].locks[transId]) {
-      transactions[txnId].locks[transId] = { type: 'write', acquired: Date.now() };
-    }
-    
-  } else if (lockType === 'read') {
-    // READ_COMMITTED: Acquire short read lock (released immediately after query)
-    if (isolationLevel === 'READ_COMMITTED') {
-      // But WAIT for any active writer to commit (prevents dirty reads)
-      while (lock.writer && lock.writer !== txnId) {
-        console.log(`[${isolationLevel}] Read WAITING for writer to commit on trans_id=${transId}...`);
-        
-        if (Date.now() - startWait > TRANSACTION_TIMEOUT) {
-          console.log(`[${isolationLevel}] Read TIMEOUT on trans_id=${transId}`);
-          return { success: false, reason: `Timeout waiting for write to commit` };
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-      
-      // Acquire short read lock (prevents concurrent writes during read)
-      if (!lock.readers.includes(txnId)) {
-        lock.readers.push(txnId);
-        console.log(`[${isolationLevel}] Short read lock ACQUIRED on trans_id=${transId} by ${txnId}`);
-      }
-      
-      // Track in transaction (will be released immediately after query)
-      if (!transactions[txnId].locks[transId]) {
-        transactions[txnId].locks[transId] = { type: 'read', acquired: Date.now() };
-      }
-      
-      return { success: true };
-    }
-    
-    // REPEATABLE_READ and SERIALIZABLE: Need read locks
-    // WAIT for conflicts to clear
-    while (lock.writer && lock.writer !== txnId) {
-      console.log(`[${isolationLevel}] Read waiting for writer ${lock.writer} on trans_id=${transId}...`);
-      
-      if (Date.now() - startWait > TRANSACTION_TIMEOUT) {
-        console.log(`[${isolationLevel}] Read lock TIMEOUT on trans_id=${transId}`);
-        return { success: false, reason: `Timeout waiting for write lock to release` };
-      }
-      
-      await new Promise(resolve => setTimeout(resolve, 50));
-    }
-    
-    // Acquire read lock
-    if (!lock.readers.includes(txnId)) {
-      lock.readers.push(txnId);
-      console.log(`[${isolationLevel}] Read lock ACQUIRED on trans_id=${transId} by ${txnId}`);
-      
-      // Track lock in transaction
-      if (!transactions[txnId].locks[transId]) {
-        transactions[txnId].locks[transId] = { type: 'read', acquired: Date.now() };
-      }
-    }
-  }
-  
-  return { success: true };
+function describeUnsupportedStatement(query) {
+  const statement = parseStatement(query);
+  if (statement.supported) return null;
+  
+  return {
+    error: `Unsupported statement: ${statement.reason}`,
+    position: statement.position,
+    supportedStatements: ['SELECT', 'INSERT', 'UPDATE', 'DELETE']
+  };
 }
 
+// ============================================================================
+// INTERACTIVE TRANSACTIONS (BEGIN / QUERY / COMMIT / ROLLBACK)
+// ============================================================================
+
 /**
- * Release lock based on isolation level
+ * Interactive sessions keep one transactions[txnId] entry, its locks and a
+ * pinned MySQL connection alive across many statements, so REPEATABLE_READ
+ * snapshots and SERIALIZABLE long locks outlive a single query.
+ * The connection lives here (not on the txn) so /api/locks/status can
+ * serialize transactions[txnId].
+ * { "txn_uuid": { connection, idleTimer } }
  */
-function releaseLock(txnId, transId, isolationLevel) {
-  if (!lockTable[transId]) return;
-  
-  const lock = lockTable[transId];
-  
-  // READ_UNCOMMITTED: No locks to release
-  if (isolationLevel === 'READ_UNCOMMITTED') {
-    return;
-  }
-  
-  // READ_COMMITTED: Release locks immediately
-  // REPEATABLE_READ, SERIALIZABLE: Release at commit (not called here)
-  if (lock.writer === txnId) {
-    lock.writer = null;
-    console.log(`[${isolationLevel}] Write lock RELEASED on trans_id=${transId} by ${txnId}`);
-  }
-  
-  const readerIndex = lock.readers.indexOf(txnId);
-  if (readerIndex >= 0) {
-    lock.readers.splice(readerIndex, 1);
-    console.log(`[${isolationLevel}] Read lock RELEASED on trans_id=${transId} by ${txnId}`);
-  }
-  
-  // Cleanup empty lock entries
-  if (lock.writer === null && lock.readers.length === 0) {
-    delete lockTable[transId];
-  }
-}
+let sessions = {};
+
+const SESSION_IDLE_TIMEOUT = 60000; // 60 seconds without a statement => rollback
+
+const MYSQL_ISOLATION_LEVELS = {
+  READ_UNCOMMITTED: 'READ UNCOMMITTED',
+  READ_COMMITTED: 'READ COMMITTED',
+  REPEATABLE_READ: 'REPEATABLE READ',
+  SERIALIZABLE: 'SERIALIZABLE',
+  // The backend rewrites reads to the snapshot; MySQL must show the latest
+  // committed rows (plus our own writes) for that to work
+  SNAPSHOT: 'READ COMMITTED',
+  SSI: 'READ COMMITTED'
+};
 
 /**
- * Release all locks held by a transaction (called at commit/abort)
+ * Restart the idle timer of a session (abandoned sessions would hold locks forever)
  */
-function releaseAllLocks(txnId) {
-  const txn = transactions[txnId];
-  if (!txn) return;
-  
-  console.log(`[RELEASE ALL] Releasing all locks for ${txnId}`);
-  
-  for (const transId in txn.locks) {
-    if (lockTable[transId]) {
-      const lock = lockTable[transId];
-      
-      if (lock.writer === txnId) {
-        lock.writer = null;
-      }
-      
-      const readerIndex = lock.readers.indexOf(txnId);
-      if (readerIndex >= 0) {
-        lock.readers.splice(readerIndex, 1);
-      }
-      
-      // Cleanup
-      if (lock.writer === null && lock.readers.length === 0) {
-        delete lockTable[transId];
-      }
-    }
-  }
-  
-  txn.locks = {};
+function touchSession(txnId) {
+  const session = sessions[txnId];
+  if (!session) return;
+  
+  clearTimeout(session.idleTimer);
+  session.idleTimer = setTimeout(() => {
+    console.log(`[SESSION] ${txnId} idle for ${SESSION_IDLE_TIMEOUT}ms - rolling back`);
+    rollbackSession(txnId, 'Idle timeout').catch(err =>
+      console.error(`[SESSION] Idle rollback failed for ${txnId}: ${err.message}`)
+    );
+  }, SESSION_IDLE_TIMEOUT);
 }
 
 /**
- * Start a new transaction
+ * Release the pinned connection and forget the session
  */
-function startTransaction(txnId, node, isolationLevel) {
-  transactions[txnId] = {
-    transactionId: txnId,
-    node,
-    isolationLevel,
-    startTime: Date.now(),
-    readSet: new Set(),
-    writeSet: new Set(),
-    locks: {},
-    snapshot: {}, // For REPEATABLE_READ
-    status: 'active'
-  };
+function closeSession(txnId) {
+  const session = sessions[txnId];
+  if (!session) return;
   
-  console.log(`[TXN START] ${txnId} on ${node} with ${isolationLevel}`);
+  clearTimeout(session.idleTimer);
+  session.connection.release();
+  delete sessions[txnId];
 }
 
 /**
- * Commit a transaction
+ * Update the WAL entries of every statement run inside a session
  */
-function commitTransaction(txnId) {
-  const txn = transactions[txnId];
-  if (!txn) return;
-  
-  txn.status = 'committed';
-  txn.endTime = Date.now();
-  
-  // Release all locks (for REPEATABLE_READ and SERIALIZABLE)
-  releaseAllLocks(txnId);
-  
-  console.log(`[TXN COMMIT] ${txnId} (duration: ${txn.endTime - txn.startTime}ms)`);
-  
-  // Cleanup transaction after a delay
-  setTimeout(() => {
-    delete transactions[txnId];
-  }, 1000);
+function finalizeSessionLogs(txnId, status, error) {
+  for (const entry of transactionLog) {
+    if (entry.transactionId === txnId && entry.interactive && entry.status === 'executed') {
+      entry.status = status;
+      entry.endTime = new Date();
+      if (error) entry.error = error;
+    }
+  }
 }
 
 /**
- * Abort a transaction
+ * Roll back an interactive transaction: undo its XA branch, release all locks
  */
-function abortTransaction(txnId) {
-  const txn = transactions[txnId];
-  if (!txn) return;
-  
-  txn.status = 'aborted';
-  txn.endTime = Date.now();
+async function rollbackSession(txnId, reason, status = 'aborted') {
+  const session = sessions[txnId];
+  if (!session) return;
   
-  // Release all locks
-  releaseAllLocks(txnId);
+  await rollbackBranch(session.branch);
   
-  console.log(`[TXN ABORT] ${txnId}`);
+  closeSession(txnId);
+  abortTransaction(transactionManager, txnId);
+  finalizeSessionLogs(txnId, status, reason);
   
-  // Cleanup
-  setTimeout(() => {
-    delete transactions[txnId];
-  }, 1000);
+  console.log(`[SESSION] ${txnId} rolled back (${reason})`);
+  await persistLogs();
 }
 
 // ============================================================================
 // AUTOMATIC NODE SELECTION
 // ============================================================================
 
-const FRAG_BOUNDARY_DATE = '1997-01-01';
+const FRAGMENTATION_FILE = process.env.FRAGMENTATION_CONFIG
+  ? path.resolve(__dirname, process.env.FRAGMENTATION_CONFIG)
+  : path.join(__dirname, 'fragmentation.json');
+
+// Replaced by loadFragmentation() at startup when a config file exists
+let fragmentation = createFragmentationCatalog(DEFAULT_FRAGMENTATION, nodesWithRole(topology, 'fragment'));
 
 /**
- * Extract date from INSERT query
- * Looks for patterns like: VALUES(..., '1996-05-15', ...) or INSERT ... newdate = '1996-05-15'
+ * Load the fragmentation catalog from FRAGMENTATION_CONFIG (default
+ * fragmentation.json). A missing file keeps the built-in 1997 date ranges;
+ * an invalid one stops the server instead of routing rows by a wrong scheme.
  */
-function extractDateFromInsertQuery(query) {
-  // Match date in VALUES clause - look for date-like patterns
-  const valuesMatch = query.match(/VALUES\s*\([^)]*'(\d{4}-\d{2}-\d{2})'[^)]*\)/i);
-  if (valuesMatch) {
-    return valuesMatch[1];
+async function loadFragmentation() {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(FRAGMENTATION_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT' || process.env.FRAGMENTATION_CONFIG) {
+      throw new Error(`Could not read fragmentation config ${FRAGMENTATION_FILE}: ${error.message}`);
+    }
+    console.log(`[FRAGMENTATION] No ${path.basename(FRAGMENTATION_FILE)}, using the default date ranges`);
+    return;
   }
   
-  // Match SET newdate = 'YYYY-MM-DD'
-  const setMatch = query.match(/newdate\s*=\s*'(\d{4}-\d{2}-\d{2})'/i);
-  if (setMatch) {
-    return setMatch[1];
+  fragmentation = createFragmentationCatalog(config, nodesWithRole(topology, 'fragment'));
+  console.log(`[FRAGMENTATION] Loaded ${fragmentation.strategy} fragmentation on ${fragmentation.column} from ${FRAGMENTATION_FILE}`);
+}
+
+/**
+ * Fragmentation catalog with a readable rule per fragment, for /api/fragmentation
+ */
+function describeFragmentation() {
+  return {
+    strategy: fragmentation.strategy,
+    column: fragmentation.column,
+    nodes: fragmentation.nodes,
+    fragments: fragmentation.fragments.map(fragment => ({
+      ...fragment,
+      rule: describeFragment(fragmentation, fragment)
+    }))
+  };
+}
+
+/**
+ * Move fragments to another fragment node. Only the catalog changes - rows
+ * already stored on the old node are not copied.
+ */
+function reassignFragments(names, node) {
+  fragmentation = createFragmentationCatalog({
+    ...fragmentation,
+    fragments: fragmentation.fragments.map(fragment => (names.includes(fragment.name) ? { ...fragment, node } : fragment))
+  }, nodesWithRole(topology, 'fragment'));
+}
+
+/**
+ * Fragment nodes that store rows with these fragmentation column values
+ * (null if any value cannot be placed)
+ */
+function fragmentNodesForValues(values) {
+  const fragments = fragmentsForValues(fragmentation, values);
+  return fragments && [...new Set(fragments.map(fragment => fragment.node))];
+}
+
+/**
+ * Fragmentation column value of the given trans_ids on a node - rows that do not exist are skipped
+ */
+async function fetchFragmentValues(node, keys) {
+  const conn = await pools[node].getConnection();
+  try {
+    const [rows] = await conn.query(
+      `SELECT trans_id, ${fragmentColumnSql(fragmentation)} as fragment_value FROM trans WHERE trans_id IN (?)`,
+      [keys]
+    );
+    return rows.map(row => row.fragment_value);
+  } finally {
+    conn.release();
   }
-  
-  return null;
+}
+
+/**
+ * Value an UPDATE assigns to the fragmentation column: undefined when it does
+ * not assign it, null when the new value is not a literal
+ */
+function assignedFragmentValue(statement) {
+  if (statement.type !== 'UPDATE') return undefined;
+  const assignment = statement.assignments.find(a => a.column === fragmentation.column);
+  if (!assignment) return undefined;
+  return literalValue(assignment.value, fragmentation.column) ?? null;
 }
 
 /**
  * Determine the primary node for a write operation based on:
- * 1. For UPDATE/DELETE: Look up the record's date from an available node
- * 2. For INSERT: Extract date from the query
- * 
- * Fragmentation rules:
- * - node1: Records with date < 1997-01-01
- * - node2: Records with date >= 1997-01-01
- * - node0: Master node (stores all data)
+ * 1. For UPDATE/DELETE: Look up the fragmentation column of the records it names from an available node
+ * 2. For INSERT: Take the fragmentation column from the inserted rows
+ * A statement whose rows live on more than one fragment node, or an UPDATE
+ * that may move rows to another fragment node, runs on the master.
+ *
+ * Fragmentation rules come from the catalog (see fragmentation.js):
+ * - master: stores all data
+ * - fragment nodes: the rows of the fragments placed on them
  */
 async function determinePrimaryNode(query) {
-  const upper = query.trim().toUpperCase();
-  const transId = parseTransId(query);
-  
-  // For INSERT, extract date from query
-  if (upper.startsWith('INSERT')) {
-    const insertDate = extractDateFromInsertQuery(query);
-    if (insertDate) {
-      const targetNode = insertDate < FRAG_BOUNDARY_DATE ? 'node1' : 'node2';
-      console.log(`[AUTO-NODE] INSERT detected, date=${insertDate}, target=${targetNode}`);
-      return { primaryNode: targetNode, recordDate: insertDate, reason: 'date_from_insert' };
+  const statement = parseStatement(query);
+  const keys = statementKeys(statement);
+  const column = fragmentation.column;
+  const master = masterNode();
+  
+  // For INSERT, take the fragmentation column from the rows
+  if (statement.type === 'INSERT') {
+    const values = insertValues(statement, column);
+    const nodes = values.length > 0 ? fragmentNodesForValues(values) : null;
+    if (!nodes) {
+      // If no value found, default to master
+      console.log(`[AUTO-NODE] INSERT without parseable ${column}, defaulting to ${master}`);
+      return { primaryNode: master, fragmentNode: null, values, reason: 'insert_no_fragment_value' };
     }
-    // If no date found, default to master
-    console.log(`[AUTO-NODE] INSERT without parseable date, defaulting to node0`);
-    return { primaryNode: 'node0', recordDate: null, reason: 'insert_no_date' };
+    
+    if (nodes.length > 1) {
+      console.log(`[AUTO-NODE] INSERT rows span fragment nodes ${nodes.join(', ')} (${column}=${values.join(', ')}), using ${master}`);
+      return { primaryNode: master, fragmentNode: null, values, reason: 'insert_spans_fragments' };
+    }
+    
+    console.log(`[AUTO-NODE] INSERT detected, ${column}=${values.join(', ')}, target=${nodes[0]}`);
+    return { primaryNode: nodes[0], fragmentNode: nodes[0], values, reason: 'fragment_from_insert' };
   }
   
-  // For UPDATE/DELETE, we need to look up the record's date
-  if ((upper.startsWith('UPDATE') || upper.startsWith('DELETE')) && transId) {
-    // Try to get the record date from any available node
-    const nodesToTry = ['node0', 'node1', 'node2'];
+  // For UPDATE/DELETE, we need to look up where the records live
+  if (statement.isWrite && keys && keys.length > 0) {
+    // Try to get the records' fragmentation column from any available node
+    const nodesToTry = nodeNames();
     
     for (const node of nodesToTry) {
-      if (simulatedFailures[node] || !pools[node]) continue;
+      if (!isNodeAvailable(node)) continue;
       
       try {
-        const conn = await pools[node].getConnection();
-        const [rows] = await conn.query(
-          'SELECT DATE_FORMAT(DATE(newdate), "%Y-%m-%d") as date_only FROM trans WHERE trans_id = ?', 
-          [transId]
-        );
-        conn.release();
+        const values = await fetchFragmentValues(node, keys);
+        if (values.length === 0) continue;
+        
+        const nodes = fragmentNodesForValues(values);
+        if (!nodes || nodes.length > 1) {
+          console.log(`[AUTO-NODE] trans_id=${keys.join(',')} span fragment nodes, using ${master}`);
+          return { primaryNode: master, fragmentNode: null, values, reason: 'rows_span_fragments', lookupNode: node };
+        }
         
-        if (rows.length > 0) {
-          const recordDate = rows[0].date_only;
-          const targetNode = recordDate < FRAG_BOUNDARY_DATE ? 'node1' : 'node2';
-          console.log(`[AUTO-NODE] Found record in ${node}: trans_id=${transId}, date=${recordDate}, target=${targetNode}`);
-          return { primaryNode: targetNode, recordDate, reason: 'date_lookup', lookupNode: node };
+        // The master stores every row, so rows moving between fragments are migrated from there
+        // (the old fragment node still serves as fallback while the master is offline)
+        const assigned = assignedFragmentValue(statement);
+        if (assigned !== undefined && (assigned === null || fragmentNodesForValues([assigned])?.[0] !== nodes[0])) {
+          console.log(`[AUTO-NODE] UPDATE sets ${column}=${assigned ?? 'expression'}, rows may leave ${nodes[0]}, using ${master}`);
+          return { primaryNode: master, fragmentNode: nodes[0], values, reason: 'update_moves_fragment', lookupNode: node };
         }
+        
+        const targetNode = nodes[0];
+        console.log(`[AUTO-NODE] Found record in ${node}: trans_id=${keys.join(',')}, ${column}=${values.join(', ')}, target=${targetNode}`);
+        return { primaryNode: targetNode, fragmentNode: targetNode, values, reason: 'fragment_lookup', lookupNode: node };
       } catch (e) {
         console.log(`[AUTO-NODE] Could not query ${node}: ${e.message}`);
       }
     }
     
     // Record not found in any node
-    console.log(`[AUTO-NODE] Record not found for trans_id=${transId}, defaulting to node0`);
-    return { primaryNode: 'node0', recordDate: null, reason: 'record_not_found' };
+    console.log(`[AUTO-NODE] Record not found for trans_id=${keys.join(',')}, defaulting to ${master}`);
+    return { primaryNode: master, fragmentNode: null, values: [], reason: 'record_not_found' };
   }
   
-  // For SELECT queries, prefer master node
-  console.log(`[AUTO-NODE] SELECT or unknown query type, defaulting to node0`);
-  return { primaryNode: 'node0', recordDate: null, reason: 'select_or_unknown' };
+  // For SELECT queries and writes without known keys, prefer master node
+  console.log(`[AUTO-NODE] SELECT or unknown query type, defaulting to ${master}`);
+  return { primaryNode: master, fragmentNode: null, values: [], reason: 'select_or_unknown' };
 }
 
 /**
  * Get the best available node when the primary is offline
  * Fallback order:
- * - If primary is node1/node2 and offline -> try node0 (master has all data)
- * - If node0 is offline -> try the appropriate fragment node
+ * - A replica of the primary (same rows)
+ * - If primary is a fragment node and offline -> try the master (master has all data)
+ * - If the master is offline -> try the appropriate fragment node or its replicas
  */
-function getAvailableNode(primaryNode, recordDate) {
-  if (!simulatedFailures[primaryNode]) {
+function getAvailableNode(primaryNode, fragmentNode) {
+  if (isNodeAvailable(primaryNode)) {
     return { node: primaryNode, isFallback: false };
   }
   
-  console.log(`[AUTO-NODE] Primary node ${primaryNode} is offline, finding fallback...`);
+  console.log(`[AUTO-NODE] Primary node ${primaryNode} is unavailable (${unavailableReason(primaryNode)}), finding fallback...`);
+  const master = masterNode();
+  
+  // A replica stores exactly the rows of the node it mirrors
+  const replica = replicasOf(topology, primaryNode).find(isNodeAvailable);
+  if (replica) {
+    console.log(`[AUTO-NODE] Falling back to ${replica} (replica of ${primaryNode})`);
+    return { node: replica, isFallback: true, fallbackReason: `${primaryNode} offline` };
+  }
   
   // If a fragment is down, fall back to master
-  if (primaryNode === 'node1' || primaryNode === 'node2') {
-    if (!simulatedFailures['node0']) {
-      console.log(`[AUTO-NODE] Falling back to node0 (master)`);
-      return { node: 'node0', isFallback: true, fallbackReason: `${primaryNode} offline` };
+  if (findNode(topology, primaryNode)?.role === 'fragment') {
+    if (isNodeAvailable(master)) {
+      console.log(`[AUTO-NODE] Falling back to ${master} (master)`);
+      return { node: master, isFallback: true, fallbackReason: `${primaryNode} offline` };
     }
   }
   
   // If master is down, try to use the appropriate fragment
-  if (primaryNode === 'node0' && recordDate) {
-    const fragmentNode = recordDate < FRAG_BOUNDARY_DATE ? 'node1' : 'node2';
-    if (!simulatedFailures[fragmentNode]) {
-      console.log(`[AUTO-NODE] Falling back to ${fragmentNode} (fragment)`);
-      return { node: fragmentNode, isFallback: true, fallbackReason: 'node0 offline' };
+  if (primaryNode === master && fragmentNode) {
+    const candidate = [fragmentNode, ...replicasOf(topology, fragmentNode)].find(isNodeAvailable);
+    if (candidate) {
+      console.log(`[AUTO-NODE] Falling back to ${candidate} (fragment)`);
+      return { node: candidate, isFallback: true, fallbackReason: `${master} offline` };
     }
   }
   
   // Try any available node
-  for (const node of ['node0', 'node1', 'node2']) {
-    if (!simulatedFailures[node] && pools[node]) {
+  for (const node of nodeNames()) {
+    if (isNodeAvailable(node)) {
       console.log(`[AUTO-NODE] Last resort fallback to ${node}`);
       return { node, isFallback: true, fallbackReason: 'all_preferred_offline' };
     }
@@ -618,165 +789,371 @@ function getAvailableNode(primaryNode, recordDate) {
 }
 
 // ============================================================================
-// TWO-PHASE COMMIT (2PC) PROTOCOL
+// SCATTER-GATHER EXECUTION
 // ============================================================================
 
 /**
- * Two-Phase Commit: Ensures atomic replication across nodes
- * Phase 1: PREPARE - All nodes validate and prepare the transaction
- * Phase 2: COMMIT or ABORT - All nodes commit or all rollback
+ * Node that answers for a fragment: its fragment node, or a replica of it
+ * while that node is offline
  */
-async function twoPhaseCommit(sourceNode, query, targets) {
-  console.log(`[2PC] Starting for query from ${sourceNode} to [${targets.join(', ')}]`);
-  
-  const connections = [];
-  const prepareResults = [];
-  
-  // PHASE 1: PREPARE on all target nodes
-  console.log(`[2PC] PHASE 1: PREPARE`);
-  
-  for (const target of targets) {
+function fragmentSource(fragment) {
+  return [fragment.node, ...replicasOf(topology, fragment.node)].find(isNodeAvailable) || null;
+}
+
+/**
+ * Run a planned SELECT (see distributed-query.js) on every fragment in
+ * parallel and merge what comes back. Fragments whose nodes are offline or
+ * fail are listed in missingFragments and make the result partial.
+ */
+async function scatterGather(plan) {
+  const fragments = await Promise.all(fragmentation.fragments.map(async fragment => {
+    const node = fragmentSource(fragment);
+    if (!node) {
+      return { fragment: fragment.name, node: fragment.node, status: 'unavailable', error: `${fragment.node} offline` };
+    }
+    
+    const condition = fragmentCondition(fragmentation, fragment);
+    const sql = fragmentQuery(plan, mysql.format(condition.sql, condition.params));
     try {
-      console.log(`[2PC] Checking target: ${target}, simulatedFailure: ${simulatedFailures[target]}, poolExists: ${!!pools[target]}`);
-      
-      if (simulatedFailures[target]) {
-        prepareResults.push({ target, prepared: false, reason: 'Node offline (simulated failure)' });
-        console.log(`[2PC] ${target} SKIPPED (offline)`);
-        continue;
-      }
-      
-      if (!pools[target]) {
-        prepareResults.push({ target, prepared: false, reason: 'Pool not initialized' });
-        console.error(`[2PC] ${target} PREPARE FAILED: Pool not initialized`);
-        continue;
+      const conn = await pools[node].getConnection();
+      try {
+        const [rows] = await conn.query(sql);
+        return { fragment: fragment.name, node: fragment.node, source: node, status: 'ok', rows };
+      } finally {
+        conn.release();
       }
-      
-      const conn = await pools[target].getConnection();
-      connections.push({ target, conn });
-      
-      // Start transaction and validate query
-      await conn.query('START TRANSACTION');
-      await conn.query(query);
-      
-      prepareResults.push({ target, prepared: true });
-      console.log(`[2PC] ${target} PREPARED`);
     } catch (error) {
-      prepareResults.push({ target, prepared: false, reason: error.message });
-      console.log(`[2PC] ${target} PREPARE FAILED: ${error.message}`);
+      console.log(`[SCATTER] ${fragment.name} on ${node} failed: ${error.message}`);
+      return { fragment: fragment.name, node: fragment.node, source: node, status: 'failed', error: error.message };
     }
+  }));
+  
+  const answered = fragments.filter(fragment => fragment.status === 'ok');
+  const missingFragments = fragments.filter(fragment => fragment.status !== 'ok').map(fragment => fragment.fragment);
+  if (answered.length === 0) {
+    throw new Error('No fragment could be read');
   }
   
-  // Check if all nodes prepared successfully
-  const allPrepared = prepareResults.every(r => r.prepared);
+  console.log(`[SCATTER] ${answered.length}/${fragments.length} fragments answered${missingFragments.length ? `, missing: ${missingFragments.join(', ')}` : ''}`);
+  return {
+    results: mergeResults(plan, answered.map(fragment => fragment.rows)),
+    fragments: fragments.map(({ rows, ...fragment }) => (rows ? { ...fragment, rows: rows.length } : fragment)),
+    partial: missingFragments.length > 0,
+    missingFragments
+  };
+}
+
+// ============================================================================
+// TWO-PHASE (2PC) AND THREE-PHASE (3PC) COMMIT PROTOCOLS
+// ============================================================================
+
+/**
+ * XA commit rounds (2PC / 3PC), the coordinator log records and in-doubt
+ * recovery live in atomic-commit.js. Branches run on pooled connections,
+ * each record change is appended to the log file (coordinator-log.js), and
+ * queue entries of a branch lost mid-round get their outcome once recovery
+ * finishes it. COMMIT_PROTOCOL selects the default protocol.
+ */
+const coordinatorLog = createCoordinatorLog({ file: COORDINATOR_LOG_FILE });
+const commitCoordinator = createCommitCoordinator({
+  connect: node => pools[node].getConnection(),
+  unavailable: unavailableReason,
+  reachable: isNodeReachable,
+  isFailed: node => Boolean(simulatedFailures[node]),
+  persist: record => persistRecord(coordinatorLog, commitCoordinator.log, record),
+  onResolved: (globalId, node, action) => {
+    for (const entry of replicationQueue.filter(e => e.xid === globalId && e.target === node && e.status === 'in_doubt')) {
+      entry.status = action === 'COMMIT' ? 'replicated' : 'aborted';
+    }
+  },
+  protocol: process.env.COMMIT_PROTOCOL,
+  threePhaseTimeout: parseInt(process.env.THREE_PC_TIMEOUT_MS, 10) || THREE_PC_TIMEOUT_MS,
+  // Pause between 3PC phases, leaving time to kill a node from the dashboard
+  phaseDelay: parseInt(process.env.THREE_PC_PHASE_DELAY_MS, 10) || 0
+});
+
+// ============================================================================
+// CROSS-FRAGMENT ROW MIGRATION
+// ============================================================================
+
+/**
+ * An UPDATE that assigns the fragmentation column can move a row to another
+ * fragment (e.g. newdate 1996 -> 1998). Forwarding the UPDATE is not enough:
+ * the old fragment node would keep a stale copy and the new one has no row to
+ * change. Instead every node gets the statements that leave it correct, and
+ * all of them commit or abort together under 2PC:
+ *   master                    - the UPDATE itself
+ *   fragment node owning rows - REPLACE INTO with the rows as the source stores them
+ *   other fragment nodes      - DELETE of those rows (a no-op where they never were)
+ * Replicas run the statements of the node they mirror. The rows are read from
+ * the source after the UPDATE ran, so the same plan serves auto-routed writes,
+ * writes run directly on a fragment and interactive transaction commits.
+ */
+
+/**
+ * Current image of rows on a node, dates as strings so they are written back unchanged.
+ * connection reads inside the writer's own (uncommitted) branch when given.
+ */
+async function fetchRowImages(node, keys, connection = null) {
+  const columns = TRANS_COLUMNS.map(column => (column === 'newdate' ? "DATE_FORMAT(newdate, '%Y-%m-%d %H:%i:%s') as newdate" : column));
+  const conn = connection || await pools[node].getConnection();
+  try {
+    const [rows] = await conn.query(`SELECT ${columns.join(', ')} FROM trans WHERE trans_id IN (?)`, [keys]);
+    return rows;
+  } finally {
+    if (!connection) {
+      conn.release();
+    }
+  }
+}
+
+/**
+ * Statements per node that put the rows where the catalog now places them.
+ * The source already ran the UPDATE, so it only has to drop rows that left
+ * its fragment.
+ */
+function rowMigrationPlan(sourceNode, query, rows) {
+  const plan = { [masterNode()]: { statements: [query], onSource: [] } };
   
-  // PHASE 2: COMMIT or ABORT
-  console.log(`[2PC] PHASE 2: ${allPrepared ? 'COMMIT' : 'ABORT'}`);
+  for (const [node, { store, remove }] of Object.entries(placeRows(fragmentation, rows))) {
+    plan[node] = { statements: rowImageStatements(store, remove), onSource: rowImageStatements([], remove) };
+  }
   
-  if (allPrepared) {
-    // All prepared - commit on all nodes
-    for (const { target, conn } of connections) {
-      try {
-        await conn.query('COMMIT');
-        console.log(`[2PC] ${target} COMMITTED`);
-      } catch (error) {
-        console.error(`[2PC] ${target} COMMIT FAILED: ${error.message}`);
-      } finally {
-        conn.release();
+  const statements = {};
+  for (const [node, { statements: list, onSource }] of Object.entries(plan)) {
+    for (const target of [node, ...replicasOf(topology, node)]) {
+      const targetStatements = target === sourceNode ? onSource : list;
+      if (targetStatements.length > 0) {
+        statements[target] = targetStatements;
       }
     }
-    
-    return { success: true, phase: 'committed', results: prepareResults };
-  } else {
-    // Some nodes failed - abort on all nodes
-    for (const { target, conn } of connections) {
-      try {
-        await conn.query('ROLLBACK');
-        console.log(`[2PC] ${target} ROLLED BACK`);
-      } catch (error) {
-        console.error(`[2PC] ${target} ROLLBACK FAILED: ${error.message}`);
-      } finally {
-        conn.release();
-      }
+  }
+  return statements;
+}
+
+/**
+ * Migrate the rows an UPDATE of the fragmentation column touched. Rows the
+ * source does not have are left out: it changed nothing for them, and the
+ * master still receives the UPDATE. Returns { targets, statements }.
+ */
+async function migrateRows(sourceNode, query, keys, connection = null) {
+  const rows = await fetchRowImages(sourceNode, keys, connection);
+  const statements = rowMigrationPlan(sourceNode, query, rows);
+  
+  for (const [target, list] of Object.entries(statements)) {
+    console.log(`[MIGRATION] ${target}: ${list.map(sql => sql.substring(0, 80)).join(' | ')}`);
+  }
+  return { targets: Object.keys(statements), statements };
+}
+
+/**
+ * After-image statements a target that misses a write is brought up to date
+ * with (see rowImageStatements), read on the source inside the write's branch
+ * when it has one. null when the write does not name its rows by trans_id,
+ * the rows cannot be read, or an UPDATE's row is missing on the source (the
+ * node it replicates to may still have and change it) - the query is
+ * replayed then.
+ */
+async function afterImageStatements(sourceNode, statement, keys, originBranch) {
+  if (!keys || keys.length === 0) {
+    return null;
+  }
+  
+  try {
+    const rows = await fetchRowImages(sourceNode, keys, originBranch?.conn);
+    const missing = keys.filter(key => !rows.some(row => String(row.trans_id) === String(key)));
+    if (statement.type === 'DELETE') {
+      return rowImageStatements(rows, missing);
     }
-    
-    return { 
-      success: false, 
-      phase: 'aborted',
-      reason: 'One or more nodes failed to prepare',
-      results: prepareResults 
-    };
+    return missing.length > 0 ? null : rowImageStatements(rows);
+  } catch (error) {
+    console.log(`[REPLICATION] Could not read the after-images of trans_id=${keys.join(',')} from ${sourceNode}: ${error.message}`);
+    return null;
   }
 }
 
 /**
- * Replication using Two-Phase Commit
+ * Where a write has to go and what each node runs for it, read on the source
+ * inside originBranch when there is one:
+ *   { targets, statements: { node: [sql] }, replay: { node: [sql] }, migration }
+ * statements replace the query on a node (row migration - the source's own
+ * entry is what it still owes), replay holds the row images a target that
+ * misses the round is brought up to date with. null for reads.
  */
-async function replicateWrite(sourceNode, query) {
-  const upper = query.trim().toUpperCase();
-  if (!upper.startsWith('UPDATE') && !upper.startsWith('INSERT') && !upper.startsWith('DELETE')) {
-    return [];
+async function planReplication(sourceNode, query, originBranch = null) {
+  const statement = parseStatement(query);
+  if (!statement.isWrite) {
+    return null;
   }
 
-  const FRAG_BOUNDARY = new Date('1997-01-01T00:00:00Z');
-  const transId = parseTransId(query);
-  let recordDate = null;
+  const keys = statementKeys(statement);
+  const column = fragmentation.column;
+  let fragmentValues = [];
+  
+  // Rows may change fragment - send each node its own statements
+  if (assignedFragmentValue(statement) !== undefined) {
+    if (keys && keys.length > 0) {
+      return planMigration(sourceNode, query, keys, originBranch);
+    }
+    console.warn(`[MIGRATION] UPDATE sets ${column} on rows without known trans_ids - fragments may keep stale copies`);
+  }
 
-  // Get record date to determine target node
-  if (transId) {
+  // Get the fragmentation column to determine target nodes: INSERTs carry it, other writes are looked up
+  if (statement.type === 'INSERT') {
+    fragmentValues = insertValues(statement, column);
+  } else if (keys && keys.length > 0) {
     try {
-      const conn = await pools[sourceNode].getConnection();
-      // Get date as formatted string to avoid timezone conversion issues
-      const [rows] = await conn.query('SELECT DATE_FORMAT(DATE(newdate), "%Y-%m-%d") as date_only FROM trans WHERE trans_id = ?', [transId]);
-      conn.release();
-      if (rows.length) {
-        recordDate = rows[0].date_only; // This will be a string like '1997-01-01'
-        console.log(`[REPLICATION] Fetched from ${sourceNode}: trans_id=${transId}, date_only=${recordDate}, type=${typeof recordDate}`);
+      // Dates come back as formatted strings to avoid timezone conversion issues
+      fragmentValues = await fetchFragmentValues(sourceNode, keys);
+      if (fragmentValues.length) {
+        console.log(`[REPLICATION] Fetched from ${sourceNode}: trans_id=${keys.join(',')}, ${column}=${fragmentValues.join(', ')}`);
       } else {
-        console.log(`[REPLICATION] No record found in ${sourceNode} for trans_id=${transId}`);
+        console.log(`[REPLICATION] No record found in ${sourceNode} for trans_id=${keys.join(',')}`);
       }
     } catch (e) {
-      console.log(`[REPLICATION] Could not fetch date: ${e.message}`);
+      console.log(`[REPLICATION] Could not fetch ${column}: ${e.message}`);
     }
   }
 
-  // Determine target nodes based on fragmentation rules
+  // Determine target nodes based on fragmentation rules (a replica writes on behalf of the node it mirrors)
+  const master = masterNode();
+  const origin = findNode(topology, sourceNode)?.replicaOf || sourceNode;
   const targets = [];
-  if (sourceNode === 'node0') {
+  if (origin === master) {
     // Master replicates to fragments
-    if (recordDate) {
-      // recordDate is now a string like '1997-01-01', compare directly
-      const recordDateStr = recordDate.toString();
-      const boundaryDateStr = '1997-01-01';
-      const targetNode = recordDateStr < boundaryDateStr ? 'node1' : 'node2';
-      targets.push(targetNode);
-      console.log(`[REPLICATION] Record date: ${recordDateStr}, Boundary: ${boundaryDateStr}, Target: ${targetNode}`);
+    const nodes = fragmentValues.length > 0 ? fragmentNodesForValues(fragmentValues) : null;
+    if (nodes) {
+      targets.push(...nodes);
+      console.log(`[REPLICATION] ${column}=${fragmentValues.join(', ')} (${fragmentation.strategy} fragmentation), Targets: ${targets.join(', ')}`);
     } else {
-      targets.push('node1', 'node2'); // Unknown date - replicate to both
-      console.log(`[REPLICATION] No date found, replicating to both fragments`);
+      targets.push(...fragmentation.nodes); // Unknown fragment - replicate to every fragment node
+      console.log(`[REPLICATION] No ${column} found, replicating to every fragment node`);
     }
   } else {
     // Fragments replicate back to master
-    targets.push('node0');
+    targets.push(master);
+  }
+  
+  // Replicas follow their node, and a write that ran on a replica still has to reach that node
+  for (const node of [origin, ...targets]) {
+    for (const target of [node, ...replicasOf(topology, node)]) {
+      if (target !== sourceNode && !targets.includes(target)) {
+        targets.push(target);
+      }
+    }
   }
 
-  console.log(`[REPLICATION] ${sourceNode} → [${targets.join(', ')}] trans_id=${transId}, recordDate=${recordDate}`);
+  console.log(`[REPLICATION] ${sourceNode} → [${targets.join(', ')}] trans_id=${keys ? keys.join(',') : 'unknown'}, ${column}=${fragmentValues.join(', ') || 'none'}`);
+
+  const images = await afterImageStatements(sourceNode, statement, keys, originBranch);
+  const replay = images ? Object.fromEntries(targets.map(target => [target, images])) : {};
+  return { targets, statements: {}, replay, migration: false };
+}
+
+/**
+ * Plan an UPDATE of the fragmentation column as a row migration. The row
+ * image statements of a target are also what it is replayed with; a target
+ * that runs the UPDATE itself (the master) has no images to replay.
+ */
+async function planMigration(sourceNode, query, keys, originBranch = null) {
+  let migration;
+  try {
+    migration = await migrateRows(sourceNode, query, keys, originBranch?.conn);
+  } catch (error) {
+    // Without the row images no node can be brought up to date - queue the UPDATE for the master
+    console.log(`[MIGRATION] Could not read trans_id=${keys.join(',')} from ${sourceNode}: ${error.message}`);
+    migration = { targets: sourceNode === masterNode() ? [] : [masterNode()], statements: {} };
+  }
+  
+  console.log(`[REPLICATION] ${sourceNode} → [${migration.targets.join(', ')}] row migration trans_id=${keys.join(',')}`);
+  const replay = Object.fromEntries(Object.entries(migration.statements).filter(([, list]) => !list.includes(query)));
+  return { targets: migration.targets, statements: migration.statements, replay, migration: true };
+}
 
-  // Use Two-Phase Commit for atomic replication
-  const twoPC_result = await twoPhaseCommit(sourceNode, query, targets);
+/**
+ * Replication using an atomic commit protocol (Two-Phase or Three-Phase Commit)
+ * globalId names the XA transaction on every target (the transactionId of the write),
+ * originBranch is the branch the write ran in on sourceNode (see twoPhaseCommit),
+ * commitOptions selects the protocol (see parseCommitOptions).
+ * Returns { commit, entries }: the outcome with every participant's vote, and
+ * the replication queue entries. commit is null for reads.
+ */
+async function replicateWrite(sourceNode, query, globalId = uuidv4(), originBranch = null, commitOptions = {}) {
+  const plan = await planReplication(sourceNode, query, originBranch);
+  if (!plan) {
+    return { commit: null, entries: [] };
+  }
   
-  // Log results to replication queue
+  // Commit on every node with the selected protocol (2PC or 3PC)
+  return commitWrite(commitOptions, sourceNode, query, plan, globalId, originBranch);
+}
+
+/**
+ * Global outcome of a commit round and the vote of every node (yes, no, or
+ * offline for targets that were skipped). A 3PC round whose coordinator
+ * failed also names the participant that terminated it.
+ */
+function commitOutcome(twoPC_result, lsn) {
+  return {
+    lsn,
+    protocol: twoPC_result.protocol,
+    xid: twoPC_result.xid,
+    outcome: twoPC_result.phase,
+    reason: twoPC_result.reason,
+    coordinatorFailure: twoPC_result.coordinatorFailure,
+    terminatedBy: twoPC_result.terminatedBy,
+    votes: twoPC_result.results.map(r => ({ node: r.target, origin: !!r.origin, vote: r.vote, reason: r.reason }))
+  };
+}
+
+/**
+ * Queue status of a target after a commit round:
+ *   lost mid-round (3PC)           - in_doubt until node recovery finishes its branch
+ *   committed                      - replicated, or pending (for the replication worker) if it was offline
+ *   blocked (3PC)                  - like committed: the logged commit decision stands
+ *   aborted with the origin voting - aborted: no node has the write
+ *   aborted without the origin     - pending: the source committed alone, so every copy is replayed
+ */
+function replicationStatus(twoPC_result, result) {
+  if (result.inDoubt) {
+    return 'in_doubt';
+  }
+  if (twoPC_result.success || twoPC_result.phase === 'blocked') {
+    return result.prepared ? 'replicated' : 'pending';
+  }
+  return twoPC_result.results.some(r => r.origin) ? 'aborted' : 'pending';
+}
+
+/**
+ * Log 2PC/3PC results to the replication queue. A target that still has to
+ * get the write is given its replay statements (row after-images) when the
+ * plan has them; otherwise an entry keeps the statements its target ran when
+ * they differ from query, so recovery replays those.
+ */
+function queueReplicationResults(sourceNode, query, twoPC_result, plan, lsn = undefined) {
   const results = [];
-  for (const result of twoPC_result.results) {
+  for (const result of twoPC_result.results.filter(r => !r.origin)) {
     const entry = {
       id: uuidv4(),
+      lsn,
       source: sourceNode,
       target: result.target,
       query,
-      status: result.prepared ? 'replicated' : 'failed',
-      error: result.reason,
+      status: replicationStatus(twoPC_result, result),
+      error: result.reason || (twoPC_result.success ? undefined : twoPC_result.reason),
       time: new Date(),
-      protocol: '2PC'
+      protocol: twoPC_result.protocol,
+      xid: twoPC_result.xid
     };
+    if (plan.replay[result.target] && UNAPPLIED_REPLICATION_STATES.includes(entry.status)) {
+      entry.statements = plan.replay[result.target];
+      entry.rowImages = true;
+    } else if (plan.statements[result.target]) {
+      entry.statements = plan.statements[result.target];
+    }
+    if (plan.migration) {
+      entry.migration = true;
+    }
     replicationQueue.push(entry);
     results.push(entry);
   }
@@ -787,92 +1164,476 @@ async function replicateWrite(sourceNode, query) {
   return results;
 }
 
+// ============================================================================
+// LOG SEQUENCE NUMBERS
+// ============================================================================
+
+// LSNs of the writes and the watermark of every node (lsn-tracker.js)
+const lsnTracker = createLsnTracker({
+  queue: () => replicationQueue,
+  connect: node => pools[node].getConnection(),
+  isAvailable: isNodeReachable
+});
+
+/**
+ * Targets that still have unapplied queue entries for the rows query writes,
+ * mapped to why they sit its round out: the write is queued behind those
+ * entries, so the worker applies them in order (see queuedAhead)
+ */
+function heldTargets(targets, query) {
+  const rows = entryRows({ query });
+  const held = {};
+  for (const target of targets) {
+    const ahead = queuedAhead(replicationWorker, target, rows);
+    if (ahead.length > 0) {
+      held[target] = `${ahead.length} earlier writes to the same rows not yet applied`;
+    }
+  }
+  return held;
+}
+
+/**
+ * Commit a planned write (see planReplication) under the next LSN (see
+ * atomicCommit), queue its replication results (see queueReplicationResults)
+ * and advance the watermark of every node that now has it.
+ * Returns { commit, entries } like replicateWrite.
+ */
+async function commitWrite(commitOptions, sourceNode, query, plan, globalId, originBranch) {
+  const lsn = await beginLsn(lsnTracker, [sourceNode, ...plan.targets]);
+  let twoPC_result;
+  try {
+    const held = heldTargets(plan.targets, query);
+    twoPC_result = await atomicCommit(commitCoordinator, { ...commitOptions, held }, sourceNode, query, plan.targets, plan.statements, globalId, originBranch);
+  } finally {
+    endLsn(lsnTracker, lsn);
+  }
+  const entries = queueReplicationResults(sourceNode, query, twoPC_result, plan, lsn);
+  
+  // Without a branch in the round the source committed the write on its own
+  const applied = twoPC_result.success ? twoPC_result.results.filter(r => r.prepared && !r.inDoubt).map(r => r.target) : [];
+  if (!originBranch) {
+    applied.push(sourceNode);
+  }
+  await Promise.all(applied.map(node => advanceWatermark(lsnTracker, node)));
+  
+  return { commit: commitOutcome(twoPC_result, lsn), entries };
+}
+
+// ============================================================================
+// REPLICATION WORKER
+// ============================================================================
+
+// Applies the queue entries of targets that missed a write, with backoff and
+// per-row ordering (replication-worker.js). After each pass the watermark of
+// every reachable node catches up with writes that did not involve it (and
+// nodes whose watermark could not be read are tried again).
+const replicationWorker = createReplicationWorker({
+  queue: () => replicationQueue,
+  connect: node => pools[node].getConnection(),
+  isAvailable: isNodeReachable,
+  appliedLsn: node => lsnTracker.appliedLsns[node],
+  onApplied: entry => advanceWatermark(lsnTracker, entry.target),
+  afterPass: async () => {
+    for (const node of nodeNames().filter(isNodeReachable)) {
+      if (lsnTracker.appliedLsns[node] === undefined) {
+        await loadAppliedLsn(lsnTracker, node).catch(() => {});
+      }
+      await advanceWatermark(lsnTracker, node);
+    }
+  },
+  persist: persistLogs,
+  interval: parseInt(process.env.REPLICATION_WORKER_INTERVAL_MS, 10) || REPLICATION_WORKER_INTERVAL_MS,
+  maxAttempts: parseInt(process.env.REPLICATION_MAX_ATTEMPTS, 10) || REPLICATION_MAX_ATTEMPTS,
+  backoffBase: parseInt(process.env.REPLICATION_BACKOFF_BASE_MS, 10) || REPLICATION_BACKOFF_BASE_MS,
+  backoffMax: parseInt(process.env.REPLICATION_BACKOFF_MAX_MS, 10) || REPLICATION_BACKOFF_MAX_MS
+});
+
 /**
- * Replay failed replications to a recovered node with retry mechanism
+ * Replay the writes a recovered node missed right away instead of waiting for
+ * the next worker pass. The node's own watermark decides where the replay
+ * starts: entries at or below it are already there, and every later entry the
+ * node did not commit in its round is replayed, without waiting out backoff
+ * or the attempt limit. Entries held back behind one keep their place for the worker.
  * @param {string} recoveredNode - The node that has been recovered (e.g., 'node1')
  * @returns {Object} Summary of replay results
  */
 async function replayFailedReplications(recoveredNode) {
-  // Find all failed replications where this node is the target
-  const failedReplications = replicationQueue.filter(
-    entry => entry.target === recoveredNode && entry.status === 'failed'
-  );
+  let fromLsn = lsnTracker.appliedLsns[recoveredNode] ?? 0;
+  try {
+    fromLsn = await loadAppliedLsn(lsnTracker, recoveredNode);
+  } catch (error) {
+    console.log(`[RECOVERY] Could not read the watermark of ${recoveredNode}, using LSN ${fromLsn}: ${error.message}`);
+  }
+  
+  const backlog = replicationQueue.filter(entry => entry.target === recoveredNode && ['retry_wait', 'failed_permanent'].includes(entry.status) && !(entry.lsn <= fromLsn));
+  for (const entry of backlog) {
+    entry.status = 'pending';
+    entry.retryCount = 0;
+    entry.nextAttemptAt = undefined;
+  }
+  console.log(`[RECOVERY] Replaying to ${recoveredNode} from LSN ${fromLsn}`);
   
-  console.log(`[RECOVERY] Found ${failedReplications.length} failed replications targeting ${recoveredNode}`);
+  const attempted = replicationWorker.paused ? [] : await drainTarget(replicationWorker, recoveredNode);
   
   const results = {
-    total: failedReplications.length,
-    success: 0,
+    fromLsn,
+    total: attempted.length,
+    success: attempted.filter(entry => entry.status === 'replayed').length,
     failed: 0,
     retryable: [],
     details: []
   };
+  results.failed = results.total - results.success;
   
-  for (const entry of failedReplications) {
-    try {
-      console.log(`[RECOVERY] Replaying: ${entry.source} → ${entry.target} | ${entry.query.substring(0, 60)}...`);
-      
-      const conn = await pools[recoveredNode].getConnection();
-      await conn.query(entry.query);
-      conn.release();
-      
-      // Update entry status
-      entry.status = 'replicated';
-      entry.recoveryTime = new Date();
-      entry.retryCount = (entry.retryCount || 0) + 1;
-      entry.error = undefined;
-      
-      results.success++;
-      results.details.push({
-        id: entry.id,
-        query: entry.query.substring(0, 100),
-        status: 'success',
-        attempts: entry.retryCount
-      });
-      
-      console.log(`[RECOVERY] ✓ Successfully replayed transaction ${entry.id}`);
-    } catch (error) {
-      entry.retryCount = (entry.retryCount || 0) + 1;
-      entry.lastError = error.message;
-      
-      // Decide if retryable (max 3 attempts)
-      if (entry.retryCount < 3) {
-        entry.status = 'retry_pending';
-        results.retryable.push(entry.id);
-        console.log(`[RECOVERY] ⚠ Failed (attempt ${entry.retryCount}/3) - will retry: ${error.message}`);
-      } else {
-        entry.status = 'failed_permanent';
-        console.log(`[RECOVERY] ✗ Failed permanently after ${entry.retryCount} attempts: ${error.message}`);
+  for (const entry of attempted) {
+    if (entry.status === 'retry_wait') {
+      results.retryable.push(entry.id);
+    }
+    results.details.push({
+      id: entry.id,
+      query: entry.query.substring(0, 100),
+      status: entry.status === 'replayed' ? 'success' : entry.status,
+      alreadyApplied: entry.alreadyApplied,
+      error: entry.status === 'replayed' ? undefined : entry.lastError,
+      attempts: entry.retryCount
+    });
+  }
+  
+  console.log(`[RECOVERY] Summary for ${recoveredNode}: ${results.success} succeeded, ${results.failed} failed out of ${results.total} total${replicationWorker.paused ? ' (replication worker paused)' : ''}`);
+  if (results.retryable.length > 0) {
+    console.log(`[RECOVERY] ${results.retryable.length} transactions pending retry`);
+  }
+  
+  return results;
+}
+
+// ============================================================================
+// NODE RESYNCHRONIZATION FROM A SNAPSHOT
+// ============================================================================
+
+// Queue backlog above which recovery resyncs instead of replaying
+const RESYNC_BACKLOG_THRESHOLD = parseInt(process.env.RESYNC_BACKLOG_THRESHOLD, 10) || 1000;
+
+// How /api/nodes/recover catches a node up: auto resyncs only when the queue cannot
+const RECOVERY_MODES = ['auto', 'replay', 'resync'];
+
+/**
+ * Why a recovering node should be rebuilt from a snapshot instead of
+ * replaying the queue, or null when the queue can catch it up: entries it
+ * needs may have been dropped (see the tracker's horizon), some cannot be
+ * replayed safely (see replayable), or there are more than
+ * RESYNC_BACKLOG_THRESHOLD of them
+ */
+function resyncReason(node) {
+  const applied = lsnTracker.appliedLsns[node];
+  const { horizon } = lsnTracker;
+  if (applied === undefined) {
+    return null;
+  }
+  if (applied < horizon.lsn) {
+    return `queue entries up to LSN ${horizon.lsn} are gone (${horizon.reason}) and ${node} has applied up to LSN ${applied}`;
+  }
+  const backlog = replicationQueue.filter(entry => entry.target === node && UNAPPLIED_REPLICATION_STATES.includes(entry.status) && !(entry.lsn <= applied));
+  const unsafe = backlog.filter(entry => entry.status !== 'in_doubt' && !replayable(entry)).length;
+  if (unsafe > 0) {
+    return `${unsafe} queued writes have no row images and cannot be replayed safely`;
+  }
+  return backlog.length > RESYNC_BACKLOG_THRESHOLD ? `${backlog.length} queued writes (more than ${RESYNC_BACKLOG_THRESHOLD})` : null;
+}
+
+/**
+ * Where a node's rows are copied from: [{ node, fragment, scope }].
+ *   replica       - the node it copies, every row
+ *   fragment node - each of its fragments from the master
+ *   master        - each fragment from its fragment node
+ * A replica whose node is offline is rebuilt like that node. An offline
+ * source is replaced by one of its replicas. Returns { sources } or { error }.
+ */
+function resyncSources(node) {
+  const master = masterNode();
+  const copied = findNode(topology, node).replicaOf || node;
+  const reachable = name => [name, ...replicasOf(topology, name)].find(candidate => candidate !== node && isNodeAvailable(candidate));
+  
+  if (copied !== node && isNodeAvailable(copied)) {
+    return { sources: [{ node: copied, fragment: null, scope: { sql: '1 = 1', params: [] } }] };
+  }
+  
+  const fragments = copied === master ? fragmentation.fragments : fragmentation.fragments.filter(fragment => fragment.node === copied);
+  const sources = fragments.map(fragment => ({
+    node: reachable(copied === master ? fragment.node : master),
+    fragment: fragment.name,
+    scope: fragmentCondition(fragmentation, fragment)
+  }));
+  const unreachable = sources.filter(source => !source.node).map(source => source.fragment);
+  return unreachable.length > 0 ? { error: `No reachable copy of fragment ${unreachable.join(', ')}` } : { sources };
+}
+
+// Nodes being rebuilt from a snapshot and the progress of each node's latest resync
+const resyncManager = createResyncManager({
+  tracker: lsnTracker,
+  connect: node => pools[node].getConnection(),
+  sources: resyncSources,
+  storesAllRows,
+  queue: () => replicationQueue,
+  onCovered: entry => markReplayed(replicationWorker, entry, true),
+  persist: persistLogs,
+  chunkSize: parseInt(process.env.RESYNC_CHUNK_SIZE, 10) || RESYNC_CHUNK_SIZE
+});
+
+// ============================================================================
+// ANTI-ENTROPY CONSISTENCY CHECKS
+// ============================================================================
+
+// Background check interval; on-demand checks run through the API at any time
+const CONSISTENCY_CHECK_INTERVAL_MS = parseInt(process.env.CONSISTENCY_CHECK_INTERVAL_MS, 10) || 300000;
+
+// Latest report, and the check chain (checks run one at a time)
+let consistencyReport = null;
+let consistencyChecks = Promise.resolve();
+let consistencyTimer = null;
+
+// A copy with no authoritative rows: everything in its scope is extra
+const EMPTY_SOURCE = { bounds: async () => null, checksums: async () => [], rows: async () => [] };
+
+/**
+ * Source (see consistency.js) reading the rows of scope on a node
+ */
+function checksumSource(node, scope) {
+  const run = async ({ sql, params }) => (await pools[node].query(sql, params))[0];
+  return {
+    bounds: async () => (await run(rangeBoundsQuery(scope)))[0],
+    checksums: (range, fanout) => run(rangeChecksumQuery(scope, range, fanout)),
+    rows: range => run(rangeRowsQuery(scope, range))
+  };
+}
+
+/**
+ * Pairs of copies that must hold the same rows:
+ *   each fragment - the master's rows of it against its fragment node
+ *   each fragment node - its rows outside its fragments, which it must not have
+ *   each replica - every row against the node it copies
+ * placement is the node whose fragments a repaired row must belong to (null: any row).
+ */
+function consistencyComparisons() {
+  const master = masterNode();
+  const everyRow = { sql: '1 = 1', params: [] };
+  
+  const comparisons = fragmentation.fragments.map(fragment => ({
+    fragment: fragment.name,
+    copy: fragment.node,
+    authority: master,
+    scope: fragmentCondition(fragmentation, fragment),
+    placement: fragment.node
+  }));
+  for (const node of fragmentation.nodes) {
+    const owned = fragmentation.fragments.filter(fragment => fragment.node === node);
+    comparisons.push({
+      fragment: null,
+      copy: node,
+      authority: null,
+      scope: outsideConditions(owned.map(fragment => fragmentCondition(fragmentation, fragment))),
+      placement: node
+    });
+  }
+  for (const replica of nodesWithRole(topology, 'replica')) {
+    const node = findNode(topology, replica).replicaOf;
+    comparisons.push({ fragment: null, copy: replica, authority: node, scope: everyRow, placement: node === master ? null : node });
+  }
+  return comparisons;
+}
+
+/**
+ * trans_ids with writes still queued for a node: differences there are
+ * replication lag the worker will close, not inconsistencies
+ */
+function laggingRows(node) {
+  const rows = new Set();
+  for (const entry of replicationQueue.filter(e => e.target === node && UNAPPLIED_REPLICATION_STATES.includes(e.status))) {
+    for (const row of entryRows(entry) || []) {
+      rows.add(String(row));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Write-lock the rows a repair rewrites, as a write naming them would (see
+ * lockForStatement). Resolves to the function that releases them.
+ */
+async function lockRepairRows(copy, ids) {
+  const repairId = `repair-${uuidv4()}`;
+  startTransaction(transactionManager, repairId, copy, 'REPEATABLE_READ');
+  const lockResult = await lockForStatement(transactionManager, repairId, mysql.format('DELETE FROM trans WHERE trans_id IN (?)', [ids]));
+  if (!lockResult.success) {
+    abortTransaction(transactionManager, repairId);
+    throw new Error(`Could not lock the rows to repair: ${describeLockFailure(lockResult).error}`);
+  }
+  return committed => (committed ? commitTransaction : abortTransaction)(transactionManager, repairId);
+}
+
+/**
+ * Re-sync rows of a copy from its authority (see repairRows): under their
+ * row locks they are read again from the authority and stored on the copy
+ * if they belong there, deleted otherwise, in one transaction.
+ * Returns { stored, deleted }.
+ */
+async function repairCopy(comparison, ids) {
+  const { copy, authority, placement } = comparison;
+  const repaired = await repairRows(ids, {
+    lock: keys => lockRepairRows(copy, keys),
+    rows: async keys => (authority ? fetchRowImages(authority, keys) : []),
+    place: placement ? current => placeRows(fragmentation, current)[placement] : undefined,
+    write: async (store, remove) => {
+      const conn = await pools[copy].getConnection();
+      try {
+        await conn.query('START TRANSACTION');
+        for (const sql of rowImageStatements(store, remove)) {
+          await conn.query(sql);
+        }
+        await conn.query('COMMIT');
+      } catch (error) {
+        await conn.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        conn.release();
       }
-      
-      results.failed++;
-      results.details.push({
-        id: entry.id,
-        query: entry.query.substring(0, 100),
-        status: entry.status,
-        error: error.message,
-        attempts: entry.retryCount
-      });
     }
+  });
+  
+  console.log(`[CONSISTENCY] Repaired ${copy} from ${authority || 'its fragments'}: ${repaired.stored} stored, ${repaired.deleted} deleted`);
+  return repaired;
+}
+
+/**
+ * Compare one pair of copies and, with repair, re-sync the rows that differ
+ */
+async function runComparison(comparison, repair) {
+  const { fragment, copy, authority } = comparison;
+  const result = {
+    fragment,
+    copy,
+    authority,
+    scope: fragment ? `fragment ${fragment}` : authority ? 'all rows' : 'rows outside its fragments'
+  };
+  
+  const offline = [authority, copy].filter(node => node && !isNodeAvailable(node));
+  if (offline.length > 0) {
+    return { ...result, status: 'skipped', reason: `${offline.join(', ')} offline` };
+  }
+  
+  try {
+    const diff = await merkleDiff(
+      authority ? checksumSource(authority, comparison.scope) : EMPTY_SOURCE,
+      checksumSource(copy, comparison.scope),
+      { fanout: CHECKSUM_FANOUT, leafSize: LEAF_RANGE_SIZE }
+    );
+    
+    const lagging = laggingRows(copy);
+    const behind = id => lagging.has(String(id));
+    Object.assign(result, {
+      missing: diff.missing.map(row => row.trans_id).filter(id => !behind(id)),
+      extra: diff.extra.map(row => row.trans_id).filter(id => !behind(id)),
+      divergent: diff.divergent.filter(row => !behind(row.trans_id)).map(row => ({
+        trans_id: row.trans_id,
+        columns: row.columns,
+        authority: Object.fromEntries(row.columns.map(column => [column, row.authority[column]])),
+        copy: Object.fromEntries(row.columns.map(column => [column, row.copy[column]]))
+      })),
+      lagging: [...diff.missing, ...diff.extra, ...diff.divergent].map(row => row.trans_id).filter(behind),
+      rangesCompared: diff.rangesCompared,
+      rangesFetched: diff.rangesFetched
+    });
+    
+    const differing = [...result.missing, ...result.extra, ...result.divergent.map(row => row.trans_id)];
+    result.status = differing.length === 0 ? 'consistent' : 'inconsistent';
+    if (repair && differing.length > 0) {
+      result.repaired = await repairCopy(comparison, differing);
+    }
+  } catch (error) {
+    console.error(`[CONSISTENCY] ${copy} against ${authority || 'its fragments'} failed: ${error.message}`);
+    return { ...result, status: 'failed', error: error.message };
+  }
+  return result;
+}
+
+/**
+ * Compare every pair of copies (see consistencyComparisons) and keep the
+ * report. Rows written while the check runs may show up as differences.
+ */
+async function runConsistencyCheck(repair, trigger) {
+  const startedAt = new Date();
+  const comparisons = [];
+  for (const comparison of consistencyComparisons()) {
+    comparisons.push(await runComparison(comparison, repair));
   }
   
-  // Persist updated queue
-  await persistLogs();
-  
-  console.log(`[RECOVERY] Summary for ${recoveredNode}: ${results.success} succeeded, ${results.failed} failed out of ${results.total} total`);
-  if (results.retryable.length > 0) {
-    console.log(`[RECOVERY] ${results.retryable.length} transactions pending retry`);
-  }
+  const count = key => comparisons.reduce((sum, c) => sum + (c[key]?.length || 0), 0);
+  const totals = { missing: count('missing'), extra: count('extra'), divergent: count('divergent'), lagging: count('lagging') };
+  const report = {
+    id: uuidv4(),
+    trigger,
+    repair,
+    consistent: comparisons.every(c => c.status === 'consistent'),
+    totals,
+    comparisons,
+    startedAt,
+    finishedAt: new Date(),
+    durationMs: Date.now() - startedAt.getTime()
+  };
   
-  return results;
+  console.log(`[CONSISTENCY] ${trigger} check${repair ? ' with repair' : ''}: ${totals.missing} missing, ${totals.extra} extra, ${totals.divergent} divergent, ${totals.lagging} lagging (${report.durationMs}ms)`);
+  consistencyReport = report;
+  return report;
+}
+
+/**
+ * Run a check after any that is already running
+ */
+function checkConsistency({ repair = false, trigger = 'on_demand' } = {}) {
+  const check = consistencyChecks.then(() => runConsistencyCheck(repair, trigger));
+  consistencyChecks = check.catch(() => {});
+  return check;
+}
+
+/**
+ * Check in the background every CONSISTENCY_CHECK_INTERVAL_MS
+ */
+function scheduleConsistencyChecks() {
+  clearTimeout(consistencyTimer);
+  consistencyTimer = setTimeout(async () => {
+    try {
+      await checkConsistency({ trigger: 'background' });
+    } catch (error) {
+      console.error('[CONSISTENCY] Background check failed:', error.message);
+    }
+    scheduleConsistencyChecks();
+  }, CONSISTENCY_CHECK_INTERVAL_MS);
+}
+
+// ============================================================================
+// TRANS RECORD API
+// ============================================================================
+
+/**
+ * Validation and the parameterized statements for /api/trans live in
+ * trans-record.js; the routes below run them through autoExecute.
+ */
+
+/**
+ * Concurrency options for a /api/trans request. They come from the query
+ * string so the JSON body holds nothing but the record itself.
+ */
+function transRequestOptions(req) {
+  const { isolationLevel, concurrencyControl, deadlockPolicy, protocol, failCoordinatorAfter } = req.query;
+  return { isolationLevel, concurrencyControl, deadlockPolicy, protocol, failCoordinatorAfter };
 }
 
 // Initialize connection pools
 async function initializePools() {
   try {
-    pools.node0 = mysql.createPool(dbConfig.node0);
-    pools.node1 = mysql.createPool(dbConfig.node1);
-    pools.node2 = mysql.createPool(dbConfig.node2);
+    for (const node of nodeNames()) {
+      pools[node] = mysql.createPool(dbConfig[node]);
+    }
     
     console.log('Connection pools initialized');
     
@@ -885,7 +1646,7 @@ async function initializePools() {
 
 // Test connections to all nodes
 async function testAllConnections() {
-  const nodes = ['node0', 'node1', 'node2'];
+  const nodes = nodeNames();
   console.log('\n[TEST] Testing database connections...\n');
   
   for (const node of nodes) {
@@ -917,7 +1678,7 @@ async function testAllConnections() {
 
 // Check node health
 async function checkNodeHealth() {
-  for (const node of ['node0', 'node1', 'node2']) {
+  for (const node of nodeNames()) {
     if (simulatedFailures[node]) {
       nodeStatus[node] = { status: 'offline', lastCheck: new Date(), error: 'Simulated failure' };
       continue;
@@ -961,16 +1722,92 @@ app.get('/api/nodes/status', async (req, res) => {
   }
 });
 
-// 3.5 Auto-Execute Query (Automatic Node Selection)
-app.post('/api/query/auto-execute', async (req, res) => {
-  const { query, isolationLevel } = req.body;
+// 2b. Cluster topology (nodes, roles and the fragments each one stores)
+app.get('/api/topology', (req, res) => {
+  res.json(describeTopology());
+});
+
+// 2c. Register a node at runtime - { name, role, replicaOf?, label?, host, port, user?, password?, database?, fragments? }
+app.post('/api/nodes', async (req, res) => {
+  const { fragments: ownedFragments = [], ...declaration } = req.body || {};
+  
+  if (findNode(topology, declaration.name)) {
+    return res.status(409).json({ error: `Node ${declaration.name} already exists` });
+  }
+  if (!Array.isArray(ownedFragments) || (ownedFragments.length > 0 && declaration.role !== 'fragment')) {
+    return res.status(400).json({ error: 'fragments must be a list of fragment names and is only allowed for fragment nodes' });
+  }
+  const unknown = ownedFragments.filter(name => !findFragment(fragmentation, name));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      error: `Unknown fragments: ${unknown.join(', ')}`,
+      available: fragmentation.fragments.map(fragment => fragment.name)
+    });
+  }
+  
+  let nextTopology;
+  try {
+    nextTopology = addNode(topology, declaration);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  
+  topology = nextTopology;
+  registerNode(findNode(topology, declaration.name), { createPool: true });
+  
+  const reassignedFragments = ownedFragments.map(name => ({
+    fragment: name,
+    from: findFragment(fragmentation, name).node,
+    to: declaration.name
+  }));
+  if (reassignedFragments.length > 0) {
+    reassignFragments(ownedFragments, declaration.name);
+  }
+  
+  await checkNodeHealth();
+  await loadAppliedLsns(lsnTracker, [declaration.name]);
+  console.log(`[TOPOLOGY] Registered ${declaration.name} (${declaration.role}) - ${nodeStatus[declaration.name].status}`);
   
+  res.status(201).json({
+    node: describeTopology().nodes.find(node => node.name === declaration.name),
+    reassignedFragments,
+    note: 'Existing rows are not copied to the new node'
+  });
+});
+
+/**
+ * Run one statement on the node picked by automatic node selection: locking,
+ * WAL, execution and 2PC/3PC replication. Shared by /api/query/auto-execute
+ * and the /api/trans routes. Returns { status, body } for the HTTP response.
+ */
+async function autoExecute({ query, isolationLevel, concurrencyControl, deadlockPolicy: policy, protocol, failCoordinatorAfter }) {
   if (!query || !query.trim()) {
-    return res.status(400).json({ error: 'Query is required' });
+    return { status: 400, body: { error: 'Query is required' } };
+  }
+  
+  const unsupported = describeUnsupportedStatement(query);
+  if (unsupported) {
+    return { status: 400, body: unsupported };
   }
 
   const effectiveIsolation = isolationLevel || 'READ_COMMITTED';
+  const effectiveControl = concurrencyControl || '2PL';
+  
+  if (!CONCURRENCY_CONTROLS.includes(effectiveControl)) {
+    return { status: 400, body: { error: `Invalid concurrency control: ${effectiveControl}` } };
+  }
+  
+  if (policy && !DEADLOCK_POLICIES.includes(policy)) {
+    return { status: 400, body: { error: `Invalid deadlock policy: ${policy}`, available: DEADLOCK_POLICIES } };
+  }
+  
+  const commitOptions = parseCommitOptions(commitCoordinator, { protocol, failCoordinatorAfter });
+  if (commitOptions.error) {
+    return { status: 400, body: commitOptions.error };
+  }
   const transactionId = uuidv4();
+  let connection = null;
+  let originBranch = null;
   
   console.log(`\n[AUTO-EXECUTE] Starting automatic query execution...`);
   console.log(`[AUTO-EXECUTE] Query: ${query.substring(0, 100)}...`);
@@ -981,23 +1818,36 @@ app.post('/api/query/auto-execute', async (req, res) => {
     console.log(`[AUTO-EXECUTE] Node selection result:`, nodeSelection);
     
     // Step 2: Get an available node (handles failover)
-    const availability = getAvailableNode(nodeSelection.primaryNode, nodeSelection.recordDate);
+    const availability = getAvailableNode(nodeSelection.primaryNode, nodeSelection.fragmentNode);
     
     if (!availability.node) {
-      return res.status(503).json({
-        error: 'All database nodes are offline',
-        transactionId,
-        nodeSelection,
-        message: 'Cannot execute query - no available nodes'
-      });
+      return {
+        status: 503,
+        body: {
+          error: 'All database nodes are offline',
+          transactionId,
+          nodeSelection,
+          message: 'Cannot execute query - no available nodes'
+        }
+      };
     }
     
     const targetNode = availability.node;
     console.log(`[AUTO-EXECUTE] Target node: ${targetNode} (fallback: ${availability.isFallback})`);
     
+    // A read that falls back to a node without every row is answered by all fragments instead
+    let distributedPlan = null;
+    if (!isWriteQuery(query) && !nodeSelection.fragmentNode && !storesAllRows(targetNode)) {
+      distributedPlan = planDistributedSelect(parseStatement(query));
+      console.log(distributedPlan.supported
+        ? `[AUTO-EXECUTE] ${masterNode()} offline, running the SELECT on every fragment`
+        : `[AUTO-EXECUTE] Cannot run on every fragment (${distributedPlan.reason}), reading ${targetNode} only`);
+    }
+    
     // Step 3: Execute on the target node (reuse existing logic)
     // Write-Ahead Log: Log BEFORE execution
     const logEntry = writeAheadLog(transactionId, targetNode, query, effectiveIsolation);
+    logEntry.concurrencyControl = effectiveControl;
     logEntry.autoRouted = true;
     logEntry.nodeSelection = nodeSelection;
     logEntry.availability = availability;
@@ -1005,50 +1855,51 @@ app.post('/api/query/auto-execute', async (req, res) => {
     // Persist WAL to disk immediately
     await persistLogs();
 
-    let connection = null;
     const isWrite = isWriteQuery(query);
     const transId = parseTransId(query);
     
     connection = await pools[targetNode].getConnection();
     
     // Start transaction tracking
-    startTransaction(transactionId, targetNode, effectiveIsolation);
+    startTransaction(transactionManager, transactionId, targetNode, effectiveIsolation, effectiveControl, policy);
     const txn = transactions[transactionId];
     
     // ISOLATION LEVEL SPECIFIC LOCKING
-    if (isWrite && transId) {
-      const lockResult = await acquireLock(transactionId, transId, 'write', effectiveIsolation);
+    const lockResult = await lockForStatement(transactionManager, transactionId, query);
+    
+    if (!lockResult.success) {
+      abortTransaction(transactionManager, transactionId);
       
-      if (!lockResult.success) {
-        abortTransaction(transactionId);
-        connection.release();
-        
-        logEntry.status = 'timeout';
-        logEntry.error = lockResult.reason;
-        logEntry.endTime = new Date();
-        
-        return res.status(408).json({
+      const failure = describeLockFailure(lockResult);
+      logEntry.status = failure.logStatus;
+      logEntry.error = lockResult.reason;
+      logEntry.prevention = lockResult.prevention;
+      logEntry.endTime = new Date();
+      
+      return {
+        status: failure.httpStatus,
+        body: {
           transactionId,
-          error: `Write timeout: ${lockResult.reason}`,
+          error: failure.error,
+          ...failure.details,
           isolationLevel: effectiveIsolation,
           targetNode,
           logEntry
-        });
-      }
+        }
+      };
+    }
+    
+    if (lockResult.cachedResults) {
+      const cachedResults = lockResult.cachedResults;
       
-      txn.writeSet.add(transId);
-    } else if (!isWrite && transId) {
-      if (effectiveIsolation === 'REPEATABLE_READ' && txn.snapshot[transId]) {
-        const cachedResults = txn.snapshot[transId];
-        
-        logEntry.status = 'committed';
-        logEntry.endTime = new Date();
-        logEntry.results = cachedResults;
-        logEntry.snapshotUsed = true;
-        
-        connection.release();
-        
-        return res.json({
+      logEntry.status = 'committed';
+      logEntry.endTime = new Date();
+      logEntry.results = cachedResults;
+      logEntry.snapshotUsed = true;
+      
+      return {
+        status: 200,
+        body: {
           transactionId,
           results: cachedResults,
           snapshotUsed: true,
@@ -1056,33 +1907,104 @@ app.post('/api/query/auto-execute', async (req, res) => {
           autoRouted: true,
           nodeSelection,
           logEntry
-        });
-      }
+        }
+      };
+    }
+
+    // Writes stay uncommitted in an XA branch until every copy can commit (and OCC validation passes)
+    const optimistic = txn.concurrencyControl === 'OCC';
+    if (isWrite) {
+      originBranch = await startOriginBranch(connection, transactionId, targetNode);
+    }
+    
+    // Execute query (remembering old row versions while snapshots are active)
+    const touchedRows = isWrite ? await captureBeforeImages(versionStore, connection, txn, query) : null;
+    
+    const ssiResult = trackSerializableSnapshot(ssiTracker, txn, query, isWrite, touchedRows);
+    if (!ssiResult.success) {
+      await rollbackBranch(originBranch);
+      abortTransaction(transactionManager, transactionId);
       
-      const lockResult = await acquireLock(transactionId, transId, 'read', effectiveIsolation);
+      logEntry.status = 'conflict';
+      logEntry.error = ssiResult.reason;
+      logEntry.endTime = new Date();
+      await persistLogs();
       
-      if (!lockResult.success) {
-        abortTransaction(transactionId);
-        connection.release();
+      return {
+        status: 409,
+        body: {
+          transactionId,
+          error: ssiResult.reason,
+          conflict: true,
+          retryable: true,
+          structure: ssiResult.structure,
+          logEntry
+        }
+      };
+    }
+    
+    let results;
+    let coverage = {};
+    if (distributedPlan?.supported) {
+      const distributed = await scatterGather(distributedPlan);
+      results = distributed.results;
+      coverage = {
+        distributed: { fragments: distributed.fragments, missingFragments: distributed.missingFragments },
+        partial: distributed.partial
+      };
+    } else {
+      [results] = await connection.query(query);
+      if (distributedPlan) {
+        coverage = { partial: true, warning: `Only rows stored on ${targetNode} were read: ${distributedPlan.reason}` };
+      }
+    }
+    
+    if (optimistic) {
+      const validation = validateOptimistic(occValidator, txn);
+      if (!validation.success) {
+        await rollbackBranch(originBranch);
+        abortTransaction(transactionManager, transactionId);
         
-        logEntry.status = 'timeout';
-        logEntry.error = lockResult.reason;
+        logEntry.status = 'conflict';
+        logEntry.error = validation.reason;
         logEntry.endTime = new Date();
+        await persistLogs();
         
-        return res.status(408).json({
+        return { status: 409, body: { ...describeValidationFailure(transactionId, validation), logEntry } };
+      }
+    }
+    
+    // Commit the write on this node and every copy in one commit round
+    const replication = await replicateWrite(targetNode, query, transactionId, originBranch, commitOptions.options);
+    logEntry.replication = replication.entries.map(r => ({ target: r.target, status: r.status }));
+    logEntry.commit = replication.commit;
+    
+    if (replication.commit?.outcome === 'aborted') {
+      abortTransaction(transactionManager, transactionId);
+      
+      logEntry.status = 'aborted';
+      logEntry.error = replication.commit.reason;
+      logEntry.endTime = new Date();
+      await persistLogs();
+      
+      return {
+        status: 500,
+        body: {
           transactionId,
-          error: `Read timeout: ${lockResult.reason}`,
-          isolationLevel: effectiveIsolation,
+          error: `Write aborted on every node: ${replication.commit.reason}`,
+          status: 'aborted',
           targetNode,
+          commit: replication.commit,
+          replication: logEntry.replication,
           logEntry
-        });
-      }
-      
-      txn.readSet.add(transId);
+        }
+      };
+    }
+    
+    // A branch lost with its node mid-round (3PC) only commits at node recovery
+    if (originBranch?.state === 'committed') {
+      await recordCommittedVersions(versionStore, connection, txn);
     }
-
-    // Execute query
-    const [results] = await connection.query(query);
     
     // Store snapshot for REPEATABLE_READ
     if (!isWrite && transId && effectiveIsolation === 'REPEATABLE_READ') {
@@ -1091,41 +2013,47 @@ app.post('/api/query/auto-execute', async (req, res) => {
       }
     }
 
-    logEntry.status = 'committed';
+    // A blocked 3PC round commits at node recovery
+    const blocked = replication.commit?.outcome === 'blocked';
+    logEntry.status = blocked ? 'in_doubt' : 'committed';
     logEntry.endTime = new Date();
     logEntry.results = results;
     logEntry.readSet = Array.from(txn.readSet);
     logEntry.writeSet = Array.from(txn.writeSet);
-    
-    // Replicate write to other nodes
-    const replicationResults = await replicateWrite(targetNode, query);
-    logEntry.replication = replicationResults.map(r => ({ target: r.target, status: r.status }));
+    Object.assign(logEntry, coverage);
 
     // ISOLATION LEVEL SPECIFIC LOCK RELEASE
     if (effectiveIsolation === 'READ_COMMITTED' && transId) {
-      releaseLock(transactionId, transId, effectiveIsolation);
+      releaseLock(lockManager, transactionId, transId, effectiveIsolation);
     }
     
-    commitTransaction(transactionId);
-    connection.release();
+    commitTransaction(transactionManager, transactionId);
     
     await persistLogs();
 
-    res.json({
-      transactionId,
-      results,
-      targetNode,
-      autoRouted: true,
-      nodeSelection,
-      isFallback: availability.isFallback,
-      fallbackReason: availability.fallbackReason,
-      replication: logEntry.replication,
-      logEntry
-    });
+    return {
+      status: blocked ? 202 : 200,
+      body: {
+        transactionId,
+        results,
+        targetNode,
+        autoRouted: true,
+        nodeSelection,
+        isFallback: availability.isFallback,
+        fallbackReason: availability.fallbackReason,
+        ...coverage,
+        commit: logEntry.commit,
+        replication: logEntry.replication,
+        logEntry
+      }
+    };
     
   } catch (error) {
     console.error(`[AUTO-EXECUTE] Error:`, error.message);
     
+    // A write that failed before its commit round must not stay open on the node
+    await rollbackBranch(originBranch);
+
     const logEntry = {
       transactionId,
       status: 'failed',
@@ -1134,34 +2062,184 @@ app.post('/api/query/auto-execute', async (req, res) => {
     };
     transactionLog.push(logEntry);
     
-    abortTransaction(transactionId);
+    abortTransaction(transactionManager, transactionId);
     await persistLogs();
 
-    res.status(500).json({
-      transactionId,
-      error: error.message,
-      logEntry
-    });
+    return {
+      status: 500,
+      body: {
+        transactionId,
+        error: error.message,
+        logEntry
+      }
+    };
+  } finally {
+    // A session still holding the write's XA branch (its rollback failed, or it
+    // was left prepared) cannot go back to the pool, so it is dropped
+    if (connection) {
+      if (['active', 'idle', 'prepared'].includes(originBranch?.state)) {
+        connection.destroy();
+      } else {
+        connection.release();
+      }
+    }
+  }
+}
+
+// 3.5 Auto-Execute Query (Automatic Node Selection)
+app.post('/api/query/auto-execute', async (req, res) => {
+  const { status, body } = await autoExecute(req.body);
+  res.status(status).json(body);
+});
+
+// 3.5b Scatter-gather query: run a SELECT on every fragment and merge the results
+app.post('/api/query/distributed', async (req, res) => {
+  const { query } = req.body;
+  if (!query || !query.trim()) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+  
+  const unsupported = describeUnsupportedStatement(query);
+  if (unsupported) {
+    return res.status(400).json(unsupported);
+  }
+  
+  const plan = planDistributedSelect(parseStatement(query));
+  if (!plan.supported) {
+    return res.status(400).json({ error: `Cannot run on every fragment: ${plan.reason}` });
+  }
+  
+  try {
+    const { results, fragments, partial, missingFragments } = await scatterGather(plan);
+    res.json({ results, distributed: { fragments, missingFragments }, partial });
+  } catch (error) {
+    console.error(`[SCATTER] Error:`, error.message);
+    res.status(503).json({ error: error.message });
+  }
+});
+
+// 3.6 Create a trans record (validated, parameterized, auto-routed)
+app.post('/api/trans', async (req, res) => {
+  const validation = validateTransRecord(req.body);
+  if (!validation.success) {
+    return res.status(400).json({ error: 'Invalid trans record', details: validation.errors });
+  }
+  
+  const query = buildTransStatement('insert', null, validation.record);
+  const { status, body } = await autoExecute({ ...transRequestOptions(req), query });
+  if (status !== 200) {
+    return res.status(status).json(body);
+  }
+  
+  res.status(201).json({ ...body, record: validation.record });
+});
+
+// 3.7 Read a trans record
+app.get('/api/trans/:id', async (req, res) => {
+  const transId = parseTransIdParam(req.params.id);
+  if (transId === null) {
+    return res.status(400).json({ error: 'trans_id must be a positive integer' });
+  }
+  
+  const query = buildTransStatement('select', transId);
+  const { status, body } = await autoExecute({ ...transRequestOptions(req), query });
+  if (status !== 200) {
+    return res.status(status).json(body);
+  }
+  
+  if (!body.results || body.results.length === 0) {
+    // A fragment that could not be read may hold the record
+    if (body.partial) {
+      return res.status(503).json({
+        error: `Trans record ${transId} not found on the fragments that could be read`,
+        transactionId: body.transactionId,
+        partial: true,
+        missingFragments: body.distributed?.missingFragments,
+        warning: body.warning
+      });
+    }
+    return res.status(404).json({ error: `Trans record ${transId} not found`, transactionId: body.transactionId, targetNode: body.targetNode });
+  }
+  
+  res.json({ ...body, record: body.results[0] });
+});
+
+// 3.8 Update some columns of a trans record
+app.patch('/api/trans/:id', async (req, res) => {
+  const transId = parseTransIdParam(req.params.id);
+  if (transId === null) {
+    return res.status(400).json({ error: 'trans_id must be a positive integer' });
+  }
+  
+  const validation = validateTransRecord(req.body, { partial: true });
+  if (!validation.success) {
+    return res.status(400).json({ error: 'Invalid trans record', details: validation.errors });
+  }
+  
+  const query = buildTransStatement('update', transId, validation.record);
+  const { status, body } = await autoExecute({ ...transRequestOptions(req), query });
+  if (status === 200 && body.results?.affectedRows === 0) {
+    return res.status(404).json({ ...body, error: `Trans record ${transId} not found` });
+  }
+  
+  res.status(status).json(body);
+});
+
+// 3.9 Delete a trans record
+app.delete('/api/trans/:id', async (req, res) => {
+  const transId = parseTransIdParam(req.params.id);
+  if (transId === null) {
+    return res.status(400).json({ error: 'trans_id must be a positive integer' });
+  }
+  
+  const query = buildTransStatement('delete', transId);
+  const { status, body } = await autoExecute({ ...transRequestOptions(req), query });
+  if (status === 200 && body.results?.affectedRows === 0) {
+    return res.status(404).json({ ...body, error: `Trans record ${transId} not found` });
   }
+  
+  res.status(status).json(body);
 });
 
 // 4. Execute Query on Specific Node (Manual selection - kept for backward compatibility)
 app.post('/api/query/execute', async (req, res) => {
-  const { node, query, isolationLevel } = req.body;
+  const { node, query, isolationLevel, concurrencyControl, deadlockPolicy: policy, protocol, failCoordinatorAfter } = req.body;
   
   if (!pools[node]) {
     return res.status(400).json({ error: 'Invalid node' });
   }
+  
+  const unsupported = describeUnsupportedStatement(query);
+  if (unsupported) {
+    return res.status(400).json(unsupported);
+  }
 
   const transactionId = uuidv4();
   const effectiveIsolation = isolationLevel || 'READ_COMMITTED';
+  const effectiveControl = concurrencyControl || '2PL';
+  
+  if (!CONCURRENCY_CONTROLS.includes(effectiveControl)) {
+    return res.status(400).json({ error: `Invalid concurrency control: ${effectiveControl}` });
+  }
+  
+  if (policy && !DEADLOCK_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `Invalid deadlock policy: ${policy}`, available: DEADLOCK_POLICIES });
+  }
+  
+  const commitOptions = parseCommitOptions(commitCoordinator, { protocol, failCoordinatorAfter });
+  if (commitOptions.error) {
+    return res.status(400).json(commitOptions.error);
+  }
 
-  // Check if the TARGET node (where we're executing) is marked as failed
-  // Block operations directly on killed nodes - this is critical for simulating node failure
-  if (simulatedFailures[node]) {
-    console.log(`[BLOCKED] Cannot execute query on killed node ${node} (simulated failure)`);
+  // Check if the TARGET node (where we're executing) can serve it
+  // Block operations directly on killed nodes - this is critical for simulating node failure -
+  // and on nodes still catching up (recovering or resynchronizing)
+  const unavailable = unavailableReason(node);
+  if (unavailable) {
+    console.log(`[BLOCKED] Cannot execute query on ${node}: ${unavailable}`);
     return res.status(503).json({ 
-      error: `Node ${node} is offline - operations not allowed`,
+      error: `Node ${node} is unavailable - operations not allowed`,
+      reason: unavailable,
       nodeStatus: 'offline',
       message: 'Please select a different node or recover this node first',
       transactionId
@@ -1172,11 +2250,13 @@ app.post('/api/query/execute', async (req, res) => {
   
   // Write-Ahead Log: Log BEFORE execution
   const logEntry = writeAheadLog(transactionId, node, query, effectiveIsolation);
+  logEntry.concurrencyControl = effectiveControl;
   
   // Persist WAL to disk immediately
   await persistLogs();
 
   let connection = null;
+  let originBranch = null;
   const isWrite = isWriteQuery(query);
   const transId = parseTransId(query);
   
@@ -1184,86 +2264,130 @@ app.post('/api/query/execute', async (req, res) => {
     connection = await pools[node].getConnection();
     
     // Start transaction tracking
-    startTransaction(transactionId, node, effectiveIsolation);
+    startTransaction(transactionManager, transactionId, node, effectiveIsolation, effectiveControl, policy);
     const txn = transactions[transactionId];
     
     // ISOLATION LEVEL SPECIFIC LOCKING
-    if (isWrite && transId) {
-      // Write operation - acquire write lock
-      const lockResult = await acquireLock(transactionId, transId, 'write', effectiveIsolation);
+    const lockResult = await lockForStatement(transactionManager, transactionId, query);
+    
+    if (!lockResult.success) {
+      // Lock timeout or deadlock - abort transaction
+      abortTransaction(transactionManager, transactionId);
+      connection.release();
       
-      if (!lockResult.success) {
-        // Lock timeout - abort transaction
-        abortTransaction(transactionId);
-        connection.release();
-        
-        logEntry.status = 'timeout';
-        logEntry.error = lockResult.reason;
-        logEntry.endTime = new Date();
-        transactionLog.push(logEntry);
-        
-        return res.status(408).json({
-          transactionId,
-          error: `Write timeout: ${lockResult.reason}`,
-          isolationLevel: effectiveIsolation,
-          logEntry
-        });
-      }
+      const failure = describeLockFailure(lockResult);
+      logEntry.status = failure.logStatus;
+      logEntry.error = lockResult.reason;
+      logEntry.prevention = lockResult.prevention;
+      logEntry.endTime = new Date();
+      transactionLog.push(logEntry);
       
-      txn.writeSet.add(transId);
-      console.log(`[WRITE] trans_id=${transId} added to writeSet of ${transactionId}`);
+      return res.status(failure.httpStatus).json({
+        transactionId,
+        error: failure.error,
+        ...failure.details,
+        isolationLevel: effectiveIsolation,
+        logEntry
+      });
+    }
+    
+    if (lockResult.cachedResults) {
+      const cachedResults = lockResult.cachedResults;
       
-    } else if (!isWrite && transId) {
-      // Read operation - check for snapshot first (REPEATABLE_READ)
-      if (effectiveIsolation === 'REPEATABLE_READ' && txn.snapshot[transId]) {
-        console.log(`[REPEATABLE_READ] Using cached snapshot for trans_id=${transId}`);
-        const cachedResults = txn.snapshot[transId];
-        
-        logEntry.status = 'committed';
-        logEntry.endTime = new Date();
-        logEntry.results = cachedResults;
-        logEntry.readSet = Array.from(txn.readSet);
-        logEntry.writeSet = Array.from(txn.writeSet);
-        logEntry.snapshotUsed = true;
-        
-        connection.release();
-        transactionLog.push(logEntry);
-        
-        return res.json({
-          transactionId,
-          results: cachedResults,
-          snapshotUsed: true,
-          logEntry
-        });
-      }
+      logEntry.status = 'committed';
+      logEntry.endTime = new Date();
+      logEntry.results = cachedResults;
+      logEntry.readSet = Array.from(txn.readSet);
+      logEntry.writeSet = Array.from(txn.writeSet);
+      logEntry.snapshotUsed = true;
+      
+      connection.release();
+      transactionLog.push(logEntry);
+      
+      return res.json({
+        transactionId,
+        results: cachedResults,
+        snapshotUsed: true,
+        logEntry
+      });
+    }
+
+    // Writes stay uncommitted in an XA branch until every copy can commit (and OCC validation passes)
+    const optimistic = txn.concurrencyControl === 'OCC';
+    if (isWrite) {
+      originBranch = await startOriginBranch(connection, transactionId, node);
+    }
+    
+    // Execute query (remembering old row versions while snapshots are active)
+    const touchedRows = isWrite ? await captureBeforeImages(versionStore, connection, txn, query) : null;
+    
+    const ssiResult = trackSerializableSnapshot(ssiTracker, txn, query, isWrite, touchedRows);
+    if (!ssiResult.success) {
+      await rollbackBranch(originBranch);
+      abortTransaction(transactionManager, transactionId);
+      connection.release();
       
-      // Acquire read lock (if needed by isolation level)
-      const lockResult = await acquireLock(transactionId, transId, 'read', effectiveIsolation);
+      logEntry.status = 'conflict';
+      logEntry.error = ssiResult.reason;
+      logEntry.endTime = new Date();
+      await persistLogs();
       
-      if (!lockResult.success) {
-        // Lock timeout - abort transaction
-        abortTransaction(transactionId);
+      return res.status(409).json({
+        transactionId,
+        error: ssiResult.reason,
+        conflict: true,
+        retryable: true,
+        structure: ssiResult.structure,
+        logEntry
+      });
+    }
+    
+    const [results] = await connection.query(query);
+    
+    if (optimistic) {
+      const validation = validateOptimistic(occValidator, txn);
+      if (!validation.success) {
+        await rollbackBranch(originBranch);
+        abortTransaction(transactionManager, transactionId);
         connection.release();
         
-        logEntry.status = 'timeout';
-        logEntry.error = lockResult.reason;
+        logEntry.status = 'conflict';
+        logEntry.error = validation.reason;
         logEntry.endTime = new Date();
-        transactionLog.push(logEntry);
+        await persistLogs();
         
-        return res.status(408).json({
-          transactionId,
-          error: `Read timeout: ${lockResult.reason}`,
-          isolationLevel: effectiveIsolation,
-          logEntry
-        });
+        return res.status(409).json({ ...describeValidationFailure(transactionId, validation), logEntry });
       }
+    }
+    
+    // Commit the write on this node and every copy in one commit round
+    const replication = await replicateWrite(node, query, transactionId, originBranch, commitOptions.options);
+    logEntry.replication = replication.entries.map(r => ({ target: r.target, status: r.status }));
+    logEntry.commit = replication.commit;
+    
+    if (replication.commit?.outcome === 'aborted') {
+      abortTransaction(transactionManager, transactionId);
+      connection.release();
       
-      txn.readSet.add(transId);
-      console.log(`[READ] trans_id=${transId} added to readSet of ${transactionId}`);
+      logEntry.status = 'aborted';
+      logEntry.error = replication.commit.reason;
+      logEntry.endTime = new Date();
+      await persistLogs();
+      
+      return res.status(500).json({
+        transactionId,
+        error: `Write aborted on every node: ${replication.commit.reason}`,
+        status: 'aborted',
+        commit: replication.commit,
+        replication: logEntry.replication,
+        logEntry
+      });
+    }
+    
+    // A branch lost with its node mid-round (3PC) only commits at node recovery
+    if (originBranch?.state === 'committed') {
+      await recordCommittedVersions(versionStore, connection, txn);
     }
-
-    // Execute query
-    const [results] = await connection.query(query);
     
     // Store snapshot for REPEATABLE_READ on first read
     if (!isWrite && transId && effectiveIsolation === 'REPEATABLE_READ') {
@@ -1273,26 +2397,24 @@ app.post('/api/query/execute', async (req, res) => {
       }
     }
 
-    logEntry.status = 'committed';
+    // A blocked 3PC round commits at node recovery
+    const blocked = replication.commit?.outcome === 'blocked';
+    logEntry.status = blocked ? 'in_doubt' : 'committed';
     logEntry.endTime = new Date();
     logEntry.results = results;
     logEntry.readSet = Array.from(txn.readSet);
     logEntry.writeSet = Array.from(txn.writeSet);
-    
-    // Replicate write to other nodes
-    const replicationResults = await replicateWrite(node, query);
-    logEntry.replication = replicationResults.map(r => ({ target: r.target, status: r.status }));
 
     // ISOLATION LEVEL SPECIFIC LOCK RELEASE
     if (effectiveIsolation === 'READ_COMMITTED' && transId) {
       // READ_COMMITTED: Release locks immediately (both read and write)
-      releaseLock(transactionId, transId, effectiveIsolation);
+      releaseLock(lockManager, transactionId, transId, effectiveIsolation);
       console.log(`[READ_COMMITTED] Lock released immediately for trans_id=${transId} (${isWrite ? 'write' : 'read'})`);
     }
     // For REPEATABLE_READ and SERIALIZABLE: Locks released at commit
     
     // Commit transaction (releases remaining locks for REPEATABLE_READ/SERIALIZABLE)
-    commitTransaction(transactionId);
+    commitTransaction(transactionManager, transactionId);
     
     connection.release();
     
@@ -1300,9 +2422,10 @@ app.post('/api/query/execute', async (req, res) => {
     // Persist updated status to disk
     await persistLogs();
 
-    res.json({
+    res.status(blocked ? 202 : 200).json({
       transactionId,
       results,
+      commit: logEntry.commit,
       replication: logEntry.replication,
       logEntry
     });
@@ -1312,7 +2435,10 @@ app.post('/api/query/execute', async (req, res) => {
     logEntry.error = error.message;
     
     // Abort transaction on error (releases all locks)
-    abortTransaction(transactionId);
+    abortTransaction(transactionManager, transactionId);
+    
+    // A write that failed before its commit round must not stay open on the node
+    await rollbackBranch(originBranch);
     
     if (connection) {
       connection.release();
@@ -1329,6 +2455,359 @@ app.post('/api/query/execute', async (req, res) => {
   }
 });
 
+// 4b. Interactive Transactions - BEGIN
+app.post('/api/txn/begin', async (req, res) => {
+  const { node, isolationLevel, concurrencyControl, deadlockPolicy: policy } = req.body;
+  const effectiveIsolation = isolationLevel || 'READ_COMMITTED';
+  const effectiveControl = concurrencyControl || '2PL';
+  
+  if (!pools[node]) {
+    return res.status(400).json({ error: 'Invalid node' });
+  }
+  
+  if (!MYSQL_ISOLATION_LEVELS[effectiveIsolation]) {
+    return res.status(400).json({ error: `Invalid isolation level: ${effectiveIsolation}` });
+  }
+  
+  if (!CONCURRENCY_CONTROLS.includes(effectiveControl)) {
+    return res.status(400).json({ error: `Invalid concurrency control: ${effectiveControl}` });
+  }
+  
+  if (policy && !DEADLOCK_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `Invalid deadlock policy: ${policy}`, available: DEADLOCK_POLICIES });
+  }
+  
+  const unavailable = unavailableReason(node);
+  if (unavailable) {
+    return res.status(503).json({
+      error: `Node ${node} is unavailable - operations not allowed`,
+      reason: unavailable,
+      nodeStatus: 'offline'
+    });
+  }
+  
+  const transactionId = uuidv4();
+  let connection = null;
+  
+  try {
+    connection = await pools[node].getConnection();
+    
+    // SET TRANSACTION (without SESSION) only applies to the next transaction,
+    // so the pooled connection goes back with its default isolation level
+    // The session runs in the XA branch its writes are committed with on
+    // every copy (see /api/txn/:id/commit)
+    await connection.query(`SET TRANSACTION ISOLATION LEVEL ${MYSQL_ISOLATION_LEVELS[effectiveIsolation]}`);
+    const branch = await startOriginBranch(connection, transactionId, node);
+    
+    startTransaction(transactionManager, transactionId, node, effectiveIsolation, effectiveControl, policy);
+    transactions[transactionId].interactive = true;
+    transactions[transactionId].statements = [];
+    
+    sessions[transactionId] = { connection, branch, idleTimer: null };
+    touchSession(transactionId);
+    
+    console.log(`[SESSION] ${transactionId} BEGIN on ${node} (${effectiveIsolation}, ${effectiveControl})`);
+    
+    res.json({
+      transactionId,
+      node,
+      isolationLevel: effectiveIsolation,
+      concurrencyControl: effectiveControl,
+      deadlockPolicy: transactions[transactionId].deadlockPolicy,
+      status: 'active',
+      idleTimeout: SESSION_IDLE_TIMEOUT
+    });
+  } catch (error) {
+    if (connection) {
+      connection.release();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 4c. Interactive Transactions - run one statement inside the transaction
+app.post('/api/txn/:id/query', async (req, res) => {
+  const transactionId = req.params.id;
+  const { query } = req.body;
+  const txn = transactions[transactionId];
+  
+  if (!txn || !sessions[transactionId]) {
+    return res.status(404).json({ error: 'Transaction not found or already finished', transactionId });
+  }
+  
+  if (!query || !query.trim()) {
+    return res.status(400).json({ error: 'Query is required' });
+  }
+  
+  const unsupported = describeUnsupportedStatement(query);
+  if (unsupported) {
+    return res.status(400).json(unsupported);
+  }
+  
+  // The origin node died mid-transaction: MySQL work is lost, so abort
+  if (simulatedFailures[txn.node]) {
+    await rollbackSession(transactionId, `Node ${txn.node} went offline`);
+    return res.status(503).json({
+      transactionId,
+      error: `Node ${txn.node} is offline - transaction aborted`,
+      status: 'aborted'
+    });
+  }
+  
+  touchSession(transactionId);
+  
+  const statementIndex = txn.statements.length;
+  const logEntry = writeAheadLog(transactionId, txn.node, query, txn.isolationLevel);
+  logEntry.interactive = true;
+  logEntry.statementIndex = statementIndex;
+  await persistLogs();
+  
+  const lockResult = await lockForStatement(transactionManager, transactionId, query);
+  
+  if (!lockResult.success) {
+    // Under 2PL a lock timeout or deadlock aborts the whole transaction
+    const failure = describeLockFailure(lockResult);
+    logEntry.status = failure.logStatus;
+    logEntry.error = lockResult.reason;
+    logEntry.prevention = lockResult.prevention;
+    logEntry.endTime = new Date();
+    await rollbackSession(transactionId, lockResult.reason);
+    
+    return res.status(failure.httpStatus).json({
+      transactionId,
+      error: failure.error,
+      ...failure.details,
+      isolationLevel: txn.isolationLevel,
+      status: 'aborted',
+      logEntry
+    });
+  }
+  
+  if (lockResult.cachedResults) {
+    logEntry.status = 'executed';
+    logEntry.results = lockResult.cachedResults;
+    logEntry.snapshotUsed = true;
+    
+    return res.json({
+      transactionId,
+      statementIndex,
+      results: lockResult.cachedResults,
+      snapshotUsed: true,
+      readSet: Array.from(txn.readSet),
+      writeSet: Array.from(txn.writeSet)
+    });
+  }
+  
+  try {
+    const { transId, isWrite } = lockResult;
+    const { locking } = parseStatement(query);
+    const { connection, branch } = sessions[transactionId];
+
+    const touchedRows = isWrite ? await captureBeforeImages(versionStore, connection, txn, query) : null;
+    
+    // SSI: abort before running a statement that completes a dangerous structure
+    const ssiResult = trackSerializableSnapshot(ssiTracker, txn, query, isWrite, touchedRows);
+    if (!ssiResult.success) {
+      logEntry.status = 'conflict';
+      logEntry.error = ssiResult.reason;
+      logEntry.endTime = new Date();
+      await rollbackSession(transactionId, ssiResult.reason);
+      
+      return res.status(409).json({
+        transactionId,
+        error: ssiResult.reason,
+        conflict: true,
+        retryable: true,
+        structure: ssiResult.structure,
+        isolationLevel: txn.isolationLevel,
+        status: 'aborted',
+        logEntry
+      });
+    }
+    
+    let [results, fields] = await connection.query(query);
+    
+    if (!isWrite && !locking && usesSnapshot(txn)) {
+      const snapshotRead = applySnapshot(versionStore, txn, query, results, fields);
+      results = snapshotRead.results;
+      if (!snapshotRead.versioned) {
+        console.log(`[SNAPSHOT] Result of "${query}" has no trans_id - returned unversioned`);
+      }
+    }
+    
+    // Store snapshot for REPEATABLE_READ on first read
+    if (!isWrite && transId && txn.isolationLevel === 'REPEATABLE_READ' && !txn.snapshot[transId]) {
+      txn.snapshot[transId] = results;
+      console.log(`[REPEATABLE_READ] Snapshot stored for trans_id=${transId}`);
+    }
+    
+    // READ_COMMITTED: short read locks are released right away, but write
+    // locks (and those of locking reads) stay until COMMIT
+    if (txn.isolationLevel === 'READ_COMMITTED' && !isWrite && !locking && transId && !txn.writeSet.has(transId)) {
+      releaseLock(lockManager, transactionId, transId, txn.isolationLevel);
+      delete txn.locks[transId];
+    }
+    
+    // Where the write goes is worked out now, while its rows are as it left them
+    const plan = isWrite ? await planReplication(txn.node, query, branch) : null;
+    txn.statements.push({ query, isWrite, transId, plan, executedAt: new Date() });
+    
+    logEntry.status = 'executed';
+    logEntry.results = results;
+    logEntry.readSet = Array.from(txn.readSet);
+    logEntry.writeSet = Array.from(txn.writeSet);
+    await persistLogs();
+    
+    res.json({
+      transactionId,
+      statementIndex,
+      results,
+      readSet: logEntry.readSet,
+      writeSet: logEntry.writeSet
+    });
+  } catch (error) {
+    // A failed statement does not end the MySQL transaction; the client
+    // decides whether to continue, COMMIT or ROLLBACK
+    logEntry.status = 'failed';
+    logEntry.endTime = new Date();
+    logEntry.error = error.message;
+    await persistLogs();
+    
+    res.status(500).json({
+      transactionId,
+      statementIndex,
+      error: error.message,
+      status: 'active'
+    });
+  }
+});
+
+// 4d. Interactive Transactions - COMMIT on every copy in one commit round
+app.post('/api/txn/:id/commit', async (req, res) => {
+  const transactionId = req.params.id;
+  const txn = transactions[transactionId];
+  const session = sessions[transactionId];
+  
+  if (!txn || !session) {
+    return res.status(404).json({ error: 'Transaction not found or already finished', transactionId });
+  }
+  
+  // Protocol the writes are replicated with (the transaction is still open on a bad value)
+  const commitOptions = parseCommitOptions(commitCoordinator, req.body || {});
+  if (commitOptions.error) {
+    return res.status(400).json({ transactionId, ...commitOptions.error });
+  }
+  
+  if (simulatedFailures[txn.node]) {
+    await rollbackSession(transactionId, `Node ${txn.node} went offline`);
+    return res.status(503).json({
+      transactionId,
+      error: `Node ${txn.node} is offline - transaction aborted`,
+      status: 'aborted'
+    });
+  }
+  
+  // First-committer-wins: validate the rows written by bulk statements too
+  if (usesSnapshot(txn)) {
+    const conflict = findWriteConflict(versionStore, txn, Object.keys(txn.mvccWrites));
+    if (conflict) {
+      const reason = `Write conflict: trans_id=${conflict} was committed by another transaction after this snapshot was taken`;
+      await rollbackSession(transactionId, reason);
+      return res.status(409).json({ transactionId, error: reason, conflict: true, trans_id: conflict, status: 'aborted' });
+    }
+  }
+  
+  // OCC validation phase; passing it registers the commit
+  if (txn.concurrencyControl === 'OCC') {
+    const validation = validateOptimistic(occValidator, txn);
+    if (!validation.success) {
+      await rollbackSession(transactionId, validation.reason);
+      return res.status(409).json({ ...describeValidationFailure(transactionId, validation), status: 'aborted' });
+    }
+  }
+  
+  // The session's branch and every copy commit all writes together, in the
+  // order they ran, as one global transaction; a read-only session commits alone
+  const writes = txn.statements.filter(statement => statement.isWrite);
+  let commit = null;
+  let replication = [];
+  try {
+    if (writes.length > 0) {
+      const query = writes.map(statement => statement.query).join('; ');
+      const plan = mergeReplicationPlans(writes);
+      const result = await commitWrite(commitOptions.options, txn.node, query, plan, transactionId, session.branch);
+      commit = result.commit;
+      replication = result.entries.map(r => ({ target: r.target, status: r.status, query: r.query, lsn: r.lsn }));
+    } else if (!await commitOnePhase(session.branch)) {
+      throw new Error(`XA COMMIT failed on ${txn.node}`);
+    }
+  } catch (error) {
+    await rollbackSession(transactionId, `COMMIT failed: ${error.message}`);
+    return res.status(500).json({ transactionId, error: error.message, status: 'aborted' });
+  }
+  
+  if (commit?.outcome === 'aborted') {
+    await rollbackSession(transactionId, commit.reason);
+    return res.status(500).json({
+      transactionId,
+      error: `Transaction aborted on every node: ${commit.reason}`,
+      status: 'aborted',
+      commit,
+      replication
+    });
+  }
+  
+  // A branch lost with its node mid-round (3PC) only commits at node recovery
+  if (session.branch.state === 'committed') {
+    try {
+      await recordCommittedVersions(versionStore, session.connection, txn);
+    } catch (error) {
+      console.error(`[MVCC] Could not record versions for ${transactionId}: ${error.message}`);
+    }
+  }
+  
+  // A blocked 3PC round commits at node recovery
+  const blocked = commit?.outcome === 'blocked';
+  closeSession(transactionId);
+  finalizeSessionLogs(transactionId, blocked ? 'in_doubt' : 'committed');
+  
+  // Releases the long locks held by REPEATABLE_READ/SERIALIZABLE
+  commitTransaction(transactionManager, transactionId);
+  await persistLogs();
+  
+  res.status(blocked ? 202 : 200).json({
+    transactionId,
+    status: blocked ? 'in_doubt' : 'committed',
+    node: txn.node,
+    isolationLevel: txn.isolationLevel,
+    statements: txn.statements.length,
+    readSet: Array.from(txn.readSet),
+    writeSet: Array.from(txn.writeSet),
+    duration: txn.endTime - txn.startTime,
+    protocol: commitOptions.options.protocol,
+    commit,
+    replication
+  });
+});
+
+// 4e. Interactive Transactions - ROLLBACK
+app.post('/api/txn/:id/rollback', async (req, res) => {
+  const transactionId = req.params.id;
+  const txn = transactions[transactionId];
+  
+  if (!txn || !sessions[transactionId]) {
+    return res.status(404).json({ error: 'Transaction not found or already finished', transactionId });
+  }
+  
+  await rollbackSession(transactionId, 'Rolled back by client');
+  
+  res.json({
+    transactionId,
+    status: 'aborted',
+    statements: txn.statements.length
+  });
+});
+
 // 5. Get Transaction Log
 app.get('/api/logs/transactions', (req, res) => {
   res.json({
@@ -1341,7 +2820,8 @@ app.get('/api/logs/transactions', (req, res) => {
 app.get('/api/replication/queue', (req, res) => {
   res.json({
     queue: replicationQueue,
-    total: replicationQueue.length
+    total: replicationQueue.length,
+    protocol: commitCoordinator.protocol
   });
 });
 
@@ -1354,21 +2834,112 @@ app.get('/api/locks/status', (req, res) => {
     writeSet: Array.from(transactions[txnId].writeSet)
   }));
   
-  const locks = Object.keys(lockTable).map(transId => ({
-    trans_id: transId,
-    ...lockTable[transId]
-  }));
+  const lockStatus = describeLocks(lockManager);
   
   res.json({
     activeTransactions: activeTxns,
     totalTransactions: activeTxns.length,
-    locks: locks,
-    totalLocks: locks.length,
+    locks: lockStatus.locks,
+    totalLocks: lockStatus.locks.length,
+    interactiveSessions: Object.keys(sessions),
+    tableLocks: lockStatus.tableLocks,
+    lockEscalationThreshold: lockStatus.lockEscalationThreshold,
+    occ: describeOccValidator(occValidator),
+    mvcc: describeVersionStore(versionStore),
+    ssi: describeSsiTracker(ssiTracker),
+    predicateLocks: lockStatus.predicateLocks,
+    predicateWaiters: lockStatus.predicateWaiters,
+    waitForGraph: lockStatus.waitForGraph,
+    recentDeadlocks: lockStatus.recentDeadlocks,
+    deadlockPolicy: lockStatus.deadlockPolicy,
     concurrencyControl: 'ISOLATION_LEVEL_AWARE_LOCKING',
-    implementation: 'READ_UNCOMMITTED=no locks, READ_COMMITTED=short locks, REPEATABLE_READ=long locks, SERIALIZABLE=read+write locks'
+    implementation: 'IS/IX/S/X table locks above row locks; READ_UNCOMMITTED=no locks, READ_COMMITTED=short locks, REPEATABLE_READ=long locks, SERIALIZABLE=read+write locks plus predicate/range locks (no phantoms), SNAPSHOT=MVCC reads as of start, first-committer-wins writes, SSI=SNAPSHOT plus rw-antidependency tracking (aborts dangerous structures); concurrencyControl=OCC skips all locks and validates at commit',
+    deadlockHandling: 'Wait-for graph cycle detection, youngest transaction (by startTime) aborted with 409; optional wait-die / wound-wait prevention'
   });
 });
 
+// 6c. Set the default deadlock policy (detect, wait-die, wound-wait)
+app.post('/api/locks/policy', (req, res) => {
+  const { policy } = req.body;
+  
+  if (!DEADLOCK_POLICIES.includes(policy)) {
+    return res.status(400).json({ error: `Invalid deadlock policy: ${policy}`, available: DEADLOCK_POLICIES });
+  }
+  
+  lockManager.deadlockPolicy = policy;
+  console.log(`[LOCKS] Default deadlock policy set to ${policy}`);
+  
+  res.json({ deadlockPolicy: policy, available: DEADLOCK_POLICIES });
+});
+
+// 6d. Set the default commit protocol for replication (2PC or 3PC)
+app.post('/api/replication/protocol', (req, res) => {
+  const { protocol } = req.body;
+  
+  if (!COMMIT_PROTOCOLS.includes(protocol)) {
+    return res.status(400).json({ error: `Invalid commit protocol: ${protocol}`, available: COMMIT_PROTOCOLS });
+  }
+  
+  commitCoordinator.protocol = protocol;
+  console.log(`[REPLICATION] Default commit protocol set to ${protocol}`);
+  
+  res.json({ protocol: commitCoordinator.protocol, available: COMMIT_PROTOCOLS, threePhaseTimeoutMs: commitCoordinator.threePhaseTimeout, phaseDelayMs: commitCoordinator.phaseDelay });
+});
+
+// 6e. Inspect the replication worker
+app.get('/api/replication/worker', (req, res) => {
+  res.json(describeReplicationWorker(replicationWorker));
+});
+
+// 6f. Pause the replication worker: queued entries wait until it resumes
+app.post('/api/replication/worker/pause', (req, res) => {
+  replicationWorker.paused = true;
+  scheduleReplicationWorker(replicationWorker);
+  console.log('[REPLICATION] Worker paused');
+  res.json({ message: 'Replication worker paused', worker: describeReplicationWorker(replicationWorker) });
+});
+
+// 6g. Resume the replication worker
+app.post('/api/replication/worker/resume', (req, res) => {
+  replicationWorker.paused = false;
+  scheduleReplicationWorker(replicationWorker);
+  console.log('[REPLICATION] Worker resumed');
+  res.json({ message: 'Replication worker resumed', worker: describeReplicationWorker(replicationWorker) });
+});
+
+// 6h. Put a failed_permanent entry back in the queue with a fresh attempt count
+app.post('/api/replication/queue/:id/retry', (req, res) => {
+  const entry = replicationQueue.find(e => e.id === req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: `Unknown replication entry: ${req.params.id}` });
+  }
+  if (entry.status !== 'failed_permanent') {
+    return res.status(409).json({ error: `Only failed_permanent entries can be retried (entry is ${entry.status})` });
+  }
+  
+  entry.status = 'pending';
+  entry.retryCount = 0;
+  persistLogs().catch(err => console.error('[ERROR] Failed to persist after requeue:', err.message));
+  res.json({ message: `Replication entry ${entry.id} requeued`, entry });
+});
+
+// 6i. Log sequence numbers: the last LSN, and per node its watermark and lag
+app.get('/api/replication/lsn', async (req, res) => {
+  const nodes = {};
+  for (const node of nodeNames()) {
+    if (isNodeReachable(node)) {
+      try {
+        await loadAppliedLsn(lsnTracker, node);
+      } catch (error) {
+        console.log(`[LSN] Could not read the watermark of ${node}: ${error.message}`);
+      }
+    }
+    nodes[node] = describeNodeLsn(lsnTracker, node);
+  }
+  
+  res.json({ lastLsn: lsnTracker.lastLsn, horizon: lsnTracker.horizon, nodes });
+});
+
 // 7. Simulate Node Failure
 app.post('/api/nodes/kill', (req, res) => {
   const { node } = req.body;
@@ -1390,10 +2961,14 @@ app.post('/api/nodes/kill', (req, res) => {
   }
 });
 
-// 8. Simulate Node Recovery with Concurrency Control
+// 8. Simulate Node Recovery with Concurrency Control - { node, mode? } (auto, replay or resync)
 app.post('/api/nodes/recover', async (req, res) => {
-  const { node } = req.body;
+  const { node, mode = 'auto' } = req.body;
   
+  if (!RECOVERY_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${RECOVERY_MODES.join(', ')}` });
+  }
+
   // Check if recovery already in progress
   if (recoveryInProgress[node]) {
     return res.status(409).json({ 
@@ -1414,6 +2989,19 @@ app.post('/api/nodes/recover', async (req, res) => {
       
       console.log(`[RECOVERY] RECOVERING NODE: ${node} - Processing missed transactions...`);
       
+      // Finish the XA branches the node was left holding in the prepared state
+      const inDoubt = await recoverInDoubtTransactions(commitCoordinator, [node]);
+      
+      // Rebuild the node from a snapshot when the queue cannot catch it up
+      let resync = null;
+      if (mode !== 'replay') {
+        await loadAppliedLsn(lsnTracker, node).catch(error => console.log(`[RECOVERY] Could not read the watermark of ${node}: ${error.message}`));
+        const reason = mode === 'resync' ? 'requested' : resyncReason(node);
+        if (reason) {
+          resync = await resyncNode(resyncManager, node, reason);
+        }
+      }
+
       // Replay all failed replications that targeted this node
       const replayResults = await replayFailedReplications(node);
       
@@ -1424,12 +3012,17 @@ app.post('/api/nodes/recover', async (req, res) => {
       recoveryInProgress[node] = false;
       
       res.json({
-        message: `${node} recovery completed`,
+        message: resync?.status === 'failed' ? `${node} recovered, but its resync failed: ${resync.error}` : `${node} recovery completed`,
         nodeStatus: nodeStatus[node],
+        mode: resync ? 'resync' : 'replay',
+        resync: resync && resyncStatus(resync),
         replayedTransactions: replayResults.success,
         failedReplays: replayResults.failed,
         totalProcessed: replayResults.total,
         retryable: replayResults.retryable.length,
+        replayedFromLsn: replayResults.fromLsn,
+        appliedLsn: lsnTracker.appliedLsns[node] ?? null,
+        resolvedInDoubt: inDoubt,
         details: replayResults.details
       });
     } else {
@@ -1442,6 +3035,19 @@ app.post('/api/nodes/recover', async (req, res) => {
   }
 });
 
+// 8b. Progress of a node's latest resync (poll it while POST /api/nodes/recover runs)
+app.get('/api/nodes/:node/resync', (req, res) => {
+  const { node } = req.params;
+  
+  if (!nodeStatus[node]) {
+    return res.status(400).json({ error: 'Invalid node' });
+  }
+  if (!resyncManager.progress[node]) {
+    return res.status(404).json({ error: `${node} has not been resynchronized` });
+  }
+  res.json(resyncStatus(resyncManager.progress[node]));
+});
+
 // 9. Get All Data from a Node with filtering support
 app.get('/api/data/:node', async (req, res) => {
   const { node } = req.params;
@@ -1499,22 +3105,22 @@ app.get('/api/data/:node', async (req, res) => {
         }
         break;
         
-      case 'pre_1997':
-        whereClause = "WHERE newdate < '1997-01-01'";
-        break;
-        
-      case 'post_1997':
-        whereClause = "WHERE newdate >= '1997-01-01'";
-        break;
-        
       case 'high_balance':
         whereClause = 'WHERE balance > 5000';
         orderClause = 'ORDER BY balance DESC';
         break;
         
-      default: // 'all'
-        // No additional filtering
+      default: {
+        // A fragment name from the catalog (e.g. pre_1997) selects that fragment's rows
+        const fragment = findFragment(fragmentation, filter);
+        if (fragment) {
+          const condition = fragmentCondition(fragmentation, fragment);
+          whereClause = `WHERE ${condition.sql}`;
+          params.push(...condition.params);
+        }
+        // Otherwise 'all' - no additional filtering
         break;
+      }
     }
     
     const finalQuery = `${baseQuery} ${whereClause} ${orderClause} LIMIT ${parseInt(limit)}`;
@@ -1557,10 +3163,12 @@ function getRecentlyUpdatedTransIds() {
   
   // Extract trans_ids from recent write operations in transaction log
   transactionLog.forEach(log => {
-    if (log.endTime && log.endTime > tenMinutesAgo && isWriteQuery(log.query)) {
-      const transId = parseTransId(log.query);
-      if (transId && !recentTransIds.includes(transId)) {
-        recentTransIds.push(transId);
+    const statement = parseStatement(log.query);
+    if (log.endTime && log.endTime > tenMinutesAgo && statement.isWrite) {
+      for (const transId of statementKeys(statement) || []) {
+        if (!recentTransIds.includes(transId)) {
+          recentTransIds.push(transId);
+        }
       }
     }
   });
@@ -1568,17 +3176,103 @@ function getRecentlyUpdatedTransIds() {
   return recentTransIds;
 }
 
+// 9b. Fragmentation catalog (which fragment node stores which rows)
+app.get('/api/fragmentation', (req, res) => {
+  res.json(describeFragmentation());
+});
+
+// 9c. Transaction count and amount per fragment
+app.get('/api/reports/fragments', async (req, res) => {
+  const report = [];
+  
+  try {
+    for (const fragment of fragmentation.fragments) {
+      // The master (or its replica) has every row; read the fragment itself only while they are down
+      const master = masterNode();
+      const node = [master, ...replicasOf(topology, master)].find(isNodeAvailable) || fragmentSource(fragment) || fragment.node;
+      if (!isNodeAvailable(node)) {
+        report.push({ fragment: fragment.name, node, rule: describeFragment(fragmentation, fragment), error: `${node} unavailable: ${unavailableReason(node)}` });
+        continue;
+      }
+      
+      const condition = fragmentCondition(fragmentation, fragment);
+      const conn = await pools[node].getConnection();
+      try {
+        const [rows] = await conn.query(
+          `SELECT COUNT(*) as transaction_count, SUM(amount) as total_amount FROM trans WHERE ${condition.sql}`,
+          condition.params
+        );
+        report.push({
+          fragment: fragment.name,
+          node: fragment.node,
+          source: node,
+          rule: describeFragment(fragmentation, fragment),
+          transactionCount: Number(rows[0].transaction_count),
+          totalAmount: Number(rows[0].total_amount || 0)
+        });
+      } finally {
+        conn.release();
+      }
+    }
+    
+    const available = report.filter(fragment => !fragment.error);
+    res.json({
+      strategy: fragmentation.strategy,
+      column: fragmentation.column,
+      fragments: report,
+      totals: {
+        transactionCount: available.reduce((sum, fragment) => sum + fragment.transactionCount, 0),
+        totalAmount: Number(available.reduce((sum, fragment) => sum + fragment.totalAmount, 0).toFixed(2))
+      },
+      partial: available.length < report.length,
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`[REPORT] Error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 9d. Consistency report: the latest check, or a new one with ?refresh=true (or when none ran yet)
+app.get('/api/consistency/report', async (req, res) => {
+  try {
+    const report = req.query.refresh === 'true' || !consistencyReport ? await checkConsistency() : consistencyReport;
+    res.json(report);
+  } catch (error) {
+    console.error(`[CONSISTENCY] Error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 9e. Check and re-sync every copy that differs from its authoritative copy
+app.post('/api/consistency/repair', async (req, res) => {
+  try {
+    res.json(await checkConsistency({ repair: true, trigger: 'repair' }));
+  } catch (error) {
+    console.error(`[CONSISTENCY] Error:`, error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // 10. Clear Logs (for testing)
 app.post('/api/logs/clear', async (req, res) => {
+  // Open interactive transactions hold pinned connections - roll them back first
+  for (const txnId of Object.keys(sessions)) {
+    await rollbackSession(txnId, 'Logs cleared');
+  }
+  
+  // Wake anyone still queued for a lock before the table is dropped
+  clearTransactionManager(transactionManager, 'Lock table cleared');
+  
   transactionLog = [];
   replicationQueue = [];
-  transactions = {};
-  lockTable = {};
+  raiseReplicationHorizon(lsnTracker, lsnTracker.lastLsn, 'logs cleared');
   
   // Clear persisted files
   try {
     await fs.unlink(LOG_FILE).catch(() => {});
     await fs.unlink(REPLICATION_QUEUE_FILE).catch(() => {});
+    await fs.writeFile(REPLICATION_HORIZON_FILE, JSON.stringify(lsnTracker.horizon, null, 2));
     console.log('[CLEAR] Persisted log files deleted');
   } catch (error) {
     console.error('[CLEAR] Error deleting log files:', error.message);
@@ -1598,21 +3292,34 @@ app.use((err, req, res, next) => {
 
 // Initialize and start server
 async function start() {
+  await loadTopology();
+  await loadFragmentation();
   await initializePools();
   await loadPersistedLogs(); // Load transaction history from disk
-  
+  await recoverInDoubtTransactions(commitCoordinator, nodeNames()); // Finish commit rounds a crash left prepared
+  await loadAppliedLsns(lsnTracker, nodeNames()); // Read each node's replication watermark
+  scheduleReplicationWorker(replicationWorker);
+  scheduleConsistencyChecks();
+
   app.listen(PORT, () => {
     console.log(`\n[SERVER] Distributed DB Simulator Backend running on port ${PORT}`);
     console.log(`[SERVER] Health check: http://localhost:${PORT}/health`);
     console.log(`\nNode Configuration:`);
-    console.log(`  - Node 0 (Master): ${dbConfig.node0.host}:${dbConfig.node0.port}`);
-    console.log(`  - Node 1 (Fragment A): ${dbConfig.node1.host}:${dbConfig.node1.port}`);
-    console.log(`  - Node 2 (Fragment B): ${dbConfig.node2.host}:${dbConfig.node2.port}`);
+    for (const node of topology.nodes) {
+      const rules = fragmentation.fragments
+        .filter(fragment => fragment.node === node.name)
+        .map(fragment => describeFragment(fragmentation, fragment));
+      const stores = node.role === 'master' ? 'all rows' : node.role === 'replica' ? `copy of ${node.replicaOf}` : rules.join('; ') || 'no fragments';
+      console.log(`  - ${node.name} (${node.role}): ${dbConfig[node.name].host}:${dbConfig[node.name].port} - ${stores}`);
+    }
     console.log(`\nFeatures:`);
-    console.log(`  - Two-Phase Commit (2PC) for atomic replication`);
+    console.log(`  - Two-Phase Commit (2PC) over XA transactions for atomic replication`);
+    console.log(`  - Three-Phase Commit (3PC) with a termination protocol (default protocol: ${commitCoordinator.protocol})`);
     console.log(`  - Write-Ahead Logging (WAL) for crash recovery`);
     console.log(`  - Transaction log persistence`);
-    console.log(`  - Automatic retry mechanism (max 3 attempts)`);
+    console.log(`  - Background replication worker with exponential backoff (max ${replicationWorker.maxAttempts} attempts)`);
+    console.log(`  - Snapshot resync on recovery in chunks of ${resyncManager.chunkSize} rows when the queue cannot catch a node up`);
+    console.log(`  - Anti-entropy consistency checks every ${CONSISTENCY_CHECK_INTERVAL_MS / 1000}s`);
   });
 }
 
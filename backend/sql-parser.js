@@ -0,0 +1,1336 @@
+// ============================================================================
+// SQL PARSER - statement classification, keys and predicates for `trans`
+// ============================================================================
+
+/**
+ * A small recursive-descent parser for the statements the simulator runs:
+ * SELECT (with optional WITH ... CTEs and UNIONs), INSERT (VALUES, SET or
+ * SELECT), UPDATE and DELETE. parseStatement() turns a query into an AST and
+ * the helpers below it derive what the lock manager, node selection and
+ * replication need from that AST: the trans_ids a statement touches, the
+ * predicate it reads or writes and the newdate of the rows it inserts.
+ *
+ * Anything else (DDL, SET, SHOW, transaction control, several statements in
+ * one query, executable comments, tables other than trans, INSERT ... ON
+ * DUPLICATE KEY UPDATE) comes back as
+ *   { supported: false, reason, position }
+ * so callers can reject it instead of running it without locks.
+ *
+ * Statement:
+ *   { supported: true, type: 'SELECT' | 'INSERT' | 'UPDATE' | 'DELETE', isWrite,
+ *     table, alias, tables, ctes, joined, fromText,
+ *     columns, rows, source, assignments,   // INSERT / UPDATE
+ *     items, distinct, groupBy, rollup, havingText, orderBy, limit, parenthesized,   // SELECT
+ *     where, whereText, orderLimitText, locking, unions }
+ * Select item: { text, alias, star }   Order item: { text, descending }
+ * Limit: { count, offset } - numbers, or null where they are not literals
+ * Value:
+ *   { type: 'literal', value, text } | { type: 'null' } | { type: 'column', column, qualifier }
+ *   | { type: 'expression', text } | { type: 'subquery', statement }
+ * Condition:
+ *   { type: 'and' | 'or', conditions } | { type: 'not', condition }
+ *   | { type: 'compare', left, operator, right } | { type: 'between', operand, low, high, negated }
+ *   | { type: 'in', operand, values, negated } | { type: 'other', text }
+ */
+
+export const PREDICATE_COLUMNS = ['trans_id', 'account_id', 'newdate'];
+export const TRANS_COLUMNS = ['trans_id', 'account_id', 'newdate', 'amount', 'balance'];
+
+// Statements we recognise but do not run through the simulator
+const UNSUPPORTED_STATEMENTS = [
+  'ALTER', 'ANALYZE', 'BEGIN', 'CALL', 'COMMIT', 'CREATE', 'DESCRIBE', 'DESC', 'DO', 'DROP', 'EXPLAIN',
+  'GRANT', 'HANDLER', 'LOAD', 'LOCK', 'OPTIMIZE', 'RENAME', 'REPLACE', 'REVOKE', 'ROLLBACK', 'SAVEPOINT',
+  'SET', 'SHOW', 'START', 'TABLE', 'TRUNCATE', 'UNLOCK', 'USE', 'VALUES', 'XA'
+];
+
+// Words that end an expression, select item or table reference
+const RESERVED = new Set([
+  'ALL', 'AND', 'AS', 'ASC', 'BETWEEN', 'BY', 'CROSS', 'DESC', 'DISTINCT', 'DIV', 'DUPLICATE', 'ELSE', 'END',
+  'ESCAPE', 'EXCEPT', 'EXISTS', 'FOR', 'FORCE', 'FROM', 'FULL', 'GROUP', 'HAVING', 'IGNORE', 'IN', 'INNER',
+  'INTERSECT', 'INTO', 'IS', 'JOIN', 'KEY', 'LEFT', 'LIKE', 'LIMIT', 'LOCK', 'MOD', 'NATURAL', 'NOT', 'OFFSET',
+  'ON', 'OR', 'ORDER', 'OUTER', 'REGEXP', 'RIGHT', 'RLIKE', 'SELECT', 'SET', 'SOUNDS', 'STRAIGHT_JOIN', 'THEN',
+  'UNION', 'UPDATE', 'USE', 'USING', 'VALUE', 'VALUES', 'WHEN', 'WHERE', 'WINDOW', 'WITH', 'XOR'
+]);
+
+const COMPARISON_OPERATORS = ['=', '<=>', '<>', '!=', '<', '<=', '>', '>='];
+const ARITHMETIC_OPERATORS = ['+', '-', '*', '/', '%', '&', '|', '^', '<<', '>>'];
+
+// Conjuncts an AND may multiply out to before the predicate is widened to the whole table
+const MAX_CONJUNCTS = 256;
+
+// ----------------------------------------------------------------------------
+// Tokenizer
+// ----------------------------------------------------------------------------
+
+/**
+ * Split a query into tokens: { type, value, upper, start, end }
+ * type: word | identifier (backquoted) | string | number | variable | param | operator | punctuation
+ * Comments are skipped; /*! executable comments are rejected because MySQL runs them.
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < sql.length) {
+    const ch = sql[i];
+    const rest = sql.slice(i);
+    
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    
+    if (ch === '#' || /^--(\s|$)/.test(rest)) {
+      const newline = sql.indexOf('\n', i);
+      i = newline === -1 ? sql.length : newline + 1;
+      continue;
+    }
+    
+    if (rest.startsWith('/*')) {
+      if (rest.startsWith('/*!') || rest.startsWith('/*+')) {
+        throw parseError('Executable comments and optimizer hints are not supported', i);
+      }
+      const close = sql.indexOf('*/', i + 2);
+      if (close === -1) throw parseError('Unterminated comment', i);
+      i = close + 2;
+      continue;
+    }
+    
+    if (ch === "'" || ch === '"') {
+      let value = '';
+      let j = i + 1;
+      for (; j < sql.length; j++) {
+        if (sql[j] === '\\' && j + 1 < sql.length) {
+          value += sql[++j];
+        } else if (sql[j] === ch && sql[j + 1] === ch) {
+          value += ch;
+          j++;
+        } else if (sql[j] === ch) {
+          break;
+        } else {
+          value += sql[j];
+        }
+      }
+      if (j >= sql.length) throw parseError('Unterminated string literal', i);
+      tokens.push({ type: 'string', value, start: i, end: j + 1 });
+      i = j + 1;
+      continue;
+    }
+    
+    if (ch === '`') {
+      const close = sql.indexOf('`', i + 1);
+      if (close === -1) throw parseError('Unterminated quoted identifier', i);
+      tokens.push({ type: 'identifier', value: sql.slice(i + 1, close), start: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
+    
+    let match = /^(0x[0-9a-f]+|\d+(\.\d*)?(e[+-]?\d+)?|\.\d+(e[+-]?\d+)?)/i.exec(rest);
+    if (match && !/^[a-z_$]/i.test(rest.slice(match[0].length))) {
+      tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+    
+    match = /^[a-z_$0-9][\w$]*/i.exec(rest);
+    if (match) {
+      tokens.push({ type: 'word', value: match[0], upper: match[0].toUpperCase(), start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+    
+    match = /^@@?[\w$.]+/.exec(rest);
+    if (match) {
+      tokens.push({ type: 'variable', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+    
+    match = /^(<=>|<=|>=|<>|!=|:=|\|\||&&|<<|>>|[=<>+\-*/%!~^&|])/.exec(rest);
+    if (match) {
+      tokens.push({ type: 'operator', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+      continue;
+    }
+    
+    if ('(),;.'.includes(ch)) {
+      tokens.push({ type: 'punctuation', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    
+    if (ch === '?') {
+      tokens.push({ type: 'param', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    
+    throw parseError(`Unexpected character "${ch}"`, i);
+  }
+  
+  return tokens;
+}
+
+function parseError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+// ----------------------------------------------------------------------------
+// Parser
+// ----------------------------------------------------------------------------
+
+/**
+ * Cursor over the token list with the usual peek / accept / expect helpers
+ */
+function createCursor(sql, tokens) {
+  let pos = 0;
+  
+  const cursor = {
+    sql,
+    get pos() { return pos; },
+    set pos(value) { pos = value; },
+    peek: (offset = 0) => tokens[pos + offset],
+    next: () => tokens[pos++],
+    done: () => pos >= tokens.length,
+    isWord: (word, offset = 0) => tokens[pos + offset]?.type === 'word' && tokens[pos + offset].upper === word,
+    isSymbol: (symbol, offset = 0) => ['punctuation', 'operator'].includes(tokens[pos + offset]?.type) && tokens[pos + offset].value === symbol,
+    acceptWord: word => cursor.isWord(word) ? tokens[pos++] : null,
+    acceptSymbol: symbol => cursor.isSymbol(symbol) ? tokens[pos++] : null,
+    expectWord: word => cursor.acceptWord(word) || fail(`Expected ${word}`),
+    expectSymbol: symbol => cursor.acceptSymbol(symbol) || fail(`Expected "${symbol}"`),
+    text: (from, to = pos) => from < to ? sql.slice(tokens[from].start, tokens[to - 1].end) : '',
+    fail
+  };
+  
+  function fail(message) {
+    const token = tokens[pos];
+    throw parseError(token ? `${message} near "${sql.slice(token.start, token.start + 30)}"` : `${message} at end of query`, token ? token.start : sql.length);
+  }
+  
+  return cursor;
+}
+
+/**
+ * Skip a parenthesised group (the opening "(" is the current token)
+ */
+function skipParens(cursor) {
+  cursor.expectSymbol('(');
+  let depth = 1;
+  while (depth > 0) {
+    const token = cursor.next();
+    if (!token) cursor.fail('Unbalanced parentheses');
+    if (token.type === 'punctuation' && token.value === '(') depth++;
+    if (token.type === 'punctuation' && token.value === ')') depth--;
+  }
+}
+
+function isSubqueryStart(cursor, offset = 0) {
+  return cursor.isWord('SELECT', offset) || cursor.isWord('WITH', offset) || (cursor.isSymbol('(', offset) && isSubqueryStart(cursor, offset + 1));
+}
+
+/**
+ * Identifier (word or backquoted) - returns its name or null
+ */
+function acceptIdentifier(cursor, { allowReserved = false } = {}) {
+  const token = cursor.peek();
+  if (token?.type === 'identifier' || (token?.type === 'word' && (allowReserved || !RESERVED.has(token.upper)))) {
+    cursor.next();
+    return token.value;
+  }
+  return null;
+}
+
+function expectIdentifier(cursor) {
+  return acceptIdentifier(cursor) || cursor.fail('Expected an identifier');
+}
+
+/**
+ * Possibly qualified name: a, a.b, a.b.c - returns the parts
+ */
+function parseQualifiedName(cursor) {
+  const parts = [expectIdentifier(cursor)];
+  while (cursor.isSymbol('.') && !cursor.isSymbol('*', 1)) {
+    cursor.next();
+    parts.push(acceptIdentifier(cursor, { allowReserved: true }) || cursor.fail('Expected a name after "."'));
+  }
+  return parts;
+}
+
+/**
+ * Scalar expression. Returns a Value; anything beyond a single literal,
+ * NULL or column reference is an opaque { type: 'expression' }.
+ */
+function parseOperand(cursor, context) {
+  const from = cursor.pos;
+  let value = parseTerm(cursor, context);
+  
+  while (true) {
+    const token = cursor.peek();
+    const arithmetic = token?.type === 'operator' && ARITHMETIC_OPERATORS.includes(token.value);
+    if (arithmetic || cursor.isWord('DIV') || cursor.isWord('MOD')) {
+      cursor.next();
+      parseTerm(cursor, context);
+      value = null;
+    } else if (cursor.acceptWord('COLLATE')) {
+      acceptIdentifier(cursor, { allowReserved: true }) || cursor.next();
+      value = null;
+    } else {
+      break;
+    }
+  }
+  
+  return value || { type: 'expression', text: cursor.text(from) };
+}
+
+function parseTerm(cursor, context) {
+  const from = cursor.pos;
+  const token = cursor.peek();
+  if (!token) cursor.fail('Expected an expression');
+  
+  if (token.type === 'operator' && ['-', '+', '~', '!'].includes(token.value)) {
+    cursor.next();
+    const operand = parseTerm(cursor, context);
+    if (token.value === '-' && operand.type === 'literal' && /^\d/.test(operand.value)) {
+      return { type: 'literal', value: `-${operand.value}`, text: cursor.text(from) };
+    }
+    return operand.type === 'literal' && token.value === '+' ? operand : { type: 'expression', text: cursor.text(from) };
+  }
+  
+  if (token.type === 'number' || token.type === 'string') {
+    cursor.next();
+    // Adjacent string literals are concatenated
+    let value = token.value;
+    while (token.type === 'string' && cursor.peek()?.type === 'string') {
+      value += cursor.next().value;
+    }
+    return { type: 'literal', value, text: cursor.text(from) };
+  }
+  
+  if (token.type === 'variable' || token.type === 'param') {
+    cursor.next();
+    return { type: 'expression', text: token.value };
+  }
+  
+  if (cursor.isSymbol('(')) {
+    if (isSubqueryStart(cursor, 1)) {
+      cursor.next();
+      const statement = parseQueryExpression(cursor, context);
+      cursor.expectSymbol(')');
+      return { type: 'subquery', statement };
+    }
+    cursor.next();
+    parseCondition(cursor, context);
+    while (cursor.acceptSymbol(',')) parseCondition(cursor, context);
+    cursor.expectSymbol(')');
+    return { type: 'expression', text: cursor.text(from) };
+  }
+  
+  if (token.type === 'word') {
+    if (cursor.acceptWord('NULL')) return { type: 'null' };
+    if (cursor.acceptWord('TRUE')) return { type: 'literal', value: '1', text: 'TRUE' };
+    if (cursor.acceptWord('FALSE')) return { type: 'literal', value: '0', text: 'FALSE' };
+    
+    // Typed literals: DATE '1997-01-01', TIMESTAMP '...'
+    if (['DATE', 'TIME', 'TIMESTAMP'].includes(token.upper) && cursor.peek(1)?.type === 'string') {
+      cursor.next();
+      return { type: 'literal', value: cursor.next().value, text: cursor.text(from) };
+    }
+    
+    if (cursor.acceptWord('INTERVAL')) {
+      parseOperand(cursor, context);
+      acceptIdentifier(cursor, { allowReserved: true }) || cursor.fail('Expected an interval unit');
+      return { type: 'expression', text: cursor.text(from) };
+    }
+    
+    if (cursor.acceptWord('CASE')) {
+      let depth = 1;
+      while (depth > 0) {
+        if (cursor.done()) cursor.fail('Unterminated CASE');
+        if (cursor.isWord('CASE')) depth++;
+        if (cursor.isWord('END')) depth--;
+        cursor.next();
+      }
+      return { type: 'expression', text: cursor.text(from) };
+    }
+    
+    if (cursor.isWord('EXISTS')) {
+      cursor.fail('Unexpected EXISTS');
+    }
+    
+    if (RESERVED.has(token.upper) && !cursor.isSymbol('(', 1)) {
+      cursor.fail(`Unexpected ${token.upper}`);
+    }
+  }
+  
+  if (token.type === 'word' || token.type === 'identifier') {
+    // Function call: the arguments are not interpreted
+    if (token.type === 'word' && cursor.isSymbol('(', 1)) {
+      cursor.next();
+      skipParens(cursor);
+      if (cursor.acceptWord('OVER')) {
+        if (cursor.isSymbol('(')) skipParens(cursor);
+        else expectIdentifier(cursor);
+      }
+      return { type: 'expression', text: cursor.text(from) };
+    }
+    
+    const parts = parseQualifiedName(cursor);
+    if (cursor.isSymbol('.') && cursor.isSymbol('*', 1)) {
+      cursor.fail('Unexpected "*"');
+    }
+    return {
+      type: 'column',
+      column: parts[parts.length - 1].toLowerCase(),
+      qualifier: parts.length > 1 ? parts[parts.length - 2].toLowerCase() : null
+    };
+  }
+  
+  cursor.fail('Expected an expression');
+}
+
+/**
+ * Boolean expression: OR / XOR / AND / NOT over predicates
+ */
+function parseCondition(cursor, context) {
+  const conditions = [parseAndCondition(cursor, context)];
+  while (cursor.acceptWord('OR') || cursor.acceptWord('XOR') || cursor.acceptSymbol('||')) {
+    // XOR matches a subset of OR, so OR is a safe stand-in
+    conditions.push(parseAndCondition(cursor, context));
+  }
+  return conditions.length === 1 ? conditions[0] : { type: 'or', conditions };
+}
+
+function parseAndCondition(cursor, context) {
+  const conditions = [parseNotCondition(cursor, context)];
+  while (cursor.acceptWord('AND') || cursor.acceptSymbol('&&')) {
+    conditions.push(parseNotCondition(cursor, context));
+  }
+  return conditions.length === 1 ? conditions[0] : { type: 'and', conditions };
+}
+
+function parseNotCondition(cursor, context) {
+  if (cursor.acceptWord('NOT') || cursor.acceptSymbol('!')) {
+    return { type: 'not', condition: parseNotCondition(cursor, context) };
+  }
+  return parsePredicate(cursor, context);
+}
+
+function parsePredicate(cursor, context) {
+  const from = cursor.pos;
+  
+  if (cursor.acceptWord('EXISTS')) {
+    cursor.expectSymbol('(');
+    parseQueryExpression(cursor, context);
+    cursor.expectSymbol(')');
+    return { type: 'other', text: cursor.text(from) };
+  }
+  
+  // "(a = 1 OR b = 2)" is a nested condition unless an operator follows the ")"
+  if (cursor.isSymbol('(') && !isSubqueryStart(cursor, 1)) {
+    try {
+      cursor.next();
+      const inner = parseCondition(cursor, context);
+      if (cursor.acceptSymbol(')') && !continuesOperand(cursor)) {
+        return inner;
+      }
+    } catch {
+      // Not a condition - parse it as a value below
+    }
+    cursor.pos = from;
+  }
+  
+  const operand = parseOperand(cursor, context);
+  const negated = cursor.isWord('NOT') && ['BETWEEN', 'IN', 'LIKE', 'REGEXP', 'RLIKE'].some(word => cursor.isWord(word, 1))
+    ? Boolean(cursor.next())
+    : false;
+  
+  if (cursor.acceptWord('BETWEEN')) {
+    const low = parseOperand(cursor, context);
+    cursor.expectWord('AND');
+    const high = parseOperand(cursor, context);
+    return { type: 'between', operand, low, high, negated, text: cursor.text(from) };
+  }
+  
+  if (cursor.acceptWord('IN')) {
+    if (isSubqueryStart(cursor, 1)) {
+      cursor.expectSymbol('(');
+      parseQueryExpression(cursor, context);
+      cursor.expectSymbol(')');
+      return { type: 'in', operand, values: null, negated, text: cursor.text(from) };
+    }
+    cursor.expectSymbol('(');
+    const values = [parseOperand(cursor, context)];
+    while (cursor.acceptSymbol(',')) values.push(parseOperand(cursor, context));
+    cursor.expectSymbol(')');
+    return { type: 'in', operand, values, negated, text: cursor.text(from) };
+  }
+  
+  if (cursor.acceptWord('LIKE') || cursor.acceptWord('REGEXP') || cursor.acceptWord('RLIKE') ||
+      (cursor.isWord('SOUNDS') && cursor.next() && cursor.expectWord('LIKE'))) {
+    parseOperand(cursor, context);
+    if (cursor.acceptWord('ESCAPE')) parseOperand(cursor, context);
+    return { type: 'other', text: cursor.text(from) };
+  }
+  
+  if (cursor.acceptWord('IS')) {
+    cursor.acceptWord('NOT');
+    if (!['NULL', 'TRUE', 'FALSE', 'UNKNOWN'].some(word => cursor.acceptWord(word))) {
+      cursor.fail('Expected NULL, TRUE, FALSE or UNKNOWN after IS');
+    }
+    return { type: 'other', text: cursor.text(from) };
+  }
+  
+  const token = cursor.peek();
+  if (token?.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+    cursor.next();
+    if (['ANY', 'SOME', 'ALL'].some(word => cursor.isWord(word)) && cursor.isSymbol('(', 1)) {
+      cursor.next();
+      parseOperand(cursor, context);
+      return { type: 'other', text: cursor.text(from) };
+    }
+    const right = parseOperand(cursor, context);
+    return { type: 'compare', left: operand, operator: token.value, right, text: cursor.text(from) };
+  }
+  
+  // A bare value used as a condition (WHERE 1, WHERE flag)
+  return { type: 'other', text: cursor.text(from) };
+}
+
+function continuesOperand(cursor) {
+  const token = cursor.peek();
+  if (token?.type === 'operator' && (COMPARISON_OPERATORS.includes(token.value) || ARITHMETIC_OPERATORS.includes(token.value))) {
+    return true;
+  }
+  return ['BETWEEN', 'IN', 'IS', 'LIKE', 'REGEXP', 'RLIKE', 'SOUNDS', 'DIV', 'MOD', 'COLLATE'].some(word => cursor.isWord(word)) ||
+    (cursor.isWord('NOT') && ['BETWEEN', 'IN', 'LIKE', 'REGEXP', 'RLIKE'].some(word => cursor.isWord(word, 1)));
+}
+
+/**
+ * Optional alias after a select item or table reference
+ */
+function parseAlias(cursor) {
+  if (cursor.acceptWord('AS')) {
+    const token = cursor.next();
+    if (!token || !['word', 'identifier', 'string'].includes(token.type)) cursor.fail('Expected an alias');
+    return token.value.toLowerCase();
+  }
+  const alias = acceptIdentifier(cursor);
+  return alias ? alias.toLowerCase() : null;
+}
+
+/**
+ * Record a base table the statement reads or writes. Only trans is
+ * fragmented, locked and replicated, so any other table is rejected.
+ */
+function addTable(context, name, position) {
+  if (name !== 'trans') {
+    throw parseError(`Table "${name}" is not supported (only trans)`, position);
+  }
+  context.tables.add(name);
+}
+
+/**
+ * Table references of a FROM / UPDATE / USING clause (joins included)
+ * Returns [{ table, alias, derived }]
+ */
+function parseTableReferences(cursor, context) {
+  const refs = [...parseTableFactor(cursor, context)];
+  
+  while (true) {
+    if (cursor.acceptSymbol(',')) {
+      refs.push(...parseTableFactor(cursor, context));
+      continue;
+    }
+    
+    const from = cursor.pos;
+    cursor.acceptWord('NATURAL');
+    ['INNER', 'CROSS', 'LEFT', 'RIGHT'].some(word => cursor.acceptWord(word));
+    cursor.acceptWord('OUTER');
+    if (!cursor.acceptWord('JOIN') && !cursor.acceptWord('STRAIGHT_JOIN')) {
+      cursor.pos = from;
+      break;
+    }
+    
+    refs.push(...parseTableFactor(cursor, context));
+    if (cursor.acceptWord('ON')) {
+      parseCondition(cursor, context);
+    } else if (cursor.acceptWord('USING')) {
+      skipParens(cursor);
+    }
+  }
+  
+  return refs;
+}
+
+function parseTableFactor(cursor, context) {
+  if (cursor.isSymbol('(')) {
+    if (isSubqueryStart(cursor, 1)) {
+      cursor.next();
+      const statement = parseQueryExpression(cursor, context);
+      cursor.expectSymbol(')');
+      const alias = parseAlias(cursor);
+      return [{ table: statement.table, alias, derived: true }];
+    }
+    cursor.next();
+    const refs = parseTableReferences(cursor, context);
+    cursor.expectSymbol(')');
+    return refs;
+  }
+  
+  const position = cursor.peek()?.start ?? cursor.sql.length;
+  const parts = parseQualifiedName(cursor);
+  const name = parts[parts.length - 1].toLowerCase();
+  const alias = parseAlias(cursor);
+
+  // Index hints: USE / FORCE / IGNORE INDEX (...)
+  while (['USE', 'FORCE', 'IGNORE'].some(word => cursor.isWord(word)) && (cursor.isWord('INDEX', 1) || cursor.isWord('KEY', 1))) {
+    cursor.next();
+    cursor.next();
+    if (cursor.acceptWord('FOR')) {
+      cursor.acceptWord('JOIN') || (cursor.acceptWord('ORDER') && cursor.expectWord('BY')) || (cursor.acceptWord('GROUP') && cursor.expectWord('BY'));
+    }
+    skipParens(cursor);
+  }
+  
+  if (context.ctes.has(name) && parts.length === 1) {
+    return [{ table: context.ctes.get(name), alias: alias || name, derived: true }];
+  }
+  
+  addTable(context, name, position);
+  return [{ table: name, alias, derived: false }];
+}
+
+/**
+ * ORDER BY ... / LIMIT ... - returns the raw text (kept for re-querying the same rows)
+ */
+function limitNumber(value) {
+  return value?.type === 'literal' && /^\d+$/.test(value.value) ? parseInt(value.value, 10) : null;
+}
+
+/**
+ * ORDER BY / LIMIT - returns their text; with a statement, also records
+ * statement.orderBy and statement.limit
+ */
+function parseOrderLimit(cursor, context, { offset = true, statement = null } = {}) {
+  const from = cursor.pos;
+  
+  if (cursor.acceptWord('ORDER')) {
+    cursor.expectWord('BY');
+    do {
+      const itemFrom = cursor.pos;
+      parseOperand(cursor, context);
+      const text = cursor.text(itemFrom);
+      const descending = !cursor.acceptWord('ASC') && Boolean(cursor.acceptWord('DESC'));
+      statement?.orderBy.push({ text, descending });
+    } while (cursor.acceptSymbol(','));
+  }
+  
+  if (cursor.acceptWord('LIMIT')) {
+    const first = parseOperand(cursor, context);
+    let limit = { count: limitNumber(first), offset: 0 };
+    if (offset && cursor.acceptSymbol(',')) {
+      limit = { count: limitNumber(parseOperand(cursor, context)), offset: limit.count };
+    } else if (offset && cursor.acceptWord('OFFSET')) {
+      limit.offset = limitNumber(parseOperand(cursor, context));
+    }
+    if (statement) statement.limit = limit;
+  }
+  
+  return cursor.text(from) || null;
+}
+
+function parseWhere(cursor, context, statement) {
+  if (!cursor.acceptWord('WHERE')) return;
+  const from = cursor.pos;
+  statement.where = parseCondition(cursor, context);
+  statement.whereText = cursor.text(from);
+}
+
+function emptyStatement(type) {
+  return {
+    supported: true,
+    type,
+    isWrite: type !== 'SELECT',
+    table: null,
+    alias: null,
+    tables: [],
+    ctes: [],
+    joined: false,
+    fromText: null,
+    columns: null,
+    rows: null,
+    source: null,
+    assignments: [],
+    items: [],
+    distinct: false,
+    groupBy: [],
+    rollup: false,
+    havingText: null,
+    orderBy: [],
+    limit: null,
+    parenthesized: false,
+    where: null,
+    whereText: null,
+    orderLimitText: null,
+    locking: null,
+    unions: []
+  };
+}
+
+/**
+ * Point the statement at its first table reference
+ */
+function applyTarget(statement, refs, cursor, from) {
+  const [first] = refs;
+  statement.table = first?.table || null;
+  statement.alias = first?.alias || null;
+  statement.joined = refs.length > 1 || refs.some(ref => ref.derived);
+  statement.fromText = cursor.text(from);
+}
+
+/**
+ * SELECT ... [UNION SELECT ...] (a "query expression" - also used for subqueries)
+ */
+function parseQueryExpression(cursor, context) {
+  if (cursor.isWord('WITH')) {
+    return parseWith(cursor, context, parseQueryExpression);
+  }
+  
+  let statement;
+  if (cursor.acceptSymbol('(')) {
+    statement = parseQueryExpression(cursor, context);
+    cursor.expectSymbol(')');
+    statement.parenthesized = true;
+  } else {
+    statement = parseSelect(cursor, context);
+  }
+  
+  while (cursor.acceptWord('UNION') || cursor.acceptWord('EXCEPT') || cursor.acceptWord('INTERSECT')) {
+    cursor.acceptWord('ALL') || cursor.acceptWord('DISTINCT');
+    const part = cursor.acceptSymbol('(')
+      ? (() => { const inner = parseQueryExpression(cursor, context); cursor.expectSymbol(')'); return inner; })()
+      : parseSelect(cursor, context);
+    statement.unions.push(part);
+  }
+  
+  // ORDER BY / LIMIT after a parenthesised query or a UNION
+  parseOrderLimit(cursor, context);
+  return statement;
+}
+
+function parseSelect(cursor, context) {
+  const statement = emptyStatement('SELECT');
+  cursor.expectWord('SELECT');
+  
+  let modifier;
+  while ((modifier = ['ALL', 'DISTINCT', 'DISTINCTROW', 'HIGH_PRIORITY', 'STRAIGHT_JOIN', 'SQL_SMALL_RESULT', 'SQL_BIG_RESULT',
+          'SQL_BUFFER_RESULT', 'SQL_NO_CACHE', 'SQL_CALC_FOUND_ROWS'].find(word => cursor.acceptWord(word)))) {
+    if (modifier === 'DISTINCT' || modifier === 'DISTINCTROW') statement.distinct = true;
+  }
+  
+  do {
+    const itemFrom = cursor.pos;
+    if (cursor.acceptSymbol('*')) {
+      statement.items.push({ text: '*', alias: null, star: true });
+      continue;
+    }
+    if (cursor.peek(1)?.value === '.' && cursor.isSymbol('*', 2)) {
+      cursor.next();
+      cursor.next();
+      cursor.next();
+      statement.items.push({ text: cursor.text(itemFrom), alias: null, star: true });
+      continue;
+    }
+    parseCondition(cursor, context);
+    const text = cursor.text(itemFrom);
+    // Aliases keep the case they were written in - MySQL names the result column with it
+    const alias = parseAlias(cursor) === null ? null : cursor.peek(-1).value;
+    statement.items.push({ text, alias, star: false });
+  } while (cursor.acceptSymbol(','));
+  
+  if (cursor.isWord('INTO')) {
+    cursor.fail('SELECT ... INTO is not supported');
+  }
+  
+  if (cursor.acceptWord('FROM')) {
+    const from = cursor.pos;
+    applyTarget(statement, parseTableReferences(cursor, context), cursor, from);
+  }
+  
+  parseWhere(cursor, context, statement);
+  
+  if (cursor.acceptWord('GROUP')) {
+    cursor.expectWord('BY');
+    do {
+      const itemFrom = cursor.pos;
+      parseOperand(cursor, context);
+      statement.groupBy.push(cursor.text(itemFrom));
+      cursor.acceptWord('ASC') || cursor.acceptWord('DESC');
+    } while (cursor.acceptSymbol(','));
+    if (cursor.acceptWord('WITH')) {
+      cursor.expectWord('ROLLUP');
+      statement.rollup = true;
+    }
+  }
+  
+  if (cursor.acceptWord('HAVING')) {
+    const from = cursor.pos;
+    parseCondition(cursor, context);
+    statement.havingText = cursor.text(from);
+  }
+  
+  if (cursor.isWord('WINDOW')) {
+    cursor.fail('WINDOW clauses are not supported');
+  }
+  
+  statement.orderLimitText = parseOrderLimit(cursor, context, { statement });
+  
+  if (cursor.acceptWord('FOR')) {
+    statement.locking = cursor.acceptWord('UPDATE') ? 'FOR UPDATE' : (cursor.expectWord('SHARE'), 'FOR SHARE');
+    if (cursor.acceptWord('OF')) {
+      do { expectIdentifier(cursor); } while (cursor.acceptSymbol(','));
+    }
+    cursor.acceptWord('NOWAIT') || (cursor.acceptWord('SKIP') && cursor.expectWord('LOCKED'));
+  } else if (cursor.acceptWord('LOCK')) {
+    cursor.expectWord('IN');
+    cursor.expectWord('SHARE');
+    cursor.expectWord('MODE');
+    statement.locking = 'FOR SHARE';
+  }
+  
+  return statement;
+}
+
+function parseAssignments(cursor, context) {
+  const assignments = [];
+  do {
+    const parts = parseQualifiedName(cursor);
+    cursor.expectSymbol('=');
+    const value = cursor.acceptWord('DEFAULT') ? { type: 'expression', text: 'DEFAULT' } : parseOperand(cursor, context);
+    assignments.push({ column: parts[parts.length - 1].toLowerCase(), value });
+  } while (cursor.acceptSymbol(','));
+  return assignments;
+}
+
+function parseUpdate(cursor, context) {
+  const statement = emptyStatement('UPDATE');
+  cursor.expectWord('UPDATE');
+  while (cursor.acceptWord('LOW_PRIORITY') || cursor.acceptWord('IGNORE'));
+  
+  const from = cursor.pos;
+  applyTarget(statement, parseTableReferences(cursor, context), cursor, from);
+  
+  cursor.expectWord('SET');
+  statement.assignments = parseAssignments(cursor, context);
+  parseWhere(cursor, context, statement);
+  statement.orderLimitText = parseOrderLimit(cursor, context, { offset: false });
+  return statement;
+}
+
+function parseDelete(cursor, context) {
+  const statement = emptyStatement('DELETE');
+  cursor.expectWord('DELETE');
+  while (cursor.acceptWord('LOW_PRIORITY') || cursor.acceptWord('QUICK') || cursor.acceptWord('IGNORE'));
+  
+  if (cursor.acceptWord('FROM')) {
+    const from = cursor.pos;
+    const refs = parseTableReferences(cursor, context);
+    if (cursor.acceptWord('USING')) {
+      // DELETE FROM t USING t JOIN ...
+      const usingFrom = cursor.pos;
+      const using = parseTableReferences(cursor, context);
+      applyTarget(statement, refs, cursor, from);
+      statement.joined = true;
+      statement.fromText = cursor.text(usingFrom);
+      statement.alias = statement.alias || using.find(ref => ref.table === statement.table)?.alias || null;
+    } else {
+      applyTarget(statement, refs, cursor, from);
+    }
+  } else {
+    // DELETE t FROM t JOIN ...
+    const target = parseQualifiedName(cursor);
+    while (cursor.acceptSymbol(',')) parseQualifiedName(cursor);
+    cursor.expectWord('FROM');
+    const from = cursor.pos;
+    const refs = parseTableReferences(cursor, context);
+    const name = target[target.length - 1].toLowerCase();
+    const ref = refs.find(r => r.alias === name || r.table === name);
+    applyTarget(statement, ref ? [ref, ...refs.filter(r => r !== ref)] : refs, cursor, from);
+    statement.joined = true;
+  }
+  
+  parseWhere(cursor, context, statement);
+  statement.orderLimitText = parseOrderLimit(cursor, context, { offset: false });
+  return statement;
+}
+
+function parseInsert(cursor, context) {
+  const statement = emptyStatement('INSERT');
+  cursor.expectWord('INSERT');
+  while (['LOW_PRIORITY', 'DELAYED', 'HIGH_PRIORITY', 'IGNORE'].some(word => cursor.acceptWord(word)));
+  cursor.acceptWord('INTO');
+  
+  const position = cursor.peek()?.start ?? cursor.sql.length;
+  const parts = parseQualifiedName(cursor);
+  statement.table = parts[parts.length - 1].toLowerCase();
+  addTable(context, statement.table, position);
+
+  if (cursor.isSymbol('(') && !isSubqueryStart(cursor, 1)) {
+    cursor.next();
+    statement.columns = [];
+    if (!cursor.isSymbol(')')) {
+      do {
+        const column = parseQualifiedName(cursor);
+        statement.columns.push(column[column.length - 1].toLowerCase());
+      } while (cursor.acceptSymbol(','));
+    }
+    cursor.expectSymbol(')');
+  }
+  
+  if (cursor.acceptWord('VALUES') || cursor.acceptWord('VALUE')) {
+    statement.source = 'VALUES';
+    statement.rows = [];
+    do {
+      cursor.acceptWord('ROW');
+      cursor.expectSymbol('(');
+      const row = [];
+      if (!cursor.isSymbol(')')) {
+        do {
+          row.push(cursor.acceptWord('DEFAULT') ? { type: 'expression', text: 'DEFAULT' } : parseOperand(cursor, context));
+        } while (cursor.acceptSymbol(','));
+      }
+      cursor.expectSymbol(')');
+      statement.rows.push(row);
+    } while (cursor.acceptSymbol(','));
+    
+    // MySQL 8 row alias: VALUES (...) AS new
+    if (cursor.acceptWord('AS')) {
+      expectIdentifier(cursor);
+      if (cursor.isSymbol('(')) skipParens(cursor);
+    }
+  } else if (cursor.acceptWord('SET')) {
+    statement.source = 'SET';
+    statement.assignments = parseAssignments(cursor, context);
+  } else if (isSubqueryStart(cursor)) {
+    statement.source = 'SELECT';
+    parseQueryExpression(cursor, context);
+    statement.joined = true;
+  } else {
+    cursor.fail('Expected VALUES, SET or SELECT');
+  }
+  
+  // The upsert would update an existing row the statement's keys and
+  // fragment routing know nothing about
+  if (cursor.isWord('ON') && cursor.isWord('DUPLICATE', 1)) {
+    cursor.fail('INSERT ... ON DUPLICATE KEY UPDATE is not supported');
+  }
+
+  if (statement.columns && statement.rows?.some(row => row.length !== statement.columns.length)) {
+    throw parseError(`Column count does not match value count (${statement.columns.length} columns)`, cursor.peek()?.start ?? cursor.sql.length);
+  }
+  
+  return statement;
+}
+
+/**
+ * WITH [RECURSIVE] name [(columns)] AS (query), ... <statement>
+ * CTE names resolve to the first base table their query reads.
+ */
+function parseWith(cursor, context, parseBody) {
+  cursor.expectWord('WITH');
+  cursor.acceptWord('RECURSIVE');
+  const names = [];
+  
+  do {
+    const name = expectIdentifier(cursor).toLowerCase();
+    if (cursor.isSymbol('(')) skipParens(cursor);
+    cursor.expectWord('AS');
+    cursor.expectSymbol('(');
+    // A recursive CTE may name itself
+    context.ctes.set(name, null);
+    const query = parseQueryExpression(cursor, context);
+    context.ctes.set(name, query.table);
+    cursor.expectSymbol(')');
+    names.push(name);
+  } while (cursor.acceptSymbol(','));
+  
+  const statement = parseBody(cursor, context);
+  statement.ctes.push(...names);
+  return statement;
+}
+
+function parseTopLevel(cursor, context) {
+  if (cursor.isWord('WITH')) {
+    return parseWith(cursor, context, parseTopLevel);
+  }
+  if (cursor.isWord('SELECT') || cursor.isSymbol('(')) return parseQueryExpression(cursor, context);
+  if (cursor.isWord('INSERT')) return parseInsert(cursor, context);
+  if (cursor.isWord('UPDATE')) return parseUpdate(cursor, context);
+  if (cursor.isWord('DELETE')) return parseDelete(cursor, context);
+  
+  const token = cursor.peek();
+  if (token?.type === 'word' && UNSUPPORTED_STATEMENTS.includes(token.upper)) {
+    throw parseError(`${token.upper} statements are not supported`, token.start);
+  }
+  cursor.fail('Expected SELECT, INSERT, UPDATE or DELETE');
+}
+
+/**
+ * Parse one SQL statement. Never throws: unsupported or malformed SQL
+ * returns { supported: false, reason, position }.
+ */
+export function parseStatement(query) {
+  const sql = String(query ?? '');
+  
+  try {
+    const tokens = tokenize(sql);
+    if (tokens.length === 0) {
+      return { supported: false, isWrite: false, reason: 'Empty query', position: 0 };
+    }
+    
+    const cursor = createCursor(sql, tokens);
+    const context = { tables: new Set(), ctes: new Map() };
+    const statement = parseTopLevel(cursor, context);
+    
+    cursor.acceptSymbol(';');
+    if (!cursor.done()) {
+      throw parseError(cursor.isSymbol(';', -1) ? 'Multiple statements are not supported' : `Unexpected "${cursor.peek().value}"`, cursor.peek().start);
+    }
+    
+    statement.tables = Array.from(context.tables);
+    if (statement.table === null && statement.tables.length > 0) {
+      statement.table = statement.tables[0];
+    }
+    return statement;
+  } catch (error) {
+    return { supported: false, isWrite: false, reason: error.message, position: error.position ?? 0 };
+  }
+}
+
+// ============================================================================
+// PREDICATES - what a statement reads or writes, over the indexed columns
+// ============================================================================
+
+/**
+ * A predicate is a disjunction of conjuncts over the indexed columns:
+ *   [{ trans_id: Range, account_id: Range, newdate: Range }, ...]
+ * A column missing from a conjunct is unconstrained, so [{}] covers the whole
+ * table and [] covers nothing. Range = { low, high, lowInclusive, highInclusive }
+ * with null meaning unbounded.
+ * Conditions that cannot be expressed this way (functions, LIKE, <>, NOT,
+ * subqueries, joins) widen the predicate - wider locks are safe, narrower
+ * ones would not be.
+ */
+
+export function compareValues(a, b) {
+  const na = Number(a);
+  const nb = Number(b);
+  if (a !== '' && b !== '' && !isNaN(na) && !isNaN(nb)) {
+    return na - nb;
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Comparable value of a literal for a column (undefined for NULL / expressions)
+ * newdate is cut to its date part so DATE and DATETIME values compare
+ */
+export function literalValue(value, column) {
+  if (value?.type !== 'literal') return undefined;
+  return column === 'newdate' ? String(value.value).slice(0, 10) : String(value.value);
+}
+
+export function equalityRange(value) {
+  return { low: value, high: value, lowInclusive: true, highInclusive: true };
+}
+
+function intersectRanges(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  
+  const range = { ...a };
+  if (b.low !== null && (range.low === null || compareValues(b.low, range.low) > 0 ||
+      (compareValues(b.low, range.low) === 0 && !b.lowInclusive))) {
+    range.low = b.low;
+    range.lowInclusive = b.lowInclusive;
+  }
+  if (b.high !== null && (range.high === null || compareValues(b.high, range.high) < 0 ||
+      (compareValues(b.high, range.high) === 0 && !b.highInclusive))) {
+    range.high = b.high;
+    range.highInclusive = b.highInclusive;
+  }
+  return range;
+}
+
+export function rangesOverlap(a, b) {
+  if (a.low !== null && b.high !== null) {
+    const c = compareValues(a.low, b.high);
+    if (c > 0 || (c === 0 && !(a.lowInclusive && b.highInclusive))) return false;
+  }
+  if (b.low !== null && a.high !== null) {
+    const c = compareValues(b.low, a.high);
+    if (c > 0 || (c === 0 && !(b.lowInclusive && a.highInclusive))) return false;
+  }
+  return true;
+}
+
+function isEmptyRange(range) {
+  return !rangesOverlap(range, range);
+}
+
+/**
+ * Could some row satisfy both predicates?
+ */
+export function predicatesOverlap(a, b) {
+  return a.some(ca => b.some(cb =>
+    PREDICATE_COLUMNS.every(column => !ca[column] || !cb[column] || rangesOverlap(ca[column], cb[column]))
+  ));
+}
+
+/**
+ * AND of two predicates: every pair of conjuncts intersected, empty ones dropped
+ */
+function intersectPredicates(a, b) {
+  const conjuncts = [];
+  for (const ca of a) {
+    for (const cb of b) {
+      const conjunct = { ...ca };
+      let empty = false;
+      for (const column of PREDICATE_COLUMNS) {
+        if (!cb[column]) continue;
+        conjunct[column] = intersectRanges(conjunct[column], cb[column]);
+        empty = empty || isEmptyRange(conjunct[column]);
+      }
+      if (!empty) conjuncts.push(conjunct);
+    }
+  }
+  return conjuncts.length > MAX_CONJUNCTS ? [{}] : conjuncts;
+}
+
+/**
+ * Indexed column of the target table a value refers to (null otherwise)
+ */
+function targetColumn(statement, value) {
+  if (value?.type !== 'column' || !PREDICATE_COLUMNS.includes(value.column)) return null;
+  if (value.qualifier && value.qualifier !== statement.table && value.qualifier !== statement.alias) return null;
+  return value.column;
+}
+
+const FLIPPED_OPERATORS = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+function comparisonPredicate(statement, condition) {
+  let { left, operator, right } = condition;
+  if (!targetColumn(statement, left) && targetColumn(statement, right)) {
+    [left, right] = [right, left];
+    operator = FLIPPED_OPERATORS[operator] || operator;
+  }
+  
+  const column = targetColumn(statement, left);
+  const value = literalValue(right, column);
+  if (!column || value === undefined) return [{}];
+  
+  // newdate literals lose their time part, so strict bounds on a DATETIME become inclusive
+  const truncated = column === 'newdate' && /\d{2}:\d{2}/.test(right.value);
+  
+  switch (operator) {
+    case '=':
+    case '<=>':
+      return [{ [column]: equalityRange(value) }];
+    case '<':
+      return [{ [column]: { low: null, high: value, lowInclusive: false, highInclusive: truncated } }];
+    case '<=':
+      return [{ [column]: { low: null, high: value, lowInclusive: false, highInclusive: true } }];
+    case '>':
+      return [{ [column]: { low: value, high: null, lowInclusive: truncated, highInclusive: false } }];
+    case '>=':
+      return [{ [column]: { low: value, high: null, lowInclusive: true, highInclusive: false } }];
+    default:
+      // <> and != exclude a single value - not worth narrowing
+      return [{}];
+  }
+}
+
+function conditionPredicate(statement, condition) {
+  switch (condition.type) {
+    case 'and':
+      return condition.conditions.reduce((conjuncts, c) => intersectPredicates(conjuncts, conditionPredicate(statement, c)), [{}]);
+    case 'or': {
+      const conjuncts = condition.conditions.flatMap(c => conditionPredicate(statement, c));
+      return conjuncts.length > MAX_CONJUNCTS ? [{}] : conjuncts;
+    }
+    case 'compare':
+      return comparisonPredicate(statement, condition);
+    case 'between': {
+      const column = targetColumn(statement, condition.operand);
+      const low = literalValue(condition.low, column);
+      const high = literalValue(condition.high, column);
+      if (!column || condition.negated || low === undefined || high === undefined) return [{}];
+      return isEmptyRange({ low, high, lowInclusive: true, highInclusive: true })
+        ? []
+        : [{ [column]: { low, high, lowInclusive: true, highInclusive: true } }];
+    }
+    case 'in': {
+      const column = targetColumn(statement, condition.operand);
+      if (!column || condition.negated || !condition.values) return [{}];
+      const values = condition.values.map(v => literalValue(v, column));
+      if (values.some(v => v === undefined)) return [{}];
+      return values.map(value => ({ [column]: equalityRange(value) }));
+    }
+    default:
+      // NOT, LIKE, IS NULL, EXISTS, functions...: cannot narrow
+      return [{}];
+  }
+}
+
+/**
+ * Predicate read (or targeted) by a statement's WHERE clause
+ */
+export function wherePredicate(statement) {
+  if (!statement?.supported) return [{}];
+  
+  let conjuncts = [{}];
+  if (statement.where && !statement.joined) {
+    conjuncts = conditionPredicate(statement, statement.where);
+  }
+  
+  for (const part of statement.unions || []) {
+    conjuncts = [...conjuncts, ...wherePredicate(part)];
+  }
+  return conjuncts;
+}
+
+/**
+ * Rows an INSERT creates, as equality conjuncts on the indexed columns
+ */
+export function insertPredicate(statement) {
+  if (statement.source === 'SET') {
+    return [assignmentsConjunct(statement.assignments, {})];
+  }
+  if (statement.source !== 'VALUES') {
+    return [{}]; // INSERT ... SELECT
+  }
+  
+  const columns = statement.columns || TRANS_COLUMNS;
+  return statement.rows.map(row => {
+    const conjunct = {};
+    columns.forEach((column, i) => {
+      if (!PREDICATE_COLUMNS.includes(column)) return;
+      const value = literalValue(row[i], column);
+      if (value !== undefined) conjunct[column] = equalityRange(value);
+    });
+    return conjunct;
+  });
+}
+
+/**
+ * Conjunct after applying SET assignments (non-literal values unconstrain the column)
+ */
+function assignmentsConjunct(assignments, conjunct) {
+  const next = { ...conjunct };
+  for (const { column, value } of assignments) {
+    if (!PREDICATE_COLUMNS.includes(column)) continue;
+    const literal = literalValue(value, column);
+    if (literal === undefined) delete next[column];
+    else next[column] = equalityRange(literal);
+  }
+  return next;
+}
+
+/**
+ * Does an UPDATE change an indexed column (so its rows move within the predicate space)?
+ */
+export function movesRows(statement) {
+  return statement.type === 'UPDATE' && statement.assignments.some(a => PREDICATE_COLUMNS.includes(a.column));
+}
+
+/**
+ * Every row image a write touches: the rows it targets (before-images) and,
+ * for UPDATE, the same rows after the SET (after-images).
+ */
+export function writePredicate(statement) {
+  if (!statement?.supported) return [{}];
+  if (statement.type === 'INSERT') {
+    return insertPredicate(statement);
+  }
+  
+  const before = wherePredicate(statement);
+  if (!movesRows(statement)) {
+    return before;
+  }
+  return [...before, ...before.map(conjunct => assignmentsConjunct(statement.assignments, conjunct))];
+}
+
+/**
+ * Does a statement take exclusive (write) locks? Writes do, and so does a
+ * SELECT ... FOR UPDATE, which stays a read for routing and replication.
+ */
+export function locksForWrite(statement) {
+  return Boolean(statement?.isWrite || statement?.locking === 'FOR UPDATE');
+}
+
+/**
+ * trans_ids a statement reads or writes, or null when it is not limited to
+ * known rows. Writes include the trans_ids an UPDATE moves rows to.
+ */
+export function statementKeys(statement) {
+  if (!statement?.supported || statement.table === null) {
+    return null;
+  }
+  
+  const predicate = statement.isWrite ? writePredicate(statement) : wherePredicate(statement);
+  const keys = [];
+  for (const conjunct of predicate) {
+    const range = conjunct.trans_id;
+    if (!range || range.low === null || compareValues(range.low, range.high) !== 0 || !/^-?\d+$/.test(range.low)) {
+      return null;
+    }
+    const key = parseInt(range.low, 10);
+    if (!keys.includes(key)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Value of a column in each row an INSERT creates - null where it is not a
+ * literal, [] for INSERT ... SELECT
+ */
+export function insertValues(statement, column) {
+  if (statement?.type !== 'INSERT') return [];
+  
+  if (statement.source === 'SET') {
+    const assignment = statement.assignments.find(a => a.column === column);
+    return [literalValue(assignment?.value, column) ?? null];
+  }
+  if (statement.source !== 'VALUES') return [];
+  
+  const index = (statement.columns || TRANS_COLUMNS).indexOf(column);
+  return statement.rows.map(row => (index === -1 ? null : literalValue(row[index], column) ?? null));
+}
+
+/**
+ * newdate (YYYY-MM-DD) of each row an INSERT creates - null where it is not a literal
+ */
+export function insertDates(statement) {
+  return insertValues(statement, 'newdate');
+}
+
+/**
+ * Human-readable predicate for logs and /api/locks/status
+ */
+export function describePredicate(conjuncts) {
+  if (conjuncts.length === 0) return 'FALSE';
+  
+  return conjuncts.map(conjunct => {
+    const parts = PREDICATE_COLUMNS.filter(column => conjunct[column]).map(column => {
+      const r = conjunct[column];
+      if (r.low !== null && r.high !== null && compareValues(r.low, r.high) === 0) return `${column} = ${r.low}`;
+      const bounds = [];
+      if (r.low !== null) bounds.push(`${column} ${r.lowInclusive ? '>=' : '>'} ${r.low}`);
+      if (r.high !== null) bounds.push(`${column} ${r.highInclusive ? '<=' : '<'} ${r.high}`);
+      return bounds.join(' AND ');
+    });
+    return parts.length > 0 ? `(${parts.join(' AND ')})` : '(ALL ROWS)';
+  }).join(' OR ');
+}
@@ -0,0 +1,174 @@
+// ============================================================================
+// SSI - Serializable Snapshot Isolation (rw-antidependency tracking)
+// ============================================================================
+
+/**
+ * SSI is SNAPSHOT plus a check that makes it serializable without read locks.
+ * An rw-antidependency R -rw-> W exists when R read something that a
+ * concurrent W wrote (R did not see W's version). Snapshot isolation only
+ * goes wrong (write skew) when a transaction has both an incoming and an
+ * outgoing rw-edge: T1 -rw-> pivot -rw-> T3. The transaction whose statement
+ * completes such a structure is aborted with a retryable 409.
+ *
+ * Reads are recorded as their WHERE predicate, writes as the exact images of
+ * the rows they touch (plus where an UPDATE moves them). Committed SSI
+ * transactions stay registered while a concurrent SSI transaction is active.
+ * Only SSI transactions are tracked.
+ *
+ * createSsiTracker() returns the tracker state; the functions below take it
+ * as their first argument.
+ */
+
+import {
+  parseStatement,
+  wherePredicate,
+  writePredicate,
+  movesRows,
+  predicatesOverlap
+} from './sql-parser.js';
+import { rowConjunct } from './mvcc.js';
+
+// Most recent SSI aborts kept for /api/locks/status
+const ABORT_HISTORY_LIMIT = 50;
+
+/**
+ * New, empty tracker.
+ *   nextCommitTs() - commit timestamp for an SSI transaction that wrote no
+ *                    versions (shares the MVCC clock)
+ *
+ * registry: { txnId: { txnId, startTs, commitTs, reads: [predicate], writes: [predicate], in: [txnId], out: [txnId] } }
+ * aborts:   [{ transactionId, pivot, structure, query, at }] (newest last)
+ */
+export function createSsiTracker({ nextCommitTs }) {
+  return {
+    nextCommitTs,
+    registry: {},
+    aborts: []
+  };
+}
+
+/**
+ * Rows a write statement changes: INSERT values, the current images of the
+ * rows it targets and, when the SET changes an indexed column, where they land
+ */
+function ssiWritePredicate(statement, touchedRows) {
+  if (statement.type === 'INSERT' || !touchedRows) {
+    return writePredicate(statement);
+  }
+  
+  const images = touchedRows.map(rowConjunct);
+  return movesRows(statement) ? [...images, ...writePredicate(statement)] : images;
+}
+
+/**
+ * Were a and b running at the same time? (neither committed before the other started)
+ */
+function ssiConcurrent(a, b) {
+  return !(a.commitTs !== null && a.commitTs <= b.startTs) && !(b.commitTs !== null && b.commitTs <= a.startTs);
+}
+
+function addRwEdge(reader, writer) {
+  if (!reader.out.includes(writer.txnId)) reader.out.push(writer.txnId);
+  if (!writer.in.includes(reader.txnId)) writer.in.push(reader.txnId);
+  console.log(`[SSI] rw-antidependency ${reader.txnId} -rw-> ${writer.txnId}`);
+}
+
+/**
+ * Record an SSI statement, add its rw-edges and look for a pivot.
+ * Call before the statement runs (writes: after captureBeforeImages).
+ * Returns: { success: true } or { success: false, conflict, retryable, reason, structure }
+ */
+export function trackSerializableSnapshot(ssi, txn, query, isWrite, touchedRows) {
+  if (!txn || txn.isolationLevel !== 'SSI') {
+    return { success: true };
+  }
+  
+  const txnId = txn.transactionId;
+  const entry = ssi.registry[txnId] = ssi.registry[txnId] || {
+    txnId, startTs: txn.startTs, commitTs: null, reads: [], writes: [], in: [], out: []
+  };
+  const statement = parseStatement(query);
+  const predicate = isWrite ? ssiWritePredicate(statement, touchedRows) : wherePredicate(statement);
+  const others = Object.values(ssi.registry).filter(other => other !== entry && ssiConcurrent(entry, other));
+  const linked = [];
+  
+  if (isWrite) {
+    entry.writes.push(predicate);
+    for (const other of others.filter(o => o.reads.some(read => predicatesOverlap(read, predicate)))) {
+      addRwEdge(other, entry);
+      linked.push(other);
+    }
+  } else {
+    entry.reads.push(predicate);
+    for (const other of others.filter(o => o.writes.some(write => predicatesOverlap(write, predicate)))) {
+      addRwEdge(entry, other);
+      linked.push(other);
+    }
+  }
+  
+  const pivot = [entry, ...linked].find(t => t.in.length > 0 && t.out.length > 0);
+  if (!pivot) {
+    return { success: true };
+  }
+  
+  const structure = `${pivot.in[0]} -rw-> ${pivot.txnId} -rw-> ${pivot.out[0]}`;
+  ssi.aborts.push({ transactionId: txnId, pivot: pivot.txnId, structure, query, at: new Date() });
+  ssi.aborts = ssi.aborts.slice(-ABORT_HISTORY_LIMIT);
+  console.log(`[SSI] Dangerous structure ${structure} - aborting ${txnId}`);
+  
+  return {
+    success: false,
+    conflict: true,
+    retryable: true,
+    structure,
+    reason: `Serialization failure: dangerous structure ${structure}`
+  };
+}
+
+/**
+ * Commit (commitTs set) or abort (edges removed) an SSI transaction, then
+ * forget committed ones no active SSI transaction overlaps with any more
+ */
+export function finishSerializableSnapshot(ssi, txn, committed) {
+  const entry = ssi.registry[txn.transactionId];
+  
+  if (entry && committed) {
+    entry.commitTs = txn.commitTs || ssi.nextCommitTs();
+  } else if (entry) {
+    delete ssi.registry[txn.transactionId];
+    for (const other of Object.values(ssi.registry)) {
+      other.in = other.in.filter(id => id !== txn.transactionId);
+      other.out = other.out.filter(id => id !== txn.transactionId);
+    }
+  }
+  
+  const active = Object.values(ssi.registry).filter(e => e.commitTs === null);
+  for (const e of Object.values(ssi.registry)) {
+    if (e.commitTs !== null && active.every(a => e.commitTs <= a.startTs)) {
+      delete ssi.registry[e.txnId];
+    }
+  }
+}
+
+/**
+ * Forget every tracked transaction and the abort history
+ */
+export function clearSsiTracker(ssi) {
+  ssi.registry = {};
+  ssi.aborts = [];
+}
+
+/**
+ * Tracked transactions with their rw-edges as reported by /api/locks/status
+ */
+export function describeSsiTracker(ssi) {
+  return {
+    transactions: Object.values(ssi.registry).map(entry => ({
+      transactionId: entry.txnId,
+      committed: entry.commitTs !== null,
+      rwIn: entry.in,
+      rwOut: entry.out
+    })),
+    recentAborts: ssi.aborts
+  };
+}
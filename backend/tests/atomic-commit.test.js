@@ -0,0 +1,401 @@
+/**
+ * Atomic Commit Test Suite
+ * Tests: XA two-phase commit with the origin as a participant, aborts on a
+ * no vote or an unwritable log, offline targets, interactive transactions
+ * committed in one round, three-phase commit and its termination protocol,
+ * in-doubt branch recovery (atomic-commit.js)
+ */
+
+import {
+  createCommitCoordinator,
+  startOriginBranch,
+  rollbackBranch,
+  commitOnePhase,
+  mergeReplicationPlans,
+  twoPhaseCommit,
+  threePhaseCommit,
+  atomicCommit,
+  parseCommitOptions,
+  recoverInDoubtTransactions
+} from '../atomic-commit.js';
+
+const XA_STATEMENT = /^XA (START|END|PREPARE|COMMIT|ROLLBACK) '([^']*)', '([^']*)', 7341( ONE PHASE)?$/;
+
+/**
+ * In-memory MySQL servers that keep XA branches the way MySQL does: a
+ * prepared branch survives its connection, an unknown XID is ER_XAER_NOTA.
+ * failPrepare / failStatement make a node vote no.
+ */
+function fakeCluster() {
+  const cluster = { branches: {}, calls: [], failPrepare: new Set(), failStatement: new Set() };
+  
+  cluster.connect = async node => ({
+    query: async sql => {
+      cluster.calls.push(`${node}:${sql}`);
+      if (sql === 'XA RECOVER') {
+        const prepared = Object.values(cluster.branches).filter(b => b.node === node && b.state === 'prepared');
+        return [prepared.map(b => ({ formatID: 7341, gtrid_length: b.globalId.length, bqual_length: b.branch.length, data: b.globalId + b.branch }))];
+      }
+      
+      const match = sql.match(XA_STATEMENT);
+      if (!match) {
+        if (cluster.failStatement.has(node)) throw new Error(`Duplicate entry on ${node}`);
+        return [{ affectedRows: 1 }];
+      }
+      
+      const [, verb, globalId, branch] = match;
+      const key = `${globalId}/${branch}`;
+      if (verb === 'START') {
+        cluster.branches[key] = { node, globalId, branch, state: 'active' };
+      } else if (!cluster.branches[key]) {
+        throw Object.assign(new Error(`XAER_NOTA: Unknown XID ${key}`), { code: 'ER_XAER_NOTA' });
+      } else if (verb === 'END') {
+        cluster.branches[key].state = 'idle';
+      } else if (verb === 'PREPARE') {
+        if (cluster.failPrepare.has(node)) throw new Error(`Deadlock found on ${node}`);
+        cluster.branches[key].state = 'prepared';
+      } else {
+        delete cluster.branches[key];
+      }
+      return [[]];
+    },
+    release: () => {},
+    destroy: () => {}
+  });
+  
+  return cluster;
+}
+
+/**
+ * Coordinator over a fake cluster. offline nodes cannot take part; every
+ * persist(record) call is recorded as 'globalId:state' and fails from
+ * failPersistAt on.
+ */
+function setup({ offline = [], failPersistAt = Infinity, ...options } = {}) {
+  const cluster = fakeCluster();
+  const failed = new Set(offline);
+  const resolved = [];
+  const persisted = [];
+  
+  const coordinator = createCommitCoordinator({
+    connect: cluster.connect,
+    unavailable: node => (failed.has(node) ? 'Node offline (simulated failure)' : null),
+    isFailed: node => failed.has(node),
+    persist: async record => {
+      persisted.push(`${record.globalId}:${record.state}`);
+      if (persisted.length >= failPersistAt) throw new Error('disk full');
+    },
+    onResolved: (globalId, node, action) => resolved.push({ globalId, node, action }),
+    threePhaseTimeout: 10,
+    ...options
+  });
+  
+  const origin = async (globalId, node = 'node0') => startOriginBranch(await cluster.connect(node), globalId, node);
+  
+  return { coordinator, cluster, failed, resolved, persisted, origin };
+}
+
+const WRITE = 'UPDATE trans SET amount = 5 WHERE trans_id = 1';
+
+describe('Atomic Commit', () => {
+  describe('Two-phase commit', () => {
+    test('The origin branch and every target prepare, then all commit', async () => {
+      const { coordinator, cluster, origin } = setup();
+      const branch = await origin('g1');
+      await branch.conn.query(WRITE);
+      
+      const result = await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', branch);
+      
+      expect(result).toEqual({
+        protocol: '2PC',
+        success: true,
+        phase: 'committed',
+        xid: 'g1',
+        results: [
+          { target: 'node0', origin: true, prepared: true, vote: 'yes' },
+          { target: 'node1', prepared: true, vote: 'yes' },
+          { target: 'node2', prepared: true, vote: 'yes' }
+        ]
+      });
+      expect(cluster.calls.filter(call => call.startsWith('node1:'))).toEqual([
+        "node1:XA START 'g1', 'node1', 7341",
+        `node1:${WRITE}`,
+        "node1:XA END 'g1', 'node1', 7341",
+        "node1:XA PREPARE 'g1', 'node1', 7341",
+        "node1:XA COMMIT 'g1', 'node1', 7341"
+      ]);
+      expect(cluster.branches).toEqual({});
+      expect(coordinator.log).toEqual([expect.objectContaining({
+        globalId: 'g1',
+        state: 'completed',
+        decision: 'commit',
+        participants: ['node0', 'node1', 'node2'],
+        acknowledged: ['node0', 'node1', 'node2']
+      })]);
+      expect(coordinator.inFlight.size).toBe(0);
+    });
+    
+    test('One no vote rolls back every branch, the origin included', async () => {
+      const { coordinator, cluster, origin } = setup();
+      cluster.failPrepare.add('node2');
+      const branch = await origin('g1');
+      
+      const result = await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', branch);
+      
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('One or more nodes failed to prepare (node2: Deadlock found on node2)');
+      expect(result.results.map(r => r.vote)).toEqual(['yes', 'yes', 'no']);
+      expect(cluster.calls).toEqual(expect.arrayContaining([
+        "node0:XA ROLLBACK 'g1', 'node0', 7341",
+        "node1:XA ROLLBACK 'g1', 'node1', 7341",
+        "node2:XA ROLLBACK 'g1', 'node2', 7341"
+      ]));
+      expect(cluster.branches).toEqual({});
+      expect(coordinator.log[0]).toEqual(expect.objectContaining({ decision: 'abort', state: 'completed' }));
+    });
+    
+    test('Every state change is persisted with its own record', async () => {
+      const { coordinator, persisted, origin } = setup();
+      
+      await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1'], {}, 'g1', await origin('g1'));
+      await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1'], {}, 'g2', await origin('g2'));
+      
+      expect(persisted).toEqual(['g1:prepare_sent', 'g1:decided', 'g1:completed', 'g2:prepare_sent', 'g2:decided', 'g2:completed']);
+    });
+    
+    test('Offline targets do not vote and are not participants', async () => {
+      const { coordinator, cluster } = setup({ offline: ['node2'] });
+      
+      const result = await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1');
+      
+      expect(result.success).toBe(true);
+      expect(result.results[1]).toEqual({ target: 'node2', prepared: false, vote: 'offline', reason: 'Node offline (simulated failure)' });
+      expect(coordinator.log[0].participants).toEqual(['node1']);
+      expect(cluster.calls.some(call => call.startsWith('node2:'))).toBe(false);
+    });
+    
+    test('Held targets sit the round out like offline ones, with the given reason', async () => {
+      const { coordinator, cluster } = setup();
+      
+      const result = await atomicCommit(coordinator, { held: { node2: '1 earlier writes to the same rows not yet applied' } }, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', null);
+      
+      expect(result.success).toBe(true);
+      expect(result.results[1]).toEqual({ target: 'node2', prepared: false, vote: 'offline', reason: '1 earlier writes to the same rows not yet applied' });
+      expect(coordinator.log[0].participants).toEqual(['node1']);
+      expect(cluster.calls.some(call => call.startsWith('node2:'))).toBe(false);
+    });
+    
+    test('A commit decision that cannot be logged becomes an abort', async () => {
+      const { coordinator, cluster } = setup({ failPersistAt: 2 });
+      
+      const result = await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1'], {}, 'g1');
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, reason: 'Coordinator log could not be written' }));
+      expect(cluster.calls).toContain("node1:XA ROLLBACK 'g1', 'node1', 7341");
+      expect(coordinator.log[0].decision).toBe('abort');
+    });
+    
+    test('Targets run their own statements instead of the query', async () => {
+      const { coordinator, cluster } = setup();
+      const images = ['DELETE FROM trans WHERE trans_id IN (1)'];
+      
+      await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1'], { node1: images }, 'g1');
+      
+      expect(cluster.calls).toContain(`node1:${images[0]}`);
+      expect(cluster.calls).not.toContain(`node1:${WRITE}`);
+    });
+    
+    test('A branch that never prepared is rolled back once', async () => {
+      const { cluster, origin } = setup();
+      const branch = await origin('g1');
+      
+      expect(await rollbackBranch(branch)).toBe(true);
+      expect(await rollbackBranch(branch)).toBe(false);
+      expect(await rollbackBranch(null)).toBe(false);
+      expect(cluster.calls).toEqual([
+        "node0:XA START 'g1', 'node0', 7341",
+        "node0:XA END 'g1', 'node0', 7341",
+        "node0:XA ROLLBACK 'g1', 'node0', 7341"
+      ]);
+    });
+  });
+  
+  describe('Interactive transactions', () => {
+    const SECOND = 'DELETE FROM trans WHERE trans_id = 2';
+    const plan = (targets, replay = {}, statements = {}, migration = false) => ({ targets, statements, replay, migration });
+    
+    test('The writes of a session commit with its branch as one global transaction', async () => {
+      const { coordinator, cluster, origin } = setup();
+      const branch = await origin('T1');
+      await branch.conn.query(WRITE);
+      await branch.conn.query(SECOND);
+      const merged = mergeReplicationPlans([
+        { query: WRITE, plan: plan(['node1']) },
+        { query: SECOND, plan: plan(['node1', 'node2']) }
+      ]);
+      
+      const result = await twoPhaseCommit(coordinator, 'node0', `${WRITE}; ${SECOND}`, merged.targets, merged.statements, 'T1', branch);
+      
+      expect(result.success).toBe(true);
+      expect(branch.state).toBe('committed');
+      expect(cluster.calls.filter(call => call.startsWith('node1:'))).toEqual([
+        "node1:XA START 'T1', 'node1', 7341",
+        `node1:${WRITE}`,
+        `node1:${SECOND}`,
+        "node1:XA END 'T1', 'node1', 7341",
+        "node1:XA PREPARE 'T1', 'node1', 7341",
+        "node1:XA COMMIT 'T1', 'node1', 7341"
+      ]);
+      expect(cluster.calls.filter(call => call.startsWith('node2:')).slice(1, -3)).toEqual([`node2:${SECOND}`]);
+      expect(coordinator.log.map(record => record.globalId)).toEqual(['T1']);
+    });
+    
+    test('Merged plans keep each write\'s statements and only complete replay images', () => {
+      const merged = mergeReplicationPlans([
+        { query: WRITE, plan: plan(['node1', 'node0'], {}, { node1: ['INSERT 1'], node0: ['DELETE 1'] }, true) },
+        { query: SECOND, plan: plan(['node1', 'node2'], { node1: ['IMAGE 2'], node2: ['IMAGE 2'] }) }
+      ]);
+      
+      expect(merged).toEqual({
+        targets: ['node1', 'node0', 'node2'],
+        statements: { node1: ['INSERT 1', SECOND], node0: ['DELETE 1'], node2: [SECOND] },
+        replay: { node2: ['IMAGE 2'] },
+        migration: true
+      });
+    });
+    
+    test('A session that only read commits in one phase', async () => {
+      const { cluster, origin } = setup();
+      const branch = await origin('T1');
+      
+      expect(await commitOnePhase(branch)).toBe(true);
+      expect(branch.state).toBe('committed');
+      expect(cluster.calls.slice(-1)).toEqual(["node0:XA COMMIT 'T1', 'node0', 7341 ONE PHASE"]);
+      expect(cluster.branches).toEqual({});
+      
+      const lost = await origin('T2');
+      delete cluster.branches['T2/node0'];
+      expect(await commitOnePhase(lost)).toBe(false);
+      expect(lost.state).not.toBe('committed');
+    });
+  });
+  
+  describe('Three-phase commit', () => {
+    test('CanCommit, PreCommit and DoCommit commit every branch', async () => {
+      const { coordinator, cluster } = setup({ protocol: '3PC' });
+      
+      const result = await atomicCommit(coordinator, {}, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', null);
+      
+      expect(result).toEqual(expect.objectContaining({ protocol: '3PC', success: true }));
+      expect(coordinator.log[0]).toEqual(expect.objectContaining({ protocol: '3PC', decision: 'commit', state: 'completed' }));
+      expect(cluster.branches).toEqual({});
+    });
+    
+    test('After a coordinator failure in PreCommit a participant takes over and commits', async () => {
+      const { coordinator, cluster } = setup();
+      
+      const result = await threePhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', null, { failCoordinatorAfter: 'pre_commit' });
+      
+      expect(result).toEqual(expect.objectContaining({ success: true, coordinatorFailure: 'pre_commit', terminatedBy: 'node1' }));
+      expect(cluster.branches).toEqual({});
+    });
+    
+    test('After a coordinator failure in CanCommit the participants abort', async () => {
+      const { coordinator, cluster } = setup();
+      
+      const result = await threePhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', null, { failCoordinatorAfter: 'can_commit' });
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, coordinatorFailure: 'can_commit', terminatedBy: 'node1' }));
+      expect(cluster.calls).toContain("node2:XA ROLLBACK 'g1', 'node2', 7341");
+    });
+    
+    test('With every participant down after PreCommit the round is blocked until node recovery commits it', async () => {
+      const down = new Set();
+      const { coordinator, cluster } = setup({
+        isFailed: node => down.has(node),
+        persist: async record => {
+          if (record.state === 'pre_commit') ['node1', 'node2'].forEach(node => down.add(node));
+        }
+      });
+      
+      const result = await threePhaseCommit(coordinator, 'node0', WRITE, ['node1', 'node2'], {}, 'g1', null, { failCoordinatorAfter: 'pre_commit' });
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, phase: 'blocked', coordinatorFailure: 'pre_commit', terminatedBy: null }));
+      expect(result.results.every(r => r.inDoubt)).toBe(true);
+      expect(coordinator.log[0]).toEqual(expect.objectContaining({ state: 'pre_commit', decision: 'commit', lost: ['node1', 'node2'] }));
+      expect(Object.values(cluster.branches).map(b => b.state)).toEqual(['prepared', 'prepared']);
+      
+      down.clear();
+      await recoverInDoubtTransactions(coordinator, ['node1', 'node2']);
+      expect(cluster.branches).toEqual({});
+      expect(coordinator.log[0].state).toBe('completed');
+    });
+  });
+  
+  describe('Options', () => {
+    test('The protocol defaults to the coordinator and coordinator failures need 3PC', () => {
+      const { coordinator } = setup();
+      
+      expect(parseCommitOptions(coordinator, {})).toEqual({ options: { protocol: '2PC', failCoordinatorAfter: null } });
+      expect(parseCommitOptions(coordinator, { protocol: '3PC', failCoordinatorAfter: 'pre_commit' }).options.failCoordinatorAfter).toBe('pre_commit');
+      expect(parseCommitOptions(coordinator, { protocol: '4PC' }).error.error).toBe('Invalid commit protocol: 4PC');
+      expect(parseCommitOptions(coordinator, { failCoordinatorAfter: 'pre_commit' }).error.available).toEqual(['can_commit', 'pre_commit']);
+      expect(createCommitCoordinator({ protocol: 'XA' }).protocol).toBe('2PC');
+    });
+  });
+  
+  describe('Recovery', () => {
+    test('A logged decision is re-driven to the participants that did not acknowledge it', async () => {
+      const { coordinator, cluster, resolved, persisted } = setup();
+      const connection = await cluster.connect('node1');
+      for (const sql of ["XA START 'g1', 'node1', 7341", "XA END 'g1', 'node1', 7341", "XA PREPARE 'g1', 'node1', 7341"]) {
+        await connection.query(sql);
+      }
+      coordinator.log.push({ globalId: 'g1', protocol: '2PC', state: 'decided', participants: ['node0', 'node1'], votes: [], decision: 'commit', acknowledged: ['node0'] });
+      
+      const actions = await recoverInDoubtTransactions(coordinator, ['node0', 'node1']);
+      
+      expect(actions).toEqual([{ node: 'node1', globalId: 'g1', branch: 'node1', action: 'COMMIT', presumed: false }]);
+      expect(resolved).toEqual([{ globalId: 'g1', node: 'node1', action: 'COMMIT' }]);
+      expect(coordinator.log[0].state).toBe('completed');
+      expect(persisted).toEqual(['g1:completed']);
+      expect(cluster.branches).toEqual({});
+    });
+    
+    test('Prepared branches without a logged decision are rolled back (presumed abort)', async () => {
+      const { coordinator, cluster } = setup();
+      cluster.branches['g2/node2'] = { node: 'node2', globalId: 'g2', branch: 'node2', state: 'prepared' };
+      coordinator.log.push({ globalId: 'g3', protocol: '2PC', state: 'prepare_sent', participants: ['node1'], votes: [], decision: null, acknowledged: [] });
+      
+      const actions = await recoverInDoubtTransactions(coordinator, ['node1', 'node2']);
+      
+      expect(actions).toEqual([{ node: 'node2', globalId: 'g2', branch: 'node2', action: 'ROLLBACK', presumed: true }]);
+      expect(coordinator.log[0]).toEqual(expect.objectContaining({ decision: 'abort', presumed: true, state: 'completed' }));
+      expect(cluster.branches).toEqual({});
+    });
+    
+    test('Rounds still in flight and offline nodes are left alone', async () => {
+      const { coordinator, cluster } = setup({ offline: ['node2'] });
+      cluster.branches['g1/node1'] = { node: 'node1', globalId: 'g1', branch: 'node1', state: 'prepared' };
+      cluster.branches['g2/node2'] = { node: 'node2', globalId: 'g2', branch: 'node2', state: 'prepared' };
+      coordinator.inFlight.add('g1');
+      
+      expect(await recoverInDoubtTransactions(coordinator, ['node1', 'node2'])).toEqual([]);
+      expect(Object.keys(cluster.branches)).toEqual(['g1/node1', 'g2/node2']);
+    });
+    
+    test('A node that takes part in no round while it recovers still has its branches finished', async () => {
+      const { coordinator, cluster } = setup({
+        unavailable: node => (node === 'node1' ? 'Node recovering' : null),
+        reachable: () => true
+      });
+      cluster.branches['g1/node1'] = { node: 'node1', globalId: 'g1', branch: 'node1', state: 'prepared' };
+      
+      const round = await twoPhaseCommit(coordinator, 'node0', WRITE, ['node1'], {}, 'g2');
+      const actions = await recoverInDoubtTransactions(coordinator, ['node1']);
+      
+      expect(round.results[0]).toEqual(expect.objectContaining({ target: 'node1', vote: 'offline', reason: 'Node recovering' }));
+      expect(actions).toEqual([{ node: 'node1', globalId: 'g1', branch: 'node1', action: 'ROLLBACK', presumed: true }]);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Anti-Entropy Test Suite
+ * Tests: range checksum queries, row diffs, the Merkle-style descent that
+ * finds missing, extra and divergent rows, and repairs under row locks
+ * (consistency.js)
+ */
+
+import {
+  splitRange,
+  outsideConditions,
+  rangeChecksumQuery,
+  chunkRowsQuery,
+  mismatchedRanges,
+  diffRows,
+  merkleDiff,
+  repairRows
+} from '../consistency.js';
+
+const row = (id, amount = '10.00') => ({ trans_id: id, account_id: 1, newdate: '1998-01-01 00:00:00', amount, balance: '0.00' });
+
+/**
+ * In-memory copy with the source interface merkleDiff reads, counting the
+ * rows it hands out
+ */
+function memorySource(rows) {
+  const inRange = range => rows.filter(r => r.trans_id >= range.lo && r.trans_id <= range.hi);
+  const source = {
+    rowsRead: 0,
+    bounds: async () => (rows.length === 0
+      ? { lo: null, hi: null }
+      : { lo: Math.min(...rows.map(r => r.trans_id)), hi: Math.max(...rows.map(r => r.trans_id)) }),
+    checksums: async (range, fanout) => {
+      const width = Math.max(1, Math.ceil((range.hi - range.lo + 1) / fanout));
+      const buckets = new Map();
+      for (const r of inRange(range)) {
+        const bucket = Math.floor((r.trans_id - range.lo) / width);
+        const entry = buckets.get(bucket) || { bucket, row_count: 0, checksum: 0 };
+        entry.row_count++;
+        entry.checksum += [...JSON.stringify(r)].reduce((sum, ch) => (sum * 31 + ch.charCodeAt(0)) % 1000003, 7);
+        buckets.set(bucket, entry);
+      }
+      return [...buckets.values()];
+    },
+    rows: async range => {
+      const found = inRange(range);
+      source.rowsRead += found.length;
+      return found;
+    }
+  };
+  return source;
+}
+
+const ids = rows => rows.map(r => r.trans_id);
+
+/**
+ * Repair hooks over an in-memory authority (trans_id -> row). lock() waits
+ * until unlock() is called when held is set; every call is recorded in events.
+ */
+function repairSetup(authorityRows) {
+  const authority = new Map(authorityRows.map(r => [r.trans_id, r]));
+  const events = [];
+  const written = [];
+  let unlock = null;
+  const hooks = {
+    held: false,
+    lock: async keys => {
+      events.push(`lock:${keys.join(',')}`);
+      if (hooks.held) {
+        await new Promise(resolve => { unlock = resolve; });
+      }
+      return committed => events.push(`release:${committed}`);
+    },
+    rows: async keys => {
+      events.push('rows');
+      return keys.map(key => authority.get(key)).filter(Boolean);
+    },
+    write: async (store, remove) => {
+      events.push('write');
+      written.push({ store: ids(store), remove });
+    }
+  };
+  return { authority, events, written, hooks, unlock: () => unlock() };
+}
+
+describe('Anti-Entropy', () => {
+  describe('Ranges and queries', () => {
+    test('A range splits into fanout sub-ranges of equal width', () => {
+      expect(splitRange({ lo: 1, hi: 10 }, 4)).toEqual([
+        { lo: 1, hi: 3 }, { lo: 4, hi: 6 }, { lo: 7, hi: 9 }, { lo: 10, hi: 10 }
+      ]);
+      expect(splitRange({ lo: 5, hi: 6 }, 16)).toEqual([{ lo: 5, hi: 5 }, { lo: 6, hi: 6 }]);
+    });
+    
+    test('Checksum query binds the bucket width, the scope and the range', () => {
+      const query = rangeChecksumQuery({ sql: 'account_id = ?', params: [7] }, { lo: 1, hi: 100 }, 10);
+      expect(query.sql).toMatch(/^SELECT FLOOR\(\(trans_id - \?\) \/ \?\) AS bucket, COUNT\(\*\) AS row_count, SUM\(CRC32\(/);
+      expect(query.sql).toMatch(/WHERE \(account_id = \?\) AND trans_id BETWEEN \? AND \? GROUP BY bucket$/);
+      expect(query.params).toEqual([1, 10, 7, 1, 100]);
+    });
+    
+    test('Chunks continue after the last trans_id read', () => {
+      const scope = { sql: 'account_id = ?', params: [7] };
+      const first = chunkRowsQuery(scope, null, 500);
+      expect(first.sql).toMatch(/WHERE \(account_id = \?\) ORDER BY trans_id LIMIT \?$/);
+      expect(first.params).toEqual([7, 500]);
+      const next = chunkRowsQuery(scope, 1200, 500);
+      expect(next.sql).toMatch(/WHERE \(account_id = \?\) AND trans_id > \? ORDER BY trans_id LIMIT \?$/);
+      expect(next.params).toEqual([7, 1200, 500]);
+    });
+    
+    test('Rows outside every condition', () => {
+      expect(outsideConditions([{ sql: 'a < ?', params: [1] }, { sql: 'a > ?', params: [5] }])).toEqual({
+        sql: 'NOT (IFNULL((a < ?), 0) OR IFNULL((a > ?), 0))',
+        params: [1, 5]
+      });
+      expect(outsideConditions([]).sql).toBe('1 = 1');
+    });
+    
+    test('Only buckets whose count or checksum differ are descended into', () => {
+      const authority = [{ bucket: 0, row_count: 2, checksum: '10' }, { bucket: 1, row_count: 1, checksum: '5' }, { bucket: 3, row_count: 1, checksum: '9' }];
+      const copy = [{ bucket: '0', row_count: '2', checksum: '10' }, { bucket: 1, row_count: 1, checksum: '6' }, { bucket: 2, row_count: 1, checksum: '1' }];
+      expect(mismatchedRanges({ lo: 0, hi: 39 }, 4, authority, copy)).toEqual([
+        { lo: 10, hi: 19 }, { lo: 20, hi: 29 }, { lo: 30, hi: 39 }
+      ]);
+    });
+  });
+  
+  describe('Row diffs', () => {
+    test('Missing, extra and divergent rows', () => {
+      const diff = diffRows([row(1), row(2), row(3, '12.50')], [row(2), row(3, '99.00'), row(4)]);
+      expect(ids(diff.missing)).toEqual([1]);
+      expect(ids(diff.extra)).toEqual([4]);
+      expect(diff.divergent).toEqual([expect.objectContaining({ trans_id: 3, columns: ['amount'] })]);
+    });
+    
+    test('Numbers compare by value and NULLs only match NULLs', () => {
+      const diff = diffRows(
+        [{ ...row(1), amount: 5 }, { ...row(2), balance: null }],
+        [{ ...row(1), amount: '5.00' }, { ...row(2), balance: '0.00' }]
+      );
+      expect(diff.divergent.map(d => [d.trans_id, d.columns])).toEqual([[2, ['balance']]]);
+    });
+  });
+  
+  describe('Merkle descent', () => {
+    const master = Array.from({ length: 1000 }, (_, i) => row(i + 1));
+    
+    test('Identical copies are compared without reading rows', async () => {
+      const authority = memorySource(master);
+      const copy = memorySource(master.map(r => ({ ...r })));
+      const diff = await merkleDiff(authority, copy);
+      expect(diff).toMatchObject({ missing: [], extra: [], divergent: [], rangesFetched: 0, rangesCompared: 1 });
+      expect(authority.rowsRead + copy.rowsRead).toBe(0);
+    });
+    
+    test('Differences are found by reading only the ranges around them', async () => {
+      const copyRows = master
+        .filter(r => r.trans_id !== 17)
+        .map(r => (r.trans_id === 640 ? row(640, '1.00') : r))
+        .concat(row(1005));
+      const authority = memorySource(master);
+      const copy = memorySource(copyRows);
+      const diff = await merkleDiff(authority, copy, { fanout: 16, leafSize: 16 });
+      
+      expect(ids(diff.missing)).toEqual([17]);
+      expect(ids(diff.extra)).toEqual([1005]);
+      expect(diff.divergent.map(d => d.trans_id)).toEqual([640]);
+      expect(diff.rangesFetched).toBe(3);
+      expect(authority.rowsRead).toBeLessThan(50);
+    });
+    
+    test('Every row of a copy the authority does not have is extra', async () => {
+      const diff = await merkleDiff(memorySource([]), memorySource([row(3), row(300)]));
+      expect(ids(diff.extra)).toEqual([3, 300]);
+      expect(await merkleDiff(memorySource([]), memorySource([]))).toMatchObject({ rangesCompared: 0, rangesFetched: 0 });
+    });
+  });
+  
+  describe('Repair', () => {
+    test('Rows are read after they are locked, so a write committing meanwhile is not undone', async () => {
+      const { authority, events, written, hooks, unlock } = repairSetup([row(1), row(2)]);
+      hooks.held = true;
+      
+      const repair = repairRows([1, 2], hooks);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(events).toEqual(['lock:1,2']);
+      authority.set(2, row(2, '99.00'));
+      authority.delete(1);
+      unlock();
+      
+      expect(await repair).toEqual({ stored: 1, deleted: 1 });
+      expect(events).toEqual(['lock:1,2', 'rows', 'write', 'release:true']);
+      expect(written).toEqual([{ store: [2], remove: [1] }]);
+    });
+    
+    test('Rows the copy must not hold are deleted instead of stored', async () => {
+      const { written, hooks } = repairSetup([row(1), row(2), row(3)]);
+      const place = current => ({ store: current.filter(r => r.trans_id !== 2), remove: [2] });
+      
+      expect(await repairRows([1, 2, 3, 4], { ...hooks, place })).toEqual({ stored: 2, deleted: 2 });
+      expect(written).toEqual([{ store: [1, 3], remove: [4, 2] }]);
+    });
+    
+    test('A failed write releases the locks without committing; a failed lock repairs nothing', async () => {
+      const { events, hooks } = repairSetup([row(1)]);
+      
+      await expect(repairRows([1], { ...hooks, write: async () => { throw new Error('Lock wait timeout exceeded'); } })).rejects.toThrow('Lock wait timeout');
+      expect(events).toEqual(['lock:1', 'rows', 'release:false']);
+      
+      events.length = 0;
+      await expect(repairRows([1], { ...hooks, lock: async () => { throw new Error('Could not lock the rows to repair'); } })).rejects.toThrow('Could not lock');
+      expect(events).toEqual([]);
+    });
+  });
+});
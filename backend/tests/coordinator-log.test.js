@@ -0,0 +1,132 @@
+/**
+ * Coordinator Log Test Suite
+ * Tests: fsynced appends, replay of the last state of each round, torn lines,
+ * pruning that only drops completed records and compaction (coordinator-log.js)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createCoordinatorLog,
+  appendRecord,
+  loadCoordinatorLog,
+  pruneCompletedRecords,
+  compactCoordinatorLog,
+  persistRecord
+} from '../coordinator-log.js';
+
+function record(globalId, state = 'prepare_sent', decision = null) {
+  return { globalId, protocol: '2PC', state, participants: ['node0', 'node1'], decision, acknowledged: [] };
+}
+
+/**
+ * Log in a fresh temporary directory
+ */
+async function setup(options = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'coordinator-log-'));
+  const log = createCoordinatorLog({ file: path.join(dir, 'coordinator_log.jsonl'), ...options });
+  const lines = async () => (await fs.readFile(log.file, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return { dir, log, lines };
+}
+
+describe('Coordinator Log', () => {
+  let dir;
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+  
+  describe('Appends and replay', () => {
+    test('Each change is one appended line; replay keeps the last state of each round', async () => {
+      const { dir: tmp, log, lines } = await setup();
+      dir = tmp;
+      const g1 = record('g1');
+      const g2 = record('g2');
+      
+      await appendRecord(log, g1);
+      await appendRecord(log, g2);
+      Object.assign(g1, { state: 'decided', decision: 'commit' });
+      await appendRecord(log, g1);
+      
+      expect((await lines()).map(r => `${r.globalId}:${r.state}`)).toEqual(['g1:prepare_sent', 'g2:prepare_sent', 'g1:decided']);
+      expect(await loadCoordinatorLog(log)).toEqual([g1, g2]);
+      expect(log.appended).toBe(3);
+    });
+    
+    test('A line cut short by a crash is skipped and a missing file is an empty log', async () => {
+      const { dir: tmp, log } = await setup();
+      dir = tmp;
+      expect(await loadCoordinatorLog(log)).toEqual([]);
+      
+      await appendRecord(log, record('g1', 'decided', 'commit'));
+      await fs.appendFile(log.file, '{"globalId":"g1","state":"comp');
+      
+      expect(await loadCoordinatorLog(log)).toEqual([record('g1', 'decided', 'commit')]);
+    });
+    
+    test('An append that cannot be written rejects and later appends still run', async () => {
+      const { dir: tmp, log, lines } = await setup();
+      dir = tmp;
+      const file = log.file;
+      log.file = path.join(tmp, 'missing', 'coordinator_log.jsonl');
+      
+      await expect(appendRecord(log, record('g1'))).rejects.toThrow('ENOENT');
+      log.file = file;
+      await appendRecord(log, record('g2'));
+      
+      expect((await lines()).map(r => r.globalId)).toEqual(['g2']);
+    });
+  });
+  
+  describe('Pruning', () => {
+    test('Only the oldest completed records are dropped; in-doubt ones stay however old', () => {
+      const records = [
+        record('g1', 'decided', 'commit'),
+        record('g2', 'completed', 'commit'),
+        record('g3', 'prepare_sent'),
+        record('g4', 'completed', 'abort'),
+        record('g5', 'completed', 'commit')
+      ];
+      const registry = records;
+      
+      expect(pruneCompletedRecords(records, 1)).toBe(2);
+      
+      expect(records).toBe(registry);
+      expect(records.map(r => r.globalId)).toEqual(['g1', 'g3', 'g5']);
+      expect(pruneCompletedRecords(records, 1)).toBe(0);
+    });
+    
+    test('The file is compacted after compactAfter appends and later appends follow it', async () => {
+      const { dir: tmp, log, lines } = await setup({ keepCompleted: 1, compactAfter: 3 });
+      dir = tmp;
+      const records = [record('g1', 'completed', 'commit'), record('g2', 'decided', 'commit'), record('g3', 'completed', 'abort')];
+      
+      for (const r of records.slice()) {
+        await persistRecord(log, records, r);
+      }
+      const g4 = record('g4');
+      records.push(g4);
+      await persistRecord(log, records, g4);
+      await log.writes;
+      
+      expect(records.map(r => r.globalId)).toEqual(['g2', 'g3', 'g4']);
+      expect((await lines()).map(r => r.globalId)).toEqual(['g2', 'g3', 'g4']);
+      expect(log.appended).toBe(1);
+      await expect(fs.access(`${log.file}.tmp`)).rejects.toThrow();
+    });
+    
+    test('Compacting rewrites duplicate lines as one per round', async () => {
+      const { dir: tmp, log, lines } = await setup();
+      dir = tmp;
+      const g1 = record('g1');
+      await appendRecord(log, g1);
+      g1.state = 'completed';
+      await appendRecord(log, g1);
+      
+      await compactCoordinatorLog(log, await loadCoordinatorLog(log));
+      
+      expect(await lines()).toEqual([g1]);
+      expect(log.appended).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Scatter-Gather Query Test Suite
+ * Tests: per-fragment rewriting of SELECTs and merging of fragment results
+ * (distributed-query.js)
+ */
+
+import { parseStatement } from '../sql-parser.js';
+import { planDistributedSelect, fragmentQuery, mergeResults } from '../distributed-query.js';
+
+const plan = query => planDistributedSelect(parseStatement(query));
+
+describe('Scatter-Gather Queries', () => {
+  describe('Rewriting', () => {
+    test('Plain rows keep the select list and push down ORDER BY and LIMIT', () => {
+      const rows = plan("SELECT trans_id, amount AS Amt FROM trans WHERE account_id = 1 ORDER BY newdate DESC LIMIT 10, 5");
+      expect(fragmentQuery(rows, "newdate < '1997-01-01'")).toBe(
+        "SELECT trans_id, amount AS `Amt`, newdate AS __order_0 FROM trans WHERE (account_id = 1) AND (newdate < '1997-01-01') ORDER BY newdate DESC LIMIT 15"
+      );
+    });
+    
+    test('Aggregates become partial aggregates per group', () => {
+      const aggregate = plan('SELECT account_id, COUNT(*), AVG(amount) AS average FROM trans GROUP BY account_id');
+      expect(fragmentQuery(aggregate, 'MOD(ABS(account_id), 2) = 0')).toBe(
+        'SELECT account_id AS __group_0, COUNT(*) AS __agg_1, SUM(amount) AS __sum_2, COUNT(amount) AS __count_2 FROM trans WHERE MOD(ABS(account_id), 2) = 0 GROUP BY account_id'
+      );
+    });
+  });
+  
+  describe('Merging', () => {
+    test('COUNT, SUM, AVG, MIN and MAX over every fragment', () => {
+      const aggregate = plan('SELECT COUNT(*), SUM(amount) AS total, AVG(amount), MIN(newdate), MAX(amount) FROM trans');
+      const merged = mergeResults(aggregate, [
+        [{ __agg_0: 2, __agg_1: '10.10', __sum_2: '10.10', __count_2: 2, __agg_3: '1996-01-01', __agg_4: '7.00' }],
+        [{ __agg_0: 3, __agg_1: '20.20', __sum_2: '20.20', __count_2: 3, __agg_3: '1998-01-01', __agg_4: '12.50' }]
+      ]);
+      expect(merged).toEqual([{
+        'COUNT(*)': 5,
+        total: 30.3,
+        'AVG(amount)': 6.06,
+        'MIN(newdate)': '1996-01-01',
+        'MAX(amount)': '12.50'
+      }]);
+    });
+    
+    test('Groups present on several fragments are combined, then ordered and limited', () => {
+      const grouped = plan('SELECT account_id, SUM(amount) AS total FROM trans GROUP BY 1 ORDER BY total DESC LIMIT 2');
+      const merged = mergeResults(grouped, [
+        [{ __group_0: 1, __agg_1: '5' }, { __group_0: 2, __agg_1: '1' }],
+        [{ __group_0: 1, __agg_1: '4' }, { __group_0: 3, __agg_1: '6' }]
+      ]);
+      expect(merged).toEqual([{ account_id: 1, total: 9 }, { account_id: 3, total: 6 }]);
+    });
+    
+    test('Rows are sorted across fragments and hidden sort columns dropped', () => {
+      const rows = plan('SELECT trans_id FROM trans ORDER BY amount LIMIT 1, 2');
+      const merged = mergeResults(rows, [
+        [{ trans_id: 1, __order_0: '3.00' }, { trans_id: 2, __order_0: '40.00' }],
+        [{ trans_id: 3, __order_0: '5.00' }, { trans_id: 4, __order_0: null }]
+      ]);
+      expect(merged).toEqual([{ trans_id: 1 }, { trans_id: 3 }]);
+    });
+    
+    test('An empty table still has a count', () => {
+      expect(mergeResults(plan('SELECT COUNT(*) AS c FROM trans'), [[], []])).toEqual([{ c: 0 }]);
+    });
+  });
+  
+  describe('Unsupported queries', () => {
+    test.each([
+      ['SELECT * FROM trans t JOIN trans u ON t.trans_id = u.trans_id', /single-table/],
+      ['SELECT account_id, COUNT(*) FROM trans GROUP BY account_id HAVING COUNT(*) > 1', /HAVING/],
+      ['SELECT COUNT(DISTINCT account_id) FROM trans', /DISTINCT aggregates/],
+      ['SELECT SUM(amount) / COUNT(*) FROM trans', /inside expressions/],
+      ['SELECT account_id, balance, COUNT(*) FROM trans GROUP BY account_id', /neither aggregated nor in GROUP BY/],
+      ['SELECT * FROM trans WHERE trans_id IN (SELECT trans_id FROM trans)', /Subqueries/],
+      ['UPDATE trans SET amount = 1', /Only SELECT/]
+    ])('%s', (query, reason) => {
+      const result = plan(query);
+      expect(result.supported).toBe(false);
+      expect(result.reason).toMatch(reason);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Fragmentation Catalog Test Suite
+ * Tests: config validation and row placement for range, hash and list
+ * fragmentation (fragmentation.js)
+ */
+
+import {
+  DEFAULT_FRAGMENTATION,
+  createFragmentationCatalog,
+  fragmentForValue,
+  fragmentsForValues,
+  fragmentCondition,
+  describeFragment,
+  placeRows
+} from '../fragmentation.js';
+
+const NODES = ['node1', 'node2'];
+
+describe('Fragmentation Catalog', () => {
+  describe('Range fragmentation', () => {
+    const catalog = createFragmentationCatalog(DEFAULT_FRAGMENTATION, NODES);
+    
+    test.each([
+      ['1996-12-31', 'node1'],
+      ['1996-12-31 23:59:59', 'node1'],
+      ['1997-01-01', 'node2'],
+      ['1998-06-30', 'node2']
+    ])('%s -> %s', (value, node) => {
+      expect(fragmentForValue(catalog, value).node).toBe(node);
+    });
+    
+    test('N ranges on a numeric column', () => {
+      const ranges = createFragmentationCatalog({
+        strategy: 'range',
+        column: 'amount',
+        fragments: [
+          { name: 'large', node: 'node2', from: 1000 },
+          { name: 'small', node: 'node1', to: 100 },
+          { name: 'medium', node: 'node1', from: 100, to: 1000 }
+        ]
+      }, NODES);
+      
+      expect(ranges.fragments.map(f => f.name)).toEqual(['small', 'medium', 'large']);
+      expect(fragmentsForValues(ranges, ['5', '500', '5000']).map(f => f.name)).toEqual(['small', 'medium', 'large']);
+      expect(ranges.nodes).toEqual(['node1', 'node2']);
+      expect(describeFragment(ranges, ranges.fragments[1])).toBe('100 <= amount < 1000');
+    });
+    
+    test('Conditions select each fragment', () => {
+      expect(fragmentCondition(catalog, catalog.fragments[0])).toEqual({ sql: 'newdate < ?', params: ['1997-01-01'] });
+      expect(fragmentCondition(catalog, catalog.fragments[1])).toEqual({ sql: 'newdate >= ?', params: ['1997-01-01'] });
+    });
+  });
+  
+  describe('Hash fragmentation', () => {
+    const catalog = createFragmentationCatalog({
+      strategy: 'hash',
+      column: 'account_id',
+      fragments: [{ name: 'even', node: 'node1' }, { name: 'odd', node: 'node2' }]
+    }, NODES);
+    
+    test('Rows go to fragments[account_id mod N]', () => {
+      expect(fragmentForValue(catalog, '3818').name).toBe('even');
+      expect(fragmentForValue(catalog, 7).name).toBe('odd');
+      expect(fragmentForValue(catalog, '-7').name).toBe('odd');
+      expect(fragmentCondition(catalog, catalog.fragments[1])).toEqual({ sql: 'MOD(ABS(account_id), ?) = ?', params: [2, 1] });
+    });
+    
+    test('Values that cannot be hashed have no fragment', () => {
+      expect(fragmentForValue(catalog, null)).toBeNull();
+      expect(fragmentsForValues(catalog, ['1', 'abc'])).toBeNull();
+    });
+  });
+  
+  describe('List fragmentation', () => {
+    const catalog = createFragmentationCatalog({
+      strategy: 'list',
+      column: 'account_id',
+      fragments: [
+        { name: 'vip', node: 'node1', values: [1, 2, 3] },
+        { name: 'others', node: 'node2', default: true }
+      ]
+    }, NODES);
+    
+    test('Listed values and the default fragment', () => {
+      expect(fragmentForValue(catalog, '2').name).toBe('vip');
+      expect(fragmentForValue(catalog, '42').name).toBe('others');
+      expect(fragmentCondition(catalog, catalog.fragments[1])).toEqual({
+        sql: '(account_id NOT IN (?) OR account_id IS NULL)',
+        params: [['1', '2', '3']]
+      });
+    });
+  });
+  
+  describe('Row placement', () => {
+    test('A row is stored on its owner and removed from every other fragment node', () => {
+      const catalog = createFragmentationCatalog(DEFAULT_FRAGMENTATION, NODES);
+      const moved = { trans_id: 5, newdate: '1998-02-02 00:00:00' };
+      const stays = { trans_id: 6, newdate: '1996-03-03' };
+      
+      expect(placeRows(catalog, [moved, stays])).toEqual({
+        node1: { store: [stays], remove: [5] },
+        node2: { store: [moved], remove: [6] }
+      });
+      expect(placeRows(catalog, [{ trans_id: 7, newdate: null }])).toEqual({
+        node1: { store: [], remove: [7] },
+        node2: { store: [], remove: [7] }
+      });
+    });
+  });
+  
+  describe('Invalid configs', () => {
+    test.each([
+      [{ strategy: 'round-robin', column: 'newdate', fragments: [] }, /strategy must be one of/],
+      [{ strategy: 'range', column: 'branch', fragments: [] }, /column must be one of/],
+      [{ strategy: 'hash', column: 'newdate', fragments: [{ name: 'a', node: 'node1' }] }, /integer column/],
+      [{ strategy: 'range', column: 'newdate', fragments: [{ name: 'a', node: 'node9' }] }, /unknown node node9/],
+      [{ strategy: 'range', column: 'newdate', fragments: [{ name: 'a', node: 'node1', to: '1997-01-01' }, { name: 'b', node: 'node2', from: '1998-01-01' }] }, /must meet/],
+      [{ strategy: 'range', column: 'newdate', fragments: [{ name: 'a', node: 'node1', from: '1997-01-01' }] }, /values below 1997-01-01/],
+      [{ strategy: 'list', column: 'account_id', fragments: [{ name: 'a', node: 'node1', values: [1] }, { name: 'b', node: 'node2', values: [1] }] }, /listed by both/],
+      [{ strategy: 'list', column: 'account_id', fragments: [{ name: 'a', node: 'node1', values: [1] }] }, /exactly one fragment with default/],
+      [{ strategy: 'hash', column: 'account_id', fragments: [{ name: 'a b', node: 'node1' }] }, /letters, digits and _/]
+    ])('%j', (config, message) => {
+      expect(() => createFragmentationCatalog(config, NODES)).toThrow(message);
+    });
+  });
+});
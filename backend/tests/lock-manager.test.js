@@ -0,0 +1,549 @@
+/**
+ * Lock Manager Test Suite
+ * Tests: row lock wait queues, release wake-ups, timeouts and clearing,
+ * wait-for graph deadlock detection, shared -> exclusive upgrades,
+ * predicate (range) locks, table locks and lock escalation, wait-die /
+ * wound-wait deadlock prevention (lock-manager.js)
+ */
+
+import {
+  createLockManager,
+  acquireLock,
+  releaseLock,
+  releaseAllLocks,
+  findDeadlockCycle,
+  acquirePredicateLock,
+  acquireTableLock,
+  tableLockCovers,
+  combineTableModes,
+  escalateLocks,
+  clearLockManager,
+  describeLocks
+} from '../lock-manager.js';
+import { parseStatement, wherePredicate, writePredicate } from '../sql-parser.js';
+
+/**
+ * Lock manager over an in-memory transaction registry. Transactions start
+ * in the order begin() is called unless a startTime is given.
+ */
+function setup(options = {}) {
+  const transactions = {};
+  let seq = 0;
+  
+  const manager = createLockManager({
+    transaction: txnId => transactions[txnId],
+    abort: txnId => {
+      transactions[txnId].status = 'aborted';
+      releaseAllLocks(manager, txnId);
+    },
+    timeout: 200,
+    ...options
+  });
+  
+  const begin = (txnId, { startTime = seq + 1, policy } = {}) => {
+    seq++;
+    transactions[txnId] = { startTime, startSeq: seq, deadlockPolicy: policy, status: 'active', locks: {}, tableLocks: {} };
+  };
+  
+  const finish = txnId => {
+    transactions[txnId].status = 'committed';
+    releaseAllLocks(manager, txnId);
+  };
+  
+  return { manager, transactions, begin, finish };
+}
+
+/**
+ * Has the promise settled by the time pending callbacks have run?
+ */
+async function isSettled(promise) {
+  let settled = false;
+  promise.then(() => { settled = true; }, () => { settled = true; });
+  await new Promise(resolve => setImmediate(resolve));
+  return settled;
+}
+
+describe('Lock Manager', () => {
+  describe('FIFO wait queues', () => {
+    test('Shared locks are granted together, an exclusive one waits for them', async () => {
+      const { manager, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      expect(await acquireLock(manager, 'T1', 7, 'read', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(await acquireLock(manager, 'T2', 7, 'read', 'SERIALIZABLE')).toEqual({ success: true });
+      
+      const write = acquireLock(manager, 'T3', 7, 'write', 'SERIALIZABLE');
+      expect(await isSettled(write)).toBe(false);
+      
+      finish('T1');
+      expect(await isSettled(write)).toBe(false);
+      finish('T2');
+      
+      const result = await write;
+      expect(result.success).toBe(true);
+      expect(manager.lockTable[7].writer).toBe('T3');
+    });
+    
+    test('Readers arriving after a waiting writer queue behind it', async () => {
+      const { manager, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquireLock(manager, 'T1', 7, 'read', 'SERIALIZABLE');
+      const write = acquireLock(manager, 'T2', 7, 'write', 'SERIALIZABLE');
+      const read = acquireLock(manager, 'T3', 7, 'read', 'SERIALIZABLE');
+      
+      // T3 is compatible with the holder T1 but may not overtake T2
+      expect(await isSettled(read)).toBe(false);
+      expect(manager.lockTable[7].queue.map(entry => entry.txnId)).toEqual(['T2', 'T3']);
+      
+      finish('T1');
+      expect((await write).success).toBe(true);
+      expect(await isSettled(read)).toBe(false);
+      
+      finish('T2');
+      expect((await read).success).toBe(true);
+      expect(manager.lockTable[7].readers).toEqual(['T3']);
+    });
+    
+    test('Releasing a short read lock wakes the next waiter', async () => {
+      const { manager, transactions, begin } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 3, 'read', 'READ_COMMITTED');
+      const write = acquireLock(manager, 'T2', 3, 'write', 'READ_COMMITTED');
+      
+      releaseLock(manager, 'T1', 3, 'READ_COMMITTED');
+      const result = await write;
+      expect(result.success).toBe(true);
+      expect(result.waited).toBeGreaterThanOrEqual(0);
+      expect(transactions.T2.locks[3].type).toBe('write');
+    });
+    
+    test('Locks are re-entrant and READ_UNCOMMITTED takes none', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 5, 'write', 'REPEATABLE_READ');
+      expect(await acquireLock(manager, 'T1', 5, 'read', 'REPEATABLE_READ')).toEqual({ success: true });
+      expect(await acquireLock(manager, 'T2', 5, 'write', 'READ_UNCOMMITTED')).toEqual({ success: true });
+      expect(manager.lockTable[5].queue).toHaveLength(0);
+    });
+    
+    test('A request that waits too long fails and leaves the queue', async () => {
+      const { manager, begin } = setup({ timeout: 20 });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 9, 'write', 'REPEATABLE_READ');
+      const result = await acquireLock(manager, 'T2', 9, 'read', 'REPEATABLE_READ');
+      
+      expect(result).toEqual({ success: false, reason: 'Timeout waiting for write lock to release' });
+      expect(manager.lockTable[9].queue).toHaveLength(0);
+      expect(manager.waitForGraph.T2).toBeUndefined();
+    });
+    
+    test('Aborting a waiting transaction fails its request and keeps the queue moving', async () => {
+      const { manager, transactions, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquireLock(manager, 'T1', 4, 'write', 'SERIALIZABLE');
+      const second = acquireLock(manager, 'T2', 4, 'write', 'SERIALIZABLE');
+      const third = acquireLock(manager, 'T3', 4, 'read', 'SERIALIZABLE');
+      
+      transactions.T2.status = 'aborted';
+      releaseAllLocks(manager, 'T2');
+      expect(await second).toEqual({ success: false, reason: 'Transaction aborted while waiting for lock' });
+      
+      finish('T1');
+      expect((await third).success).toBe(true);
+    });
+    
+    test('Clearing the lock manager fails every queued request', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      const waiting = acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      
+      clearLockManager(manager, 'Lock table cleared');
+      expect(await waiting).toEqual({ success: false, reason: 'Lock table cleared' });
+      expect(describeLocks(manager).locks).toEqual([]);
+    });
+    
+    test('Status lists holders and queued requests', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 2, 'write', 'SERIALIZABLE');
+      const waiting = acquireLock(manager, 'T2', 2, 'read', 'SERIALIZABLE');
+      
+      const status = describeLocks(manager);
+      expect(status.locks).toEqual([{
+        trans_id: '2',
+        readers: [],
+        writer: 'T1',
+        queue: [expect.objectContaining({ transactionId: 'T2', lockType: 'read', upgrade: false })]
+      }]);
+      expect(status.waitForGraph.edges).toEqual([expect.objectContaining({ from: 'T2', to: 'T1', trans_id: 2 })]);
+      
+      clearLockManager(manager, 'done');
+      await waiting;
+    });
+  });
+  
+  describe('Deadlock detection', () => {
+    test('A two-transaction cycle aborts the younger transaction', async () => {
+      const { manager, transactions, begin, finish } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      await acquireLock(manager, 'T2', 2, 'write', 'SERIALIZABLE');
+      const first = acquireLock(manager, 'T1', 2, 'write', 'SERIALIZABLE');
+      const second = await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      
+      expect(second).toEqual({
+        success: false,
+        deadlock: true,
+        reason: 'Deadlock victim (cycle: T2 -> T1)',
+        cycle: ['T2', 'T1']
+      });
+      expect(transactions.T2.status).toBe('aborted');
+      expect((await first).success).toBe(true);
+      
+      const [record] = manager.deadlockHistory;
+      expect(record).toEqual(expect.objectContaining({ detectedBy: 'T2', type: 'cycle', victim: 'T2' }));
+      expect(record.edges.map(edge => [edge.from, edge.transId])).toEqual([['T2', 1], ['T1', 2]]);
+      expect(manager.waitForGraph).toEqual({});
+      finish('T1');
+    });
+    
+    test('The victim is the youngest transaction of a longer cycle', async () => {
+      const { manager, transactions, begin } = setup();
+      begin('T1', { startTime: 10 });
+      begin('T2', { startTime: 30 });
+      begin('T3', { startTime: 20 });
+      
+      await acquireLock(manager, 'T1', 1, 'write', 'REPEATABLE_READ');
+      await acquireLock(manager, 'T2', 2, 'write', 'REPEATABLE_READ');
+      await acquireLock(manager, 'T3', 3, 'write', 'REPEATABLE_READ');
+      const t1 = acquireLock(manager, 'T1', 2, 'write', 'REPEATABLE_READ');
+      const t2 = acquireLock(manager, 'T2', 3, 'write', 'REPEATABLE_READ');
+      const t3 = acquireLock(manager, 'T3', 1, 'write', 'REPEATABLE_READ');
+      
+      expect((await t2).deadlock).toBe(true);
+      expect(transactions.T2.status).toBe('aborted');
+      expect((await t1).success).toBe(true);
+      expect(await isSettled(t3)).toBe(false);
+      expect(manager.deadlockHistory[0].cycle).toEqual(['T3', 'T1', 'T2']);
+      
+      clearLockManager(manager, 'done');
+      await t3;
+    });
+    
+    test('Waiting behind a queued request counts as an edge', async () => {
+      const { manager, begin } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquireLock(manager, 'T1', 5, 'read', 'SERIALIZABLE');
+      const writer = acquireLock(manager, 'T2', 5, 'write', 'SERIALIZABLE');
+      const reader = acquireLock(manager, 'T3', 5, 'read', 'SERIALIZABLE');
+      
+      expect(manager.waitForGraph.T2.waitingFor).toEqual(['T1']);
+      expect(manager.waitForGraph.T3.waitingFor).toEqual(['T2']);
+      expect(findDeadlockCycle(manager, 'T3')).toBeNull();
+      
+      clearLockManager(manager, 'done');
+      await Promise.all([writer, reader]);
+    });
+  });
+  
+  describe('Lock upgrades', () => {
+    test('The only reader upgrades right away', async () => {
+      const { manager, transactions, begin } = setup();
+      begin('T1');
+      
+      await acquireLock(manager, 'T1', 8, 'read', 'SERIALIZABLE');
+      expect(await acquireLock(manager, 'T1', 8, 'write', 'SERIALIZABLE')).toEqual({ success: true });
+      
+      expect(manager.lockTable[8]).toEqual(expect.objectContaining({ readers: ['T1'], writer: 'T1' }));
+      expect(transactions.T1.locks[8]).toEqual(expect.objectContaining({ type: 'write', upgraded: expect.any(Number) }));
+    });
+    
+    test('An upgrade waits for the other readers but goes ahead of queued writers', async () => {
+      const { manager, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquireLock(manager, 'T1', 8, 'read', 'SERIALIZABLE');
+      await acquireLock(manager, 'T2', 8, 'read', 'SERIALIZABLE');
+      const writer = acquireLock(manager, 'T3', 8, 'write', 'SERIALIZABLE');
+      const upgrade = acquireLock(manager, 'T1', 8, 'write', 'SERIALIZABLE');
+      
+      expect(manager.lockTable[8].queue.map(entry => [entry.txnId, entry.upgrade])).toEqual([['T1', true], ['T3', false]]);
+      expect(manager.waitForGraph.T1).toEqual(expect.objectContaining({ waitingFor: ['T2'], upgrade: true }));
+      expect(manager.waitForGraph.T3.waitingFor).toEqual(['T1', 'T2']);
+      
+      finish('T2');
+      expect((await upgrade).success).toBe(true);
+      expect(await isSettled(writer)).toBe(false);
+      
+      finish('T1');
+      expect((await writer).success).toBe(true);
+    });
+    
+    test('Two readers upgrading the same row is an upgrade deadlock', async () => {
+      const { manager, begin, finish } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 6, 'read', 'SERIALIZABLE');
+      await acquireLock(manager, 'T2', 6, 'read', 'SERIALIZABLE');
+      const first = acquireLock(manager, 'T1', 6, 'write', 'SERIALIZABLE');
+      const second = await acquireLock(manager, 'T2', 6, 'write', 'SERIALIZABLE');
+      
+      expect(second).toEqual(expect.objectContaining({ success: false, deadlock: true, reason: 'Upgrade deadlock victim (cycle: T2 -> T1)' }));
+      expect(manager.deadlockHistory[0].type).toBe('upgrade');
+      expect((await first).success).toBe(true);
+      finish('T1');
+    });
+  });
+  
+  describe('Predicate locks', () => {
+    const readRange = query => wherePredicate(parseStatement(query));
+    const writeRange = query => writePredicate(parseStatement(query));
+    
+    test('A range read blocks an insert into the range until the reader finishes', async () => {
+      const { manager, begin, finish } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquirePredicateLock(manager, 'T1', readRange('SELECT * FROM trans WHERE account_id > 100'), 'read', 'SERIALIZABLE');
+      const insert = acquirePredicateLock(manager, 'T2', writeRange('INSERT INTO trans (trans_id, account_id) VALUES (9, 500)'), 'write', 'SERIALIZABLE');
+      
+      expect(await isSettled(insert)).toBe(false);
+      expect(manager.waitForGraph.T2).toEqual(expect.objectContaining({ waitingFor: ['T1'], predicate: '(trans_id = 9 AND account_id = 500)' }));
+      
+      finish('T1');
+      expect((await insert).success).toBe(true);
+      expect(describeLocks(manager).predicateLocks).toEqual([
+        expect.objectContaining({ transactionId: 'T2', mode: 'write', predicate: '(trans_id = 9 AND account_id = 500)' })
+      ]);
+    });
+    
+    test('Writes outside the range and other readers do not wait', async () => {
+      const { manager, begin } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquirePredicateLock(manager, 'T1', readRange('SELECT * FROM trans WHERE account_id > 100'), 'read', 'SERIALIZABLE');
+      
+      expect(await acquirePredicateLock(manager, 'T2', writeRange('DELETE FROM trans WHERE account_id < 50'), 'write', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(await acquirePredicateLock(manager, 'T3', readRange('SELECT * FROM trans WHERE account_id = 200'), 'read', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(manager.predicateWaiters).toHaveLength(0);
+    });
+    
+    test('An empty predicate needs no lock', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      
+      const empty = readRange('SELECT * FROM trans WHERE trans_id > 5 AND trans_id < 3');
+      expect(empty).toEqual([]);
+      expect(await acquirePredicateLock(manager, 'T1', empty, 'read', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(manager.predicateLocks).toHaveLength(0);
+    });
+    
+    test('A reader gives up on an uncommitted write in its range after the timeout', async () => {
+      const { manager, begin } = setup({ timeout: 20 });
+      begin('T1');
+      begin('T2');
+      
+      await acquirePredicateLock(manager, 'T1', writeRange('UPDATE trans SET amount = 0 WHERE trans_id = 4'), 'write', 'SERIALIZABLE');
+      const result = await acquirePredicateLock(manager, 'T2', readRange('SELECT * FROM trans WHERE trans_id BETWEEN 1 AND 10'), 'read', 'SERIALIZABLE');
+      
+      expect(result).toEqual({ success: false, reason: 'Timeout waiting for writes in range to commit' });
+      expect(manager.predicateWaiters).toHaveLength(0);
+      expect(manager.waitForGraph.T2).toBeUndefined();
+    });
+  });
+  
+  describe('Table locks', () => {
+    test('Modes combine to the weakest mode covering both', () => {
+      expect(combineTableModes(undefined, 'IS')).toBe('IS');
+      expect(combineTableModes('IX', 'IS')).toBe('IX');
+      expect(combineTableModes('IS', 'S')).toBe('S');
+      expect(combineTableModes('S', 'IX')).toBe('SIX');
+      expect(combineTableModes('SIX', 'X')).toBe('X');
+    });
+    
+    test('Intention locks share the table, a scan waits for row writers', async () => {
+      const { manager, transactions, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      expect(await acquireTableLock(manager, 'T1', 'trans', 'IX', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(await acquireTableLock(manager, 'T2', 'trans', 'IS', 'SERIALIZABLE')).toEqual({ success: true });
+      const scan = acquireTableLock(manager, 'T3', 'trans', 'S', 'SERIALIZABLE');
+      
+      expect(await isSettled(scan)).toBe(false);
+      expect(manager.waitForGraph.T3).toEqual(expect.objectContaining({ waitingFor: ['T1'], table: 'trans', lockType: 'S' }));
+      
+      finish('T1');
+      expect((await scan).success).toBe(true);
+      expect(manager.tableLocks.trans.holders).toEqual({ T2: 'IS', T3: 'S' });
+      expect(transactions.T3.tableLocks).toEqual({ trans: 'S' });
+      expect(tableLockCovers(manager, 'T3', 'trans', 'read')).toBe(true);
+      expect(tableLockCovers(manager, 'T3', 'trans', 'write')).toBe(false);
+    });
+    
+    test('A scanning holder that starts writing converts to SIX ahead of queued requests', async () => {
+      const { manager, begin, finish } = setup();
+      ['T1', 'T2', 'T3'].forEach(txnId => begin(txnId));
+      
+      await acquireTableLock(manager, 'T1', 'trans', 'S', 'SERIALIZABLE');
+      await acquireTableLock(manager, 'T2', 'trans', 'IS', 'SERIALIZABLE');
+      const writer = acquireTableLock(manager, 'T3', 'trans', 'X', 'SERIALIZABLE');
+      
+      expect(await acquireTableLock(manager, 'T1', 'trans', 'IX', 'SERIALIZABLE')).toEqual({ success: true });
+      expect(manager.tableLocks.trans.holders.T1).toBe('SIX');
+      
+      finish('T1');
+      finish('T2');
+      expect((await writer).success).toBe(true);
+    });
+    
+    test('Instant locks wait for conflicts but are not kept', async () => {
+      const { manager, begin, finish } = setup();
+      begin('T1');
+      begin('T2');
+      
+      await acquireTableLock(manager, 'T1', 'trans', 'X', 'SERIALIZABLE');
+      const read = acquireTableLock(manager, 'T2', 'trans', 'S', 'READ_COMMITTED', { instant: true });
+      expect(await isSettled(read)).toBe(false);
+      
+      finish('T1');
+      expect((await read).success).toBe(true);
+      expect(manager.tableLocks.trans).toBeUndefined();
+    });
+    
+    test('Past the threshold row locks escalate to one table lock', async () => {
+      const { manager, transactions, begin } = setup({ escalationThreshold: 2 });
+      begin('T1');
+      
+      await acquireTableLock(manager, 'T1', 'trans', 'IX', 'SERIALIZABLE');
+      for (const transId of [1, 2, 3]) {
+        await acquireLock(manager, 'T1', transId, transId === 2 ? 'write' : 'read', 'SERIALIZABLE');
+      }
+      escalateLocks(manager, 'T1', 'trans');
+      
+      expect(manager.tableLocks.trans.holders).toEqual({ T1: 'X' });
+      expect(transactions.T1.escalation).toEqual(expect.objectContaining({ table: 'trans', mode: 'X', rowLocks: 3 }));
+      expect(transactions.T1.locks).toEqual({});
+      expect(manager.lockTable).toEqual({});
+    });
+    
+    test('Escalation is skipped while another transaction holds a conflicting intention lock', async () => {
+      const { manager, transactions, begin } = setup({ escalationThreshold: 1 });
+      begin('T1');
+      begin('T2');
+      
+      await acquireTableLock(manager, 'T1', 'trans', 'IS', 'SERIALIZABLE');
+      await acquireTableLock(manager, 'T2', 'trans', 'IX', 'SERIALIZABLE');
+      await acquireLock(manager, 'T1', 1, 'read', 'SERIALIZABLE');
+      await acquireLock(manager, 'T1', 2, 'read', 'SERIALIZABLE');
+      escalateLocks(manager, 'T1', 'trans');
+      
+      expect(manager.tableLocks.trans.holders.T1).toBe('IS');
+      expect(Object.keys(transactions.T1.locks)).toEqual(['1', '2']);
+    });
+  });
+  
+  describe('Deadlock prevention', () => {
+    test('Wait-die: a younger requester dies instead of waiting for an older holder', async () => {
+      const { manager, transactions, begin } = setup({ policy: 'wait-die' });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      const result = await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, died: true, reason: 'Died waiting for older transaction T1 (wait-die)' }));
+      expect(transactions.T2.status).toBe('aborted');
+      expect(manager.preventionHistory).toEqual([
+        expect.objectContaining({ type: 'die', transactionId: 'T2', olderThan: 'T1', policy: 'wait-die', trans_id: 1 })
+      ]);
+    });
+    
+    test('Wait-die: an older requester waits for a younger holder', async () => {
+      const { manager, begin, finish } = setup({ policy: 'wait-die' });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      const older = acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      expect(await isSettled(older)).toBe(false);
+      
+      finish('T2');
+      expect((await older).success).toBe(true);
+      expect(manager.preventionHistory).toHaveLength(0);
+    });
+    
+    test('Wound-wait: an older requester wounds a waiting younger holder', async () => {
+      const { manager, transactions, begin } = setup({ policy: 'wound-wait' });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T1', 2, 'write', 'SERIALIZABLE');
+      await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      const younger = acquireLock(manager, 'T2', 2, 'write', 'SERIALIZABLE');
+      expect(await isSettled(younger)).toBe(false);
+      
+      expect((await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE')).success).toBe(true);
+      expect(await younger).toEqual(expect.objectContaining({
+        success: false,
+        wounded: true,
+        reason: 'Wounded by older transaction T1 (wound-wait)'
+      }));
+      expect(transactions.T2.status).toBe('aborted');
+    });
+    
+    test('Wound-wait: an idle single-statement holder is not wounded', async () => {
+      const { manager, transactions, begin, finish } = setup({ policy: 'wound-wait' });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      const older = acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      expect(await isSettled(older)).toBe(false);
+      expect(transactions.T2.status).toBe('active');
+      
+      finish('T2');
+      expect((await older).success).toBe(true);
+    });
+    
+    test('Wound-wait: an idle interactive holder is wounded and rolled back', async () => {
+      const rollbackIdle = jest.fn(() => Promise.resolve());
+      const { manager, transactions, begin } = setup({ policy: 'wound-wait', isInteractive: () => true, rollbackIdle });
+      begin('T1');
+      begin('T2');
+      
+      await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE');
+      expect((await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE')).success).toBe(true);
+      
+      expect(transactions.T2.status).toBe('aborted');
+      expect(rollbackIdle).toHaveBeenCalledWith('T2', 'Wounded by older transaction T1 (wound-wait)');
+      expect(manager.preventionHistory[0]).toEqual(expect.objectContaining({ type: 'wound', transactionId: 'T2', woundedBy: 'T1' }));
+    });
+    
+    test('A transaction-level policy overrides the manager default', async () => {
+      const { manager, transactions, begin } = setup();
+      begin('T1');
+      begin('T2', { policy: 'wait-die' });
+      
+      await acquireLock(manager, 'T1', 1, 'write', 'SERIALIZABLE');
+      expect((await acquireLock(manager, 'T2', 1, 'write', 'SERIALIZABLE')).died).toBe(true);
+      expect(transactions.T2.died.policy).toBe('wait-die');
+    });
+  });
+});
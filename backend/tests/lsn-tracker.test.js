@@ -0,0 +1,232 @@
+/**
+ * LSN Tracker Test Suite
+ * Tests: LSN numbering, watermarks that stop below the oldest unapplied write,
+ * the replication horizon, holds on new rounds and waits for open commit
+ * rounds (lsn-tracker.js)
+ */
+
+import {
+  createLsnTracker,
+  beginLsn,
+  endLsn,
+  holdNewRounds,
+  restoreLastLsn,
+  raiseReplicationHorizon,
+  loadAppliedLsn,
+  loadAppliedLsns,
+  unappliedLsns,
+  advanceWatermark,
+  setWatermark,
+  waitForOpenRounds,
+  describeNodeLsn
+} from '../lsn-tracker.js';
+
+/**
+ * Tracker over an in-memory queue. Each node keeps its watermark table in
+ * stored (node -> applied_lsn, absent until first written); writes to a node
+ * in failing throw.
+ */
+function setup() {
+  const queue = [];
+  const stored = {};
+  const statements = [];
+  const down = new Set();
+  const failing = new Set();
+  
+  const tracker = createLsnTracker({
+    queue: () => queue,
+    connect: async node => ({
+      query: async sql => {
+        statements.push(`${node}:${sql.trim().split(/\s+/).slice(0, 3).join(' ')}`);
+        const write = sql.match(/VALUES \('(\w+)', (\d+)\)/);
+        if (write) {
+          if (failing.has(node)) throw new Error('Lock wait timeout exceeded');
+          const lsn = Number(write[2]);
+          stored[node] = sql.includes('GREATEST') ? Math.max(stored[node] ?? 0, lsn) : lsn;
+          return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith('SELECT')) {
+          return [stored[node] === undefined ? [] : [{ applied_lsn: String(stored[node]) }]];
+        }
+        return [{}];
+      },
+      release: () => {}
+    }),
+    isAvailable: node => !down.has(node)
+  });
+  
+  const enqueue = (target, lsn, status = 'pending') => queue.push({ target, lsn, status });
+  
+  return { tracker, queue, stored, statements, down, failing, enqueue };
+}
+
+describe('LSN Tracker', () => {
+  describe('Numbering', () => {
+    test('Each write gets the next LSN and its round stays open until it ends', async () => {
+      const { tracker } = setup();
+      
+      expect(await beginLsn(tracker, ['node0', 'node1'])).toBe(1);
+      expect(await beginLsn(tracker, ['node0'])).toBe(2);
+      endLsn(tracker, 1);
+      
+      expect([...tracker.openRounds]).toEqual([[2, ['node0']]]);
+      expect(tracker.lastLsn).toBe(2);
+    });
+    
+    test('Numbering continues after the highest LSN read back, never below', async () => {
+      const { tracker } = setup();
+      await beginLsn(tracker, ['node0']);
+      
+      restoreLastLsn(tracker, [7, undefined, 3]);
+      expect(tracker.lastLsn).toBe(7);
+      restoreLastLsn(tracker, [2]);
+      expect(await beginLsn(tracker, ['node0'])).toBe(8);
+    });
+    
+    test('The replication horizon only moves up', () => {
+      const { tracker } = setup();
+      
+      raiseReplicationHorizon(tracker, 5, 'queue size cap');
+      raiseReplicationHorizon(tracker, 3, 'logs cleared');
+      
+      expect(tracker.horizon).toEqual({ lsn: 5, reason: 'queue size cap', at: expect.any(Date) });
+    });
+  });
+  
+  describe('Watermarks', () => {
+    test('A node without a watermark row has applied LSN 0; a stored one raises the last LSN', async () => {
+      const { tracker, stored, statements } = setup();
+      stored.node1 = 12;
+      
+      expect(await loadAppliedLsn(tracker, 'node0')).toBe(0);
+      expect(await loadAppliedLsn(tracker, 'node1')).toBe(12);
+      
+      expect(statements[0]).toBe('node0:CREATE TABLE IF');
+      expect(tracker.appliedLsns).toEqual({ node0: 0, node1: 12 });
+      expect(tracker.lastLsn).toBe(12);
+    });
+    
+    test('Unreachable nodes are skipped when the watermarks are read', async () => {
+      const { tracker, down } = setup();
+      down.add('node2');
+      
+      await loadAppliedLsns(tracker, ['node0', 'node2']);
+      
+      expect(tracker.appliedLsns).toEqual({ node0: 0 });
+    });
+    
+    test('The watermark stops just below the oldest unapplied queue entry or open round', async () => {
+      const { tracker, stored, enqueue } = setup();
+      await loadAppliedLsn(tracker, 'node1');
+      for (let i = 0; i < 6; i++) await beginLsn(tracker, ['node0']);
+      for (let lsn = 1; lsn <= 6; lsn++) endLsn(tracker, lsn);
+      enqueue('node1', 4, 'retry_wait');
+      enqueue('node1', 2, 'replayed');
+      enqueue('node2', 3);
+      await beginLsn(tracker, ['node0', 'node1']);
+      
+      expect(unappliedLsns(tracker, 'node1').sort()).toEqual([4, 7]);
+      await advanceWatermark(tracker, 'node1');
+      expect(stored.node1).toBe(3);
+      
+      tracker.queue()[0].status = 'replayed';
+      await advanceWatermark(tracker, 'node1');
+      expect(stored.node1).toBe(6);
+      
+      endLsn(tracker, 7);
+      await advanceWatermark(tracker, 'node1');
+      expect(tracker.appliedLsns.node1).toBe(7);
+    });
+    
+    test('in_doubt and failed_permanent entries hold the watermark back', async () => {
+      const { tracker, stored, enqueue } = setup();
+      await loadAppliedLsn(tracker, 'node1');
+      restoreLastLsn(tracker, [5]);
+      enqueue('node1', 2, 'in_doubt');
+      enqueue('node1', 4, 'failed_permanent');
+      
+      await advanceWatermark(tracker, 'node1');
+      
+      expect(stored.node1).toBe(1);
+    });
+    
+    test('An unread, unreachable or failing node keeps its watermark', async () => {
+      const { tracker, stored, down, failing } = setup();
+      restoreLastLsn(tracker, [5]);
+      
+      await advanceWatermark(tracker, 'node1');
+      expect(stored.node1).toBeUndefined();
+      
+      await loadAppliedLsn(tracker, 'node1');
+      down.add('node1');
+      await advanceWatermark(tracker, 'node1');
+      down.delete('node1');
+      failing.add('node1');
+      await advanceWatermark(tracker, 'node1');
+      
+      expect(stored.node1).toBeUndefined();
+      expect(tracker.appliedLsns.node1).toBe(0);
+    });
+    
+    test('A watermark set from a snapshot may move down', async () => {
+      const { tracker, stored } = setup();
+      stored.node1 = 9;
+      await loadAppliedLsn(tracker, 'node1');
+      
+      await setWatermark(tracker, 'node1', 4);
+      
+      expect(stored.node1).toBe(4);
+      expect(tracker.appliedLsns.node1).toBe(4);
+    });
+  });
+  
+  describe('Reporting and waits', () => {
+    test('A node reports its lag behind the last LSN and its oldest unapplied write', async () => {
+      const { tracker, stored, down, enqueue } = setup();
+      stored.node1 = 3;
+      await loadAppliedLsn(tracker, 'node1');
+      restoreLastLsn(tracker, [10]);
+      enqueue('node1', 6);
+      enqueue('node1', 5, 'retry_wait');
+      down.add('node2');
+      
+      expect(describeNodeLsn(tracker, 'node1')).toEqual({ available: true, appliedLsn: 3, lag: 7, backlog: 2, oldestUnappliedLsn: 5 });
+      expect(describeNodeLsn(tracker, 'node2')).toEqual({ available: false, appliedLsn: null, lag: null, backlog: 0, oldestUnappliedLsn: null });
+    });
+    
+    test('A wait for the rounds up to an LSN ends when they end, whatever later rounds do', async () => {
+      const { tracker } = setup();
+      await beginLsn(tracker, ['node0']);
+      await beginLsn(tracker, ['node0']);
+      let done = false;
+      
+      const wait = waitForOpenRounds(tracker, 1, 5).then(() => { done = true; });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      expect(done).toBe(false);
+      
+      endLsn(tracker, 1);
+      await wait;
+      expect(tracker.openRounds.has(2)).toBe(true);
+    });
+    
+    test('A held back round gets its LSN only once every hold is released', async () => {
+      const { tracker } = setup();
+      await beginLsn(tracker, ['node0']);
+      const releaseFirst = holdNewRounds(tracker);
+      const releaseSecond = holdNewRounds(tracker);
+      let lsn = null;
+      
+      const held = beginLsn(tracker, ['node1']).then(assigned => { lsn = assigned; });
+      endLsn(tracker, 1);
+      releaseFirst();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(lsn).toBe(null);
+      expect(tracker.lastLsn).toBe(1);
+      
+      releaseSecond();
+      await held;
+      expect(lsn).toBe(2);
+      expect(tracker.holds.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * MVCC Test Suite
+ * Tests: before-image capture, committed row versions, snapshot reads,
+ * first-committer-wins conflicts and version pruning (mvcc.js)
+ */
+
+import {
+  createVersionStore,
+  usesSnapshot,
+  hasActiveSnapshots,
+  latestCommitTs,
+  visibleVersion,
+  findWriteConflict,
+  captureBeforeImages,
+  recordCommittedVersions,
+  pruneVersionStore,
+  applySnapshot,
+  describeVersionStore
+} from '../mvcc.js';
+
+const FIELDS = ['trans_id', 'account_id', 'newdate', 'amount', 'balance'].map(name => ({ name }));
+
+function row(transId, amount, accountId = 10) {
+  return { trans_id: transId, account_id: accountId, newdate: new Date(1997, 0, 5), amount, balance: 0 };
+}
+
+/**
+ * Connection stub answering every query with the same rows
+ */
+function connectionReturning(rows) {
+  const connection = {
+    queries: [],
+    query: async (sql, params) => {
+      connection.queries.push({ sql, params });
+      return [rows, FIELDS];
+    }
+  };
+  return connection;
+}
+
+/**
+ * Version store over an in-memory transaction registry
+ */
+function setup() {
+  const transactions = {};
+  const store = createVersionStore({ transactions: () => Object.values(transactions) });
+  
+  const begin = (txnId, { isolationLevel = 'SNAPSHOT', interactive = true } = {}) => {
+    transactions[txnId] = {
+      transactionId: txnId,
+      node: 'node0',
+      isolationLevel,
+      interactive,
+      startTs: store.clock,
+      mvccWrites: {},
+      status: 'active'
+    };
+    return transactions[txnId];
+  };
+  
+  // Run one write and commit it: before-images from before, after-images from after
+  const commitWrite = async (txn, query, before, after) => {
+    await captureBeforeImages(store, connectionReturning(before), txn, query);
+    await recordCommittedVersions(store, connectionReturning(after), txn);
+    txn.status = 'committed';
+  };
+  
+  return { store, transactions, begin, commitWrite };
+}
+
+describe('MVCC', () => {
+  describe('Before-images', () => {
+    test('Nothing is captured while no snapshot is active', async () => {
+      const { store, begin } = setup();
+      const writer = begin('W', { isolationLevel: 'READ_COMMITTED', interactive: false });
+      const connection = connectionReturning([row(1, 10)]);
+      
+      expect(await captureBeforeImages(store, connection, writer, 'UPDATE trans SET amount = 5 WHERE trans_id = 1')).toBeNull();
+      expect(connection.queries).toHaveLength(0);
+      expect(writer.mvccWrites).toEqual({});
+    });
+    
+    test('UPDATE reads the rows it targets and keeps the first image of each', async () => {
+      const { store, begin } = setup();
+      const writer = begin('W');
+      
+      const connection = connectionReturning([row(1, 10)]);
+      const touched = await captureBeforeImages(store, connection, writer, 'UPDATE trans SET amount = 5 WHERE account_id = 10 ORDER BY trans_id LIMIT 1');
+      await captureBeforeImages(store, connectionReturning([row(1, 5)]), writer, 'UPDATE trans SET amount = 7 WHERE trans_id = 1');
+      
+      expect(touched).toEqual([row(1, 10)]);
+      expect(connection.queries[0].sql).toBe('SELECT * FROM trans WHERE account_id = 10 ORDER BY trans_id LIMIT 1');
+      expect(writer.mvccWrites).toEqual({ 1: row(1, 10) });
+    });
+    
+    test('INSERT records that the rows did not exist', async () => {
+      const { store, begin } = setup();
+      const writer = begin('W');
+      const connection = connectionReturning([]);
+      
+      expect(await captureBeforeImages(store, connection, writer, 'INSERT INTO trans (trans_id, account_id) VALUES (7, 10), (8, 10)')).toBeNull();
+      expect(connection.queries).toHaveLength(0);
+      expect(writer.mvccWrites).toEqual({ 7: null, 8: null });
+    });
+  });
+  
+  describe('Committed versions', () => {
+    test('A commit stamps before- and after-images while another snapshot is active', async () => {
+      const { store, begin, commitWrite } = setup();
+      begin('R');
+      const writer = begin('W');
+      
+      await commitWrite(writer, 'UPDATE trans SET amount = 50 WHERE trans_id = 1', [row(1, 10)], [row(1, 50)]);
+      
+      expect(writer.commitTs).toBe(1);
+      expect(store.versions.node0[1]).toEqual([
+        { row: row(1, 10), commitTs: 0, txnId: null },
+        { row: row(1, 50), commitTs: 1, txnId: 'W' }
+      ]);
+      expect(latestCommitTs(store, 'node0', 1)).toBe(1);
+      expect(visibleVersion(store, 'node0', 1, 0).row.amount).toBe(10);
+      expect(visibleVersion(store, 'node0', 2, 0)).toBeUndefined();
+      expect(describeVersionStore(store)).toEqual({ clock: 1, versionedRows: { node0: 1 } });
+    });
+    
+    test('Nothing is recorded when the committer is the only snapshot', async () => {
+      const { store, begin, commitWrite } = setup();
+      const writer = begin('W');
+      
+      await commitWrite(writer, 'DELETE FROM trans WHERE trans_id = 1', [row(1, 10)], []);
+      
+      expect(hasActiveSnapshots(store)).toBe(false);
+      expect(store.versions).toEqual({});
+      expect(store.clock).toBe(0);
+    });
+    
+    test('First-committer-wins: only snapshots older than the commit conflict', async () => {
+      const { store, begin, commitWrite } = setup();
+      const older = begin('R');
+      await commitWrite(begin('W'), 'UPDATE trans SET amount = 50 WHERE trans_id = 1', [row(1, 10)], [row(1, 50)]);
+      const newer = begin('S');
+      
+      expect(findWriteConflict(store, older, ['2', '1'])).toBe('1');
+      expect(findWriteConflict(store, newer, ['1'])).toBeUndefined();
+    });
+  });
+  
+  describe('Snapshot reads', () => {
+    test('Rows changed or deleted after the snapshot are read as of its start', async () => {
+      const { store, begin, commitWrite } = setup();
+      const reader = begin('R');
+      const writer = begin('W', { isolationLevel: 'READ_COMMITTED' });
+      
+      await captureBeforeImages(store, connectionReturning([row(1, 10)]), writer, 'UPDATE trans SET amount = 50 WHERE trans_id = 1');
+      await commitWrite(writer, 'DELETE FROM trans WHERE trans_id = 2', [row(2, 20)], [row(1, 50)]);
+      
+      const { results, versioned } = applySnapshot(store, reader, 'SELECT * FROM trans WHERE account_id = 10', [row(1, 50), row(3, 30)], FIELDS);
+      
+      expect(versioned).toBe(true);
+      expect(results).toEqual([row(1, 10), row(3, 30), row(2, 20)]);
+    });
+    
+    test('Old versions outside the WHERE stay hidden', async () => {
+      const { store, begin, commitWrite } = setup();
+      const reader = begin('R');
+      await commitWrite(begin('W'), 'DELETE FROM trans WHERE trans_id = 2', [row(2, 20, 99)], []);
+      
+      const { results } = applySnapshot(store, reader, 'SELECT * FROM trans WHERE account_id = 10', [row(3, 30)], FIELDS);
+      expect(results).toEqual([row(3, 30)]);
+    });
+    
+    test('Own writes and results without trans_id are returned as they are', async () => {
+      const { store, begin, commitWrite } = setup();
+      const reader = begin('R');
+      await commitWrite(begin('W'), 'UPDATE trans SET amount = 50 WHERE trans_id = 1', [row(1, 10)], [row(1, 50)]);
+      reader.mvccWrites = { 1: row(1, 50) };
+      
+      expect(applySnapshot(store, reader, 'SELECT * FROM trans', [row(1, 60)], FIELDS).results).toEqual([row(1, 60)]);
+      expect(applySnapshot(store, reader, 'SELECT COUNT(*) AS n FROM trans', [{ n: 3 }], [{ name: 'n' }])).toEqual({
+        results: [{ n: 3 }],
+        versioned: false
+      });
+    });
+  });
+  
+  describe('Pruning', () => {
+    test('Versions are kept while an older snapshot can see them', async () => {
+      const { store, transactions, begin, commitWrite } = setup();
+      begin('R');
+      await commitWrite(begin('W'), 'UPDATE trans SET amount = 50 WHERE trans_id = 1', [row(1, 10)], [row(1, 50)]);
+      begin('S');
+      
+      pruneVersionStore(store);
+      expect(store.versions.node0[1]).toHaveLength(2);
+      
+      // Only S is left and it started after the commit: the newest version is all it needs
+      transactions.R.status = 'committed';
+      pruneVersionStore(store);
+      expect(store.versions.node0).toEqual({});
+      
+      transactions.S.status = 'aborted';
+      pruneVersionStore(store);
+      expect(store.versions).toEqual({});
+    });
+    
+    test('SNAPSHOT and SSI read from the version store', () => {
+      expect(usesSnapshot({ isolationLevel: 'SNAPSHOT' })).toBe(true);
+      expect(usesSnapshot({ isolationLevel: 'SSI' })).toBe(true);
+      expect(usesSnapshot({ isolationLevel: 'REPEATABLE_READ' })).toBe(false);
+    });
+  });
+});
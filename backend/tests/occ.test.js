@@ -0,0 +1,192 @@
+/**
+ * OCC Test Suite
+ * Tests: read/write footprints, backward validation at commit, lock-based
+ * commits seen by OCC readers, history pruning (occ.js)
+ */
+
+import {
+  createOccValidator,
+  hasActiveOcc,
+  trackStatementFootprint,
+  registerOccCommit,
+  validateOptimistic,
+  forgetOccCommit,
+  pruneOccHistory,
+  clearOccValidator,
+  describeValidationFailure,
+  describeOccValidator
+} from '../occ.js';
+
+/**
+ * Validator over an in-memory transaction registry
+ */
+function setup() {
+  const transactions = {};
+  const occ = createOccValidator({ transactions: () => Object.values(transactions) });
+  
+  const begin = (txnId, concurrencyControl = 'OCC') => {
+    transactions[txnId] = {
+      transactionId: txnId,
+      concurrencyControl,
+      occStartSeq: occ.commitSeq,
+      readSet: new Set(),
+      writeSet: new Set(),
+      status: 'active'
+    };
+    return transactions[txnId];
+  };
+  
+  // Validate and finish: the status change is what commitTransaction does
+  const commit = txn => {
+    const validation = validateOptimistic(occ, txn);
+    txn.status = validation.success ? 'committed' : 'aborted';
+    return validation;
+  };
+  
+  return { occ, transactions, begin, commit };
+}
+
+describe('OCC', () => {
+  describe('Footprints', () => {
+    test('Known trans_ids go to the read or write set', () => {
+      const { begin } = setup();
+      const txn = begin('T1');
+      
+      trackStatementFootprint(txn, [1, 2], false);
+      trackStatementFootprint(txn, [3], true);
+      
+      expect(Array.from(txn.readSet)).toEqual([1, 2]);
+      expect(Array.from(txn.writeSet)).toEqual([3]);
+      expect(txn.readsTable).toBeUndefined();
+    });
+    
+    test('Statements without known trans_ids cover the table', () => {
+      const { begin } = setup();
+      const txn = begin('T1');
+      
+      trackStatementFootprint(txn, null, false);
+      expect(txn.readsTable).toBe(true);
+      expect(txn.writesTable).toBeUndefined();
+      
+      trackStatementFootprint(txn, null, true);
+      expect(txn.writesTable).toBe(true);
+    });
+  });
+  
+  describe('Validation', () => {
+    test('The second of two transactions touching the same row fails with a retryable conflict', () => {
+      const { occ, begin, commit } = setup();
+      const reader = begin('T1');
+      const writer = begin('T2');
+      trackStatementFootprint(reader, [1], false);
+      trackStatementFootprint(writer, [1], true);
+      
+      expect(commit(writer)).toEqual({ success: true });
+      expect(writer.occCommitSeq).toBe(1);
+      
+      const validation = commit(reader);
+      expect(validation).toEqual({
+        success: false,
+        conflict: true,
+        retryable: true,
+        conflictsWith: 'T2',
+        reason: 'OCC validation failed: trans_id=1 was written by T2, which committed after this transaction started'
+      });
+      expect(describeValidationFailure('T1', validation)).toEqual(expect.objectContaining({
+        transactionId: 'T1',
+        conflictsWith: 'T2',
+        retryable: true,
+        concurrencyControl: 'OCC'
+      }));
+      expect(occ.stats).toEqual({ validated: 1, aborted: 1 });
+    });
+    
+    test('Disjoint rows and commits before the start do not conflict', () => {
+      const { begin, commit } = setup();
+      const first = begin('T1');
+      trackStatementFootprint(first, [1], true);
+      expect(commit(first).success).toBe(true);
+      
+      const later = begin('T2');
+      const other = begin('T3');
+      trackStatementFootprint(later, [1], false);
+      trackStatementFootprint(other, [2], true);
+      
+      expect(commit(other).success).toBe(true);
+      expect(commit(later).success).toBe(true);
+    });
+    
+    test('A table scan conflicts with any committed row write', () => {
+      const { begin, commit } = setup();
+      const scan = begin('T1');
+      const insert = begin('T2');
+      trackStatementFootprint(scan, null, false);
+      trackStatementFootprint(insert, [50], true);
+      
+      commit(insert);
+      expect(commit(scan).reason).toBe('OCC validation failed: trans_id=50 (table scan) was written by T2, which committed after this transaction started');
+    });
+    
+    test('A committed bulk write conflicts with every row read', () => {
+      const { begin, commit } = setup();
+      const reader = begin('T1');
+      const bulk = begin('T2');
+      trackStatementFootprint(reader, [7], false);
+      trackStatementFootprint(bulk, null, true);
+      
+      commit(bulk);
+      expect(commit(reader).reason).toBe('OCC validation failed: the trans table was written by T2, which committed after this transaction started');
+    });
+    
+    test('Lock-based commits registered while OCC is active are validated against', () => {
+      const { occ, begin, commit } = setup();
+      const reader = begin('T1');
+      const locking = begin('T2', '2PL');
+      locking.writeSet.add(1);
+      trackStatementFootprint(reader, [1], false);
+      
+      expect(hasActiveOcc(occ, 'T2')).toBe(true);
+      registerOccCommit(occ, locking);
+      locking.status = 'committed';
+      
+      expect(commit(reader).conflictsWith).toBe('T2');
+    });
+  });
+  
+  describe('History', () => {
+    test('A validated transaction whose COMMIT failed is forgotten', () => {
+      const { occ, begin, commit } = setup();
+      const reader = begin('T1');
+      const writer = begin('T2');
+      trackStatementFootprint(reader, [1], false);
+      trackStatementFootprint(writer, [1], true);
+      
+      commit(writer);
+      forgetOccCommit(occ, writer);
+      
+      expect(occ.history).toEqual([]);
+      expect(commit(reader).success).toBe(true);
+    });
+    
+    test('Commits are kept while an older OCC transaction is active', () => {
+      const { occ, transactions, begin, commit } = setup();
+      begin('T1');
+      const writer = begin('T2');
+      trackStatementFootprint(writer, [1], true);
+      commit(writer);
+      begin('T3');
+      
+      pruneOccHistory(occ);
+      expect(occ.history).toHaveLength(1);
+      expect(describeOccValidator(occ)).toEqual({ validated: 1, aborted: 0, activeTransactions: 2, committedWriteSets: 1 });
+      
+      transactions.T1.status = 'committed';
+      pruneOccHistory(occ);
+      expect(occ.history).toEqual([]);
+      
+      clearOccValidator(occ);
+      expect(occ.stats).toEqual({ validated: 0, aborted: 0 });
+      expect(occ.commitSeq).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Replication Worker Test Suite
+ * Tests: exponential backoff, LSN-ordered drains that hold back later writes
+ * to the same rows (and new writes queued behind them), retries up to the attempt limit, watermarks, entries that
+ * cannot be replayed safely and worker passes (replication-worker.js)
+ */
+
+import {
+  createReplicationWorker,
+  resetReplicationStates,
+  replicationBackoff,
+  entryRows,
+  replayable,
+  queuedAhead,
+  drainTarget,
+  runReplicationWorker,
+  describeReplicationWorker
+} from '../replication-worker.js';
+
+const update = (transId, amount = 0) => `UPDATE trans SET amount = ${amount} WHERE trans_id = ${transId}`;
+
+/**
+ * Worker over an in-memory queue. Statements matching a pattern in failing
+ * throw (with its error code); every statement a target ran is in applied.
+ * Entries are queued as if their query were their row images unless fields
+ * say otherwise.
+ */
+function setup(options = {}) {
+  const queue = [];
+  const applied = [];
+  const failing = [];
+  const down = new Set();
+  const watermarks = {};
+  const passes = [];
+  
+  const worker = createReplicationWorker({
+    queue: () => queue,
+    connect: async node => ({
+      query: async sql => {
+        const failure = failing.find(f => f.pattern.test(sql));
+        if (failure) throw Object.assign(new Error(failure.message), { code: failure.code });
+        applied.push(`${node}:${sql}`);
+        return [{ affectedRows: 1 }];
+      },
+      release: () => {}
+    }),
+    isAvailable: node => !down.has(node),
+    appliedLsn: node => watermarks[node],
+    onApplied: async entry => {
+      watermarks[entry.target] = Math.max(watermarks[entry.target] || 0, entry.lsn);
+    },
+    afterPass: async () => passes.push(new Date()),
+    maxAttempts: 3,
+    ...options
+  });
+  
+  let lsn = 0;
+  const enqueue = (target, query, fields = {}) => {
+    const entry = { id: `e${++lsn}`, lsn, target, query, statements: [query], rowImages: true, status: 'pending', ...fields };
+    queue.push(entry);
+    return entry;
+  };
+  const fail = (pattern, message = 'Lock wait timeout exceeded', code = 'ER_LOCK_WAIT_TIMEOUT') => failing.push({ pattern, message, code });
+  
+  return { worker, queue, applied, failing, down, watermarks, passes, enqueue, fail };
+}
+
+describe('Replication Worker', () => {
+  describe('Backoff', () => {
+    test('The delay doubles per attempt up to the maximum, jittered in its upper half', () => {
+      const { worker } = setup({ backoffBase: 500, backoffMax: 30000 });
+      
+      expect(replicationBackoff(worker, 1, 0)).toBe(250);
+      expect(replicationBackoff(worker, 1, 1)).toBe(500);
+      expect(replicationBackoff(worker, 4, 0.5)).toBe(3000);
+      expect(replicationBackoff(worker, 20, 1)).toBe(30000);
+      expect(replicationBackoff(worker, 20, 0)).toBe(15000);
+    });
+    
+    test('A failed attempt waits out its backoff before the next one', async () => {
+      const { worker, enqueue, fail, failing } = setup({ backoffBase: 60000, backoffMax: 60000 });
+      const entry = enqueue('node1', update(1));
+      fail(/trans_id = 1/);
+      
+      await drainTarget(worker, 'node1');
+      expect(entry).toEqual(expect.objectContaining({ status: 'retry_wait', retryCount: 1, lastError: 'Lock wait timeout exceeded' }));
+      expect(new Date(entry.nextAttemptAt) - Date.now()).toBeGreaterThan(25000);
+      
+      failing.length = 0;
+      expect(await drainTarget(worker, 'node1')).toEqual([]);
+      entry.nextAttemptAt = new Date(Date.now() - 1);
+      await drainTarget(worker, 'node1');
+      expect(entry).toEqual(expect.objectContaining({ status: 'replayed', retryCount: 2 }));
+      expect(worker.retried).toBe(1);
+    });
+  });
+  
+  describe('Ordering', () => {
+    test('Entries of a target are applied in LSN order', async () => {
+      const { worker, queue, applied, enqueue } = setup();
+      enqueue('node1', update(1, 1));
+      enqueue('node1', update(1, 2));
+      enqueue('node2', update(2));
+      queue.reverse();
+      
+      const attempted = await drainTarget(worker, 'node1');
+      
+      expect(attempted.map(entry => entry.id)).toEqual(['e1', 'e2']);
+      expect(applied).toEqual([`node1:${update(1, 1)}`, `node1:${update(1, 2)}`]);
+      expect(queue.find(entry => entry.id === 'e3').status).toBe('pending');
+    });
+    
+    test('A failing entry holds back later writes to its rows; other rows go ahead', async () => {
+      const { worker, applied, enqueue, fail } = setup();
+      const first = enqueue('node1', update(1, 1));
+      const sameRow = enqueue('node1', 'DELETE FROM trans WHERE trans_id IN (1, 3)');
+      const otherRow = enqueue('node1', update(2));
+      fail(/amount = 1 /);
+      
+      await drainTarget(worker, 'node1');
+      
+      expect(first.status).toBe('retry_wait');
+      expect(sameRow.status).toBe('pending');
+      expect(otherRow.status).toBe('replayed');
+      expect(applied).toEqual([`node1:${update(2)}`]);
+    });
+    
+    test('A write without known rows holds back everything after it', async () => {
+      const { worker, enqueue, fail } = setup();
+      const bulk = enqueue('node1', 'UPDATE trans SET amount = 0 WHERE amount > 5');
+      const later = enqueue('node1', update(9));
+      fail(/amount > 5/);
+      
+      await drainTarget(worker, 'node1');
+      
+      expect(entryRows(bulk)).toBeNull();
+      expect(entryRows(later)).toEqual([9]);
+      expect(later.status).toBe('pending');
+    });
+    
+    test('After the attempt limit an entry fails permanently and keeps holding its rows', async () => {
+      const { worker, enqueue, fail } = setup({ maxAttempts: 2 });
+      const entry = enqueue('node1', update(1, 1));
+      const later = enqueue('node1', update(1, 2));
+      fail(/amount = 1 /);
+      
+      await drainTarget(worker, 'node1');
+      entry.nextAttemptAt = new Date(0);
+      await drainTarget(worker, 'node1');
+      
+      expect(entry).toEqual(expect.objectContaining({ status: 'failed_permanent', retryCount: 2, nextAttemptAt: undefined }));
+      expect(worker.failedPermanent).toBe(1);
+      expect(await drainTarget(worker, 'node1')).toEqual([]);
+      expect(later.status).toBe('pending');
+    });
+    
+    test('in_doubt entries are left alone but hold back their rows', async () => {
+      const { worker, applied, enqueue } = setup();
+      enqueue('node1', update(1, 1), { status: 'in_doubt' });
+      const later = enqueue('node1', update(1, 2));
+      
+      expect(await drainTarget(worker, 'node1')).toEqual([]);
+      expect(later.status).toBe('pending');
+      expect(applied).toEqual([]);
+    });
+    
+    test('A new write is queued behind the unapplied entries of its target that write its rows', () => {
+      const { worker, enqueue } = setup();
+      const waiting = enqueue('node1', update(1, 1), { status: 'retry_wait' });
+      const bulk = enqueue('node2', 'UPDATE trans SET amount = 0 WHERE amount > 5', { status: 'in_doubt' });
+      enqueue('node1', update(2), { status: 'replayed' });
+      
+      expect(queuedAhead(worker, 'node1', [1, 3])).toEqual([waiting]);
+      expect(queuedAhead(worker, 'node1', [2])).toEqual([]);
+      expect(queuedAhead(worker, 'node1', null)).toEqual([waiting]);
+      expect(queuedAhead(worker, 'node2', [7])).toEqual([bulk]);
+    });
+  });
+  
+  describe('Watermarks', () => {
+    test('Entries at or below the target\'s watermark are already there and are not run', async () => {
+      const { worker, applied, watermarks, enqueue } = setup();
+      const old = enqueue('node1', update(1));
+      const fresh = enqueue('node1', update(2));
+      watermarks.node1 = 1;
+      
+      await drainTarget(worker, 'node1');
+      
+      expect(old).toEqual(expect.objectContaining({ status: 'replayed', alreadyApplied: true }));
+      expect(fresh.status).toBe('replayed');
+      expect(applied).toEqual([`node1:${update(2)}`]);
+      expect(watermarks.node1).toBe(2);
+    });
+    
+    test('A plain INSERT that hits its own key is already applied', async () => {
+      const { worker, enqueue, fail } = setup();
+      const entry = enqueue('node1', 'INSERT INTO trans (trans_id, account_id) VALUES (4, 1)', { statements: undefined, rowImages: undefined });
+      fail(/INSERT/, "Duplicate entry '4' for key 'PRIMARY'", 'ER_DUP_ENTRY');
+      
+      await drainTarget(worker, 'node1');
+      
+      expect(entry).toEqual(expect.objectContaining({ status: 'replayed', alreadyApplied: true, retryCount: 1 }));
+    });
+  });
+  
+  describe('Replay safety', () => {
+    test('Only row images and plain INSERTs of named rows can be replayed', () => {
+      const raw = query => ({ query });
+      
+      expect(replayable({ query: 'UPDATE trans SET amount = amount + 1 WHERE trans_id = 1', statements: ['REPLACE INTO trans ...'], rowImages: true })).toBe(true);
+      expect(replayable(raw('INSERT INTO trans (trans_id, account_id) VALUES (4, 1)'))).toBe(true);
+      expect(replayable(raw('INSERT INTO trans (account_id, amount) VALUES (1, 5)'))).toBe(false);
+      expect(replayable(raw('INSERT INTO trans SELECT * FROM trans WHERE trans_id = 1'))).toBe(false);
+      expect(replayable(raw('UPDATE trans SET amount = amount + 1 WHERE trans_id = 1'))).toBe(false);
+      expect(replayable(raw('DELETE FROM trans WHERE amount > 5'))).toBe(false);
+      expect(replayable({ query: "UPDATE trans SET newdate = '1998-01-01' WHERE trans_id = 5", statements: ["UPDATE trans SET newdate = '1998-01-01' WHERE trans_id = 5"] })).toBe(false);
+    });
+    
+    test('An entry without images is sent to resync instead of run, and holds back what follows', async () => {
+      const { worker, applied, enqueue } = setup();
+      const bulk = enqueue('node1', 'UPDATE trans SET amount = amount + 5 WHERE amount > 5', { statements: undefined, rowImages: undefined });
+      const later = enqueue('node1', update(9));
+      
+      const attempted = await drainTarget(worker, 'node1');
+      
+      expect(attempted).toEqual([bulk]);
+      expect(bulk.status).toBe('needs_resync');
+      expect(later.status).toBe('pending');
+      expect(applied).toEqual([]);
+      expect(describeReplicationWorker(worker).targets.node1).toEqual(expect.objectContaining({ pending: 1, needs_resync: 1 }));
+      expect(await drainTarget(worker, 'node1')).toEqual([]);
+    });
+    
+    test('An entry waiting for a resync is already there once the watermark covers it', async () => {
+      const { worker, applied, watermarks, enqueue } = setup();
+      const bulk = enqueue('node1', 'DELETE FROM trans WHERE amount > 5', { statements: undefined, rowImages: undefined });
+      const later = enqueue('node1', update(9));
+      await drainTarget(worker, 'node1');
+      
+      watermarks.node1 = 1;
+      await drainTarget(worker, 'node1');
+      
+      expect(bulk).toEqual(expect.objectContaining({ status: 'replayed', alreadyApplied: true }));
+      expect(later.status).toBe('replayed');
+      expect(applied).toEqual([`node1:${update(9)}`]);
+    });
+  });
+  
+  describe('Worker passes', () => {
+    test('A pass drains every reachable target with outstanding entries, then runs afterPass', async () => {
+      const { worker, down, passes, enqueue } = setup();
+      const reachable = enqueue('node1', update(1));
+      const offline = enqueue('node2', update(1));
+      down.add('node2');
+      
+      await runReplicationWorker(worker);
+      
+      expect(reachable.status).toBe('replayed');
+      expect(offline.status).toBe('pending');
+      expect(passes).toHaveLength(1);
+      expect(describeReplicationWorker(worker)).toEqual(expect.objectContaining({
+        paused: false,
+        maxAttempts: 3,
+        applied: 1,
+        targets: { node2: { available: false, pending: 1, in_flight: 0, retry_wait: 0, failed_permanent: 0, needs_resync: 0, nextAttemptAt: null } }
+      }));
+    });
+    
+    test('Entries interrupted by a crash or queued before the worker go back to pending', () => {
+      const entries = ['failed', 'retry_pending', 'in_flight', 'retry_wait', 'replayed'].map(status => ({ status }));
+      
+      resetReplicationStates(entries);
+      
+      expect(entries.map(entry => entry.status)).toEqual(['pending', 'pending', 'pending', 'retry_wait', 'replayed']);
+    });
+    
+    test('Drains of one target run one at a time', async () => {
+      const { worker, applied, enqueue } = setup();
+      enqueue('node1', update(1));
+      
+      const [first, second] = await Promise.all([drainTarget(worker, 'node1'), drainTarget(worker, 'node1')]);
+      
+      expect(first).toHaveLength(1);
+      expect(second).toEqual([]);
+      expect(applied).toHaveLength(1);
+    });
+  });
+});
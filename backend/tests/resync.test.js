@@ -0,0 +1,174 @@
+/**
+ * Node Resync Test Suite
+ * Tests: chunked copies from a consistent snapshot, the snapshot point and the
+ * queue entries it covers, commit rounds held back while the snapshots open,
+ * and failed resyncs (resync.js)
+ */
+
+import { createResyncManager, resyncNode, resyncStatus } from '../resync.js';
+import { createLsnTracker, beginLsn, endLsn, restoreLastLsn } from '../lsn-tracker.js';
+
+const row = id => ({ trans_id: id, account_id: 1, newdate: '1998-01-01 00:00:00', amount: '10.00', balance: '0.00' });
+
+/**
+ * Resync of node1 from every row of node0. node0 holds live (a snapshot is a
+ * copy of it when opened); statements run on node1 go to written, the
+ * watermarks to stored. Snapshots opened and connections released are
+ * recorded in events.
+ */
+function setup({ rows = [1, 2, 3, 4, 5].map(row), chunkSize = 2, failChunks = false, sources = null } = {}) {
+  const live = rows;
+  const queue = [];
+  const written = [];
+  const stored = {};
+  const events = [];
+  const covered = [];
+  let open = 0;
+  
+  const connect = async node => {
+    open++;
+    let snapshot = null;
+    return {
+      query: async (sql, params = []) => {
+        const watermark = sql.match(/VALUES \('(\w+)', (\d+)\)/);
+        if (watermark) {
+          stored[watermark[1]] = Number(watermark[2]);
+          return [{ affectedRows: 1 }];
+        }
+        if (sql.startsWith('START TRANSACTION WITH CONSISTENT SNAPSHOT')) {
+          snapshot = live.slice();
+          events.push(`snapshot:${node}`);
+          return [{}];
+        }
+        if (sql.startsWith('SELECT COUNT')) {
+          return [[{ row_count: snapshot.length }]];
+        }
+        if (sql.startsWith('SELECT') && snapshot) {
+          if (failChunks) throw new Error('Lost connection to MySQL server');
+          const after = params.length > 1 ? params[0] : null;
+          return [snapshot.filter(r => after === null || r.trans_id > after).slice(0, params[params.length - 1])];
+        }
+        if (sql.startsWith('SELECT')) {
+          return [[]];
+        }
+        if (node === 'node1' && /^(DELETE|REPLACE)/.test(sql)) {
+          written.push(sql);
+        }
+        return [{}];
+      },
+      release: () => {
+        open--;
+        events.push(`release:${node}`);
+      }
+    };
+  };
+  
+  const tracker = createLsnTracker({ queue: () => queue, connect });
+  const manager = createResyncManager({
+    tracker,
+    connect,
+    sources: () => sources || { sources: [{ node: 'node0', fragment: null, scope: { sql: '1 = 1', params: [] } }] },
+    queue: () => queue,
+    onCovered: async entry => {
+      entry.status = 'replayed';
+      covered.push(entry.lsn);
+    },
+    chunkSize
+  });
+  
+  const enqueue = (target, lsn, status = 'pending') => queue.push({ target, lsn, status });
+  
+  return { manager, tracker, live, queue, written, stored, events, covered, enqueue, openConnections: () => open };
+}
+
+describe('Node Resync', () => {
+  describe('Copying', () => {
+    test('The snapshot is copied in chunks, rows outside the sources are deleted and the watermark is the snapshot point', async () => {
+      const { manager, tracker, written, stored, covered, enqueue, openConnections } = setup();
+      restoreLastLsn(tracker, [4]);
+      enqueue('node1', 3, 'retry_wait');
+      enqueue('node1', 1, 'replayed');
+      enqueue('node2', 2);
+      
+      const progress = await resyncNode(manager, 'node1', 'requested');
+      
+      expect(progress).toMatchObject({ status: 'completed', snapshotLsn: 4, totalRows: 5, rowsCopied: 5, chunks: 3, entriesCovered: 1, error: null });
+      expect(written.filter(sql => sql.startsWith('DELETE'))).toEqual([
+        'DELETE FROM trans WHERE (1 = 1) AND trans_id <= 2',
+        'DELETE FROM trans WHERE (1 = 1) AND trans_id > 2 AND trans_id <= 4',
+        'DELETE FROM trans WHERE (1 = 1) AND trans_id > 4',
+        'DELETE FROM trans WHERE NOT (IFNULL((1 = 1), 0))'
+      ]);
+      expect(written.filter(sql => sql.startsWith('REPLACE'))).toHaveLength(3);
+      expect(stored.node1).toBe(4);
+      expect(covered).toEqual([3]);
+      expect(manager.queue()[0].resyncId).toBe(progress.id);
+      expect(manager.progress.node1).toBe(progress);
+      expect(resyncStatus(progress).percent).toBe(100);
+      expect(manager.resyncing.size).toBe(0);
+      expect(openConnections()).toBe(0);
+    });
+    
+    test('A node that stores every row keeps the rows outside its sources', async () => {
+      const { manager, written } = setup({ rows: [row(1)] });
+      manager.storesAllRows = () => true;
+      
+      await resyncNode(manager, 'node1', 'requested');
+      
+      expect(written.filter(sql => sql.includes('NOT ('))).toEqual([]);
+    });
+  });
+  
+  describe('Snapshot point', () => {
+    test('A round starting while the snapshots open waits for them and is left for the replay', async () => {
+      const { manager, tracker, live, events, covered, enqueue } = setup();
+      await beginLsn(tracker, ['node0', 'node1']);
+      enqueue('node1', 1);
+      
+      const resync = resyncNode(manager, 'node1', 'requested');
+      await new Promise(resolve => setTimeout(resolve, 10));
+      const write = beginLsn(tracker, ['node0', 'node1']).then(lsn => {
+        events.push(`lsn:${lsn}`);
+        live.push(row(6));
+        enqueue('node1', lsn);
+        endLsn(tracker, lsn);
+      });
+      endLsn(tracker, 1);
+      const progress = await resync;
+      await write;
+      
+      expect(events.indexOf('snapshot:node0')).toBeLessThan(events.indexOf('lsn:2'));
+      expect(progress).toMatchObject({ snapshotLsn: 1, totalRows: 5, rowsCopied: 5 });
+      expect(covered).toEqual([1]);
+      expect(manager.queue()[1]).toMatchObject({ lsn: 2, status: 'pending' });
+      expect(tracker.holds.size).toBe(0);
+    });
+  });
+  
+  describe('Failures', () => {
+    test('A node without a reachable source fails and is back in service', async () => {
+      const { manager, stored } = setup({ sources: { error: 'No reachable copy of fragment f1' } });
+      
+      const progress = await resyncNode(manager, 'node1', 'requested');
+      
+      expect(progress).toMatchObject({ status: 'failed', error: 'No reachable copy of fragment f1', finishedAt: expect.any(Date) });
+      expect(manager.resyncing.has('node1')).toBe(false);
+      expect(stored.node1).toBeUndefined();
+    });
+    
+    test('A copy that fails closes the snapshots, leaves the watermark and covers no entry', async () => {
+      const { manager, tracker, stored, covered, enqueue, openConnections } = setup({ failChunks: true });
+      restoreLastLsn(tracker, [2]);
+      enqueue('node1', 2);
+      
+      const progress = await resyncNode(manager, 'node1', 'requested');
+      
+      expect(progress).toMatchObject({ status: 'failed', error: 'Lost connection to MySQL server', rowsCopied: 0 });
+      expect(resyncStatus(progress).percent).toBe(0);
+      expect(stored.node1).toBeUndefined();
+      expect(covered).toEqual([]);
+      expect(tracker.holds.size).toBe(0);
+      expect(openConnections()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * SQL Parser Test Suite
+ * Tests: statement classification, trans_id / predicate extraction and
+ * rejection of unsupported statements (sql-parser.js)
+ */
+
+import {
+  parseStatement,
+  statementKeys,
+  wherePredicate,
+  writePredicate,
+  locksForWrite,
+  insertDates,
+  describePredicate
+} from '../sql-parser.js';
+
+describe('SQL Parser', () => {
+  describe('Statement classification', () => {
+    test.each([
+      ['SELECT * FROM trans WHERE trans_id = 1', 'SELECT', false],
+      ['  update trans set amount = 5 where trans_id = 1', 'UPDATE', true],
+      ['-- remove it\nDELETE FROM trans WHERE trans_id = 1;', 'DELETE', true],
+      ["INSERT INTO trans (trans_id, newdate) VALUES (1, '1996-01-01')", 'INSERT', true],
+      ['with recent as (select * from trans where newdate >= \'1998-01-01\') select count(*) from recent', 'SELECT', false],
+      ['/* report */ SELECT COUNT(*) AS c FROM trans', 'SELECT', false]
+    ])('%s', (query, type, isWrite) => {
+      const statement = parseStatement(query);
+      expect(statement.supported).toBe(true);
+      expect(statement.type).toBe(type);
+      expect(statement.isWrite).toBe(isWrite);
+      expect(statement.table).toBe('trans');
+    });
+  });
+  
+  describe('Key extraction', () => {
+    test.each([
+      ['SELECT * FROM trans WHERE trans_id = 7', [7]],
+      ['SELECT * FROM trans WHERE trans_id IN (1, 2, 2)', [1, 2]],
+      ['DELETE FROM trans WHERE trans_id = 1 OR trans_id = 9', [1, 9]],
+      ['UPDATE trans SET trans_id = 12 WHERE trans_id = 3', [3, 12]],
+      ["INSERT INTO trans (trans_id, account_id, newdate, amount, balance) VALUES (1, 2, '1996-01-01', 3, 4), (2, 2, '1998-01-01', 3, 4)", [1, 2]],
+      ['SELECT * FROM trans WHERE trans_id BETWEEN 3 AND 5', null],
+      ['UPDATE trans SET amount = 0 WHERE account_id = 10', null],
+      ['INSERT INTO trans SELECT * FROM trans WHERE amount > 0', null],
+      ['SELECT * FROM trans WHERE trans_id = 1 AND trans_id = 2', []]
+    ])('%s', (query, keys) => {
+      expect(statementKeys(parseStatement(query))).toEqual(keys);
+    });
+  });
+  
+  describe('Locking reads', () => {
+    test.each([
+      ['SELECT * FROM trans WHERE trans_id = 1 FOR UPDATE', 'FOR UPDATE', true],
+      ['SELECT * FROM trans WHERE trans_id = 1 FOR SHARE', 'FOR SHARE', false],
+      ['SELECT * FROM trans WHERE trans_id = 1 LOCK IN SHARE MODE', 'FOR SHARE', false],
+      ['SELECT * FROM trans WHERE trans_id = 1', null, false],
+      ['UPDATE trans SET amount = 1 WHERE trans_id = 1', null, true]
+    ])('%s', (query, locking, exclusive) => {
+      const statement = parseStatement(query);
+      expect(statement.locking).toBe(locking);
+      expect(locksForWrite(statement)).toBe(exclusive);
+    });
+    
+    test('FOR UPDATE stays a read for routing and replication', () => {
+      const statement = parseStatement('SELECT * FROM trans WHERE trans_id = 4 FOR UPDATE');
+      expect(statement.isWrite).toBe(false);
+      expect(statementKeys(statement)).toEqual([4]);
+    });
+  });
+  
+  describe('Predicates', () => {
+    test('BETWEEN ranges are bounded on both sides', () => {
+      const statement = parseStatement("SELECT * FROM trans WHERE newdate BETWEEN '1996-01-01' AND '1996-12-31 23:59:59'");
+      expect(describePredicate(wherePredicate(statement))).toBe('(newdate >= 1996-01-01 AND newdate <= 1996-12-31)');
+    });
+    
+    test('OR of ANDs keeps each branch', () => {
+      const statement = parseStatement("SELECT * FROM trans WHERE (account_id = 1 AND newdate >= '1997-01-01') OR trans_id = 4");
+      expect(describePredicate(wherePredicate(statement))).toBe('(account_id = 1 AND newdate >= 1997-01-01) OR (trans_id = 4)');
+    });
+    
+    test('Conditions that cannot be narrowed cover the whole table', () => {
+      for (const where of ['NOT trans_id = 1', 'trans_id <> 1', "account_id LIKE '1%'", 'trans_id IN (SELECT trans_id FROM trans)']) {
+        expect(wherePredicate(parseStatement(`SELECT * FROM trans WHERE ${where}`))).toEqual([{}]);
+      }
+    });
+    
+    test('UPDATE that moves a row covers its old and new position', () => {
+      const statement = parseStatement("UPDATE trans SET newdate = '1998-02-02' WHERE trans_id = 5");
+      expect(describePredicate(writePredicate(statement))).toBe('(trans_id = 5) OR (trans_id = 5 AND newdate = 1998-02-02)');
+    });
+    
+    test('Multi-row INSERT dates', () => {
+      const statement = parseStatement("INSERT INTO trans (trans_id, newdate) VALUES (1, '1996-01-01'), (2, '1998-06-30 10:00:00')");
+      expect(insertDates(statement)).toEqual(['1996-01-01', '1998-06-30']);
+    });
+  });
+  
+  describe('Unsupported statements', () => {
+    test.each([
+      ['DROP TABLE trans', 'DROP statements are not supported'],
+      ['START TRANSACTION', 'START statements are not supported'],
+      ['SELECT 1; DELETE FROM trans', 'Multiple statements are not supported'],
+      ['SELECT /*! SLEEP(5) */ 1', 'Executable comments and optimizer hints are not supported'],
+      ["SELECT * FROM trans WHERE account_id = 'x", 'Unterminated string literal'],
+      ['SELECT * FROM accounts', 'Table "accounts" is not supported (only trans)'],
+      ['SELECT * FROM trans t JOIN accounts a ON a.id = t.account_id', 'Table "accounts" is not supported (only trans)'],
+      ['INSERT INTO trans SELECT * FROM trans_archive', 'Table "trans_archive" is not supported (only trans)'],
+      ['UPDATE audit SET amount = 0', 'Table "audit" is not supported (only trans)'],
+      ['', 'Empty query']
+    ])('%s', (query, reason) => {
+      const statement = parseStatement(query);
+      expect(statement.supported).toBe(false);
+      expect(statement.reason).toBe(reason);
+      expect(statementKeys(statement)).toBeNull();
+    });
+    
+    test('INSERT ... ON DUPLICATE KEY UPDATE is rejected', () => {
+      const statement = parseStatement('INSERT INTO trans (trans_id, amount) VALUES (1, 5) ON DUPLICATE KEY UPDATE amount = amount + 5');
+      expect(statement.supported).toBe(false);
+      expect(statement.reason).toMatch(/^INSERT \.\.\. ON DUPLICATE KEY UPDATE is not supported/);
+    });
+    
+    test('CTE names are not mistaken for other tables', () => {
+      const statement = parseStatement('WITH big AS (SELECT * FROM trans WHERE amount > 100) SELECT * FROM big');
+      expect(statement.supported).toBe(true);
+      expect(statement.tables).toEqual(['trans']);
+    });
+    
+    test('Malformed SQL reports where it failed', () => {
+      const statement = parseStatement('UPDATE trans WHERE trans_id = 1');
+      expect(statement.supported).toBe(false);
+      expect(statement.reason).toMatch(/^Expected SET/);
+      expect(statement.position).toBe(13);
+    });
+  });
+});
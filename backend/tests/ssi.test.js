@@ -0,0 +1,154 @@
+/**
+ * SSI Test Suite
+ * Tests: rw-antidependency edges, dangerous structure (write skew) aborts,
+ * concurrency windows and registry cleanup (ssi.js)
+ */
+
+import {
+  createSsiTracker,
+  trackSerializableSnapshot,
+  finishSerializableSnapshot,
+  clearSsiTracker,
+  describeSsiTracker
+} from '../ssi.js';
+
+function row(transId, accountId = 10) {
+  return { trans_id: transId, account_id: accountId, newdate: new Date(1997, 0, 5), amount: 100, balance: 0 };
+}
+
+/**
+ * Tracker with its own commit clock; begin() starts a transaction at the current time
+ */
+function setup() {
+  let clock = 0;
+  const ssi = createSsiTracker({ nextCommitTs: () => ++clock });
+  
+  const begin = (txnId, isolationLevel = 'SSI') => ({ transactionId: txnId, isolationLevel, startTs: clock });
+  const read = (txn, query) => trackSerializableSnapshot(ssi, txn, query, false, null);
+  const write = (txn, query, touchedRows) => trackSerializableSnapshot(ssi, txn, query, true, touchedRows);
+  
+  return { ssi, begin, read, write };
+}
+
+describe('SSI', () => {
+  describe('Dangerous structures', () => {
+    test('Write skew: each reads both rows of an account and updates one', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      
+      expect(read(t1, 'SELECT * FROM trans WHERE account_id = 10')).toEqual({ success: true });
+      expect(read(t2, 'SELECT * FROM trans WHERE account_id = 10')).toEqual({ success: true });
+      expect(write(t1, 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)])).toEqual({ success: true });
+      
+      const result = write(t2, 'UPDATE trans SET amount = 0 WHERE trans_id = 2', [row(2)]);
+      expect(result).toEqual({
+        success: false,
+        conflict: true,
+        retryable: true,
+        structure: 'T1 -rw-> T2 -rw-> T1',
+        reason: 'Serialization failure: dangerous structure T1 -rw-> T2 -rw-> T1'
+      });
+      expect(ssi.aborts).toEqual([
+        expect.objectContaining({ transactionId: 'T2', pivot: 'T2', structure: 'T1 -rw-> T2 -rw-> T1' })
+      ]);
+    });
+    
+    test('A single rw-edge is allowed', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      
+      read(t1, 'SELECT * FROM trans WHERE trans_id = 1');
+      expect(write(t2, 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)])).toEqual({ success: true });
+      
+      expect(ssi.registry.T1.out).toEqual(['T2']);
+      expect(ssi.registry.T2.in).toEqual(['T1']);
+    });
+    
+    test('Only overlapping reads and writes add edges', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      
+      read(t1, 'SELECT * FROM trans WHERE account_id = 10');
+      read(t2, 'SELECT * FROM trans WHERE account_id = 20');
+      write(t1, 'UPDATE trans SET amount = 0 WHERE trans_id = 5', [row(5, 20)]);
+      expect(write(t2, 'INSERT INTO trans (trans_id, account_id) VALUES (9, 30)')).toEqual({ success: true });
+      
+      expect(ssi.registry.T1.in).toEqual(['T2']);
+      expect(ssi.registry.T2.in).toEqual([]);
+    });
+    
+    test('An UPDATE moving a row into a read range is an rw-edge', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      
+      read(t1, 'SELECT * FROM trans WHERE account_id = 10');
+      write(t2, 'UPDATE trans SET account_id = 10 WHERE trans_id = 4', [row(4, 20)]);
+      
+      expect(ssi.registry.T1.out).toEqual(['T2']);
+    });
+    
+    test('Only SSI transactions are tracked', () => {
+      const { ssi, begin, read, write } = setup();
+      
+      read(begin('T1', 'SNAPSHOT'), 'SELECT * FROM trans WHERE trans_id = 1');
+      write(begin('T2'), 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)]);
+      
+      expect(Object.keys(ssi.registry)).toEqual(['T2']);
+      expect(ssi.registry.T2.in).toEqual([]);
+    });
+  });
+  
+  describe('Commit and abort', () => {
+    test('A transaction that committed before another started is not concurrent with it', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      write(t1, 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)]);
+      read(t2, 'SELECT * FROM trans WHERE trans_id = 2');
+      
+      finishSerializableSnapshot(ssi, t1, true);
+      expect(ssi.registry.T1.commitTs).toBe(1);
+      
+      const t3 = begin('T3');
+      read(t3, 'SELECT * FROM trans WHERE trans_id = 1');
+      expect(ssi.registry.T3.out).toEqual([]);
+    });
+    
+    test('Aborting removes the edges of a transaction', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      read(t1, 'SELECT * FROM trans WHERE trans_id = 1');
+      write(t2, 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)]);
+      
+      finishSerializableSnapshot(ssi, t2, false);
+      
+      expect(ssi.registry.T2).toBeUndefined();
+      expect(ssi.registry.T1.out).toEqual([]);
+    });
+    
+    test('Committed transactions are dropped once no concurrent one is active', () => {
+      const { ssi, begin, read, write } = setup();
+      const t1 = begin('T1');
+      const t2 = begin('T2');
+      read(t1, 'SELECT * FROM trans WHERE trans_id = 1');
+      write(t2, 'UPDATE trans SET amount = 0 WHERE trans_id = 1', [row(1)]);
+      
+      finishSerializableSnapshot(ssi, { ...t2, commitTs: 7 }, true);
+      expect(describeSsiTracker(ssi).transactions).toEqual([
+        { transactionId: 'T1', committed: false, rwIn: [], rwOut: ['T2'] },
+        { transactionId: 'T2', committed: true, rwIn: ['T1'], rwOut: [] }
+      ]);
+      
+      finishSerializableSnapshot(ssi, t1, true);
+      expect(ssi.registry).toEqual({});
+      
+      clearSsiTracker(ssi);
+      expect(describeSsiTracker(ssi)).toEqual({ transactions: [], recentAborts: [] });
+    });
+  });
+});
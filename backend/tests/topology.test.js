@@ -0,0 +1,62 @@
+/**
+ * Cluster Topology Test Suite
+ * Tests: node declarations, roles and replica links (topology.js)
+ */
+
+import {
+  DEFAULT_TOPOLOGY,
+  createTopology,
+  addNode,
+  nodesWithRole,
+  replicasOf,
+  publicNode
+} from '../topology.js';
+
+describe('Cluster Topology', () => {
+  test('Default cluster has one master and two fragments', () => {
+    const topology = createTopology(DEFAULT_TOPOLOGY);
+    expect(topology.master).toBe('node0');
+    expect(nodesWithRole(topology, 'fragment')).toEqual(['node1', 'node2']);
+  });
+  
+  test('Five-node cluster with replicas', () => {
+    const topology = createTopology({
+      nodes: [
+        { name: 'node0', role: 'master', host: 'db0', port: 3306 },
+        { name: 'node1', role: 'fragment', host: 'db1', port: '3306' },
+        { name: 'node2', role: 'fragment', host: 'db2' },
+        { name: 'node3', role: 'fragment', host: 'db3' },
+        { name: 'node4', role: 'replica', replicaOf: 'node0', host: 'db4', password: 'secret' }
+      ]
+    });
+    
+    expect(nodesWithRole(topology, 'fragment')).toEqual(['node1', 'node2', 'node3']);
+    expect(replicasOf(topology, 'node0')).toEqual(['node4']);
+    expect(topology.nodes[1].port).toBe(3306);
+    expect(topology.nodes[4].label).toBe('Replica of node0');
+    expect(publicNode(topology.nodes[4])).not.toHaveProperty('password');
+  });
+  
+  test('addNode validates the new node against the cluster', () => {
+    const topology = createTopology(DEFAULT_TOPOLOGY);
+    expect(addNode(topology, { name: 'node3', role: 'replica', replicaOf: 'node1' }).nodes).toHaveLength(4);
+    expect(() => addNode(topology, { name: 'node3', role: 'master' })).toThrow(/exactly one master/);
+    expect(topology.nodes).toHaveLength(3);
+  });
+  
+  describe('Invalid configs', () => {
+    test.each([
+      [{ nodes: [] }, /non-empty array/],
+      [{ nodes: [{ name: 'node0', role: 'primary' }] }, /expected one of master, fragment, replica/],
+      [{ nodes: [{ name: 'node 0', role: 'master' }] }, /letters, digits and _/],
+      [{ nodes: [{ name: 'node0', role: 'master' }, { name: 'node0', role: 'fragment' }] }, /duplicate node name/],
+      [{ nodes: [{ name: 'node1', role: 'fragment' }] }, /exactly one master/],
+      [{ nodes: [{ name: 'node0', role: 'master' }, { name: 'node1', role: 'replica' }] }, /replicaOf is required/],
+      [{ nodes: [{ name: 'node0', role: 'master' }, { name: 'node1', role: 'replica', replicaOf: 'node9' }] }, /unknown node node9/],
+      [{ nodes: [{ name: 'node0', role: 'master' }, { name: 'r1', role: 'replica', replicaOf: 'node0' }, { name: 'r2', role: 'replica', replicaOf: 'r1' }] }, /cannot replicate another replica/],
+      [{ nodes: [{ name: 'node0', role: 'master', port: 'abc' }] }, /invalid port/]
+    ])('%j', (config, message) => {
+      expect(() => createTopology(config)).toThrow(message);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Trans Record Test Suite
+ * Tests: /api/trans body validation, :id parsing and the parameterized
+ * statements built for each operation (trans-record.js)
+ */
+
+import {
+  TRANS_FIELDS,
+  isValidTransDate,
+  validateTransRecord,
+  parseTransIdParam,
+  buildTransStatement
+} from '../trans-record.js';
+import { parseStatement, statementKeys } from '../sql-parser.js';
+
+const RECORD = { trans_id: 7, account_id: 10, newdate: '1997-01-05', amount: 100.5, balance: 0 };
+
+describe('Trans Record', () => {
+  describe('Validation', () => {
+    test('A full record passes and keeps only known columns', () => {
+      expect(validateTransRecord(RECORD)).toEqual({ success: true, record: RECORD });
+      expect(Object.keys(TRANS_FIELDS)).toEqual(Object.keys(RECORD));
+    });
+    
+    test('Missing, unknown and badly typed columns are all reported', () => {
+      const result = validateTransRecord({ trans_id: -1, account_id: '10', newdate: '1997-01-05', note: 'x' });
+      
+      expect(result).toEqual({
+        success: false,
+        errors: [
+          'trans_id must be a positive integer',
+          'account_id must be a non-negative integer',
+          'Unknown field: note',
+          'amount is required'
+        ]
+      });
+    });
+    
+    test('Partial records need a column and cannot change trans_id', () => {
+      expect(validateTransRecord({ amount: 5 }, { partial: true })).toEqual({ success: true, record: { amount: 5 } });
+      expect(validateTransRecord({}, { partial: true }).errors).toEqual(['At least one field is required']);
+      expect(validateTransRecord({ trans_id: 8 }, { partial: true }).errors).toEqual(['trans_id cannot be changed; it is taken from the URL']);
+    });
+    
+    test('Bodies that are not objects are rejected', () => {
+      for (const body of [null, [RECORD], 'trans_id=7']) {
+        expect(validateTransRecord(body)).toEqual({ success: false, errors: ['Request body must be a JSON object'] });
+      }
+    });
+    
+    test('Dates must exist on the calendar', () => {
+      expect(isValidTransDate('1996-02-29')).toBe(true);
+      expect(isValidTransDate('1997-01-05 10:30:00')).toBe(true);
+      expect(isValidTransDate('1997-02-29')).toBe(false);
+      expect(isValidTransDate('1997-1-5')).toBe(false);
+      expect(isValidTransDate(19970105)).toBe(false);
+    });
+  });
+  
+  describe('Route parameters', () => {
+    test('Only positive integers are trans_ids', () => {
+      expect(parseTransIdParam('42')).toBe(42);
+      expect(parseTransIdParam('0')).toBeNull();
+      expect(parseTransIdParam('4.2')).toBeNull();
+      expect(parseTransIdParam('1 OR 1=1')).toBeNull();
+      expect(parseTransIdParam('99999999999999999999')).toBeNull();
+    });
+  });
+  
+  describe('Statements', () => {
+    test('Each operation targets exactly its trans_id', () => {
+      const statements = {
+        insert: buildTransStatement('insert', null, RECORD),
+        select: buildTransStatement('select', 7),
+        update: buildTransStatement('update', 7, { amount: 5, newdate: '1997-02-01' }),
+        delete: buildTransStatement('delete', 7)
+      };
+      
+      expect(statements).toEqual({
+        insert: "INSERT INTO trans (trans_id, account_id, newdate, amount, balance) VALUES (7, 10, '1997-01-05', 100.5, 0)",
+        select: 'SELECT * FROM trans WHERE trans_id = 7',
+        update: "UPDATE trans SET amount = 5, newdate = '1997-02-01' WHERE trans_id = 7",
+        delete: 'DELETE FROM trans WHERE trans_id = 7'
+      });
+      for (const query of Object.values(statements)) {
+        expect(statementKeys(parseStatement(query))).toEqual([7]);
+      }
+    });
+    
+    test('Values are escaped, not spliced into the SQL', () => {
+      const query = buildTransStatement('update', 7, { newdate: "1997-01-05' OR '1'='1" });
+      
+      expect(query).toBe("UPDATE trans SET newdate = '1997-01-05\\' OR \\'1\\'=\\'1' WHERE trans_id = 7");
+      expect(() => buildTransStatement('truncate', 7)).toThrow('Unknown trans operation: truncate');
+    });
+  });
+});
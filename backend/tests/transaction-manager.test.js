@@ -0,0 +1,271 @@
+/**
+ * Transaction Manager Test Suite
+ * Tests: transaction start/commit/abort, the locks each statement takes per
+ * isolation level and concurrency control, deadlock victims aborted through
+ * the manager, lock failure responses and clearing (transaction-manager.js)
+ */
+
+import {
+  createTransactionManager,
+  startTransaction,
+  commitTransaction,
+  abortTransaction,
+  lockForStatement,
+  describeLockFailure,
+  clearTransactionManager
+} from '../transaction-manager.js';
+import { describeLocks } from '../lock-manager.js';
+import { captureBeforeImages, recordCommittedVersions } from '../mvcc.js';
+
+function row(transId, amount) {
+  return { trans_id: transId, account_id: 10, newdate: new Date(1997, 0, 5), amount, balance: 0 };
+}
+
+/**
+ * Connection stub answering every query with the same rows
+ */
+function connectionReturning(rows) {
+  return { query: async () => [rows, []] };
+}
+
+/**
+ * Manager that forgets finished transactions right away and gives up on
+ * locks after 200ms
+ */
+function setup(options = {}) {
+  const manager = createTransactionManager({ timeout: 200, retention: 0, ...options });
+  
+  const begin = (txnId, isolationLevel = 'SERIALIZABLE', concurrencyControl = '2PL') => {
+    startTransaction(manager, txnId, 'node0', isolationLevel, concurrencyControl);
+    return manager.transactions[txnId];
+  };
+  
+  return { manager, begin };
+}
+
+/**
+ * Let the retention timers of finished transactions run
+ */
+function afterRetention() {
+  return new Promise(resolve => setTimeout(resolve, 5));
+}
+
+describe('Transaction Manager', () => {
+  describe('Lifecycle', () => {
+    test('Start registers the transaction with the current clocks', () => {
+      const { manager, begin } = setup({ policy: 'wait-die' });
+      manager.versions.clock = 4;
+      
+      const txn = begin('T1', 'SNAPSHOT');
+      startTransaction(manager, 'T2', 'node1', 'READ_COMMITTED', 'OCC', 'wound-wait');
+      
+      expect(txn).toEqual(expect.objectContaining({
+        transactionId: 'T1',
+        node: 'node0',
+        isolationLevel: 'SNAPSHOT',
+        concurrencyControl: '2PL',
+        deadlockPolicy: 'wait-die',
+        startSeq: 1,
+        startTs: 4,
+        occStartSeq: 0,
+        status: 'active'
+      }));
+      expect(manager.transactions.T2.deadlockPolicy).toBe('wound-wait');
+      expect(manager.transactions.T2.startSeq).toBe(2);
+    });
+    
+    test('Commit releases the locks and the transaction is forgotten after the retention', async () => {
+      const { manager, begin } = setup();
+      const txn = begin('T1');
+      await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      
+      commitTransaction(manager, 'T1');
+      
+      expect(txn.status).toBe('committed');
+      expect(describeLocks(manager.locks).locks).toEqual([]);
+      await afterRetention();
+      expect(manager.transactions).toEqual({});
+    });
+    
+    test('Abort releases the locks once; finished transactions are not aborted again', async () => {
+      const { manager, begin } = setup();
+      const txn = begin('T1');
+      await lockForStatement(manager, 'T1', 'SELECT * FROM trans WHERE trans_id = 1');
+      
+      abortTransaction(manager, 'T1');
+      expect(txn.status).toBe('aborted');
+      expect(describeLocks(manager.locks).locks).toEqual([]);
+      
+      const committed = begin('T2');
+      commitTransaction(manager, 'T2');
+      abortTransaction(manager, 'T2');
+      expect(committed.status).toBe('committed');
+      await afterRetention();
+    });
+    
+    test('A lock-based writer committing while OCC is active is registered for validation', async () => {
+      const { manager, begin } = setup();
+      begin('R', 'READ_COMMITTED', 'OCC');
+      begin('W');
+      await lockForStatement(manager, 'W', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      
+      commitTransaction(manager, 'W');
+      
+      expect(manager.occ.history).toEqual([{ txnId: 'W', commitSeq: 1, writeSet: [1], writesTable: false }]);
+      await afterRetention();
+    });
+  });
+  
+  describe('Statement locks', () => {
+    test('SERIALIZABLE reads lock the row, the table (IS) and the range', async () => {
+      const { manager, begin } = setup();
+      const txn = begin('T1');
+      
+      const result = await lockForStatement(manager, 'T1', 'SELECT * FROM trans WHERE trans_id = 1');
+      
+      expect(result).toEqual({ success: true, transId: 1, keys: [1], isWrite: false });
+      expect(Array.from(txn.readSet)).toEqual([1]);
+      expect(txn.tableLocks).toEqual({ trans: 'IS' });
+      const locks = describeLocks(manager.locks);
+      expect(locks.locks.map(lock => lock.trans_id)).toEqual(['1']);
+      expect(locks.predicateLocks.map(lock => lock.mode)).toEqual(['read']);
+    });
+    
+    test('Rows of a multi-row write are locked and escalated past the threshold', async () => {
+      const { manager, begin } = setup({ escalationThreshold: 2 });
+      const txn = begin('T1', 'REPEATABLE_READ');
+      
+      await lockForStatement(manager, 'T1', 'DELETE FROM trans WHERE trans_id IN (3, 1, 2)');
+      
+      expect(Array.from(txn.writeSet)).toEqual([1, 2, 3]);
+      expect(txn.tableLocks).toEqual({ trans: 'X' });
+      expect(txn.escalation).toEqual(expect.objectContaining({ table: 'trans', mode: 'X', rowLocks: 3 }));
+    });
+    
+    test('Statements without known trans_ids lock the whole table', async () => {
+      const { manager, begin } = setup();
+      const txn = begin('T1', 'REPEATABLE_READ');
+      
+      expect(await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE amount > 5')).toEqual({
+        success: true, transId: null, keys: null, isWrite: true
+      });
+      expect(txn.tableLocks).toEqual({ trans: 'X' });
+      expect(txn.writesTable).toBe(true);
+    });
+    
+    test('OCC and SNAPSHOT reads take no locks', async () => {
+      const { manager, begin } = setup();
+      const optimistic = begin('T1', 'READ_COMMITTED', 'OCC');
+      const snapshot = begin('T2', 'SNAPSHOT');
+      
+      await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      await lockForStatement(manager, 'T2', 'SELECT * FROM trans WHERE trans_id = 1');
+      
+      expect(Array.from(optimistic.writeSet)).toEqual([1]);
+      expect(Array.from(snapshot.readSet)).toEqual([1]);
+      expect(describeLocks(manager.locks)).toEqual(expect.objectContaining({ locks: [], tableLocks: {}, predicateLocks: [] }));
+    });
+    
+    test('REPEATABLE_READ answers a repeated read from its snapshot, FOR UPDATE locks the row for writing', async () => {
+      const { manager, begin } = setup();
+      const txn = begin('T1', 'REPEATABLE_READ');
+      txn.snapshot[1] = [row(1, 10)];
+      
+      const cached = await lockForStatement(manager, 'T1', 'SELECT * FROM trans WHERE trans_id = 1');
+      expect(cached.cachedResults).toEqual([row(1, 10)]);
+      
+      const locking = await lockForStatement(manager, 'T1', 'SELECT * FROM trans WHERE trans_id = 1 FOR UPDATE');
+      expect(locking.cachedResults).toBeUndefined();
+      expect(describeLocks(manager.locks).locks[0].writer).toBe('T1');
+    });
+    
+    test('SNAPSHOT writers lose to a row committed after their snapshot', async () => {
+      const { manager, begin } = setup();
+      const older = begin('T1', 'SNAPSHOT');
+      const writer = begin('W', 'SNAPSHOT');
+      await captureBeforeImages(manager.versions, connectionReturning([row(1, 10)]), writer, 'UPDATE trans SET amount = 50 WHERE trans_id = 1');
+      await recordCommittedVersions(manager.versions, connectionReturning([row(1, 50)]), writer);
+      commitTransaction(manager, 'W');
+      
+      const result = await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      
+      expect(result).toEqual(expect.objectContaining({ success: false, conflict: true, transId: 1 }));
+      expect(describeLockFailure(result)).toEqual({
+        httpStatus: 409,
+        logStatus: 'conflict',
+        error: 'Write conflict: trans_id=1 was committed by another transaction after this snapshot was taken',
+        details: { conflict: true, trans_id: 1 }
+      });
+      expect(older.writeSet.size).toBe(0);
+      await afterRetention();
+    });
+  });
+  
+  describe('Lock failures', () => {
+    test('A deadlock victim is aborted through the manager', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      const younger = begin('T2');
+      await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      await lockForStatement(manager, 'T2', 'UPDATE trans SET amount = 0 WHERE trans_id = 2');
+      
+      const first = lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 2');
+      const second = await lockForStatement(manager, 'T2', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      
+      expect(younger.status).toBe('aborted');
+      expect(describeLockFailure(second)).toEqual({
+        httpStatus: 409,
+        logStatus: 'deadlock',
+        error: 'Deadlock victim (cycle: T2 -> T1)',
+        details: { deadlock: true, cycle: ['T2', 'T1'] }
+      });
+      expect((await first).success).toBe(true);
+      commitTransaction(manager, 'T1');
+      await afterRetention();
+    });
+    
+    test('Waiting past the timeout is a 408', async () => {
+      const { manager, begin } = setup();
+      begin('T1');
+      begin('T2');
+      await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      
+      const result = await lockForStatement(manager, 'T2', 'SELECT * FROM trans WHERE trans_id = 1');
+      
+      expect(result.success).toBe(false);
+      expect(describeLockFailure(result)).toEqual(expect.objectContaining({ httpStatus: 408, logStatus: 'timeout' }));
+      expect(describeLockFailure({ died: true, reason: 'died', prevention: 'wait-die' })).toEqual({
+        httpStatus: 409,
+        logStatus: 'died',
+        error: 'died',
+        details: { died: true, prevention: 'wait-die' }
+      });
+    });
+  });
+  
+  describe('Clearing', () => {
+    test('Waiters are woken and every transaction, version, write set and edge is forgotten', async () => {
+      const { manager, begin } = setup();
+      const registry = manager.transactions;
+      begin('T1');
+      begin('T2');
+      await lockForStatement(manager, 'T1', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      const waiting = lockForStatement(manager, 'T2', 'UPDATE trans SET amount = 0 WHERE trans_id = 1');
+      await new Promise(resolve => setImmediate(resolve));
+      expect(describeLocks(manager.locks).locks[0].queue).toHaveLength(1);
+      manager.versions.versions = { node0: { 1: [] } };
+      manager.occ.history = [{ txnId: 'T0', commitSeq: 1, writeSet: [1], writesTable: false }];
+      manager.ssi.registry = { T3: {} };
+      
+      clearTransactionManager(manager, 'Lock table cleared');
+      
+      expect(await waiting).toEqual(expect.objectContaining({ success: false, reason: 'Lock table cleared' }));
+      expect(manager.transactions).toBe(registry);
+      expect(registry).toEqual({});
+      expect(manager.versions.versions).toEqual({});
+      expect(manager.occ.history).toEqual([]);
+      expect(manager.ssi.registry).toEqual({});
+      expect(describeLocks(manager.locks).locks).toEqual([]);
+    });
+  });
+});
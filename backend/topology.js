@@ -0,0 +1,141 @@
+// ============================================================================
+// CLUSTER TOPOLOGY - the database nodes and the role each one plays
+// ============================================================================
+
+/**
+ * Every node is one MySQL instance with the same `trans` schema:
+ *   master   - stores every row (exactly one per cluster)
+ *   fragment - stores the rows of the fragments the fragmentation catalog
+ *              places on it
+ *   replica  - a copy of one master or fragment node (replicaOf), kept in
+ *              step by replication and used as a failover target
+ *
+ * Config:
+ *   { nodes: [{ name, role, replicaOf?, label?, host?, port?, user?, database? }] }
+ *
+ * Names become map keys, log prefixes and environment variable suffixes
+ * (DB_HOST_<NAME>), so they are restricted to letters, digits and _.
+ * Functions here validate and describe topologies; server.js owns the pools.
+ */
+
+export const NODE_ROLES = ['master', 'fragment', 'replica'];
+
+// The original three-node cluster
+export const DEFAULT_TOPOLOGY = {
+  nodes: [
+    { name: 'node0', role: 'master', label: 'Master / Central', host: 'ccscloud.dlsu.edu.ph', port: 60709 },
+    { name: 'node1', role: 'fragment', label: 'Fragment A', host: 'ccscloud.dlsu.edu.ph', port: 60710 },
+    { name: 'node2', role: 'fragment', label: 'Fragment B', host: 'ccscloud.dlsu.edu.ph', port: 60711 }
+  ]
+};
+
+const CONNECTION_FIELDS = ['host', 'port', 'user', 'password', 'database'];
+
+function topologyError(message) {
+  return new Error(`Invalid topology: ${message}`);
+}
+
+/**
+ * Check one node declaration and return its normalized form
+ */
+function normalizeNode(node) {
+  if (!node || typeof node !== 'object') {
+    throw topologyError('every node must be an object');
+  }
+  if (!/^\w+$/.test(node.name || '')) {
+    throw topologyError('every node needs a name made of letters, digits and _');
+  }
+  if (!NODE_ROLES.includes(node.role)) {
+    throw topologyError(`${node.name} has role ${node.role}, expected one of ${NODE_ROLES.join(', ')}`);
+  }
+  if (node.role === 'replica' ? !node.replicaOf : node.replicaOf !== undefined) {
+    throw topologyError(`${node.name}: replicaOf is required for replicas and only allowed for them`);
+  }
+  if (node.port !== undefined && !(Number.isInteger(Number(node.port)) && Number(node.port) > 0)) {
+    throw topologyError(`${node.name} has an invalid port ${node.port}`);
+  }
+  
+  const normalized = { name: node.name, role: node.role, label: node.label || defaultLabel(node) };
+  if (node.replicaOf) normalized.replicaOf = node.replicaOf;
+  for (const field of CONNECTION_FIELDS) {
+    if (node[field] !== undefined) {
+      normalized[field] = field === 'port' ? Number(node[field]) : node[field];
+    }
+  }
+  return normalized;
+}
+
+function defaultLabel(node) {
+  if (node.role === 'master') return 'Master';
+  if (node.role === 'replica') return `Replica of ${node.replicaOf}`;
+  return 'Fragment';
+}
+
+/**
+ * Validate a topology config and build the topology. Throws on an invalid
+ * config: a cluster with two masters or a replica of nothing cannot route.
+ */
+export function createTopology(config) {
+  if (!config || !Array.isArray(config.nodes) || config.nodes.length === 0) {
+    throw topologyError('nodes must be a non-empty array');
+  }
+  
+  const nodes = config.nodes.map(normalizeNode);
+  const names = new Set();
+  for (const node of nodes) {
+    if (names.has(node.name)) {
+      throw topologyError(`duplicate node name ${node.name}`);
+    }
+    names.add(node.name);
+  }
+  
+  const masters = nodes.filter(node => node.role === 'master');
+  if (masters.length !== 1) {
+    throw topologyError(`exactly one master is required, found ${masters.length}`);
+  }
+  
+  for (const node of nodes.filter(n => n.role === 'replica')) {
+    const source = nodes.find(n => n.name === node.replicaOf);
+    if (!source) {
+      throw topologyError(`${node.name} is a replica of unknown node ${node.replicaOf}`);
+    }
+    if (source.role === 'replica') {
+      throw topologyError(`${node.name} cannot replicate another replica (${source.name})`);
+    }
+  }
+  
+  return { master: masters[0].name, nodes };
+}
+
+/**
+ * Topology with one more node (throws like createTopology)
+ */
+export function addNode(topology, node) {
+  return createTopology({ nodes: [...topology.nodes, node] });
+}
+
+export function findNode(topology, name) {
+  return topology.nodes.find(node => node.name === name) || null;
+}
+
+/**
+ * Names of the nodes with a role, in declaration order
+ */
+export function nodesWithRole(topology, role) {
+  return topology.nodes.filter(node => node.role === role).map(node => node.name);
+}
+
+/**
+ * Replicas that mirror a node
+ */
+export function replicasOf(topology, name) {
+  return topology.nodes.filter(node => node.replicaOf === name).map(node => node.name);
+}
+
+/**
+ * A node without its password, for API responses and logs
+ */
+export function publicNode(node) {
+  const { password, ...rest } = node;
+  return rest;
+}
@@ -0,0 +1,130 @@
+// ============================================================================
+// TRANS RECORD API - validation and parameterized statements for /api/trans
+// ============================================================================
+
+/**
+ * The /api/trans routes take a JSON record instead of SQL text: the body is
+ * checked column by column and turned into an ordinary statement for
+ * autoExecute. Whole rows read back from a node are written the same way
+ * (see rowImageStatements) by replication, repairs and resyncs.
+ */
+
+import mysql from 'mysql2/promise';
+import { TRANS_COLUMNS } from './sql-parser.js';
+
+/**
+ * Columns a /api/trans request body may set, with the check each value must
+ * pass. Values are bound into the statement with mysql.format, so nothing
+ * from the request body is ever spliced into SQL text.
+ */
+export const TRANS_FIELDS = {
+  trans_id: { check: value => Number.isSafeInteger(value) && value > 0, expected: 'a positive integer' },
+  account_id: { check: value => Number.isSafeInteger(value) && value >= 0, expected: 'a non-negative integer' },
+  newdate: { check: isValidTransDate, expected: 'a date in YYYY-MM-DD format' },
+  amount: { check: value => typeof value === 'number' && Number.isFinite(value), expected: 'a number' },
+  balance: { check: value => typeof value === 'number' && Number.isFinite(value), expected: 'a number' }
+};
+
+const REQUIRED_TRANS_FIELDS = ['trans_id', 'account_id', 'newdate', 'amount'];
+
+/**
+ * YYYY-MM-DD (optionally with a time) naming a real calendar day
+ */
+export function isValidTransDate(value) {
+  if (typeof value !== 'string') return false;
+  const match = value.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}):(\d{2}))?$/);
+  if (!match) return false;
+  
+  // Reject dates like 1997-02-30 that Date would silently roll over
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Validate a /api/trans JSON body. Full records (POST) must carry every
+ * required column; partial ones (PATCH) need at least one column and may not
+ * change trans_id. Returns { success, record } or { success:false, errors }.
+ */
+export function validateTransRecord(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { success: false, errors: ['Request body must be a JSON object'] };
+  }
+  
+  const errors = [];
+  const record = {};
+  
+  for (const [field, value] of Object.entries(body)) {
+    const rule = TRANS_FIELDS[field];
+    if (!rule) {
+      errors.push(`Unknown field: ${field}`);
+    } else if (partial && field === 'trans_id') {
+      errors.push('trans_id cannot be changed; it is taken from the URL');
+    } else if (!rule.check(value)) {
+      errors.push(`${field} must be ${rule.expected}`);
+    } else {
+      record[field] = value;
+    }
+  }
+  
+  if (partial) {
+    if (Object.keys(body).length === 0) {
+      errors.push('At least one field is required');
+    }
+  } else {
+    for (const field of REQUIRED_TRANS_FIELDS) {
+      if (body[field] === undefined) {
+        errors.push(`${field} is required`);
+      }
+    }
+  }
+  
+  return errors.length > 0 ? { success: false, errors } : { success: true, record };
+}
+
+/**
+ * Parse the :id route parameter (null unless it is a positive integer).
+ */
+export function parseTransIdParam(param) {
+  if (!/^\d+$/.test(param)) return null;
+  const transId = Number(param);
+  return Number.isSafeInteger(transId) && transId > 0 ? transId : null;
+}
+
+/**
+ * Build the statement for a /api/trans operation. Column names come from
+ * TRANS_FIELDS only and values are escaped, so the result goes through the
+ * same parser, locking, WAL and replication path as hand-written SQL.
+ */
+export function buildTransStatement(operation, transId, record = {}) {
+  const columns = Object.keys(record);
+  const values = Object.values(record);
+  
+  switch (operation) {
+    case 'insert':
+      return mysql.format(`INSERT INTO trans (${columns.join(', ')}) VALUES (?)`, [values]);
+    case 'select':
+      return mysql.format('SELECT * FROM trans WHERE trans_id = ?', [transId]);
+    case 'update': {
+      const assignments = columns.map(column => `${column} = ?`).join(', ');
+      return mysql.format(`UPDATE trans SET ${assignments} WHERE trans_id = ?`, [...values, transId]);
+    }
+    case 'delete':
+      return mysql.format('DELETE FROM trans WHERE trans_id = ?', [transId]);
+    default:
+      throw new Error(`Unknown trans operation: ${operation}`);
+  }
+}
+
+/**
+ * Statements that set rows to their images: DELETE the removed trans_ids, then
+ * REPLACE the stored rows. Running them twice leaves the same rows, unlike
+ * re-running an INSERT or an UPDATE such as amount = amount + 1.
+ */
+export function rowImageStatements(store, remove = []) {
+  const deletes = remove.length > 0 ? [mysql.format('DELETE FROM trans WHERE trans_id IN (?)', [remove])] : [];
+  const replaces = store.length > 0
+    ? [mysql.format(`REPLACE INTO trans (${TRANS_COLUMNS.join(', ')}) VALUES ?`, [store.map(row => TRANS_COLUMNS.map(column => row[column]))])]
+    : [];
+  return [...deletes, ...replaces];
+}
@@ -0,0 +1,419 @@
+// ============================================================================
+// TRANSACTION MANAGER - transaction lifecycle and per-statement locking
+// ============================================================================
+
+/**
+ * Transaction State Tracking
+ * Each transaction tracks:
+ * - transactionId: Unique identifier
+ * - node: Origin node
+ * - isolationLevel: READ_UNCOMMITTED, READ_COMMITTED, REPEATABLE_READ, SERIALIZABLE, SNAPSHOT, SSI
+ * - concurrencyControl: '2PL' (locks) or 'OCC' (validation at commit)
+ * - startTime / startSeq: When transaction started (orders deadlock victims)
+ * - readSet: Set of trans_ids this transaction has read
+ * - writeSet: Set of trans_ids this transaction has written
+ * - locks: { transId: { type: 'read'|'write', acquired: timestamp } }
+ * - snapshot: For REPEATABLE_READ, stores data snapshot at transaction start
+ * - status: 'active' | 'committed' | 'aborted'
+ *
+ * createTransactionManager() returns the registry together with the lock
+ * manager, the MVCC version store, the OCC validator and the SSI tracker
+ * that work on it; the functions below take it as their first argument.
+ */
+
+import { parseStatement, statementKeys, wherePredicate, writePredicate, locksForWrite } from './sql-parser.js';
+import {
+  createLockManager,
+  acquireLock,
+  releaseAllLocks,
+  acquireTableLock,
+  tableLockCovers,
+  escalateLocks,
+  acquirePredicateLock,
+  clearLockManager
+} from './lock-manager.js';
+import { createVersionStore, usesSnapshot, nextCommitTs, findWriteConflict, pruneVersionStore, clearVersionStore } from './mvcc.js';
+import {
+  createOccValidator,
+  hasActiveOcc,
+  trackStatementFootprint,
+  registerOccCommit,
+  forgetOccCommit,
+  pruneOccHistory,
+  clearOccValidator
+} from './occ.js';
+import { createSsiTracker, finishSerializableSnapshot, clearSsiTracker } from './ssi.js';
+
+/**
+ * ISOLATION LEVEL SPECIFIC BEHAVIORS:
+ * 
+ * READ_UNCOMMITTED:
+ * - NO locks acquired (not even for writes!)
+ * - Can read uncommitted data (dirty reads)
+ * - Highest concurrency, lowest consistency
+ * 
+ * READ_COMMITTED:
+ * - SHORT write locks (released immediately after query)
+ * - NO read locks
+ * - Cannot read uncommitted data
+ * - Locks prevent lost updates but allow non-repeatable reads
+ * 
+ * REPEATABLE_READ:
+ * - LONG write locks (released at commit)
+ * - READ locks for snapshot consistency
+ * - Uses snapshot isolation
+ * - Prevents non-repeatable reads
+ * 
+ * SERIALIZABLE:
+ * - LONG read AND write locks (both released at commit)
+ * - Strictest isolation
+ * - Simulates serial execution
+ * 
+ * SNAPSHOT (MVCC):
+ * - NO read locks, reads see the versions committed before the txn started
+ * - LONG write locks, first-committer-wins on write-write conflicts
+ * - Prevents non-repeatable reads and phantoms, allows write skew
+ * 
+ * SSI (Serializable Snapshot Isolation):
+ * - SNAPSHOT plus rw-antidependency tracking
+ * - Aborts a transaction that completes two consecutive rw-edges
+ * - Prevents write skew without read locks
+ */
+
+/**
+ * New transaction registry.
+ *   isInteractive(txnId)        - can an idle transaction still be wounded?
+ *   rollbackIdle(txnId, reason) - undo the work of a wounded idle transaction
+ *   policy, timeout,
+ *   escalationThreshold         - lock manager settings (createLockManager)
+ *   retention                   - ms a finished transaction stays registered
+ *
+ * transactions: { "txn_uuid": { transactionId, node, isolationLevel, startTime, readSet, writeSet, locks, snapshot, status } }
+ * Deadlock victims are aborted through abortTransaction().
+ */
+export function createTransactionManager({
+  isInteractive = () => false,
+  rollbackIdle = async () => {},
+  policy,
+  timeout,
+  escalationThreshold,
+  retention = 1000
+} = {}) {
+  const manager = { transactions: {}, seq: 0, retention };
+  const registered = () => Object.values(manager.transactions);
+  
+  manager.locks = createLockManager({
+    transaction: txnId => manager.transactions[txnId],
+    abort: txnId => abortTransaction(manager, txnId),
+    isInteractive,
+    rollbackIdle,
+    policy,
+    timeout,
+    escalationThreshold
+  });
+  manager.versions = createVersionStore({ transactions: registered });
+  manager.occ = createOccValidator({ transactions: registered });
+  manager.ssi = createSsiTracker({ nextCommitTs: () => nextCommitTs(manager.versions) });
+  
+  return manager;
+}
+
+/**
+ * Start a new transaction
+ */
+export function startTransaction(manager, txnId, node, isolationLevel, concurrencyControl = '2PL', policy = null) {
+  manager.transactions[txnId] = {
+    transactionId: txnId,
+    node,
+    isolationLevel,
+    concurrencyControl,
+    deadlockPolicy: policy || manager.locks.deadlockPolicy,
+    startTime: Date.now(),
+    startSeq: ++manager.seq, // Orders transactions started in the same millisecond
+    readSet: new Set(),
+    writeSet: new Set(),
+    locks: {},
+    tableLocks: {},
+    snapshot: {}, // For REPEATABLE_READ
+    startTs: manager.versions.clock, // For SNAPSHOT: sees versions committed up to here
+    mvccWrites: {}, // Before-images of written rows (MVCC)
+    occStartSeq: manager.occ.commitSeq, // For OCC: validate against commits after this
+    status: 'active'
+  };
+  
+  console.log(`[TXN START] ${txnId} on ${node} with ${isolationLevel}${concurrencyControl === 'OCC' ? ' (OCC)' : ''}`);
+}
+
+/**
+ * Commit a transaction
+ */
+export function commitTransaction(manager, txnId) {
+  const txn = manager.transactions[txnId];
+  if (!txn) return;
+  
+  txn.status = 'committed';
+  txn.endTime = Date.now();
+  
+  // Release all locks (for REPEATABLE_READ and SERIALIZABLE)
+  releaseAllLocks(manager.locks, txnId);
+  
+  if (usesSnapshot(txn)) {
+    finishSerializableSnapshot(manager.ssi, txn, true);
+    pruneVersionStore(manager.versions);
+  }
+  
+  // Lock-based writers become visible to OCC validation
+  if (txn.concurrencyControl === 'OCC') {
+    pruneOccHistory(manager.occ);
+  } else if ((txn.writeSet.size > 0 || txn.writesTable) && hasActiveOcc(manager.occ, txnId)) {
+    registerOccCommit(manager.occ, txn);
+  }
+  
+  console.log(`[TXN COMMIT] ${txnId} (duration: ${txn.endTime - txn.startTime}ms)`);
+  
+  // Cleanup transaction after a delay
+  setTimeout(() => {
+    delete manager.transactions[txnId];
+  }, manager.retention);
+}
+
+/**
+ * Abort a transaction
+ */
+export function abortTransaction(manager, txnId) {
+  const txn = manager.transactions[txnId];
+  if (!txn || txn.status !== 'active') return;
+  
+  txn.status = 'aborted';
+  txn.endTime = Date.now();
+  
+  // Release all locks
+  releaseAllLocks(manager.locks, txnId);
+  
+  if (usesSnapshot(txn)) {
+    finishSerializableSnapshot(manager.ssi, txn, false);
+    pruneVersionStore(manager.versions);
+  }
+  
+  // Validated but the COMMIT itself failed: it never happened
+  forgetOccCommit(manager.occ, txn);
+  if (txn.concurrencyControl === 'OCC') {
+    pruneOccHistory(manager.occ);
+  }
+  
+  console.log(`[TXN ABORT] ${txnId}`);
+  
+  // Cleanup
+  setTimeout(() => {
+    delete manager.transactions[txnId];
+  }, manager.retention);
+}
+
+/**
+ * Acquire the locks one statement needs inside an already started transaction
+ * and record the touched trans_ids in the readSet/writeSet.
+ * Returns: { success, transId, keys, isWrite, reason?, cachedResults? }
+ * keys are all trans_ids the statement touches (null: any row), transId the
+ * only one when there is exactly one. cachedResults is set when
+ * REPEATABLE_READ can answer from the snapshot. Locking reads (FOR UPDATE /
+ * FOR SHARE) always lock the latest rows; FOR UPDATE locks them like a write.
+ */
+export async function lockForStatement(manager, txnId, query) {
+  const txn = manager.transactions[txnId];
+  const statement = parseStatement(query);
+  const { isWrite } = statement;
+  const exclusive = locksForWrite(statement);
+  const keys = statementKeys(statement);
+  const transId = keys && keys.length === 1 ? keys[0] : null;
+  const table = statement.table || 'trans';
+  
+  // OCC: no locks at all - the footprint is validated at commit instead
+  if (txn.concurrencyControl === 'OCC') {
+    trackStatementFootprint(txn, keys, exclusive);
+    return { success: true, transId, keys, isWrite };
+  }
+  
+  // SNAPSHOT reads come from the version store: no read locks of any kind
+  if (usesSnapshot(txn) && !isWrite && !statement.locking) {
+    (keys || []).forEach(key => txn.readSet.add(key));
+    return { success: true, transId, keys, isWrite };
+  }
+  
+  // Table first (intention or full lock), then the rows
+  const tableLock = await lockTableForStatement(manager, txnId, statement, table, keys);
+  if (!tableLock.success) {
+    return { ...tableLock, transId, keys, isWrite };
+  }
+  
+  const rowLock = await lockRowForStatement(manager, txnId, statement, keys, table);
+  if (!rowLock.success || rowLock.cachedResults) {
+    return rowLock;
+  }
+  
+  if (keys && keys.length > 0 && txn.isolationLevel !== 'READ_UNCOMMITTED') {
+    escalateLocks(manager.locks, txnId, table);
+  }
+  
+  // Bulk writes have no row locks; keep their footprint for OCC validation
+  if (isWrite && !keys) {
+    trackStatementFootprint(txn, keys, isWrite);
+  }
+  
+  // Predicate locks: writes always (so range readers can see them), reads only under SERIALIZABLE
+  if (txn.isolationLevel !== 'READ_UNCOMMITTED' && (exclusive || txn.isolationLevel === 'SERIALIZABLE')) {
+    const predicate = exclusive ? writePredicate(statement) : wherePredicate(statement);
+    const predicateLock = await acquirePredicateLock(manager.locks, txnId, predicate, exclusive ? 'write' : 'read', txn.isolationLevel);
+    if (!predicateLock.success) {
+      return { ...predicateLock, transId, keys, isWrite };
+    }
+  }
+  
+  return rowLock;
+}
+
+/**
+ * Table lock part of lockForStatement: IS/IX for statements limited to known
+ * rows and INSERTs, S/X for statements that can touch any row
+ */
+async function lockTableForStatement(manager, txnId, statement, table, keys) {
+  const txn = manager.transactions[txnId];
+  const level = txn.isolationLevel;
+  
+  if (locksForWrite(statement)) {
+    const rowWrite = keys || statement.type === 'INSERT';
+    return acquireTableLock(manager.locks, txnId, table, rowWrite ? 'IX' : 'X', level);
+  }
+  
+  const instant = level === 'READ_COMMITTED';
+  if (keys) {
+    return acquireTableLock(manager.locks, txnId, table, 'IS', level, { instant });
+  }
+  
+  // SERIALIZABLE range scans are already protected by their predicate lock
+  const wholeTable = wherePredicate(statement).some(conjunct => Object.keys(conjunct).length === 0);
+  const mode = level === 'SERIALIZABLE' && !wholeTable ? 'IS' : 'S';
+  return acquireTableLock(manager.locks, txnId, table, mode, level, { instant });
+}
+
+/**
+ * Row lock part of lockForStatement (only when the statement's trans_ids are known).
+ * Rows are locked in ascending trans_id order so two multi-row statements
+ * cannot deadlock on each other's rows.
+ */
+async function lockRowForStatement(manager, txnId, statement, keys, table) {
+  const txn = manager.transactions[txnId];
+  const { isWrite } = statement;
+  const transId = keys && keys.length === 1 ? keys[0] : null;
+  
+  if (!keys) {
+    return { success: true, transId, keys, isWrite };
+  }
+  
+  const ordered = [...keys].sort((a, b) => a - b);
+  
+  if (locksForWrite(statement)) {
+    for (const key of ordered) {
+      // Write operation - acquire write lock (unless an escalated table lock covers the row)
+      const lockResult = tableLockCovers(manager.locks, txnId, table, 'write')
+        ? { success: true }
+        : await acquireLock(manager.locks, txnId, key, 'write', txn.isolationLevel);
+      if (!lockResult.success) {
+        return { ...lockResult, transId: key, keys, isWrite };
+      }
+      
+      // First-committer-wins: someone committed this row after our snapshot
+      if (usesSnapshot(txn) && findWriteConflict(manager.versions, txn, [String(key)])) {
+        console.log(`[SNAPSHOT] Write conflict on trans_id=${key} for ${txnId}`);
+        return {
+          success: false,
+          conflict: true,
+          reason: `Write conflict: trans_id=${key} was committed by another transaction after this snapshot was taken`,
+          transId: key,
+          keys,
+          isWrite
+        };
+      }
+      
+      txn.writeSet.add(key);
+      console.log(`[WRITE] trans_id=${key} added to writeSet of ${txnId}`);
+    }
+    return { success: true, transId, keys, isWrite };
+  }
+  
+  // Read operation - check for snapshot first (REPEATABLE_READ)
+  if (transId && txn.isolationLevel === 'REPEATABLE_READ' && txn.snapshot[transId] && !statement.locking) {
+    console.log(`[REPEATABLE_READ] Using cached snapshot for trans_id=${transId}`);
+    return { success: true, transId, keys, isWrite, cachedResults: txn.snapshot[transId] };
+  }
+  
+  for (const key of ordered) {
+    // Acquire read lock (if needed by isolation level and not covered by the table lock)
+    const lockResult = tableLockCovers(manager.locks, txnId, table, 'read')
+      ? { success: true }
+      : await acquireLock(manager.locks, txnId, key, 'read', txn.isolationLevel);
+    if (!lockResult.success) {
+      return { ...lockResult, transId: key, keys, isWrite };
+    }
+    
+    txn.readSet.add(key);
+    console.log(`[READ] trans_id=${key} added to readSet of ${txnId}`);
+  }
+  return { success: true, transId, keys, isWrite };
+}
+
+/**
+ * Describe a failed lock acquisition for the HTTP response:
+ * deadlock victims, wounded/died transactions and SNAPSHOT write conflicts
+ * get 409 (the client may retry), lock timeouts 408
+ */
+export function describeLockFailure(lockResult) {
+  if (lockResult.wounded || lockResult.died) {
+    return {
+      httpStatus: 409,
+      logStatus: lockResult.wounded ? 'wounded' : 'died',
+      error: lockResult.reason,
+      details: { [lockResult.wounded ? 'wounded' : 'died']: true, prevention: lockResult.prevention }
+    };
+  }
+  
+  if (lockResult.conflict) {
+    return {
+      httpStatus: 409,
+      logStatus: 'conflict',
+      error: lockResult.reason,
+      details: { conflict: true, trans_id: lockResult.transId }
+    };
+  }
+  
+  if (lockResult.deadlock) {
+    return {
+      httpStatus: 409,
+      logStatus: 'deadlock',
+      error: lockResult.reason,
+      details: { deadlock: true, cycle: lockResult.cycle }
+    };
+  }
+  
+  return {
+    httpStatus: 408,
+    logStatus: 'timeout',
+    error: `${lockResult.isWrite ? 'Write' : 'Read'} timeout: ${lockResult.reason}`,
+    details: {}
+  };
+}
+
+/**
+ * Wake every lock waiter with reason and forget all transactions, row
+ * versions, OCC write sets and SSI edges. The registry object is emptied in
+ * place so references to manager.transactions stay valid.
+ */
+export function clearTransactionManager(manager, reason) {
+  clearLockManager(manager.locks, reason);
+  
+  for (const txnId of Object.keys(manager.transactions)) {
+    delete manager.transactions[txnId];
+  }
+  clearVersionStore(manager.versions);
+  clearSsiTracker(manager.ssi);
+  clearOccValidator(manager.occ);
+}
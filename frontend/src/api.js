@@ -12,15 +12,38 @@ export const apiClient = axios.create({
 // Node Management
 export const getNodeStatus = () => apiClient.get('/nodes/status');
 export const killNode = (node) => apiClient.post('/nodes/kill', { node });
-export const recoverNode = (node) => apiClient.post('/nodes/recover', { node });
+export const recoverNode = (node, mode) => apiClient.post('/nodes/recover', { node, mode });
+export const getResyncProgress = (node) => apiClient.get(`/nodes/${node}/resync`);
+export const getTopology = () => apiClient.get('/topology');
+export const registerNode = (node) => apiClient.post('/nodes', node);
 
 // Query Execution
-export const executeQuery = (node, query, isolationLevel) =>
-  apiClient.post('/query/execute', { node, query, isolationLevel });
+export const executeQuery = (node, query, isolationLevel, concurrencyControl) =>
+  apiClient.post('/query/execute', { node, query, isolationLevel, concurrencyControl });
 
 // Auto Query Execution (automatic node selection with failover)
-export const autoExecuteQuery = (query, isolationLevel) =>
-  apiClient.post('/query/auto-execute', { query, isolationLevel });
+export const autoExecuteQuery = (query, isolationLevel, concurrencyControl) =>
+  apiClient.post('/query/auto-execute', { query, isolationLevel, concurrencyControl });
+
+// Trans Records (validated, parameterized CRUD with automatic node selection)
+export const createTrans = (record, isolationLevel) =>
+  apiClient.post('/trans', record, { params: { isolationLevel } });
+export const getTrans = (transId, isolationLevel) =>
+  apiClient.get(`/trans/${transId}`, { params: { isolationLevel } });
+export const updateTrans = (transId, changes, isolationLevel) =>
+  apiClient.patch(`/trans/${transId}`, changes, { params: { isolationLevel } });
+export const deleteTrans = (transId, isolationLevel) =>
+  apiClient.delete(`/trans/${transId}`, { params: { isolationLevel } });
+
+// Interactive Transactions (multi-statement, locks held until commit/rollback)
+export const beginTransaction = (node, isolationLevel, concurrencyControl) =>
+  apiClient.post('/txn/begin', { node, isolationLevel, concurrencyControl });
+export const executeInTransaction = (transactionId, query) =>
+  apiClient.post(`/txn/${transactionId}/query`, { query });
+export const commitTransaction = (transactionId) =>
+  apiClient.post(`/txn/${transactionId}/commit`);
+export const rollbackTransaction = (transactionId) =>
+  apiClient.post(`/txn/${transactionId}/rollback`);
 
 // Data Retrieval
 export const getNodeData = (node, table = 'trans', filter = 'all', additionalParams = {}) =>
@@ -32,6 +55,10 @@ export const getNodeData = (node, table = 'trans', filter = 'all', additionalPar
     } 
   });
 
+// Fragmentation catalog and per-fragment report
+export const getFragmentation = () => apiClient.get('/fragmentation');
+export const getFragmentReport = () => apiClient.get('/reports/fragments');
+
 // Logs
 export const getTransactionLogs = () => apiClient.get('/logs/transactions');
 export const clearLogs = () => apiClient.post('/logs/clear');
@@ -39,6 +66,10 @@ export const clearLogs = () => apiClient.post('/logs/clear');
 // Replication
 export const getReplicationQueue = () => apiClient.get('/replication/queue');
 
+// Consistency checks
+export const getConsistencyReport = (refresh = false) => apiClient.get('/consistency/report', { params: { refresh } });
+export const repairConsistency = () => apiClient.post('/consistency/repair');
+
 // Database Initialization
 export const initDatabase = () => apiClient.post('/db/init');
 
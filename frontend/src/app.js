@@ -2,9 +2,17 @@ import {
   getNodeStatus, 
   killNode, 
   recoverNode, 
+  getResyncProgress,
+  getTopology,
   executeQuery,
   autoExecuteQuery,
+  createTrans,
+  getTrans,
+  updateTrans,
+  deleteTrans,
   getNodeData,
+  getFragmentation,
+  getFragmentReport,
   getTransactionLogs,
   getReplicationQueue,
   clearLogs,
@@ -18,6 +26,8 @@ let state = {
   replicationQueue: [],
   selectedNode: 'node0',
   selectedIsolationLevel: 'READ_COMMITTED',
+  fragmentation: null,
+  topology: null,
   autoRefresh: true,
   autoRefreshInterval: 3000
 };
@@ -34,6 +44,8 @@ export async function initializeApp() {
     console.log('[OK] Backend connected:', healthResponse.data);
     
     // Initial load
+    await loadTopology();
+    await loadFragmentation();
     await refreshNodeStatus();
     await refreshTransactionLogs();
     await refreshReplicationQueue();
@@ -50,6 +62,89 @@ export async function initializeApp() {
   }
 }
 
+// Cluster topology - node cards and every node dropdown are rendered from it
+async function loadTopology() {
+  try {
+    const response = await getTopology();
+    state.topology = response.data;
+  } catch (error) {
+    console.error('[ERROR] Error loading cluster topology:', error);
+    return;
+  }
+  
+  renderNodeCards();
+  renderNodeSelects();
+}
+
+export function masterNodeName() {
+  return state.topology?.master || 'node0';
+}
+
+function describeNodeData(node) {
+  if (node.role === 'master') return 'Full Dataset';
+  if (node.role === 'replica') return `Copy of ${node.replicaOf}`;
+  return node.fragments.length > 0 ? `Fragments: ${node.fragments.join(', ')}` : 'No fragments';
+}
+
+function renderNodeCards() {
+  const grid = document.getElementById('nodesGrid');
+  if (!grid) return;
+  
+  grid.innerHTML = state.topology.nodes.map(node => `
+    <div class="node-card ${node.role}">
+      <div id="status-${node.name}" class="node-status offline">${node.name.toUpperCase()}: OFFLINE</div>
+      <p class="node-role">${node.label}</p>
+      <p class="node-data">${describeNodeData(node)}</p>
+      <p id="resync-${node.name}" class="node-resync"></p>
+      <div class="node-buttons">
+        <button onclick="killNode('${node.name}')" class="btn-small danger">Kill</button>
+        <button onclick="recoverNode('${node.name}')" class="btn-small success">Recover</button>
+        <button onclick="viewData('${node.name}')" class="btn-small info">View Data</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+// Fill every node dropdown (select.node-select), keeping the current choice when the node still exists
+function renderNodeSelects() {
+  const options = state.topology.nodes
+    .map(node => `<option value="${node.name}">${node.name} (${node.label})</option>`)
+    .join('');
+  
+  document.querySelectorAll('select.node-select').forEach(select => {
+    const current = select.value;
+    select.innerHTML = options;
+    if (state.topology.nodes.some(node => node.name === current)) {
+      select.value = current;
+    }
+  });
+}
+
+// Fragmentation catalog - drives the routing summary and the data viewer filters
+async function loadFragmentation() {
+  try {
+    const response = await getFragmentation();
+    state.fragmentation = response.data;
+  } catch (error) {
+    console.error('[ERROR] Error loading fragmentation catalog:', error);
+    return;
+  }
+  
+  const { strategy, column, fragments } = state.fragmentation;
+  const summary = document.getElementById('fragmentationSummary');
+  if (summary) {
+    summary.textContent = `${strategy} fragmentation on ${column}: ` +
+      fragments.map(f => `${f.rule} → ${f.node.replace('node', 'Node ')}`).join(', ');
+  }
+  
+  const filterOptions = document.getElementById('fragmentFilterOptions');
+  if (filterOptions) {
+    filterOptions.innerHTML = fragments
+      .map(f => `<option value="${f.name}">${f.name} (${f.rule})</option>`)
+      .join('');
+  }
+}
+
 // Auto-refresh mechanism
 export function startAutoRefresh() {
   if (refreshInterval) clearInterval(refreshInterval);
@@ -114,14 +209,39 @@ export async function killNodeAction(node) {
 }
 
 export async function recoverNodeAction(node) {
+  // Recovery may rebuild the node from a snapshot: show the copy's progress until it returns
+  const progressTimer = setInterval(() => showResyncProgress(node), 1000);
   try {
-    await recoverNode(node);
+    const response = await recoverNode(node);
     console.log(`[OK] Node ${node} recovery initiated`);
+    const resync = response.data.resync;
+    setResyncText(node, resync ? `Resync ${resync.status}: ${resync.rowsCopied} rows up to LSN ${resync.snapshotLsn ?? '-'}` : '');
+    if (resync?.status === 'failed') {
+      showErrorMessage(response.data.message);
+    }
     await refreshNodeStatus();
     updateUI();
   } catch (error) {
     console.error(`Error recovering node ${node}:`, error);
     showErrorMessage(`Failed to recover ${node}`);
+  } finally {
+    clearInterval(progressTimer);
+  }
+}
+
+function setResyncText(node, text) {
+  const element = document.getElementById(`resync-${node}`);
+  if (element) element.textContent = text;
+}
+
+async function showResyncProgress(node) {
+  try {
+    const { data } = await getResyncProgress(node);
+    if (data.status === 'snapshot' || data.status === 'copying') {
+      setResyncText(node, `Resyncing: ${data.percent}% (${data.rowsCopied}/${data.totalRows} rows)`);
+    }
+  } catch (error) {
+    // 404 until the node's first resync starts
   }
 }
 
@@ -248,7 +368,7 @@ function updateUI() {
 }
 
 function updateNodeStatusUI() {
-  const nodes = ['node0', 'node1', 'node2'];
+  const nodes = state.topology ? state.topology.nodes.map(node => node.name) : Object.keys(state.nodeStatus);
   
   nodes.forEach(node => {
     const statusElement = document.getElementById(`status-${node}`);
@@ -326,6 +446,9 @@ function updateReplicationQueueUI() {
           statusText = 'REPLAYED';
           break;
         case 'failed':
+        case 'failed_permanent':
+        case 'needs_resync':
+        case 'aborted':
           statusClass = 'error';
           break;
         default:
@@ -400,6 +523,13 @@ window.showOperationTab = function(tabName) {
   document.getElementById(`${tabName}Tab`).classList.add('active');
 };
 
+// Error text for a failed API call, including any field validation errors
+function describeRequestError(error) {
+  const data = error.response?.data;
+  if (!data?.error) return error.message;
+  return data.details ? `${data.error}: ${data.details.join('; ')}` : data.error;
+}
+
 // INSERT Operation
 window.executeInsert = async function() {
   const transId = document.getElementById('insertTransId').value;
@@ -413,10 +543,16 @@ window.executeInsert = async function() {
     return;
   }
   
-  const query = `INSERT INTO trans (trans_id, account_id, newdate, amount, balance) VALUES (${transId}, ${accountId}, '${date}', ${amount}, ${balance})`;
+  const record = {
+    trans_id: Number(transId),
+    account_id: Number(accountId),
+    newdate: date,
+    amount: Number(amount),
+    balance: Number(balance)
+  };
   
   try {
-    const response = await autoExecuteQuery(query, 'READ_COMMITTED');
+    const response = await createTrans(record, 'READ_COMMITTED');
     const targetNode = response.data.targetNode || 'auto-selected';
     const isFallback = response.data.isFallback;
     const fallbackInfo = isFallback ? ` (fallback: ${response.data.fallbackReason})` : '';
@@ -438,7 +574,7 @@ window.executeInsert = async function() {
     
     await refreshTransactionLogs();
   } catch (error) {
-    const errorMsg = error.response?.data?.error || error.message;
+    const errorMsg = describeRequestError(error);
     document.getElementById('insertResult').innerHTML = `
       <div class="error-box">Insert Failed: ${errorMsg}</div>
     `;
@@ -454,12 +590,10 @@ window.loadRecordForUpdate = async function() {
     return;
   }
   
-  const query = `SELECT * FROM trans WHERE trans_id = ${transId}`;
-  
   try {
-    const response = await executeQuery('node0', query, 'READ_COMMITTED');
-    if (response.data.results && response.data.results.length > 0) {
-      const record = response.data.results[0];
+    const response = await getTrans(transId, 'READ_COMMITTED');
+    if (response.data.record) {
+      const record = response.data.record;
       document.getElementById('currentRecordDisplay').style.display = 'block';
       document.getElementById('currentRecordDetails').innerHTML = `
         <strong>Trans ID:</strong> ${record.trans_id}<br>
@@ -478,7 +612,11 @@ window.loadRecordForUpdate = async function() {
       showErrorMessage('Record not found');
     }
   } catch (error) {
-    showErrorMessage('Error loading record: ' + error.message);
+    if (error.response?.status === 404) {
+      showErrorMessage('Record not found');
+    } else {
+      showErrorMessage('Error loading record: ' + describeRequestError(error));
+    }
   }
 };
 
@@ -500,26 +638,22 @@ window.executeUpdate = async function() {
     return;
   }
   
-  let updates = [];
-  if (accountId) updates.push(`account_id = ${accountId}`);
-  if (date) updates.push(`newdate = '${date}'`);
-  if (amount) updates.push(`amount = ${amount}`);
-  if (balance) updates.push(`balance = ${balance}`);
-  
-  const query = `UPDATE trans SET ${updates.join(', ')} WHERE trans_id = ${transId}`;
+  const changes = {};
+  if (accountId) changes.account_id = Number(accountId);
+  if (date) changes.newdate = date;
+  if (amount) changes.amount = Number(amount);
+  if (balance) changes.balance = Number(balance);
   
   try {
-    const response = await autoExecuteQuery(query, 'READ_COMMITTED');
+    const response = await updateTrans(transId, changes, 'READ_COMMITTED');
     const targetNode = response.data.targetNode || 'auto-selected';
     const isFallback = response.data.isFallback;
     const fallbackInfo = isFallback ? ` (fallback: ${response.data.fallbackReason})` : '';
     
-    let fragmentNote = '';
-    if (date) {
-      fragmentNote = date < '1997-01-01' ? 
-        '<br><strong>Note:</strong> Record belongs to Node 1 fragment (Pre-1997)' : 
-        '<br><strong>Note:</strong> Record belongs to Node 2 fragment (1997+)';
-    }
+    const fragmentNode = response.data.nodeSelection?.fragmentNode;
+    const fragmentNote = fragmentNode ?
+      `<br><strong>Note:</strong> Record belongs to the ${fragmentNode.replace('node', 'Node ')} fragment` :
+      '';
     
     document.getElementById('updateResult').innerHTML = `
       <div class="success-box">
@@ -543,7 +677,7 @@ window.executeUpdate = async function() {
     
     await refreshTransactionLogs();
   } catch (error) {
-    const errorMsg = error.response?.data?.error || error.message;
+    const errorMsg = describeRequestError(error);
     document.getElementById('updateResult').innerHTML = `
       <div class="error-box">Update Failed: ${errorMsg}</div>
     `;
@@ -559,12 +693,10 @@ window.loadRecordForDelete = async function() {
     return;
   }
   
-  const query = `SELECT * FROM trans WHERE trans_id = ${transId}`;
-  
   try {
-    const response = await executeQuery('node0', query, 'READ_COMMITTED');
-    if (response.data.results && response.data.results.length > 0) {
-      const record = response.data.results[0];
+    const response = await getTrans(transId, 'READ_COMMITTED');
+    if (response.data.record) {
+      const record = response.data.record;
       document.getElementById('deleteRecordDisplay').style.display = 'block';
       document.getElementById('deleteRecordDetails').innerHTML = `
         <strong>Trans ID:</strong> ${record.trans_id}<br>
@@ -578,7 +710,11 @@ window.loadRecordForDelete = async function() {
       document.getElementById('deleteRecordDisplay').style.display = 'none';
     }
   } catch (error) {
-    showErrorMessage('Error loading record: ' + error.message);
+    if (error.response?.status === 404) {
+      showErrorMessage('Record not found');
+    } else {
+      showErrorMessage('Error loading record: ' + describeRequestError(error));
+    }
   }
 };
 
@@ -597,10 +733,8 @@ window.executeDelete = async function() {
     return;
   }
   
-  const query = `DELETE FROM trans WHERE trans_id = ${transId}`;
-  
   try {
-    const response = await autoExecuteQuery(query, 'READ_COMMITTED');
+    const response = await deleteTrans(transId, 'READ_COMMITTED');
     const targetNode = response.data.targetNode || 'auto-selected';
     const isFallback = response.data.isFallback;
     const fallbackInfo = isFallback ? ` (fallback: ${response.data.fallbackReason})` : '';
@@ -621,7 +755,7 @@ window.executeDelete = async function() {
     
     await refreshTransactionLogs();
   } catch (error) {
-    const errorMsg = error.response?.data?.error || error.message;
+    const errorMsg = describeRequestError(error);
     document.getElementById('deleteResult').innerHTML = `
       <div class="error-box">Delete Failed: ${errorMsg}</div>
     `;
@@ -634,43 +768,35 @@ window.generateReport = async function() {
   let reportText = '';
   
   try {
-    const pre1997Query = `
-      SELECT 
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount
-      FROM trans
-      WHERE newdate < '1997-01-01'
-    `;
-    
-    const post1997Query = `
-      SELECT 
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount
-      FROM trans
-      WHERE newdate >= '1997-01-01'
-    `;
-    
-    const pre1997Resp = await executeQuery('node0', pre1997Query, 'READ_COMMITTED');
-    const post1997Resp = await executeQuery('node0', post1997Query, 'READ_COMMITTED');
-    
-    const pre1997 = pre1997Resp.data.results[0];
-    const post1997 = post1997Resp.data.results[0];
+    const response = await getFragmentReport();
+    const { strategy, column, fragments, totals, partial } = response.data;
+    const formatAmount = amount => parseFloat(amount || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    
+    const sections = fragments.map(f => f.error ? `
+${f.fragment} on ${f.node} (${f.rule})
+  Unavailable: ${f.error}
+` : `
+${f.fragment} on ${f.node} (${f.rule})
+  Count: ${f.transactionCount}
+  Total: $${formatAmount(f.totalAmount)}
+`).join('');
+    const missing = fragments.filter(f => f.error).map(f => f.fragment);
+    const totalSection = `
+All fragments${partial ? ` (PARTIAL - missing ${missing.join(', ')})` : ''}
+  Count: ${totals.transactionCount}
+  Total: $${formatAmount(totals.totalAmount)}
+`;
     
     reportText = `
 ==========================================
   TRANSACTION AMOUNT REPORT
 ==========================================
 Generated: ${new Date().toLocaleString()}
+Fragmentation: ${strategy} on ${column}
 ==========================================
-
-Transactions < 1997
-  Count: ${pre1997.transaction_count}
-  Total: $${parseFloat(pre1997.total_amount || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
-
-Transactions >= 1997
-  Count: ${post1997.transaction_count}
-  Total: $${parseFloat(post1997.total_amount || 0).toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',')}
-
+${sections}
+==========================================
+${totalSection}
 ==========================================
 `;
     
@@ -684,12 +810,12 @@ Transactions >= 1997
 // ===== END NEW CRUD OPERATIONS =====
 
 // --- Simple Case 1 helpers (concurrent reads) ---
-export async function runConcurrentReads(nodeA, nodeB, recordId, isolationLevel) {
+export async function runConcurrentReads(nodeA, nodeB, recordId, isolationLevel, concurrencyControl = '2PL') {
   const id = Number(recordId);
   const query = `SELECT * FROM trans WHERE trans_id = ${id}`;
   const level = isolationLevel || 'READ_COMMITTED';
-  const a = executeQuery(nodeA, query, level);
-  const b = executeQuery(nodeB, query, level);
+  const a = executeQuery(nodeA, query, level, concurrencyControl);
+  const b = executeQuery(nodeB, query, level, concurrencyControl);
   const [ra, rb] = await Promise.allSettled([a, b]);
-  return { ra, rb, query, isolationLevel: level };
+  return { ra, rb, query, isolationLevel: level, concurrencyControl };
 }
@@ -1,11 +1,18 @@
-import { runConcurrentReads, showErrorMessage, showSuccessMessage } from './app.js';
+import { runConcurrentReads, showErrorMessage, showSuccessMessage, masterNodeName } from './app.js';
 import { apiClient } from './api.js';
 
+// OCC validation failures come back as 409 + retryable: count them instead of failing the case
+const isValidationAbort = err => err.response?.status === 409 && err.response.data?.retryable;
+const keepValidationAbort = err => {
+  if (isValidationAbort(err)) return err.response;
+  throw err;
+};
+
 // Minimal Test Cases module (we will add Case2/Case3 later)
-export async function case1ConcurrentReads(nodeA, nodeB, recordId, isolationLevel) {
+export async function case1ConcurrentReads(nodeA, nodeB, recordId, isolationLevel, concurrencyControl = '2PL') {
   try {
     const startTime = performance.now();
-    const { ra, rb, query } = await runConcurrentReads(nodeA, nodeB, recordId, isolationLevel);
+    const { ra, rb, query } = await runConcurrentReads(nodeA, nodeB, recordId, isolationLevel, concurrencyControl);
     const endTime = performance.now();
     const executionTime = ((endTime - startTime) / 1000).toFixed(3); // Convert to seconds
     
@@ -18,8 +25,11 @@ export async function case1ConcurrentReads(nodeA, nodeB, recordId, isolationLeve
     const same = ra.status === 'fulfilled' && rb.status === 'fulfilled'
       ? JSON.stringify(dataA) === JSON.stringify(dataB)
       : false;
+    const validationAborts = [ra, rb].filter(r => r.status === 'rejected' && isValidationAbort(r.reason)).length;
     return {
       nodeA, nodeB, recordId, query,
+      concurrencyControl,
+      validationAborts,
       executionTime,
       results: {
         nodeA: okA,
@@ -38,7 +48,7 @@ export async function case1ConcurrentReads(nodeA, nodeB, recordId, isolationLeve
 }
 
 // Case 2: Write + concurrent reads
-export async function case2WritePlusReads(writerNode, readerA, readerB, recordId, newValue, isolationLevel) {
+export async function case2WritePlusReads(writerNode, readerA, readerB, recordId, newValue, isolationLevel, concurrencyControl = '2PL') {
   const id = Number(recordId);
   const val = Number(newValue);
   const iso = isolationLevel || 'READ_COMMITTED';
@@ -49,15 +59,17 @@ export async function case2WritePlusReads(writerNode, readerA, readerB, recordId
   // This ensures reads happen DURING the write, not after it completes
   // This is the ONLY way to see dirty reads with READ_UNCOMMITTED
   
-  console.log(`[CASE 2] Starting concurrent write + reads with ${iso}...`);
+  console.log(`[CASE 2] Starting concurrent write + reads with ${iso} (${concurrencyControl})...`);
   
+  const cc = concurrencyControl;
   const startTime = performance.now();
   const [writeResult, wRead, aRead, bRead] = await Promise.all([
-    apiClient.post('/query/execute', { node: writerNode, query: updateQuery, isolationLevel: iso }),
-    apiClient.post('/query/execute', { node: writerNode, query: selectQuery, isolationLevel: iso }),
-    apiClient.post('/query/execute', { node: readerA, query: selectQuery, isolationLevel: iso }),
-    apiClient.post('/query/execute', { node: readerB, query: selectQuery, isolationLevel: iso })
+    apiClient.post('/query/execute', { node: writerNode, query: updateQuery, isolationLevel: iso, concurrencyControl: cc }).catch(keepValidationAbort),
+    apiClient.post('/query/execute', { node: writerNode, query: selectQuery, isolationLevel: iso, concurrencyControl: cc }).catch(keepValidationAbort),
+    apiClient.post('/query/execute', { node: readerA, query: selectQuery, isolationLevel: iso, concurrencyControl: cc }).catch(keepValidationAbort),
+    apiClient.post('/query/execute', { node: readerB, query: selectQuery, isolationLevel: iso, concurrencyControl: cc }).catch(keepValidationAbort)
   ]);
+  const validationAborts = [writeResult, wRead, aRead, bRead].filter(r => r.status === 409).length;
   
   const endTime = performance.now();
   const executionTime = ((endTime - startTime) / 1000).toFixed(3); // Convert to seconds
@@ -109,6 +121,8 @@ export async function case2WritePlusReads(writerNode, readerA, readerB, recordId
 
   return {
     isolation: iso,
+    concurrencyControl: cc,
+    validationAborts,
     executionTime,
     write: {
       status: write.status,
@@ -138,7 +152,7 @@ export async function case2WritePlusReads(writerNode, readerA, readerB, recordId
 }
 
 // Case 3: concurrent writes on same record from two nodes
-export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valueB, isoA, isoB) {
+export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valueB, isoA, isoB, concurrencyControl = '2PL') {
   const id = Number(recordId);
   const valA = Number(valueA);
   const valB = Number(valueB);
@@ -151,8 +165,8 @@ export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valu
   // Fire both writes concurrently
   const startTime = performance.now();
   const writePromises = [
-    apiClient.post('/query/execute', { node: nodeA, query: updateA, isolationLevel: isolationA }),
-    apiClient.post('/query/execute', { node: nodeB, query: updateB, isolationLevel: isolationB })
+    apiClient.post('/query/execute', { node: nodeA, query: updateA, isolationLevel: isolationA, concurrencyControl }),
+    apiClient.post('/query/execute', { node: nodeB, query: updateB, isolationLevel: isolationB, concurrencyControl })
   ];
   const [wA, wB] = await Promise.allSettled(writePromises);
   const endTime = performance.now();
@@ -186,7 +200,8 @@ export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valu
   order.sort((a,b) => new Date(a.endTime || 0) - new Date(b.endTime || 0));
 
   // Final reads from each node (include master always)
-  const readNodes = Array.from(new Set([nodeA, nodeB, 'node0']));
+  const masterNode = masterNodeName();
+  const readNodes = Array.from(new Set([nodeA, nodeB, masterNode]));
   const finalReadsPromises = readNodes.map(n => apiClient.post('/query/execute', { node: n, query: select, isolationLevel: 'READ_COMMITTED' }));
   const settledFinal = await Promise.allSettled(finalReadsPromises);
   const finalReads = {};
@@ -196,7 +211,7 @@ export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valu
   });
 
   // Determine final amount (prefer master if available else any)
-  const masterRow = finalReads['node0'] && finalReads['node0'][0];
+  const masterRow = finalReads[masterNode] && finalReads[masterNode][0];
   const finalAmount = masterRow ? masterRow.amount : (finalReads[nodeA][0]?.amount ?? finalReads[nodeB][0]?.amount);
 
   let conflictType = 'none';
@@ -214,8 +229,11 @@ export async function case3ConcurrentWrites(nodeA, nodeB, recordId, valueA, valu
     recordId: id,
     executionTime,
     isolation: { nodeA: isolationA, nodeB: isolationB },
+    concurrencyControl,
+    validationAborts: [writeA, writeB].filter(w => w.code === 409).length,
     writes: [writeA, writeB],
     order,
+    masterNode,
     finalReads,
     finalAmount,
     divergence,